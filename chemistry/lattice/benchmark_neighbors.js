@@ -0,0 +1,73 @@
+/**
+ * Bond Detection Benchmark
+ *
+ * Compares the spatial-hash bond search in neighbors.js with checking every pair of atoms,
+ * on diamond supercells of increasing size, and checks that both find the same bonds.
+ *
+ * Run with Node from the repository root:
+ *
+ *     node chemistry/lattice/benchmark_neighbors.js [largest supercell, default 10]
+ */
+
+import { CRYSTAL_PRESETS, generateCrystal } from './lattice.js';
+import { createBondCutoffFunction, findBonds, MIN_BOND_DISTANCE } from './neighbors.js';
+
+/**
+ * Finds bonds by checking every pair of atoms, as createBonds() used to.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @param {Object} options - Cutoff options, see createBondCutoffFunction()
+ * @returns {Object[]} Bonds as {i, j, distance}
+ */
+function findBondsByAllPairs(atoms, options) {
+    const cutoffFor = createBondCutoffFunction(options);
+    const bonds = [];
+    for (let i = 0; i < atoms.length; i++) {
+        for (let j = i + 1; j < atoms.length; j++) {
+            const distance = Math.hypot(...atoms[i].position.map((value, axis) => value - atoms[j].position[axis]));
+            if (distance < cutoffFor(atoms[i].element, atoms[j].element) && distance > MIN_BOND_DISTANCE) {
+                bonds.push({ i, j, distance });
+            }
+        }
+    }
+    return bonds;
+}
+
+/**
+ * Runs a function and returns its result with the time it took.
+ *
+ * @param {Function} run - The function to time
+ * @returns {Object} {result, milliseconds}
+ */
+function time(run) {
+    const start = process.hrtime.bigint();
+    const result = run();
+    return { result, milliseconds: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+const largest = parseInt(process.argv[2], 10) || 10;
+const preset = CRYSTAL_PRESETS.diamond;
+
+console.log('Supercell   Atoms    Bonds   Spatial hash (ms)   All pairs (ms)   Speed-up');
+for (let n = 2; n <= largest; n += 2) {
+    const { atoms } = generateCrystal(preset, [n, n, n]);
+    const hashed = time(() => findBonds(atoms, preset));
+    const allPairs = time(() => findBondsByAllPairs(atoms, preset));
+
+    // Both methods must find exactly the same bonds
+    const key = bond => `${bond.i}-${bond.j}`;
+    const expected = new Set(allPairs.result.map(key));
+    if (hashed.result.length !== expected.size || !hashed.result.every(bond => expected.has(key(bond)))) {
+        console.error(`Mismatch for ${n}×${n}×${n}: ${hashed.result.length} bonds vs ${expected.size} expected`);
+        process.exit(1);
+    }
+
+    console.log([
+        `${n}×${n}×${n}`.padEnd(9),
+        String(atoms.length).padStart(7),
+        String(hashed.result.length).padStart(8),
+        hashed.milliseconds.toFixed(1).padStart(19),
+        allPairs.milliseconds.toFixed(1).padStart(16),
+        `${(allPairs.milliseconds / hashed.milliseconds).toFixed(1)}×`.padStart(10)
+    ].join(' '));
+}
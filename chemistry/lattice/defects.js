@@ -0,0 +1,319 @@
+/**
+ * Point Defects
+ *
+ * Turns a perfect crystal from the lattice engine (chemistry/lattice/lattice.js) into one with
+ * point defects, as in lessons on semiconductors:
+ * - a vacancy removes the atom at a site
+ * - a substitution puts another element on a site, e.g. boron or phosphorus dopants in
+ *   silicon, or the nitrogen of an N-V centre in diamond
+ * - an interstitial adds an atom at an interstitial site: the roomiest holes between the
+ *   atoms, e.g. the tetrahedral sites of diamond at (1/2, 1/2, 1/2) and its hexagonal sites
+ *
+ * Defects are a list of {type, site, element}, where site indexes the crystal's atoms (or,
+ * for interstitials, its interstitial sites). Later defects on a site replace earlier ones.
+ * The list can be written compactly for links, e.g. "v12,s40N,i3C" for a vacancy at atom 12,
+ * nitrogen on atom 40 and carbon at interstitial site 3.
+ *
+ * Random defects come from a seeded generator (mulberry32), so the same seed and
+ * concentrations always give the same defects.
+ *
+ * Problems with a written defect list are reported by throwing a DefectError.
+ */
+
+import { cellVectors, expandBasis, fractionalToCartesian, generateCrystal } from './lattice.js';
+
+/**
+ * Error thrown when a written defect list cannot be read.
+ */
+class DefectError extends Error {
+    /**
+     * @param {string} message - What is wrong with the list
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'DefectError';
+    }
+}
+
+// Letters of the defect types in written defect lists
+const DEFECT_LETTERS = { vacancy: 'v', substitution: 's', interstitial: 'i' };
+
+// Points per cell vector at which the unit cell is searched for interstitial sites; a
+// multiple of 24 hits the common special positions (1/2, 1/3, 1/4, 1/8) exactly
+const INTERSTITIAL_GRID = 24;
+
+// Interstitial sites are the holes at least this fraction as roomy as the largest one
+const INTERSTITIAL_CLEARANCE_RATIO = 0.9;
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ *
+ * @param {number} seed - The seed, a whole number
+ * @returns {Function} Returns the next number in [0, 1) on each call
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Finds the interstitial sites of a crystal's unit cell: the roomiest holes between the atoms,
+ * found as the highest points of the distance to the nearest atom on a grid over the cell.
+ *
+ * @param {Object} structure - A crystal description: {lattice, cell, basis}, or with `cellVectors`
+ * @returns {Object[]} Sites as {position: [u, v, w], clearance}, the clearance being the
+ *     distance to the nearest atom in Angstroms, roomiest first
+ */
+function findInterstitialSites(structure) {
+    const vectors = structure.cellVectors || cellVectors(structure.cell);
+    const atoms = [];
+    expandBasis(structure.basis, structure.lattice).forEach(site => {
+        for (let x = -1; x <= 1; x++) {
+            for (let y = -1; y <= 1; y++) {
+                for (let z = -1; z <= 1; z++) {
+                    atoms.push(fractionalToCartesian([site.position[0] + x, site.position[1] + y, site.position[2] + z], vectors));
+                }
+            }
+        }
+    });
+
+    // Distance from each grid point to the nearest atom
+    const n = INTERSTITIAL_GRID;
+    const gridIndex = (i, j, k) => ((i + n) % n) + n * (((j + n) % n) + n * ((k + n) % n));
+    const clearance = new Float64Array(n ** 3);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            for (let k = 0; k < n; k++) {
+                const [x, y, z] = fractionalToCartesian([i / n, j / n, k / n], vectors);
+                let nearest = Infinity;
+                atoms.forEach(atom => {
+                    nearest = Math.min(nearest, (atom[0] - x) ** 2 + (atom[1] - y) ** 2 + (atom[2] - z) ** 2);
+                });
+                clearance[gridIndex(i, j, k)] = Math.sqrt(nearest);
+            }
+        }
+    }
+
+    // Keep the grid points no lower than any of their 26 neighbours
+    const peaks = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            for (let k = 0; k < n; k++) {
+                const value = clearance[gridIndex(i, j, k)];
+                let isPeak = true;
+                for (let di = -1; di <= 1 && isPeak; di++) {
+                    for (let dj = -1; dj <= 1 && isPeak; dj++) {
+                        for (let dk = -1; dk <= 1 && isPeak; dk++) {
+                            if (clearance[gridIndex(i + di, j + dj, k + dk)] > value + 1e-9) isPeak = false;
+                        }
+                    }
+                }
+                if (isPeak) peaks.push({ position: [i / n, j / n, k / n], clearance: value });
+            }
+        }
+    }
+
+    // Keep the roomiest holes, once each: neighbouring grid points of a flat top are one site
+    peaks.sort((a, b) => b.clearance - a.clearance);
+    const largest = peaks.length > 0 ? peaks[0].clearance : 0;
+    const sites = [];
+    peaks.forEach(peak => {
+        if (peak.clearance < largest * INTERSTITIAL_CLEARANCE_RATIO) return;
+        const isNear = site => site.position.every((value, axis) => {
+            const difference = Math.abs(value - peak.position[axis]);
+            return Math.min(difference, 1 - difference) < 1.5 / n;
+        });
+        if (!sites.some(isNear)) sites.push(peak);
+    });
+    return sites;
+}
+
+/**
+ * Lists the interstitial sites of a supercell, in the same arrangement as generateCrystal().
+ *
+ * @param {Object} structure - A crystal description, see findInterstitialSites()
+ * @param {number[]} supercell - Number of unit cells along each cell vector
+ * @param {Object[]} [sites] - The unit cell's sites from findInterstitialSites(), if already found
+ * @returns {Object[]} Sites as {position: [x, y, z], fractional: [u, v, w], clearance}
+ */
+function generateInterstitialSites(structure, supercell, sites = findInterstitialSites(structure)) {
+    const { atoms } = generateCrystal({
+        cellVectors: structure.cellVectors || cellVectors(structure.cell),
+        lattice: 'P',
+        basis: sites.map(site => ({ element: 'X', position: site.position }))
+    }, supercell);
+    return atoms.map(({ position, fractional, basisIndex }) => ({
+        position,
+        fractional,
+        clearance: sites[basisIndex].clearance
+    }));
+}
+
+/**
+ * Applies defects to a crystal's atoms.
+ *
+ * @param {Object[]} atoms - The perfect crystal's atoms, as from generateCrystal()
+ * @param {Object[]} interstitialSites - Sites interstitials can go on, from generateInterstitialSites()
+ * @param {Object[]} defects - The defects as {type, site, element}
+ * @returns {Object} {atoms, vacancies}: the atoms left, each a copy with `site` (its index in
+ *     the perfect crystal, or null for an interstitial) and `defect` (null, 'substitution' or
+ *     'interstitial', with the replaced element as `hostElement` for substitutions), and the
+ *     emptied sites as {site, element, position}
+ */
+function applyDefects(atoms, interstitialSites, defects) {
+    // The last defect on each site wins
+    const onSite = new Map();
+    const onInterstitial = new Map();
+    defects.forEach(defect => {
+        (defect.type === 'interstitial' ? onInterstitial : onSite).set(defect.site, defect);
+    });
+
+    const result = [];
+    const vacancies = [];
+    atoms.forEach((atom, site) => {
+        const defect = onSite.get(site);
+        if (defect && defect.type === 'vacancy') {
+            vacancies.push({ site, element: atom.element, position: atom.position });
+        } else if (defect && defect.element !== atom.element) {
+            result.push({ ...atom, element: defect.element, site, defect: 'substitution', hostElement: atom.element });
+        } else {
+            result.push({ ...atom, site, defect: null });
+        }
+    });
+    onInterstitial.forEach(({ site, element }) => {
+        // Sites beyond the supercell, e.g. from a link made for a larger one, are skipped
+        if (!interstitialSites[site]) return;
+        const { position, fractional } = interstitialSites[site];
+        result.push({ element, position, fractional, site: null, interstitialSite: site, defect: 'interstitial' });
+    });
+    return { atoms: result, vacancies };
+}
+
+/**
+ * Finds the dangling bonds left by defects: bonds of the perfect crystal whose atom is still
+ * there but has lost the bond, e.g. the four bonds pointing into a vacancy in diamond.
+ *
+ * @param {Object[]} perfectAtoms - The perfect crystal's atoms
+ * @param {Object[]} perfectBonds - Its bonds as {i, j} from findBonds(), or with their vector
+ *     from findPeriodicBonds() in periodic.js
+ * @param {Object[]} atoms - The atoms with defects, from applyDefects()
+ * @param {Object[]} bonds - Their bonds as {i, j}, found the same way
+ * @returns {Object[]} The dangling bonds as {atom, towards}: the index of the atom (in atoms)
+ *     and the position the bond pointed to
+ */
+function findDanglingBonds(perfectAtoms, perfectBonds, atoms, bonds) {
+    const indexOfSite = new Map();
+    atoms.forEach((atom, index) => {
+        if (atom.site !== null) indexOfSite.set(atom.site, index);
+    });
+    const bonded = new Set(bonds.map(({ i, j }) => `${Math.min(i, j)}-${Math.max(i, j)}`));
+
+    const dangling = [];
+    perfectBonds.forEach(({ i, j, vector }) => {
+        const a = indexOfSite.get(i);
+        const b = indexOfSite.get(j);
+        if (a !== undefined && b !== undefined && bonded.has(`${Math.min(a, b)}-${Math.max(a, b)}`)) return;
+        // A bond across a periodic boundary points to the copy of the atom beyond it
+        const along = vector || perfectAtoms[j].position.map((value, axis) => value - perfectAtoms[i].position[axis]);
+        if (a !== undefined) dangling.push({ atom: a, towards: perfectAtoms[i].position.map((value, axis) => value + along[axis]) });
+        if (b !== undefined) dangling.push({ atom: b, towards: perfectAtoms[j].position.map((value, axis) => value - along[axis]) });
+    });
+    return dangling;
+}
+
+/**
+ * Picks random defects at given concentrations, on sites that have none yet.
+ *
+ * @param {Object} counts - {atoms, interstitialSites}: how many sites of each kind there are
+ * @param {Object} concentrations - Fractions of sites (0 to 1): {vacancies, substitutions,
+ *     interstitials}; any may be left out
+ * @param {string} element - Element of the substituted and interstitial atoms
+ * @param {number} seed - Seed of the random generator
+ * @param {Object[]} [existing=[]] - Defects already placed, whose sites are left alone
+ * @returns {Object[]} The new defects as {type, site, element}
+ */
+function createRandomDefects(counts, concentrations, element, seed, existing = []) {
+    const random = mulberry32(seed);
+    const taken = new Set(existing.filter(defect => defect.type !== 'interstitial').map(defect => defect.site));
+    const takenInterstitial = new Set(existing.filter(defect => defect.type === 'interstitial').map(defect => defect.site));
+
+    // Shuffle the free sites (Fisher-Yates), then take as many as each concentration asks for
+    const shuffle = (count, isTaken) => {
+        const sites = [];
+        for (let site = 0; site < count; site++) {
+            if (!isTaken.has(site)) sites.push(site);
+        }
+        for (let k = sites.length - 1; k > 0; k--) {
+            const other = Math.floor(random() * (k + 1));
+            [sites[k], sites[other]] = [sites[other], sites[k]];
+        }
+        return sites;
+    };
+    const { vacancies = 0, substitutions = 0, interstitials = 0 } = concentrations;
+
+    const sites = shuffle(counts.atoms, taken);
+    const vacancyCount = Math.round(vacancies * counts.atoms);
+    const substitutionCount = Math.round(substitutions * counts.atoms);
+    const defects = [
+        ...sites.slice(0, vacancyCount).map(site => ({ type: 'vacancy', site })),
+        ...sites.slice(vacancyCount, vacancyCount + substitutionCount).map(site => ({ type: 'substitution', site, element }))
+    ];
+    shuffle(counts.interstitialSites, takenInterstitial)
+        .slice(0, Math.round(interstitials * counts.interstitialSites))
+        .forEach(site => defects.push({ type: 'interstitial', site, element }));
+    return defects;
+}
+
+/**
+ * Writes a defect list compactly for links, e.g. "v12,s40N,i3C".
+ *
+ * @param {Object[]} defects - The defects as {type, site, element}
+ * @returns {string} The written list
+ */
+function formatDefectList(defects) {
+    return defects
+        .map(({ type, site, element }) => `${DEFECT_LETTERS[type]}${site}${type === 'vacancy' ? '' : element}`)
+        .join(',');
+}
+
+/**
+ * Reads a defect list written by formatDefectList().
+ *
+ * @param {string} text - The written list; an empty text gives no defects
+ * @returns {Object[]} The defects as {type, site, element}
+ * @throws {DefectError} If an entry is not a defect letter, a site number and (except for
+ *     vacancies) an element symbol
+ */
+function parseDefectList(text) {
+    const types = Object.fromEntries(Object.entries(DEFECT_LETTERS).map(([type, letter]) => [letter, type]));
+    return text.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry !== '')
+        .map(entry => {
+            const match = /^([vsi])(\d+)([A-Z][a-z]?)?$/.exec(entry);
+            if (!match || (match[1] === 'v') !== (match[3] === undefined)) {
+                throw new DefectError(`"${entry}" is not a defect; expected e.g. v12, s40N or i3C`);
+            }
+            const defect = { type: types[match[1]], site: parseInt(match[2], 10) };
+            if (match[3]) defect.element = match[3];
+            return defect;
+        });
+}
+
+export {
+    DefectError,
+    mulberry32,
+    findInterstitialSites,
+    generateInterstitialSites,
+    applyDefects,
+    findDanglingBonds,
+    createRandomDefects,
+    formatDefectList,
+    parseDefectList
+};
@@ -0,0 +1,110 @@
+/**
+ * Element Data
+ *
+ * Per-element properties used to draw and bond atoms:
+ * - CPK colors (the Jmol color scheme)
+ * - Covalent radii in Angstroms (Cordero et al., 2008; low-spin values for transition metals)
+ * - Standard atomic masses in atomic mass units
+ *
+ * Atoms are drawn as spheres with half their covalent radius, which keeps bonds visible
+ * between them while larger atoms still look larger.
+ */
+
+const ELEMENTS = {
+    H: { name: 'Hydrogen', color: 0xFFFFFF, covalentRadius: 0.31, mass: 1.008 },
+    He: { name: 'Helium', color: 0xD9FFFF, covalentRadius: 0.28, mass: 4.0026 },
+    Li: { name: 'Lithium', color: 0xCC80FF, covalentRadius: 1.28, mass: 6.94 },
+    Be: { name: 'Beryllium', color: 0xC2FF00, covalentRadius: 0.96, mass: 9.0122 },
+    B: { name: 'Boron', color: 0xFFB5B5, covalentRadius: 0.84, mass: 10.81 },
+    C: { name: 'Carbon', color: 0x909090, covalentRadius: 0.76, mass: 12.011 },
+    N: { name: 'Nitrogen', color: 0x3050F8, covalentRadius: 0.71, mass: 14.007 },
+    O: { name: 'Oxygen', color: 0xFF0D0D, covalentRadius: 0.66, mass: 15.999 },
+    F: { name: 'Fluorine', color: 0x90E050, covalentRadius: 0.57, mass: 18.998 },
+    Ne: { name: 'Neon', color: 0xB3E3F5, covalentRadius: 0.58, mass: 20.180 },
+    Na: { name: 'Sodium', color: 0xAB5CF2, covalentRadius: 1.66, mass: 22.990 },
+    Mg: { name: 'Magnesium', color: 0x8AFF00, covalentRadius: 1.41, mass: 24.305 },
+    Al: { name: 'Aluminium', color: 0xBFA6A6, covalentRadius: 1.21, mass: 26.982 },
+    Si: { name: 'Silicon', color: 0xF0C8A0, covalentRadius: 1.11, mass: 28.085 },
+    P: { name: 'Phosphorus', color: 0xFF8000, covalentRadius: 1.07, mass: 30.974 },
+    S: { name: 'Sulfur', color: 0xFFFF30, covalentRadius: 1.05, mass: 32.06 },
+    Cl: { name: 'Chlorine', color: 0x1FF01F, covalentRadius: 1.02, mass: 35.45 },
+    Ar: { name: 'Argon', color: 0x80D1E3, covalentRadius: 1.06, mass: 39.948 },
+    K: { name: 'Potassium', color: 0x8F40D4, covalentRadius: 2.03, mass: 39.098 },
+    Ca: { name: 'Calcium', color: 0x3DFF00, covalentRadius: 1.76, mass: 40.078 },
+    Sc: { name: 'Scandium', color: 0xE6E6E6, covalentRadius: 1.70, mass: 44.956 },
+    Ti: { name: 'Titanium', color: 0xBFC2C7, covalentRadius: 1.60, mass: 47.867 },
+    V: { name: 'Vanadium', color: 0xA6A6AB, covalentRadius: 1.53, mass: 50.942 },
+    Cr: { name: 'Chromium', color: 0x8A99C7, covalentRadius: 1.39, mass: 51.996 },
+    Mn: { name: 'Manganese', color: 0x9C7AC7, covalentRadius: 1.39, mass: 54.938 },
+    Fe: { name: 'Iron', color: 0xE06633, covalentRadius: 1.32, mass: 55.845 },
+    Co: { name: 'Cobalt', color: 0xF090A0, covalentRadius: 1.26, mass: 58.933 },
+    Ni: { name: 'Nickel', color: 0x50D050, covalentRadius: 1.24, mass: 58.693 },
+    Cu: { name: 'Copper', color: 0xC88033, covalentRadius: 1.32, mass: 63.546 },
+    Zn: { name: 'Zinc', color: 0x7D80B0, covalentRadius: 1.22, mass: 65.38 },
+    Ga: { name: 'Gallium', color: 0xC28F8F, covalentRadius: 1.22, mass: 69.723 },
+    Ge: { name: 'Germanium', color: 0x668F8F, covalentRadius: 1.20, mass: 72.630 },
+    As: { name: 'Arsenic', color: 0xBD80E3, covalentRadius: 1.19, mass: 74.922 },
+    Se: { name: 'Selenium', color: 0xFFA100, covalentRadius: 1.20, mass: 78.971 },
+    Br: { name: 'Bromine', color: 0xA62929, covalentRadius: 1.20, mass: 79.904 },
+    Rb: { name: 'Rubidium', color: 0x702EB0, covalentRadius: 2.20, mass: 85.468 },
+    Sr: { name: 'Strontium', color: 0x00FF00, covalentRadius: 1.95, mass: 87.62 },
+    Mo: { name: 'Molybdenum', color: 0x54B5B5, covalentRadius: 1.54, mass: 95.95 },
+    Ag: { name: 'Silver', color: 0xC0C0C0, covalentRadius: 1.45, mass: 107.87 },
+    Sn: { name: 'Tin', color: 0x668080, covalentRadius: 1.39, mass: 118.71 },
+    I: { name: 'Iodine', color: 0x940094, covalentRadius: 1.39, mass: 126.90 },
+    Cs: { name: 'Caesium', color: 0x57178F, covalentRadius: 2.44, mass: 132.91 },
+    Ba: { name: 'Barium', color: 0x00C900, covalentRadius: 2.15, mass: 137.33 },
+    W: { name: 'Tungsten', color: 0x2194D6, covalentRadius: 1.62, mass: 183.84 },
+    Pt: { name: 'Platinum', color: 0xD0D0E0, covalentRadius: 1.36, mass: 195.08 },
+    Au: { name: 'Gold', color: 0xFFD123, covalentRadius: 1.36, mass: 196.97 },
+    Pb: { name: 'Lead', color: 0x575961, covalentRadius: 1.46, mass: 207.2 },
+    Po: { name: 'Polonium', color: 0xAB5C00, covalentRadius: 1.40, mass: 209 }
+};
+
+// Properties used for symbols missing from the table (Jmol's color for unknown atoms)
+const UNKNOWN_ELEMENT = { name: 'Unknown', color: 0xFF1493, covalentRadius: 1.5, mass: 0 };
+
+// Drawn sphere radius as a fraction of the covalent radius
+const DISPLAY_RADIUS_SCALE = 0.5;
+
+/**
+ * Normalizes an element symbol to its usual capitalization, e.g. "CL" or "cl" to "Cl".
+ * Trailing charges or labels such as "Na1+" or "C2" are removed.
+ *
+ * @param {string} symbol - The symbol as written in a structure file
+ * @returns {string} The normalized symbol
+ */
+function normalizeElementSymbol(symbol) {
+    const letters = String(symbol).trim().match(/^[A-Za-z]{1,2}/);
+    if (!letters) return String(symbol).trim();
+    const candidate = letters[0].charAt(0).toUpperCase() + letters[0].slice(1).toLowerCase();
+    // Prefer the two-letter symbol, but fall back to the first letter for site labels
+    // such as "Cb1" whose second letter is not part of a symbol
+    if (ELEMENTS[candidate]) return candidate;
+    const single = candidate.charAt(0);
+    return ELEMENTS[single] ? single : candidate;
+}
+
+/**
+ * Looks up an element's properties.
+ *
+ * @param {string} symbol - The element symbol
+ * @returns {Object} {symbol, name, color, covalentRadius, mass}; unknown symbols get
+ *     UNKNOWN_ELEMENT's properties so they can still be drawn
+ */
+function getElement(symbol) {
+    const normalized = normalizeElementSymbol(symbol);
+    return { symbol: normalized, ...(ELEMENTS[normalized] || UNKNOWN_ELEMENT) };
+}
+
+/**
+ * Returns the radius an atom of the element is drawn with.
+ *
+ * @param {string} symbol - The element symbol
+ * @returns {number} The sphere radius in Angstroms
+ */
+function getDisplayRadius(symbol) {
+    return getElement(symbol).covalentRadius * DISPLAY_RADIUS_SCALE;
+}
+
+export { ELEMENTS, UNKNOWN_ELEMENT, normalizeElementSymbol, getElement, getDisplayRadius };
@@ -0,0 +1,299 @@
+/**
+ * Crystal Lattice Engine
+ *
+ * Generates the atom positions of a crystal from:
+ * - a lattice type (centering): primitive (P), body-centred (I), face-centred (F) or base-centred (C)
+ * - the cell parameters: lattice constants a, b, c and angles alpha, beta, gamma
+ * - a basis: the atoms attached to each lattice point, each with an element and a
+ *   fractional position inside the unit cell
+ * - a supercell size: how many unit cells to repeat along each cell vector
+ *
+ * Every site of the basis is repeated at each centering translation, so diamond is simply a
+ * face-centred lattice with two carbon atoms in its basis, at (0,0,0) and (1/4,1/4,1/4).
+ *
+ * All positions are plain [x, y, z] arrays in Angstroms, so the engine has no dependency on
+ * Three.js and can also run in Node.
+ */
+
+// Lattice point translations for each centering type, in fractional coordinates
+const LATTICE_CENTERINGS = {
+    P: [[0, 0, 0]],
+    I: [[0, 0, 0], [0.5, 0.5, 0.5]],
+    F: [[0, 0, 0], [0, 0.5, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0]],
+    C: [[0, 0, 0], [0.5, 0.5, 0]]
+};
+
+// Tolerance for treating two fractional positions as the same site
+const SITE_TOLERANCE = 1e-4;
+
+/**
+ * Built-in crystal structures.
+ * Bonds are found from covalent radii (see neighbors.js); bondCutoffs overrides that rule for
+ * metals and ionic crystals, giving the longest bond (in Angstroms) for an element pair,
+ * or 0 for pairs that should never bond.
+ */
+const CRYSTAL_PRESETS = {
+    diamond: {
+        name: 'Diamond',
+        description: 'Diamond cubic: two interpenetrating FCC lattices offset by 1/4 of the body diagonal',
+        lattice: 'F',
+        cell: { a: 3.567 },
+        basis: [
+            { element: 'C', position: [0, 0, 0] },
+            { element: 'C', position: [0.25, 0.25, 0.25] }
+        ]
+    },
+    silicon: {
+        name: 'Silicon',
+        description: 'Diamond cubic silicon, the basis of most semiconductor devices',
+        lattice: 'F',
+        cell: { a: 5.431 },
+        basis: [
+            { element: 'Si', position: [0, 0, 0] },
+            { element: 'Si', position: [0.25, 0.25, 0.25] }
+        ]
+    },
+    zincblende: {
+        name: 'Zinc Blende (ZnS)',
+        description: 'Like diamond, but the two FCC lattices hold different elements',
+        lattice: 'F',
+        cell: { a: 5.41 },
+        basis: [
+            { element: 'Zn', position: [0, 0, 0] },
+            { element: 'S', position: [0.25, 0.25, 0.25] }
+        ]
+    },
+    nacl: {
+        name: 'Rock Salt (NaCl)',
+        description: 'Two interpenetrating FCC lattices offset by half a cell edge; each ion has 6 neighbours',
+        lattice: 'F',
+        cell: { a: 5.64 },
+        basis: [
+            { element: 'Na', position: [0, 0, 0] },
+            { element: 'Cl', position: [0.5, 0, 0] }
+        ]
+    },
+    cscl: {
+        name: 'Caesium Chloride (CsCl)',
+        description: 'Simple cubic lattice with Cs at the corners and Cl at the body centre; 8 neighbours',
+        lattice: 'P',
+        cell: { a: 4.12 },
+        basis: [
+            { element: 'Cs', position: [0, 0, 0] },
+            { element: 'Cl', position: [0.5, 0.5, 0.5] }
+        ],
+        // Caesium's large covalent radius would also bond neighbouring Cs ions along the cell edges
+        bondCutoffs: { 'Cs-Cs': 0 }
+    },
+    fcc: {
+        name: 'Face-Centred Cubic (Copper)',
+        description: 'Cubic close packing: atoms at the corners and face centres; 12 neighbours',
+        lattice: 'F',
+        cell: { a: 3.615 },
+        basis: [
+            { element: 'Cu', position: [0, 0, 0] }
+        ]
+    },
+    bcc: {
+        name: 'Body-Centred Cubic (Iron)',
+        description: 'Atoms at the corners and body centre; 8 neighbours',
+        lattice: 'I',
+        cell: { a: 2.866 },
+        basis: [
+            { element: 'Fe', position: [0, 0, 0] }
+        ],
+        // Only the 8 nearest neighbours (2.48 Å), not the 6 next-nearest along the cell edges (2.87 Å)
+        bondCutoffs: { 'Fe-Fe': 2.7 }
+    },
+    sc: {
+        name: 'Simple Cubic (Polonium)',
+        description: 'Atoms only at the cube corners; 6 neighbours. Polonium is the only element with this structure',
+        lattice: 'P',
+        cell: { a: 3.359 },
+        basis: [
+            { element: 'Po', position: [0, 0, 0] }
+        ],
+        // The cell edge (3.36 Å) is a little longer than the covalent-radius rule allows
+        bondCutoffs: { 'Po-Po': 3.6 }
+    },
+    hcp: {
+        name: 'Hexagonal Close-Packed (Magnesium)',
+        description: 'ABAB stacking of close-packed layers; 12 neighbours',
+        lattice: 'P',
+        cell: { a: 3.209, c: 5.211, gamma: 120 },
+        basis: [
+            { element: 'Mg', position: [1 / 3, 2 / 3, 0.25] },
+            { element: 'Mg', position: [2 / 3, 1 / 3, 0.75] }
+        ]
+    },
+    wurtzite: {
+        name: 'Wurtzite (ZnO)',
+        description: 'Two interpenetrating HCP lattices; the hexagonal counterpart of zinc blende',
+        lattice: 'P',
+        cell: { a: 3.250, c: 5.207, gamma: 120 },
+        basis: [
+            { element: 'Zn', position: [1 / 3, 2 / 3, 0] },
+            { element: 'Zn', position: [2 / 3, 1 / 3, 0.5] },
+            { element: 'O', position: [1 / 3, 2 / 3, 0.382] },
+            { element: 'O', position: [2 / 3, 1 / 3, 0.882] }
+        ]
+    }
+};
+
+/**
+ * Converts cell parameters to the three cell vectors in Cartesian coordinates.
+ * The a vector lies along x and the b vector in the xy plane.
+ *
+ * @param {Object} cell - Cell parameters; b and c default to a, angles default to 90°
+ * @param {number} cell.a - Length of the a vector in Angstroms
+ * @param {number} [cell.b] - Length of the b vector in Angstroms
+ * @param {number} [cell.c] - Length of the c vector in Angstroms
+ * @param {number} [cell.alpha=90] - Angle between b and c in degrees
+ * @param {number} [cell.beta=90] - Angle between a and c in degrees
+ * @param {number} [cell.gamma=90] - Angle between a and b in degrees
+ * @returns {number[][]} The cell vectors [a, b, c], each an [x, y, z] array
+ */
+function cellVectors({ a, b = a, c = a, alpha = 90, beta = 90, gamma = 90 }) {
+    const toRadians = Math.PI / 180;
+    const cosAlpha = Math.cos(alpha * toRadians);
+    const cosBeta = Math.cos(beta * toRadians);
+    const cosGamma = Math.cos(gamma * toRadians);
+    const sinGamma = Math.sin(gamma * toRadians);
+
+    const cx = c * cosBeta;
+    const cy = c * (cosAlpha - cosBeta * cosGamma) / sinGamma;
+    const cz = Math.sqrt(Math.max(0, c * c - cx * cx - cy * cy));
+
+    return [
+        [a, 0, 0],
+        [b * cosGamma, b * sinGamma, 0],
+        [cx, cy, cz]
+    ].map(vector => vector.map(cleanRoundoff));
+}
+
+/**
+ * Replaces values within floating point noise of zero with zero, e.g. cos(90°).
+ *
+ * @param {number} value - The value to clean
+ * @returns {number} The value, or 0 if it is negligibly small
+ */
+function cleanRoundoff(value) {
+    return Math.abs(value) < 1e-12 ? 0 : value;
+}
+
+/**
+ * Converts fractional coordinates to Cartesian coordinates.
+ *
+ * @param {number[]} fractional - Fractional coordinates [u, v, w]
+ * @param {number[][]} vectors - The cell vectors from cellVectors()
+ * @returns {number[]} Cartesian coordinates [x, y, z]
+ */
+function fractionalToCartesian(fractional, vectors) {
+    return [0, 1, 2].map(axis =>
+        fractional[0] * vectors[0][axis] +
+        fractional[1] * vectors[1][axis] +
+        fractional[2] * vectors[2][axis]
+    );
+}
+
+/**
+ * Wraps a fractional coordinate into the range [0, 1).
+ *
+ * @param {number} value - The fractional coordinate
+ * @returns {number} The wrapped coordinate
+ */
+function wrapFractional(value) {
+    const wrapped = value - Math.floor(value);
+    // Values a hair below 1 are the same site as 0
+    return wrapped > 1 - SITE_TOLERANCE ? 0 : wrapped;
+}
+
+/**
+ * Checks whether two fractional positions are the same site, allowing for periodicity.
+ *
+ * @param {number[]} p - First fractional position
+ * @param {number[]} q - Second fractional position
+ * @returns {boolean} True if they coincide modulo whole cells
+ */
+function isSameSite(p, q) {
+    return p.every((value, axis) => {
+        const difference = Math.abs(value - q[axis]);
+        return Math.min(difference, 1 - difference) < SITE_TOLERANCE;
+    });
+}
+
+/**
+ * Lists every atom site inside one unit cell: each basis atom repeated at every lattice
+ * centering translation, wrapped into the cell, with duplicates removed.
+ *
+ * @param {Object[]} basis - Basis atoms as {element, position: [u, v, w]}
+ * @param {string} [lattice='P'] - Centering type, a key of LATTICE_CENTERINGS
+ * @returns {Object[]} Sites as {element, position: [u, v, w], basisIndex}
+ */
+function expandBasis(basis, lattice = 'P') {
+    const translations = LATTICE_CENTERINGS[lattice];
+    if (!translations) {
+        throw new Error(`Unknown lattice type "${lattice}"; expected one of ${Object.keys(LATTICE_CENTERINGS).join(', ')}`);
+    }
+
+    const sites = [];
+    translations.forEach(translation => {
+        basis.forEach((atom, basisIndex) => {
+            const position = atom.position.map((value, axis) => wrapFractional(value + translation[axis]));
+            if (!sites.some(site => isSameSite(site.position, position))) {
+                sites.push({ element: atom.element, position, basisIndex });
+            }
+        });
+    });
+    return sites;
+}
+
+/**
+ * Generates the atoms of a crystal supercell, centred on the origin.
+ *
+ * @param {Object} structure - A crystal description in the same form as CRYSTAL_PRESETS entries:
+ *     {lattice, cell, basis}; the cell may instead be given directly as `cellVectors`
+ * @param {number[]} [supercell=[2, 2, 2]] - Number of unit cells along each cell vector
+ * @returns {Object} {atoms, cellVectors, supercell, origin}, where each atom is
+ *     {element, position: [x, y, z], fractional: [u, v, w], basisIndex}. Fractional
+ *     coordinates are in unit-cell units, counted from the supercell's corner at `origin`.
+ */
+function generateCrystal(structure, supercell = [2, 2, 2]) {
+    const vectors = structure.cellVectors || cellVectors(structure.cell);
+    const sites = expandBasis(structure.basis, structure.lattice);
+
+    // Shift everything so the supercell is centred on the origin
+    const origin = fractionalToCartesian(supercell.map(n => -n / 2), vectors);
+
+    const atoms = [];
+    for (let x = 0; x < supercell[0]; x++) {
+        for (let y = 0; y < supercell[1]; y++) {
+            for (let z = 0; z < supercell[2]; z++) {
+                sites.forEach(site => {
+                    const fractional = [x + site.position[0], y + site.position[1], z + site.position[2]];
+                    const position = fractionalToCartesian(fractional, vectors)
+                        .map((value, axis) => value + origin[axis]);
+                    atoms.push({
+                        element: site.element,
+                        position,
+                        fractional,
+                        basisIndex: site.basisIndex
+                    });
+                });
+            }
+        }
+    }
+
+    return { atoms, cellVectors: vectors, supercell: supercell.slice(), origin };
+}
+
+export {
+    LATTICE_CENTERINGS,
+    CRYSTAL_PRESETS,
+    cellVectors,
+    fractionalToCartesian,
+    wrapFractional,
+    isSameSite,
+    expandBasis,
+    generateCrystal
+};
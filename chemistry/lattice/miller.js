@@ -0,0 +1,276 @@
+/**
+ * Miller Indices
+ *
+ * Crystallographic planes and directions for the lattice engine (chemistry/lattice/lattice.js):
+ * - A plane family (hkl) is the set of parallel planes h·u + k·v + l·w = n, for every whole
+ *   number n, where (u, v, w) are fractional coordinates. In diamond, the (111) planes are
+ *   the ones the crystal cleaves along.
+ * - A direction [uvw] is the lattice vector u·a + v·b + w·c.
+ *
+ * Planes are clipped to the supercell, so each one can be drawn as a polygon, and atoms whose
+ * fractional coordinates satisfy the plane's equation lie on it. Indices can be typed the way
+ * they are written on paper: "111", "1-10", "(1 1 1)" or "[2 -1 0]"; several families are
+ * separated by commas or semicolons. Only three-index notation is read, also for hexagonal cells.
+ *
+ * Problems with typed indices are reported by throwing a MillerIndexError.
+ */
+
+import { fractionalToCartesian } from './lattice.js';
+
+/**
+ * Error thrown when typed Miller indices cannot be read.
+ */
+class MillerIndexError extends Error {
+    /**
+     * @param {string} message - What is wrong with the indices
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'MillerIndexError';
+    }
+}
+
+// Largest index allowed; higher indices give planes too close together to show
+const MAX_MILLER_INDEX = 6;
+
+// An atom lies on a plane when h·u + k·v + l·w is this close to a whole number
+const ON_PLANE_TOLERANCE = 1e-3;
+
+// The corners of the unit cell and its 12 edges, in fractional coordinates
+const CELL_CORNERS = [
+    [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+    [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+];
+const CELL_EDGES = [
+    [0, 1], [2, 3], [4, 5], [6, 7],
+    [0, 2], [1, 3], [4, 6], [5, 7],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+/**
+ * Reads a list of Miller indices, e.g. "111, 1-10" or "(1 1 1); (2 0 0)".
+ *
+ * @param {string} text - The typed indices; an empty text gives an empty list
+ * @returns {number[][]} The index triples
+ * @throws {MillerIndexError} If any entry is not three whole numbers, or is (000)
+ */
+function parseMillerList(text) {
+    const entries = text.split(/[,;]/)
+        .map(entry => entry.trim())
+        .filter(entry => entry !== '');
+    // "1,1,1" is one set of indices written with commas, not three sets
+    if (entries.length === 3 && entries.every(entry => /^-?\d+$/.test(entry))) {
+        return [parseMillerIndices(entries.join(' '))];
+    }
+    return entries.map(parseMillerIndices);
+}
+
+/**
+ * Reads one set of Miller indices: three whole numbers separated by spaces, e.g. "1 -1 0",
+ * or written together with one digit each, e.g. "1-10". Brackets are ignored.
+ *
+ * @param {string} text - The typed indices
+ * @returns {number[]} The indices [h, k, l]
+ * @throws {MillerIndexError} If the text is not three whole numbers, or they are all zero
+ */
+function parseMillerIndices(text) {
+    const inner = text.replace(/[()[\]{}<>]/g, '').trim();
+    const parts = /\s/.test(inner) ? inner.split(/\s+/) : inner.match(/-?\d/g) || [];
+    const joined = parts.join('');
+    if (parts.length !== 3 || joined !== inner.replace(/\s+/g, '') || !parts.every(part => /^-?\d+$/.test(part))) {
+        throw new MillerIndexError(`"${text}" is not three whole numbers, e.g. 111 or 1 -1 0`);
+    }
+
+    const indices = parts.map(part => parseInt(part, 10));
+    if (indices.every(index => index === 0)) {
+        throw new MillerIndexError(`"${text}" does not describe a plane or direction`);
+    }
+    if (indices.some(index => Math.abs(index) > MAX_MILLER_INDEX)) {
+        throw new MillerIndexError(`"${text}" has an index larger than ${MAX_MILLER_INDEX}`);
+    }
+    return indices;
+}
+
+/**
+ * Writes Miller indices the way textbooks do, with a bar over negative indices,
+ * e.g. (1 -1 0) becomes "(11̄0)".
+ *
+ * @param {number[]} indices - The indices
+ * @param {string} [brackets='()'] - Opening and closing bracket, e.g. '[]' for directions
+ * @returns {string} The indices in brackets
+ */
+function formatMillerIndices(indices, brackets = '()') {
+    const digits = indices.map(index => index < 0 ? `${-index}\u0304` : String(index));
+    // Indices of more than one digit need spaces to be read unambiguously
+    const separator = indices.some(index => Math.abs(index) > 9) ? ' ' : '';
+    return `${brackets[0]}${digits.join(separator)}${brackets[1]}`;
+}
+
+/**
+ * Writes Miller indices compactly for links, e.g. [1, -1, 0] becomes "1-10".
+ *
+ * @param {number[]} indices - The indices, each at most MAX_MILLER_INDEX
+ * @returns {string} The indices written together
+ */
+function formatCompactIndices(indices) {
+    return indices.join('');
+}
+
+/**
+ * Finds the planes of a family that cross a supercell, each clipped to it.
+ *
+ * @param {number[]} indices - The plane family (hkl)
+ * @param {number[]} supercell - Number of unit cells along each cell vector
+ * @returns {Object[]} Planes as {number, corners}, where number is n in h·u + k·v + l·w = n
+ *     and corners is the clipped polygon in order, in fractional coordinates from the
+ *     supercell's corner
+ */
+function latticePlanes(indices, supercell) {
+    const values = CELL_CORNERS.map(corner => dotIndices(indices, corner.map((value, axis) => value * supercell[axis])));
+    const planes = [];
+    for (let number = Math.ceil(Math.min(...values)); number <= Math.floor(Math.max(...values)); number++) {
+        const corners = clipPlaneToCell(indices, number, supercell);
+        // Planes that only touch the supercell at an edge or a corner are left out
+        if (corners.length >= 3) planes.push({ number, corners });
+    }
+    return planes;
+}
+
+/**
+ * Clips the plane h·u + k·v + l·w = number to a box of whole unit cells.
+ *
+ * @param {number[]} indices - The plane's Miller indices (hkl)
+ * @param {number} number - The plane's number n
+ * @param {number[]} size - Number of unit cells along each cell vector
+ * @returns {number[][]} The corners of the clipped polygon in order around it, in fractional
+ *     coordinates; fewer than 3 when the plane misses the box or only touches it
+ */
+function clipPlaneToCell(indices, number, size) {
+    const boxCorners = CELL_CORNERS.map(corner => corner.map((value, axis) => value * size[axis]));
+    const distances = boxCorners.map(corner => dotIndices(indices, corner) - number);
+
+    // The plane crosses the box where it crosses the box's edges
+    const points = [];
+    const addPoint = point => {
+        if (!points.some(other => other.every((value, axis) => Math.abs(value - point[axis]) < ON_PLANE_TOLERANCE))) {
+            points.push(point);
+        }
+    };
+    CELL_EDGES.forEach(([a, b]) => {
+        const [da, db] = [distances[a], distances[b]];
+        if (Math.abs(da) < ON_PLANE_TOLERANCE) addPoint(boxCorners[a]);
+        if (Math.abs(db) < ON_PLANE_TOLERANCE) addPoint(boxCorners[b]);
+        if (da * db < 0 && Math.abs(da) >= ON_PLANE_TOLERANCE && Math.abs(db) >= ON_PLANE_TOLERANCE) {
+            const t = da / (da - db);
+            addPoint(boxCorners[a].map((value, axis) => value + t * (boxCorners[b][axis] - value)));
+        }
+    });
+    if (points.length < 3) return points;
+
+    // Sort the points by angle around their centre. Fractional coordinates are an affine
+    // image of space, so the order is the same in Cartesian coordinates.
+    const centre = [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+    const normal = indices;
+    const helper = Math.abs(normal[0]) <= Math.abs(normal[1]) && Math.abs(normal[0]) <= Math.abs(normal[2])
+        ? [1, 0, 0]
+        : Math.abs(normal[1]) <= Math.abs(normal[2]) ? [0, 1, 0] : [0, 0, 1];
+    const first = crossIndices(normal, helper);
+    const second = crossIndices(normal, first);
+    const angle = point => {
+        const offset = point.map((value, axis) => value - centre[axis]);
+        return Math.atan2(dotIndices(second, offset), dotIndices(first, offset));
+    };
+    return points.sort((p, q) => angle(p) - angle(q));
+}
+
+/**
+ * Returns the number of the plane of a family an atom lies on.
+ *
+ * @param {number[]} indices - The plane family (hkl)
+ * @param {number[]} fractional - The atom's fractional coordinates
+ * @returns {number|null} The plane's number n, or null if the atom lies between planes
+ */
+function planeNumberOf(indices, fractional) {
+    const value = dotIndices(indices, fractional);
+    const number = Math.round(value);
+    return Math.abs(value - number) < ON_PLANE_TOLERANCE ? number : null;
+}
+
+/**
+ * Computes the spacing between neighbouring planes of a family, d = 1 / |h·a* + k·b* + l·c*|,
+ * where a*, b* and c* are the reciprocal cell vectors.
+ *
+ * @param {number[]} indices - The plane family (hkl)
+ * @param {number[][]} vectors - The cell vectors from cellVectors()
+ * @returns {number} The spacing, in the units of the cell vectors (Angstroms)
+ */
+function interplanarSpacing(indices, vectors) {
+    const [a, b, c] = vectors;
+    const volume = dotIndices(a, crossIndices(b, c));
+    const reciprocal = [crossIndices(b, c), crossIndices(c, a), crossIndices(a, b)]
+        .map(vector => vector.map(value => value / volume));
+    const normal = fractionalToCartesian(indices, reciprocal);
+    return 1 / Math.hypot(...normal);
+}
+
+/**
+ * Converts a direction [uvw] to the lattice vector u·a + v·b + w·c.
+ *
+ * @param {number[]} indices - The direction [uvw]
+ * @param {number[][]} vectors - The cell vectors from cellVectors()
+ * @returns {number[]} The vector [x, y, z]
+ */
+function directionVector(indices, vectors) {
+    return fractionalToCartesian(indices, vectors);
+}
+
+/**
+ * Lists the 12 edges of the unit cell.
+ *
+ * @returns {number[][][]} Edges as [start, end], in fractional coordinates
+ */
+function unitCellEdges() {
+    return CELL_EDGES.map(([a, b]) => [CELL_CORNERS[a], CELL_CORNERS[b]]);
+}
+
+/**
+ * Dot product of two triples.
+ *
+ * @param {number[]} p - First triple
+ * @param {number[]} q - Second triple
+ * @returns {number} The dot product
+ */
+function dotIndices(p, q) {
+    return p[0] * q[0] + p[1] * q[1] + p[2] * q[2];
+}
+
+/**
+ * Cross product of two triples.
+ *
+ * @param {number[]} p - First triple
+ * @param {number[]} q - Second triple
+ * @returns {number[]} The cross product
+ */
+function crossIndices(p, q) {
+    return [
+        p[1] * q[2] - p[2] * q[1],
+        p[2] * q[0] - p[0] * q[2],
+        p[0] * q[1] - p[1] * q[0]
+    ];
+}
+
+export {
+    MillerIndexError,
+    MAX_MILLER_INDEX,
+    ON_PLANE_TOLERANCE,
+    parseMillerList,
+    parseMillerIndices,
+    formatMillerIndices,
+    formatCompactIndices,
+    latticePlanes,
+    clipPlaneToCell,
+    planeNumberOf,
+    interplanarSpacing,
+    directionVector,
+    unitCellEdges
+};
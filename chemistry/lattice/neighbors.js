@@ -0,0 +1,125 @@
+/**
+ * Bond Detection
+ *
+ * Finds bonded atom pairs with a cell list (spatial hash): space is divided into cubic cells
+ * as wide as the longest possible bond, so each atom only has to be compared with the atoms
+ * in its own cell and the 26 surrounding ones. This scales roughly linearly with the number
+ * of atoms, instead of checking every pair.
+ *
+ * Two atoms are bonded when they are closer than the sum of their covalent radii times
+ * BOND_TOLERANCE. Structures where that rule does not fit (metals, ionic crystals) can
+ * override the cutoff for specific element pairs, e.g. { 'Fe-Fe': 2.7 } or { 'Cs-Cs': 0 }
+ * to never bond two caesium atoms.
+ */
+
+import { getElement } from './elements.js';
+
+// Bonds may be up to this factor longer than the sum of the two covalent radii
+const BOND_TOLERANCE = 1.15;
+
+// Atoms closer than this (in Angstroms) are overlapping sites, e.g. partial occupancies, not bonds
+const MIN_BOND_DISTANCE = 0.1;
+
+/**
+ * Returns the bond cutoff between two elements from their covalent radii.
+ *
+ * @param {string} elementA - First element symbol
+ * @param {string} elementB - Second element symbol
+ * @param {number} [tolerance=BOND_TOLERANCE] - Factor applied to the sum of the radii
+ * @returns {number} The longest distance still counted as a bond, in Angstroms
+ */
+function covalentBondCutoff(elementA, elementB, tolerance = BOND_TOLERANCE) {
+    return (getElement(elementA).covalentRadius + getElement(elementB).covalentRadius) * tolerance;
+}
+
+/**
+ * Creates a function giving the bond cutoff for any pair of elements.
+ *
+ * @param {Object} [options] - Cutoff options
+ * @param {Object} [options.bondCutoffs] - Cutoffs for specific element pairs, keyed "A-B"
+ *     in either order; 0 means the pair never bonds
+ * @param {number} [options.tolerance=BOND_TOLERANCE] - Factor applied to covalent radius sums
+ * @returns {Function} (elementA, elementB) => cutoff in Angstroms
+ */
+function createBondCutoffFunction({ bondCutoffs = {}, tolerance = BOND_TOLERANCE } = {}) {
+    return (elementA, elementB) => {
+        const override = bondCutoffs[`${elementA}-${elementB}`] ?? bondCutoffs[`${elementB}-${elementA}`];
+        return override ?? covalentBondCutoff(elementA, elementB, tolerance);
+    };
+}
+
+/**
+ * Finds all bonded pairs of atoms.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @param {Object} [options] - Cutoff options, see createBondCutoffFunction()
+ * @returns {Object[]} Bonds as {i, j, distance} with i < j indexing into atoms
+ */
+function findBonds(atoms, options = {}) {
+    if (atoms.length < 2) return [];
+
+    // Precompute the squared cutoff for every pair of elements present
+    const cutoffFor = createBondCutoffFunction(options);
+    const elements = [...new Set(atoms.map(atom => atom.element))];
+    const elementIndex = atoms.map(atom => elements.indexOf(atom.element));
+    const cutoffSquared = elements.map(a => elements.map(b => cutoffFor(a, b) ** 2));
+    const cellSize = Math.sqrt(Math.max(...cutoffSquared.flat()));
+    if (cellSize <= 0) return [];
+
+    // Assign every atom to a cell of the spatial hash
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    atoms.forEach(atom => {
+        atom.position.forEach((value, axis) => {
+            min[axis] = Math.min(min[axis], value);
+            max[axis] = Math.max(max[axis], value);
+        });
+    });
+    // Cells per axis, with a spare cell on each side so neighbour lookups never wrap around
+    const counts = min.map((value, axis) => Math.floor((max[axis] - value) / cellSize) + 3);
+    const cellKey = (x, y, z) => x + counts[0] * (y + counts[1] * z);
+
+    const cellCoordinates = atoms.map(atom =>
+        atom.position.map((value, axis) => Math.floor((value - min[axis]) / cellSize) + 1));
+    const cells = new Map();
+    cellCoordinates.forEach(([x, y, z], index) => {
+        const key = cellKey(x, y, z);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+    });
+
+    // Compare each atom with the atoms in its own and the 26 neighbouring cells
+    const bonds = [];
+    atoms.forEach((atom, i) => {
+        const [cx, cy, cz] = cellCoordinates[i];
+        const [xi, yi, zi] = atom.position;
+        const cutoffRow = cutoffSquared[elementIndex[i]];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const neighbours = cells.get(cellKey(cx + dx, cy + dy, cz + dz));
+                    if (!neighbours) continue;
+                    for (const j of neighbours) {
+                        // Each pair is found from both sides; keep it once
+                        if (j <= i) continue;
+                        const [xj, yj, zj] = atoms[j].position;
+                        const distanceSquared = (xj - xi) ** 2 + (yj - yi) ** 2 + (zj - zi) ** 2;
+                        if (distanceSquared < cutoffRow[elementIndex[j]] &&
+                            distanceSquared > MIN_BOND_DISTANCE ** 2) {
+                            bonds.push({ i, j, distance: Math.sqrt(distanceSquared) });
+                        }
+                    }
+                }
+            }
+        }
+    });
+    return bonds;
+}
+
+export {
+    BOND_TOLERANCE,
+    MIN_BOND_DISTANCE,
+    covalentBondCutoff,
+    createBondCutoffFunction,
+    findBonds
+};
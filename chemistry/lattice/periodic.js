@@ -0,0 +1,200 @@
+/**
+ * Periodic Boundaries
+ *
+ * A supercell cut out of a crystal ends abruptly: the atoms at its edges lose the bonds to
+ * the atoms beyond. Treated as periodic, the supercell repeats in every direction, so:
+ * - an atom near one face is bonded to atoms near the opposite face, through the nearest
+ *   copy of them (the minimum-image convention); the supercell should be at least twice the
+ *   bond cutoff across, or an atom could be bonded to two copies of the same neighbour
+ * - an atom on a face, edge or corner of a unit cell is shared with the neighbouring cells:
+ *   half of it belongs to each of the 2 cells sharing a face, a quarter to each of the 4
+ *   sharing an edge, an eighth to each of the 8 sharing a corner. Adding up these shares
+ *   answers "how many atoms are in one unit cell?", e.g. 8 for diamond:
+ *   8 corners × 1/8 + 6 faces × 1/2 + 4 inside = 8
+ *
+ * Atoms are as from generateCrystal() in lattice.js, with fractional coordinates in unit-cell
+ * units counted from the supercell's corner.
+ */
+
+import { expandBasis } from './lattice.js';
+import { createBondCutoffFunction, findBonds } from './neighbors.js';
+
+// A fractional coordinate this close to a whole number lies on a cell boundary
+const BOUNDARY_TOLERANCE = 1e-4;
+
+// How an atom is shared, by the number of its fractional coordinates on a cell boundary
+const CELL_SHARES = [
+    { place: 'inside', cells: 1 },
+    { place: 'face', cells: 2 },
+    { place: 'edge', cells: 4 },
+    { place: 'corner', cells: 8 }
+];
+
+/**
+ * Checks which fractional coordinates lie on a cell boundary.
+ *
+ * @param {number[]} fractional - Fractional coordinates [u, v, w]
+ * @returns {boolean[]} For each axis, whether the coordinate is a whole number
+ */
+function onCellBoundary(fractional) {
+    return fractional.map(value => Math.abs(value - Math.round(value)) < BOUNDARY_TOLERANCE);
+}
+
+/**
+ * Tells how an atom is shared between the unit cells that meet where it sits.
+ *
+ * @param {number[]} fractional - The atom's fractional coordinates [u, v, w]
+ * @returns {Object} {place, cells}: 'inside', 'face', 'edge' or 'corner', and how many
+ *     cells share the atom, each owning 1/cells of it
+ */
+function cellShare(fractional) {
+    return CELL_SHARES[onCellBoundary(fractional).filter(Boolean).length];
+}
+
+/**
+ * Counts the atoms of one unit cell, as drawn with every atom on its faces, edges and
+ * corners, and adds up the share of each that belongs to the cell.
+ *
+ * @param {Object} structure - A crystal description: {lattice, basis}
+ * @returns {Object} {places, total}: for each place with atoms, {place, cells, atoms} (the
+ *     number of atoms drawn there), insides first; and the total share, which is the number
+ *     of atoms per unit cell
+ */
+function countUnitCellAtoms(structure) {
+    const drawn = CELL_SHARES.map(() => 0);
+    const sites = expandBasis(structure.basis, structure.lattice);
+    sites.forEach(site => {
+        const share = cellShare(site.position);
+        // A site on the boundary is drawn on every face, edge or corner it is repeated on
+        drawn[CELL_SHARES.indexOf(share)] += share.cells;
+    });
+    return {
+        places: CELL_SHARES
+            .map((share, index) => ({ ...share, atoms: drawn[index] }))
+            .filter(place => place.atoms > 0),
+        total: sites.length
+    };
+}
+
+/**
+ * Lists the copies of atoms on the supercell's lower faces that belong on its upper faces,
+ * so that every face, edge and corner of the supercell is drawn complete.
+ *
+ * @param {Object[]} atoms - Atoms with fractional coordinates, as from generateCrystal()
+ * @param {number[][]} vectors - The cell vectors
+ * @param {number[]} supercell - Number of unit cells along each cell vector
+ * @returns {Object[]} The copies as {index, element, position, fractional}, index being the
+ *     atom copied
+ */
+function createBoundaryImages(atoms, vectors, supercell) {
+    const images = [];
+    atoms.forEach((atom, index) => {
+        const axes = [0, 1, 2].filter(axis => Math.abs(atom.fractional[axis]) < BOUNDARY_TOLERANCE);
+        // One copy for every combination of the lower faces the atom is on
+        for (let mask = 1; mask < 1 << axes.length; mask++) {
+            const shift = [0, 0, 0];
+            axes.forEach((axis, bit) => {
+                if (mask & (1 << bit)) shift[axis] = supercell[axis];
+            });
+            images.push({
+                index,
+                element: atom.element,
+                position: atom.position.map((value, axis) =>
+                    value + shift.reduce((sum, cells, k) => sum + cells * vectors[k][axis], 0)),
+                fractional: atom.fractional.map((value, axis) => value + shift[axis])
+            });
+        }
+    });
+    return images;
+}
+
+/**
+ * Measures how far a bond can reach across each pair of opposite cell faces.
+ *
+ * @param {Object[]} atoms - Atoms as {element}
+ * @param {number[][]} vectors - The cell vectors
+ * @param {Object} [options] - Cutoff options, see createBondCutoffFunction()
+ * @returns {number[]} For each cell vector, the longest bond cutoff over the distance between
+ *     the cell faces it crosses, i.e. in cells. The minimum-image convention only holds if
+ *     the supercell is more than twice this many cells along every vector.
+ */
+function bondReach(atoms, vectors, options = {}) {
+    const cutoffFor = createBondCutoffFunction(options);
+    const elements = [...new Set(atoms.map(atom => atom.element))];
+    const longest = Math.max(0, ...elements.flatMap(a => elements.map(b => cutoffFor(a, b))));
+
+    const cross = (p, q) => [p[1] * q[2] - p[2] * q[1], p[2] * q[0] - p[0] * q[2], p[0] * q[1] - p[1] * q[0]];
+    const volume = Math.abs(vectors[0].reduce((sum, value, axis) => sum + value * cross(vectors[1], vectors[2])[axis], 0));
+    // The faces opposite across a vector are the cell volume over the area of a face apart
+    return [0, 1, 2].map(axis =>
+        longest * Math.hypot(...cross(vectors[(axis + 1) % 3], vectors[(axis + 2) % 3])) / volume);
+}
+
+/**
+ * Finds the bonds of a periodic supercell, including those that cross its faces, with the
+ * minimum-image convention: each pair of atoms is bonded through its nearest copy.
+ *
+ * @param {Object[]} atoms - Atoms with fractional coordinates, as from generateCrystal()
+ * @param {number[][]} vectors - The cell vectors
+ * @param {number[]} supercell - Number of unit cells along each cell vector
+ * @param {Object} [options] - Cutoff options, see createBondCutoffFunction()
+ * @returns {Object[]} Bonds as {i, j, distance, vector, shift} with i < j, where vector goes
+ *     from atom i to the copy of atom j it is bonded to, and shift counts the supercells
+ *     between atom j and that copy ([0, 0, 0] for bonds inside the supercell)
+ */
+function findPeriodicBonds(atoms, vectors, supercell, options = {}) {
+    const margins = bondReach(atoms, vectors, options);
+
+    // Copy the atoms near a face to beside the opposite face, then search as usual
+    const copies = [];
+    atoms.forEach((atom, index) => {
+        const shifts = atom.fractional.map((value, axis) => {
+            const choices = [0];
+            if (value < margins[axis]) choices.push(1);
+            if (value > supercell[axis] - margins[axis]) choices.push(-1);
+            return choices;
+        });
+        shifts[0].forEach(x => shifts[1].forEach(y => shifts[2].forEach(z => {
+            if (x === 0 && y === 0 && z === 0) return;
+            const shift = [x, y, z];
+            copies.push({
+                index,
+                shift,
+                element: atom.element,
+                position: atom.position.map((value, axis) =>
+                    value + shift.reduce((sum, count, k) => sum + count * supercell[k] * vectors[k][axis], 0))
+            });
+        })));
+    });
+    const all = [...atoms, ...copies];
+
+    // The atoms come before their copies, so each pair found starts at an atom; keep the
+    // nearest copy of each pair
+    const nearest = new Map();
+    findBonds(all, options).forEach(({ i, j: other, distance }) => {
+        if (i >= atoms.length) return;
+        const copy = other >= atoms.length ? copies[other - atoms.length] : null;
+        const j = copy ? copy.index : other;
+        // An atom next to its own copy: the supercell is too small to bond it to itself
+        if (i === j) return;
+
+        const vector = all[other].position.map((value, axis) => value - atoms[i].position[axis]);
+        const shift = copy ? copy.shift : [0, 0, 0];
+        const bond = i < j
+            ? { i, j, distance, vector, shift }
+            : { i: j, j: i, distance, vector: vector.map(value => -value), shift: shift.map(value => -value) };
+        const key = `${bond.i}-${bond.j}`;
+        if (!nearest.has(key) || distance < nearest.get(key).distance) nearest.set(key, bond);
+    });
+    return [...nearest.values()];
+}
+
+export {
+    CELL_SHARES,
+    onCellBoundary,
+    cellShare,
+    countUnitCellAtoms,
+    createBoundaryImages,
+    bondReach,
+    findPeriodicBonds
+};
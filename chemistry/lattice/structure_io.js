@@ -0,0 +1,575 @@
+/**
+ * Crystal Structure File Import
+ *
+ * Parses structure files into the structure description used by the lattice engine
+ * (chemistry/lattice/lattice.js):
+ * - XYZ files: an atom count, a comment line, then one "Element x y z" line per atom.
+ *   Extended XYZ files with Lattice="..." in the comment line are read as periodic cells.
+ * - CIF files: cell parameters, fractional atom sites and symmetry operations. When a file
+ *   lists no symmetry operations, the space group name is looked up in SPACE_GROUPS.
+ *
+ * Problems are reported by throwing a StructureParseError that carries the line number,
+ * so the viewer can show the user what is wrong with their file.
+ */
+
+import { normalizeElementSymbol } from './elements.js';
+import { LATTICE_CENTERINGS, wrapFractional } from './lattice.js';
+
+/**
+ * Error thrown when a structure file cannot be read.
+ */
+class StructureParseError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file
+     * @param {number} [line] - 1-based line number where the problem was found
+     */
+    constructor(message, line) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'StructureParseError';
+        this.line = line;
+    }
+}
+
+// Tolerance for treating two fractional positions as the same site
+const SYMMETRY_TOLERANCE = 1e-3;
+
+/**
+ * Parses an XYZ file.
+ *
+ * @param {string} text - The file contents
+ * @param {string} [name='XYZ structure'] - Name to use when the comment line is empty
+ * @returns {Object} For plain XYZ: {name, atoms: [{element, position}]}, with positions in
+ *     Angstroms. For extended XYZ with a Lattice: a periodic structure {name, lattice: 'P',
+ *     cellVectors, basis} whose basis holds the fractional positions.
+ */
+function parseXYZ(text, name = 'XYZ structure') {
+    const lines = text.split(/\r?\n/);
+
+    const count = parseInt(lines[0], 10);
+    if (!Number.isInteger(count) || count <= 0 || String(count) !== lines[0].trim()) {
+        throw new StructureParseError(`expected the number of atoms, found "${lines[0].trim()}"`, 1);
+    }
+    if (lines.length < count + 2) {
+        throw new StructureParseError(`expected ${count} atoms, but the file has only ${Math.max(0, lines.length - 2)} atom lines`);
+    }
+
+    const comment = lines[1].trim();
+    const atoms = [];
+    for (let i = 0; i < count; i++) {
+        const lineNumber = i + 3;
+        const fields = lines[i + 2].trim().split(/\s+/);
+        if (fields.length < 4) {
+            throw new StructureParseError(`expected "Element x y z", found "${lines[i + 2].trim()}"`, lineNumber);
+        }
+        const position = fields.slice(1, 4).map(Number);
+        if (position.some(value => !Number.isFinite(value))) {
+            throw new StructureParseError(`coordinates must be numbers, found "${fields.slice(1, 4).join(' ')}"`, lineNumber);
+        }
+        atoms.push({ element: normalizeElementSymbol(fields[0]), position });
+    }
+
+    // Extended XYZ: Lattice="ax ay az bx by bz cx cy cz" makes the structure periodic
+    const latticeMatch = comment.match(/Lattice\s*=\s*"([^"]*)"/i);
+    const title = comment.replace(/\S+\s*=\s*("[^"]*"|\S+)/g, '').trim() || name;
+    if (!latticeMatch) {
+        return { name: title, atoms };
+    }
+
+    const values = latticeMatch[1].trim().split(/\s+/).map(Number);
+    if (values.length !== 9 || values.some(value => !Number.isFinite(value))) {
+        throw new StructureParseError('Lattice must hold 9 numbers (the three cell vectors)', 2);
+    }
+    const vectors = [values.slice(0, 3), values.slice(3, 6), values.slice(6, 9)];
+    const inverse = invertMatrix(vectors);
+    if (!inverse) {
+        throw new StructureParseError('the Lattice vectors are not linearly independent', 2);
+    }
+
+    return {
+        name: title,
+        lattice: 'P',
+        cellVectors: vectors,
+        basis: atoms.map(atom => ({
+            element: atom.element,
+            // Solve position = u a + v b + w c for the fractional coordinates
+            position: [0, 1, 2].map(axis =>
+                wrapFractional(
+                    atom.position[0] * inverse[0][axis] +
+                    atom.position[1] * inverse[1][axis] +
+                    atom.position[2] * inverse[2][axis]
+                )
+            )
+        }))
+    };
+}
+
+/**
+ * Inverts a 3×3 matrix given as rows.
+ *
+ * @param {number[][]} m - The matrix
+ * @returns {number[][]|null} The inverse, or null if the matrix is singular
+ */
+function invertMatrix(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const determinant = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (Math.abs(determinant) < 1e-12) return null;
+    return [
+        [(e * i - f * h), -(b * i - c * h), (b * f - c * e)],
+        [-(d * i - f * g), (a * i - c * g), -(a * f - c * d)],
+        [(d * h - e * g), -(a * h - b * g), (a * e - b * d)]
+    ].map(row => row.map(value => value / determinant));
+}
+
+/**
+ * Splits CIF text into tokens, keeping track of line numbers.
+ * Handles quoted strings ('...' and "..."), semicolon text fields and # comments.
+ *
+ * @param {string} text - The CIF contents
+ * @returns {Object[]} Tokens as {value, line, quoted}
+ */
+function tokenizeCIF(text) {
+    const tokens = [];
+    const lines = text.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        const lineNumber = index + 1;
+
+        // Semicolon text field: runs until a line starting with ";"
+        if (line.startsWith(';')) {
+            const fieldLines = [line.slice(1)];
+            index++;
+            while (index < lines.length && !lines[index].startsWith(';')) {
+                fieldLines.push(lines[index]);
+                index++;
+            }
+            if (index >= lines.length) {
+                throw new StructureParseError('text field starting with ";" is never closed', lineNumber);
+            }
+            tokens.push({ value: fieldLines.join('\n').trim(), line: lineNumber, quoted: true });
+            continue;
+        }
+
+        let position = 0;
+        while (position < line.length) {
+            const character = line[position];
+            if (/\s/.test(character)) {
+                position++;
+            } else if (character === '#') {
+                break;
+            } else if (character === '\'' || character === '"') {
+                // A quote only closes when followed by whitespace or the end of the line
+                let end = position + 1;
+                while (end < line.length && !(line[end] === character && (end + 1 === line.length || /\s/.test(line[end + 1])))) {
+                    end++;
+                }
+                if (end >= line.length) {
+                    throw new StructureParseError(`unterminated ${character} quote`, lineNumber);
+                }
+                tokens.push({ value: line.slice(position + 1, end), line: lineNumber, quoted: true });
+                position = end + 1;
+            } else {
+                let end = position;
+                while (end < line.length && !/\s/.test(line[end])) end++;
+                tokens.push({ value: line.slice(position, end), line: lineNumber, quoted: false });
+                position = end;
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Reads the first data block of a CIF file into single values and loops.
+ *
+ * @param {string} text - The CIF contents
+ * @returns {Object} {name, items: Map of tag to {value, line}, loops: [{tags, rows, line}]}
+ */
+function readCIFBlock(text) {
+    const tokens = tokenizeCIF(text);
+    const items = new Map();
+    const loops = [];
+    let name = null;
+
+    let index = 0;
+    while (index < tokens.length) {
+        const token = tokens[index];
+        const lower = token.value.toLowerCase();
+
+        if (!token.quoted && lower.startsWith('data_')) {
+            // Only the first data block is read
+            if (name !== null) break;
+            name = token.value.slice(5) || 'CIF structure';
+            index++;
+        } else if (!token.quoted && lower === 'loop_') {
+            const loop = { tags: [], rows: [], line: token.line };
+            index++;
+            while (index < tokens.length && !tokens[index].quoted && tokens[index].value.startsWith('_')) {
+                loop.tags.push(tokens[index].value.toLowerCase());
+                index++;
+            }
+            if (loop.tags.length === 0) {
+                throw new StructureParseError('loop_ has no tags', token.line);
+            }
+            const values = [];
+            while (index < tokens.length && !isCIFKeyword(tokens[index])) {
+                values.push(tokens[index]);
+                index++;
+            }
+            if (values.length % loop.tags.length !== 0) {
+                throw new StructureParseError(
+                    `loop with ${loop.tags.length} columns has ${values.length} values, which is not a whole number of rows`,
+                    token.line
+                );
+            }
+            for (let row = 0; row < values.length; row += loop.tags.length) {
+                loop.rows.push(values.slice(row, row + loop.tags.length));
+            }
+            loops.push(loop);
+        } else if (!token.quoted && token.value.startsWith('_')) {
+            const value = tokens[index + 1];
+            if (!value || isCIFKeyword(value)) {
+                throw new StructureParseError(`${token.value} has no value`, token.line);
+            }
+            items.set(lower, { value: value.value, line: value.line });
+            index += 2;
+        } else {
+            throw new StructureParseError(`unexpected "${token.value}"`, token.line);
+        }
+    }
+
+    if (name === null) {
+        throw new StructureParseError('no data_ block found; is this a CIF file?');
+    }
+    return { name, items, loops };
+}
+
+/**
+ * Checks whether a token starts a new CIF item, loop or block rather than being a value.
+ *
+ * @param {Object} token - A token from tokenizeCIF()
+ * @returns {boolean} True for tags, loop_ and data_ keywords
+ */
+function isCIFKeyword(token) {
+    if (token.quoted) return false;
+    const lower = token.value.toLowerCase();
+    return lower.startsWith('_') || lower === 'loop_' || lower.startsWith('data_');
+}
+
+/**
+ * Reads a CIF number, dropping any standard uncertainty such as the "(2)" in "3.567(2)".
+ *
+ * @param {string} value - The CIF value
+ * @param {number} line - Line number for error messages
+ * @param {string} tag - Tag name for error messages
+ * @returns {number} The number
+ */
+function parseCIFNumber(value, line, tag) {
+    const number = Number(value.replace(/\(\d+\)$/, ''));
+    if (!Number.isFinite(number)) {
+        throw new StructureParseError(`${tag} must be a number, found "${value}"`, line);
+    }
+    return number;
+}
+
+/**
+ * Parses a CIF file into a periodic structure for the lattice engine.
+ * Atom sites are expanded with the file's symmetry operations (or those of its space group)
+ * so the returned basis lists every atom of the unit cell.
+ *
+ * @param {string} text - The CIF contents
+ * @returns {Object} {name, lattice: 'P', cell, basis: [{element, position, label}], spaceGroup}
+ */
+function parseCIF(text) {
+    const block = readCIFBlock(text);
+
+    // Cell parameters
+    const cellTags = {
+        a: '_cell_length_a',
+        b: '_cell_length_b',
+        c: '_cell_length_c',
+        alpha: '_cell_angle_alpha',
+        beta: '_cell_angle_beta',
+        gamma: '_cell_angle_gamma'
+    };
+    const cell = {};
+    Object.entries(cellTags).forEach(([key, tag]) => {
+        const item = block.items.get(tag);
+        if (!item) {
+            throw new StructureParseError(`missing ${tag}`);
+        }
+        cell[key] = parseCIFNumber(item.value, item.line, tag);
+    });
+
+    // Atom sites
+    const siteLoop = block.loops.find(loop => loop.tags.includes('_atom_site_fract_x'));
+    if (!siteLoop) {
+        throw new StructureParseError('no atom sites found (a loop with _atom_site_fract_x, _y and _z)');
+    }
+    const column = tag => siteLoop.tags.indexOf(tag);
+    const columns = {
+        label: column('_atom_site_label'),
+        symbol: column('_atom_site_type_symbol'),
+        x: column('_atom_site_fract_x'),
+        y: column('_atom_site_fract_y'),
+        z: column('_atom_site_fract_z')
+    };
+    ['y', 'z'].forEach(axis => {
+        if (columns[axis] === -1) {
+            throw new StructureParseError(`the atom site loop has no _atom_site_fract_${axis} column`, siteLoop.line);
+        }
+    });
+    if (columns.label === -1 && columns.symbol === -1) {
+        throw new StructureParseError('the atom site loop has neither _atom_site_type_symbol nor _atom_site_label', siteLoop.line);
+    }
+
+    const sites = siteLoop.rows.map(row => {
+        const label = columns.label !== -1 ? row[columns.label].value : row[columns.symbol].value;
+        const symbol = columns.symbol !== -1 ? row[columns.symbol].value : label;
+        const position = ['x', 'y', 'z'].map(axis => {
+            const token = row[columns[axis]];
+            return parseCIFNumber(token.value, token.line, `_atom_site_fract_${axis}`);
+        });
+        return { element: normalizeElementSymbol(symbol), position, label };
+    });
+
+    // Symmetry operations: listed in the file, or looked up from the space group name
+    const spaceGroupItem = block.items.get('_symmetry_space_group_name_h-m') ||
+        block.items.get('_space_group_name_h-m_alt');
+    const spaceGroup = spaceGroupItem ? spaceGroupItem.value : null;
+
+    const operationLoop = block.loops.find(loop =>
+        loop.tags.includes('_symmetry_equiv_pos_as_xyz') || loop.tags.includes('_space_group_symop_operation_xyz'));
+    let operations;
+    if (operationLoop) {
+        const index = Math.max(
+            operationLoop.tags.indexOf('_symmetry_equiv_pos_as_xyz'),
+            operationLoop.tags.indexOf('_space_group_symop_operation_xyz')
+        );
+        operations = operationLoop.rows.map(row => parseSymmetryOperation(row[index].value, row[index].line));
+    } else if (spaceGroup) {
+        operations = getSpaceGroupOperations(spaceGroup);
+        if (!operations) {
+            throw new StructureParseError(
+                `space group "${spaceGroup}" is not built in; add a _symmetry_equiv_pos_as_xyz loop to the file`,
+                spaceGroupItem.line
+            );
+        }
+    } else {
+        // No symmetry information at all: the sites are the whole cell (P1)
+        operations = [parseSymmetryOperation('x,y,z')];
+    }
+
+    // Prefer a human-readable name over the data block name
+    const nameItem = ['_chemical_name_mineral', '_chemical_name_common', '_chemical_name_systematic']
+        .map(tag => block.items.get(tag))
+        .find(item => item && item.value !== '?' && item.value !== '.');
+
+    return {
+        name: nameItem ? nameItem.value : block.name,
+        lattice: 'P',
+        cell,
+        basis: applySymmetry(sites, operations),
+        spaceGroup
+    };
+}
+
+/**
+ * Parses a symmetry operation such as "-x+1/2, y, z+1/4" or "x-y, x, z+1/2".
+ *
+ * @param {string} text - The operation, one expression per coordinate separated by commas
+ * @param {number} [line] - Line number for error messages
+ * @returns {Object} {rotation: 3×3 rows, translation: [tx, ty, tz]}, mapping a fractional
+ *     position p to rotation · p + translation
+ */
+function parseSymmetryOperation(text, line) {
+    const parts = text.toLowerCase().replace(/\s+/g, '').split(',');
+    if (parts.length !== 3) {
+        throw new StructureParseError(`symmetry operation "${text}" must have three comma-separated parts`, line);
+    }
+
+    const rotation = [];
+    const translation = [];
+    parts.forEach(part => {
+        const row = [0, 0, 0];
+        let constant = 0;
+        // Each term: optional sign, optional number or fraction, optional variable
+        const termPattern = /([+-]?)(\d*\.?\d*(?:\/\d+)?)(\*?)([xyz]?)/g;
+        let consumed = 0;
+        let match;
+        while (consumed < part.length && (match = termPattern.exec(part)) && match[0].length > 0) {
+            if (match.index !== consumed) break;
+            consumed += match[0].length;
+            const [, sign, number, , variable] = match;
+            const signValue = sign === '-' ? -1 : 1;
+            let value = 1;
+            if (number) {
+                const [numerator, denominator] = number.split('/');
+                value = Number(numerator) / (denominator ? Number(denominator) : 1);
+            }
+            if (variable) {
+                row['xyz'.indexOf(variable)] += signValue * value;
+            } else if (number) {
+                constant += signValue * value;
+            } else {
+                break;
+            }
+        }
+        if (consumed !== part.length || row.concat(constant).some(value => !Number.isFinite(value))) {
+            throw new StructureParseError(`cannot read symmetry operation "${text}"`, line);
+        }
+        rotation.push(row);
+        translation.push(constant);
+    });
+    return { rotation, translation };
+}
+
+/**
+ * Applies symmetry operations to atom sites, keeping each distinct position once.
+ *
+ * @param {Object[]} sites - Sites as {element, position: [u, v, w], label}
+ * @param {Object[]} operations - Operations from parseSymmetryOperation()
+ * @returns {Object[]} All symmetry-equivalent sites, wrapped into the unit cell
+ */
+function applySymmetry(sites, operations) {
+    const expanded = [];
+    sites.forEach(site => {
+        const equivalents = [];
+        operations.forEach(({ rotation, translation }) => {
+            const position = rotation.map((row, axis) => wrapSymmetryCoordinate(
+                row[0] * site.position[0] + row[1] * site.position[1] + row[2] * site.position[2] + translation[axis]
+            ));
+            const duplicate = equivalents.some(other => other.every((value, axis) => {
+                const difference = Math.abs(value - position[axis]);
+                return Math.min(difference, 1 - difference) < SYMMETRY_TOLERANCE;
+            }));
+            if (!duplicate) equivalents.push(position);
+        });
+        equivalents.forEach(position => expanded.push({ element: site.element, position, label: site.label }));
+    });
+    return expanded;
+}
+
+/**
+ * Wraps a fractional coordinate into [0, 1), treating values within the symmetry tolerance
+ * of 1 as 0 so rounding in the file does not produce near-duplicate sites.
+ *
+ * @param {number} value - The fractional coordinate
+ * @returns {number} The wrapped coordinate
+ */
+function wrapSymmetryCoordinate(value) {
+    const wrapped = value - Math.floor(value);
+    return wrapped > 1 - SYMMETRY_TOLERANCE ? 0 : wrapped;
+}
+
+/**
+ * Builds the space group operation table for the space groups most common in teaching.
+ * Each group is generated from its point group operations, translations and centering.
+ *
+ * @returns {Object} Map from normalized Hermann-Mauguin symbol to a list of operations
+ */
+function buildSpaceGroups() {
+    const operation = (rotation, translation = [0, 0, 0]) => ({ rotation, translation });
+    const negate = ({ rotation, translation }, shift = [0, 0, 0]) => operation(
+        rotation.map(row => row.map(value => -value)),
+        translation.map((value, axis) => -value + shift[axis])
+    );
+    const withCentering = (operations, lattice) => {
+        const result = [];
+        LATTICE_CENTERINGS[lattice].forEach(centering => {
+            operations.forEach(({ rotation, translation }) => {
+                result.push(operation(rotation, translation.map((value, axis) => value + centering[axis])));
+            });
+        });
+        return result;
+    };
+
+    // All 48 signed permutation matrices: the point group m-3m
+    const permutations = [[0, 1, 2], [1, 2, 0], [2, 0, 1], [0, 2, 1], [2, 1, 0], [1, 0, 2]];
+    const cubic = [];
+    permutations.forEach(permutation => {
+        for (let signs = 0; signs < 8; signs++) {
+            const signVector = [0, 1, 2].map(bit => (signs >> bit) & 1 ? -1 : 1);
+            const rotation = [0, 1, 2].map(row => [0, 1, 2].map(col => col === permutation[row] ? signVector[row] : 0));
+            cubic.push(operation(rotation));
+        }
+    });
+    // -43m: the signed permutations with an even number of minus signs
+    const tetrahedral = cubic.filter(({ rotation }) =>
+        rotation.flat().filter(value => value < 0).length % 2 === 0);
+
+    // Fd-3m origin choice 1 (at -43m): F-43m plus the inversion centre at (1/8, 1/8, 1/8)
+    const diamondOrigin1 = tetrahedral.concat(tetrahedral.map(op => negate(op, [0.25, 0.25, 0.25])));
+    // Origin choice 2 (at the inversion centre) is shifted by (-1/8, -1/8, -1/8)
+    const diamondOrigin2 = diamondOrigin1.map(({ rotation, translation }) => {
+        const shift = 1 / 8;
+        return operation(rotation, translation.map((value, axis) =>
+            value - shift + shift * (rotation[axis][0] + rotation[axis][1] + rotation[axis][2])));
+    });
+
+    // 6mm with a 6_3 screw axis: P6_3mc, and with the inversion added, P6_3/mmc
+    const hexagonal = [
+        'x,y,z', '-y,x-y,z', '-x+y,-x,z', '-x,-y,z+1/2', 'y,-x+y,z+1/2', 'x-y,x,z+1/2',
+        '-y,-x,z', '-x+y,y,z', 'x,x-y,z', 'y,x,z+1/2', 'x-y,-y,z+1/2', '-x,-x+y,z+1/2'
+    ].map(text => parseSymmetryOperation(text));
+
+    const identity = parseSymmetryOperation('x,y,z');
+    return {
+        'P1': [identity],
+        'P-1': [identity, negate(identity)],
+        'Pm-3m': cubic,
+        'Im-3m': withCentering(cubic, 'I'),
+        'Fm-3m': withCentering(cubic, 'F'),
+        'F-43m': withCentering(tetrahedral, 'F'),
+        'Fd-3m:1': withCentering(diamondOrigin1, 'F'),
+        'Fd-3m:2': withCentering(diamondOrigin2, 'F'),
+        'P63mc': hexagonal,
+        'P63/mmc': hexagonal.concat(hexagonal.map(op => negate(op)))
+    };
+}
+
+// Built-in space groups, for CIF files that give only the space group name
+const SPACE_GROUPS = buildSpaceGroups();
+
+/**
+ * Looks up the operations of a built-in space group by its Hermann-Mauguin symbol.
+ * Spaces and underscores are ignored ("F d -3 m" and "P 6_3/m m c" both work); an origin
+ * choice may be given as ":1" or ":2" (Fd-3m defaults to origin choice 2).
+ *
+ * @param {string} symbol - The Hermann-Mauguin symbol
+ * @returns {Object[]|null} The operations, or null for an unknown space group
+ */
+function getSpaceGroupOperations(symbol) {
+    const normalized = symbol.replace(/[\s_]/g, '');
+    if (SPACE_GROUPS[normalized]) return SPACE_GROUPS[normalized];
+    if (SPACE_GROUPS[`${normalized}:2`]) return SPACE_GROUPS[`${normalized}:2`];
+    // Settings such as "Fm-3m:1" for groups with a single origin choice
+    const withoutOrigin = normalized.replace(/:\w+$/, '');
+    return SPACE_GROUPS[withoutOrigin] || null;
+}
+
+/**
+ * Parses a structure file, choosing the format from the file name.
+ *
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name or URL; its extension selects the format
+ * @returns {Object} The parsed structure (see parseXYZ and parseCIF)
+ */
+function parseStructureFile(text, fileName) {
+    const extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const baseName = fileName.split(/[?#]/)[0].split('/').pop();
+    if (extension === 'xyz') return parseXYZ(text, baseName);
+    if (extension === 'cif') return parseCIF(text);
+    throw new StructureParseError(`unsupported file type ".${extension}"; use a .cif or .xyz file`);
+}
+
+export {
+    StructureParseError,
+    SPACE_GROUPS,
+    parseXYZ,
+    parseCIF,
+    parseSymmetryOperation,
+    applySymmetry,
+    getSpaceGroupOperations,
+    parseStructureFile
+};
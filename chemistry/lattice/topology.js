@@ -0,0 +1,417 @@
+/**
+ * Bond Topology
+ *
+ * Analyses the bond graph of a structure: which atom is bonded to which, as found by
+ * findBonds() in neighbors.js, or across periodic boundaries by findPeriodicBonds() in
+ * periodic.js. From the graph come:
+ * - coordination numbers, and the atoms with fewer bonds than others of their element
+ *   (in a diamond supercell, the surface atoms with fewer than 4 bonds)
+ * - the bond lengths per element pair, next to the cutoff that decided them and the nearest
+ *   pair of atoms that is not bonded, which shows whether the cutoff sits in the gap between
+ *   the first and second neighbours
+ * - the bond angles at every atom
+ * - ring statistics, using King's shortest-path criterion: for each atom and each pair of its
+ *   bonds, the shortest ring through both bonds is counted. Diamond has only 6-membered rings,
+ *   all in the chair conformation; wurtzite also has boat rings.
+ * - the density of a crystal, from the atoms and the volume of its supercell
+ */
+
+import { getElement } from './elements.js';
+import { createBondCutoffFunction, findBonds } from './neighbors.js';
+
+// Bond lengths are counted in bins this wide, in Angstroms
+const BOND_LENGTH_BIN_WIDTH = 0.02;
+
+// Bond angles are counted in bins this wide, in degrees
+const BOND_ANGLE_BIN_WIDTH = 5;
+
+// Rings with more atoms than this are not searched for
+const MAX_RING_SIZE = 12;
+
+// A ring is planar when no atom is further than this from its mean plane, in Angstroms
+const RING_PLANARITY_TOLERANCE = 0.1;
+
+// A ring laid out along its bonds must end this close to where it started, in Angstroms
+const RING_CLOSURE_TOLERANCE = 0.01;
+
+// Non-bonded pairs are searched for up to this factor beyond the longest bond cutoff
+const NON_BONDED_SEARCH_FACTOR = 1.6;
+
+// Grams per cubic centimetre in one atomic mass unit per cubic Angstrom
+const DENSITY_UNIT = 1.66054;
+
+/**
+ * Builds the bond graph: the atoms bonded to each atom.
+ *
+ * @param {number} atomCount - Number of atoms
+ * @param {Object[]} bonds - Bonds as {i, j} indexing the atoms
+ * @returns {number[][]} For each atom, the indices of the atoms bonded to it
+ */
+function createBondGraph(atomCount, bonds) {
+    const graph = Array.from({ length: atomCount }, () => []);
+    bonds.forEach(({ i, j }) => {
+        graph[i].push(j);
+        graph[j].push(i);
+    });
+    return graph;
+}
+
+/**
+ * Finds the smallest and largest of a list of values. Math.min(...values) would pass every
+ * value as an argument, which overflows the call stack for the hundreds of thousands of bond
+ * angles of a large supercell.
+ *
+ * @param {number[]} values - The values
+ * @returns {Object} {min, max}: Infinity and -Infinity when there are no values
+ */
+function valueRange(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    return { min, max };
+}
+
+/**
+ * Counts values into bins of equal width, e.g. bond lengths.
+ *
+ * @param {number[]} values - The values
+ * @param {number} binWidth - Width of each bin
+ * @returns {Object} {start, binWidth, counts}: counts[k] values lie in
+ *     [start + k·binWidth, start + (k + 1)·binWidth); counts is empty when there are no values
+ */
+function histogram(values, binWidth) {
+    if (values.length === 0) return { start: 0, binWidth, counts: [] };
+    const start = Math.floor(valueRange(values).min / binWidth) * binWidth;
+    const counts = [];
+    values.forEach(value => {
+        const bin = Math.floor((value - start) / binWidth);
+        while (counts.length <= bin) counts.push(0);
+        counts[bin]++;
+    });
+    return { start, binWidth, counts };
+}
+
+/**
+ * Finds the atoms with fewer bonds than the most any atom of their element has, e.g. the
+ * atoms on the surface of a supercell.
+ *
+ * @param {Object[]} atoms - Atoms as {element}
+ * @param {number[][]} graph - The bond graph from createBondGraph()
+ * @param {Object} [known={}] - The coordination of elements where it is known, keyed by
+ *     symbol, e.g. from the crystal before defects were put in; other elements get the
+ *     highest coordination found
+ * @returns {Object} {expected, atoms}: the coordination of each element, keyed by symbol,
+ *     and the indices of the atoms below it
+ */
+function findUnderCoordinated(atoms, graph, known = {}) {
+    const expected = { ...known };
+    atoms.forEach((atom, index) => {
+        if (atom.element in known) return;
+        expected[atom.element] = Math.max(expected[atom.element] || 0, graph[index].length);
+    });
+    const underCoordinated = atoms
+        .map((atom, index) => index)
+        .filter(index => graph[index].length < expected[atoms[index].element]);
+    return { expected, atoms: underCoordinated };
+}
+
+/**
+ * Lists the bond lengths per element pair, with the cutoff each pair was bonded with.
+ *
+ * @param {Object[]} atoms - Atoms as {element}
+ * @param {Object[]} bonds - Bonds as {i, j, distance}
+ * @param {Object} [cutoffOptions] - Cutoff options the bonds were found with, see createBondCutoffFunction()
+ * @returns {Object[]} Pairs as {elements: ['C', 'C'], count, shortest, longest, mean, cutoff},
+ *     most bonds first
+ */
+function describeBondLengths(atoms, bonds, cutoffOptions = {}) {
+    const cutoffFor = createBondCutoffFunction(cutoffOptions);
+    const pairs = new Map();
+    bonds.forEach(({ i, j, distance }) => {
+        const elements = [atoms[i].element, atoms[j].element].sort();
+        const key = elements.join('-');
+        if (!pairs.has(key)) {
+            pairs.set(key, { elements, count: 0, shortest: Infinity, longest: 0, total: 0, cutoff: cutoffFor(...elements) });
+        }
+        const pair = pairs.get(key);
+        pair.count++;
+        pair.shortest = Math.min(pair.shortest, distance);
+        pair.longest = Math.max(pair.longest, distance);
+        pair.total += distance;
+    });
+    return [...pairs.values()]
+        .map(({ total, ...pair }) => ({ ...pair, mean: total / pair.count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Finds the closest pair of atoms that is not bonded. When it is well beyond the longest
+ * bond, the cutoff cleanly separates bonded neighbours from the next nearest atoms.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @param {number[][]} graph - The bond graph from createBondGraph()
+ * @param {number} searchDistance - How far to look, in Angstroms
+ * @returns {Object|null} The pair as {i, j, distance}, or null if none is that close
+ */
+function findNearestNonBonded(atoms, graph, searchDistance) {
+    // Search with the same cutoff for every element pair present
+    const elements = [...new Set(atoms.map(atom => atom.element))];
+    const bondCutoffs = {};
+    elements.forEach(a => elements.forEach(b => {
+        bondCutoffs[`${a}-${b}`] = searchDistance;
+    }));
+
+    let nearest = null;
+    findBonds(atoms, { bondCutoffs }).forEach(pair => {
+        if (graph[pair.i].includes(pair.j)) return;
+        if (!nearest || pair.distance < nearest.distance) nearest = pair;
+    });
+    return nearest;
+}
+
+/**
+ * Gives the vector along a bond from atom i to atom j, or to the copy of atom j that a bond
+ * across a periodic boundary reaches (see findPeriodicBonds() in periodic.js).
+ *
+ * @param {Object[]} atoms - Atoms as {position: [x, y, z]}
+ * @param {Object} bond - The bond as {i, j}, with its vector if it crosses a boundary
+ * @returns {number[]} The vector [x, y, z]
+ */
+function bondVector(atoms, bond) {
+    if (bond.vector) return bond.vector;
+    return atoms[bond.j].position.map((value, axis) => value - atoms[bond.i].position[axis]);
+}
+
+/**
+ * Measures the angle between every pair of bonds at each atom.
+ *
+ * @param {Object[]} atoms - Atoms as {position: [x, y, z]}
+ * @param {Object[]} bonds - Bonds as {i, j}, see bondVector()
+ * @returns {number[]} The angles in degrees
+ */
+function measureBondAngles(atoms, bonds) {
+    const arms = atoms.map(() => []);
+    bonds.forEach(bond => {
+        const vector = bondVector(atoms, bond);
+        arms[bond.i].push(vector);
+        arms[bond.j].push(vector.map(value => -value));
+    });
+
+    const angles = [];
+    arms.forEach(atomArms => {
+        for (let a = 0; a < atomArms.length; a++) {
+            for (let b = a + 1; b < atomArms.length; b++) {
+                const dot = atomArms[a].reduce((sum, value, axis) => sum + value * atomArms[b][axis], 0);
+                const cosine = dot / (Math.hypot(...atomArms[a]) * Math.hypot(...atomArms[b]));
+                angles.push(Math.acos(Math.min(1, Math.max(-1, cosine))) * 180 / Math.PI);
+            }
+        }
+    });
+    return angles;
+}
+
+/**
+ * Finds the rings of the bond graph by King's shortest-path criterion: for every atom and
+ * every pair of atoms bonded to it, the shortest paths between the pair that avoid the atom
+ * close the smallest rings through both bonds. Each ring is listed once.
+ *
+ * @param {number[][]} graph - The bond graph from createBondGraph()
+ * @param {number} [maxSize=MAX_RING_SIZE] - Largest ring to look for, in atoms
+ * @returns {number[][]} The rings, each the indices of its atoms in order around it
+ */
+function findRings(graph, maxSize = MAX_RING_SIZE) {
+    const rings = new Map();
+    // Breadth-first search state, reset after each search for only the atoms it reached
+    const distance = new Int32Array(graph.length).fill(-1);
+
+    graph.forEach((neighbours, centre) => {
+        for (let a = 0; a < neighbours.length; a++) {
+            for (let b = a + 1; b < neighbours.length; b++) {
+                const start = neighbours[a];
+                const end = neighbours[b];
+
+                // Search outwards from start, around the centre, until end is reached
+                distance[start] = 0;
+                const reached = [start];
+                let frontier = [start];
+                let level = 0;
+                while (frontier.length > 0 && distance[end] < 0 && level < maxSize - 2) {
+                    level++;
+                    const next = [];
+                    frontier.forEach(atom => graph[atom].forEach(neighbour => {
+                        if (neighbour === centre || distance[neighbour] >= 0) return;
+                        distance[neighbour] = level;
+                        reached.push(neighbour);
+                        next.push(neighbour);
+                    }));
+                    frontier = next;
+                }
+
+                // Every shortest path back from end closes a ring through the centre
+                if (distance[end] >= 0) {
+                    const paths = [[end]];
+                    for (let step = distance[end]; step > 0; step--) {
+                        const longer = [];
+                        paths.forEach(path => graph[path[0]].forEach(neighbour => {
+                            if (neighbour !== centre && distance[neighbour] === step - 1) longer.push([neighbour, ...path]);
+                        }));
+                        paths.splice(0, paths.length, ...longer);
+                    }
+                    paths.forEach(path => {
+                        const ring = [centre, ...path];
+                        const key = ring.slice().sort((p, q) => p - q).join(',');
+                        if (!rings.has(key)) rings.set(key, ring);
+                    });
+                }
+
+                reached.forEach(atom => { distance[atom] = -1; });
+            }
+        }
+    });
+    return [...rings.values()];
+}
+
+/**
+ * Names the shape of a ring from how far its atoms lie above and below its mean plane:
+ * 'planar'; for 6-membered rings 'chair' (atoms alternately above and below) or 'boat';
+ * and 'puckered' for other rings that are not flat.
+ *
+ * @param {number[][]} points - Positions of the ring's atoms in order around it
+ * @returns {string} The conformation
+ */
+function ringConformation(points) {
+    const centroid = [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+
+    // Newell's method gives the normal of the mean plane of a polygon that is not flat
+    const normal = [0, 0, 0];
+    points.forEach((point, k) => {
+        const next = points[(k + 1) % points.length];
+        normal[0] += (point[1] - next[1]) * (point[2] + next[2]);
+        normal[1] += (point[2] - next[2]) * (point[0] + next[0]);
+        normal[2] += (point[0] - next[0]) * (point[1] + next[1]);
+    });
+    const length = Math.hypot(...normal);
+    const heights = points.map(point =>
+        point.reduce((sum, value, axis) => sum + (value - centroid[axis]) * normal[axis], 0) / length);
+
+    if (heights.every(height => Math.abs(height) < RING_PLANARITY_TOLERANCE)) return 'planar';
+    if (points.length !== 6) return 'puckered';
+    const alternates = heights.every((height, k) => height * heights[(k + 1) % heights.length] < 0);
+    return alternates ? 'chair' : 'boat';
+}
+
+/**
+ * Works out the density of a crystal supercell.
+ *
+ * @param {Object} crystal - The crystal from generateCrystal()
+ * @returns {number|null} The density in g/cm³, or null for a structure without a cell
+ */
+function crystalDensity(crystal) {
+    if (!crystal.cellVectors) return null;
+    const [a, b, c] = crystal.cellVectors;
+    const cellVolume = Math.abs(
+        a[0] * (b[1] * c[2] - b[2] * c[1]) -
+        a[1] * (b[0] * c[2] - b[2] * c[0]) +
+        a[2] * (b[0] * c[1] - b[1] * c[0]));
+    const volume = cellVolume * crystal.supercell.reduce((product, n) => product * n, 1);
+    const mass = crystal.atoms.reduce((sum, atom) => sum + getElement(atom.element).mass, 0);
+    return mass / volume * DENSITY_UNIT;
+}
+
+/**
+ * Analyses the bonds of a structure: coordination, bond lengths and angles, rings and density.
+ *
+ * @param {Object} crystal - The crystal from generateCrystal(), or {atoms} for a molecule
+ * @param {Object[]} bonds - Bonds as {i, j, distance} from findBonds(), or findPeriodicBonds()
+ *     in periodic.js
+ * @param {Object} [cutoffOptions] - Cutoff options the bonds were found with, see createBondCutoffFunction()
+ * @param {Object} [knownCoordination] - Coordination of elements where it is known, see findUnderCoordinated()
+ * @returns {Object} The analysis:
+ *     - graph: the bond graph from createBondGraph()
+ *     - coordination: {histogram, expected, underCoordinated}, with the histogram in bins of one bond
+ *     - bondLengths: {pairs, histogram, nearestNonBonded}, see describeBondLengths() and findNearestNonBonded()
+ *     - bondAngles: {histogram, mean}, the mean null without angles
+ *     - rings: {maxSize, sizes}, sizes as {size, count, conformations: {chair: n, ...}}, smallest first
+ *     - density: g/cm³, or null without a cell
+ */
+function analyseTopology(crystal, bonds, cutoffOptions = {}, knownCoordination = {}) {
+    const { atoms } = crystal;
+    const graph = createBondGraph(atoms.length, bonds);
+    const { expected, atoms: underCoordinated } = findUnderCoordinated(atoms, graph, knownCoordination);
+
+    const pairs = describeBondLengths(atoms, bonds, cutoffOptions);
+    const longestCutoff = Math.max(0, ...pairs.map(pair => pair.cutoff));
+    const angles = measureBondAngles(atoms, bonds);
+
+    // Rings are laid out by following their bonds, so a ring across a periodic boundary
+    // keeps its shape. A ring whose bonds do not lead back to its start instead runs all the
+    // way around a small periodic supercell, and is not a ring of the crystal.
+    const vectors = new Map();
+    bonds.forEach(bond => {
+        const vector = bondVector(atoms, bond);
+        vectors.set(`${bond.i}-${bond.j}`, vector);
+        vectors.set(`${bond.j}-${bond.i}`, vector.map(value => -value));
+    });
+    const sizes = new Map();
+    findRings(graph).forEach(ring => {
+        const points = [atoms[ring[0]].position];
+        ring.forEach((atom, k) => {
+            const step = vectors.get(`${atom}-${ring[(k + 1) % ring.length]}`);
+            points.push(points[k].map((value, axis) => value + step[axis]));
+        });
+        const end = points.pop();
+        if (Math.hypot(...end.map((value, axis) => value - points[0][axis])) > RING_CLOSURE_TOLERANCE) return;
+
+        if (!sizes.has(ring.length)) sizes.set(ring.length, { size: ring.length, count: 0, conformations: {} });
+        const entry = sizes.get(ring.length);
+        const conformation = ringConformation(points);
+        entry.count++;
+        entry.conformations[conformation] = (entry.conformations[conformation] || 0) + 1;
+    });
+
+    return {
+        graph,
+        coordination: {
+            histogram: histogram(graph.map(neighbours => neighbours.length), 1),
+            expected,
+            underCoordinated
+        },
+        bondLengths: {
+            pairs,
+            histogram: histogram(bonds.map(bond => bond.distance), BOND_LENGTH_BIN_WIDTH),
+            nearestNonBonded: longestCutoff > 0
+                ? findNearestNonBonded(atoms, graph, longestCutoff * NON_BONDED_SEARCH_FACTOR)
+                : null
+        },
+        bondAngles: {
+            histogram: histogram(angles, BOND_ANGLE_BIN_WIDTH),
+            mean: angles.length > 0 ? angles.reduce((sum, angle) => sum + angle, 0) / angles.length : null
+        },
+        rings: {
+            maxSize: MAX_RING_SIZE,
+            sizes: [...sizes.values()].sort((a, b) => a.size - b.size)
+        },
+        density: crystalDensity(crystal)
+    };
+}
+
+export {
+    BOND_LENGTH_BIN_WIDTH,
+    BOND_ANGLE_BIN_WIDTH,
+    MAX_RING_SIZE,
+    createBondGraph,
+    valueRange,
+    histogram,
+    findUnderCoordinated,
+    describeBondLengths,
+    findNearestNonBonded,
+    bondVector,
+    measureBondAngles,
+    findRings,
+    ringConformation,
+    crystalDensity,
+    analyseTopology
+};
@@ -1,9 +1,10 @@
 /**
- * Diamond Crystal Structure Visualization
+ * Crystal Structure Visualization
  *
- * This script visualizes the diamond cubic crystal structure, which is the crystal structure
- * of diamond, a solid form of carbon. The diamond cubic structure consists of two interpenetrating
- * face-centered cubic (FCC) lattices, offset by 1/4 of the body diagonal.
+ * This script visualizes crystal structures generated by the lattice engine in
+ * chemistry/lattice/lattice.js. It opens on the diamond cubic crystal structure, which is the
+ * crystal structure of diamond, a solid form of carbon. The diamond cubic structure consists of
+ * two interpenetrating face-centered cubic (FCC) lattices, offset by 1/4 of the body diagonal.
  *
  * Each carbon atom in the diamond structure is covalently bonded to four other carbon atoms
  * in a tetrahedral arrangement. This tetrahedral bonding is what gives diamond its exceptional
@@ -11,84 +12,1216 @@
  *
  * Features:
  * - Realistic representation of the diamond cubic crystal structure
- * - Carbon atoms represented as spheres
+ * - Other presets: silicon, zinc blende, NaCl, CsCl, FCC copper, BCC iron,
+ *   simple cubic polonium, HCP magnesium and wurtzite
+ * - Adjustable supercell size, up to 10×10×10 unit cells (atoms and bonds are instanced meshes)
+ * - Atoms represented as spheres with CPK colors, sized by covalent radius
  * - Covalent bonds represented as cylinders
  * - Interactive rotation and zoom
  * - Enhanced lighting for better 3D perception
- * 
+ *
+ * - Structures loaded from .cif and .xyz files, by drag and drop, the "Load file" button or
+ *   the URL (?file=../structures/quartz.cif); problems with a file are reported on screen
+ * - Crystallographic overlays (see chemistry/lattice/miller.js): lattice planes (hkl) clipped
+ *   to the supercell with the atoms lying on them ringed, [uvw] direction arrows from the
+ *   centre of the supercell, and the outline of one unit cell
+ * - A timeline that builds the crystal in teaching order (see shared/viewer/timeline.js):
+ *   one lattice of atoms per basis atom, e.g. for diamond the first FCC lattice, then the
+ *   second one offset by (1/4, 1/4, 1/4), then the bonds
+ * - A bond analysis panel (see chemistry/lattice/topology.js): the number of bonds per atom,
+ *   bond lengths next to the cutoff, bond angles, rings and density; atoms can be colored by
+ *   their number of bonds, which shows the surface atoms with fewer bonds than the bulk
+ * - Point defects (see chemistry/lattice/defects.js): vacancies, substitutions such as boron
+ *   or phosphorus dopants, interstitials and N-V centres, placed by clicking or at random
+ *   concentrations from a seed. Bonds are found again around them, and the bonds they leave
+ *   dangling are drawn as red stubs
+ * - Periodic boundaries (see chemistry/lattice/periodic.js): the supercell repeats in every
+ *   direction, so bonds across its faces are found with the minimum-image convention and
+ *   drawn as halves from each atom, and atoms on its lower faces, edges and corners are
+ *   copied onto the upper ones. Each atom tells what share of it lies in a unit cell, which
+ *   adds up to the number of atoms per unit cell (8 for diamond)
+ * - A quiz (chemistry/quizzes/diamond.json) on bonding and unit cells, answered by clicking
+ *   atoms or typing numbers (see shared/viewer/quiz.js)
+ *
+ * The structure, supercell and overlays can also be chosen in the URL, e.g.
+ * #structure=nacl&cells=3, #planes=111&directions=111&cell=1, #color=coordination&topology=1,
+ * #defects=v12,s40N or #periodic=1.
+ * The URL hash always links to the current view, camera included (see
+ * shared/viewer/url_state.js), and the "Copy link" button copies it for worksheets.
+ *
  * The visualization is interactive and can be rotated by clicking and dragging with the mouse.
  */
 
+import * as THREE from '../../shared/vendor/three/three.module.js';
+import { createExportControls } from '../../shared/export/scene_export.js';
+import { createSnapshotControls } from '../../shared/export/snapshot.js';
+import {
+    createInstancedCylinders,
+    createInstancedSpheres,
+    setItemOwnColor,
+    setItemVisible
+} from '../../shared/viewer/instancing.js';
+import { createMeasureTool } from '../../shared/viewer/measure.js';
+import { createPicker, formatPosition } from '../../shared/viewer/picking.js';
+import { createQuiz } from '../../shared/viewer/quiz.js';
+import { createSlicer } from '../../shared/viewer/slicing.js';
+import { createTimeline, revealInOrder } from '../../shared/viewer/timeline.js';
+import { createURLState, readURLParams } from '../../shared/viewer/url_state.js';
+import { createViewer, disposeObject } from '../../shared/viewer/viewer.js';
+import {
+    DefectError,
+    applyDefects,
+    createRandomDefects,
+    findDanglingBonds,
+    findInterstitialSites,
+    formatDefectList,
+    generateInterstitialSites,
+    parseDefectList
+} from '../lattice/defects.js';
+import { getDisplayRadius, getElement } from '../lattice/elements.js';
+import { CRYSTAL_PRESETS, fractionalToCartesian, generateCrystal } from '../lattice/lattice.js';
+import {
+    MillerIndexError,
+    directionVector,
+    formatCompactIndices,
+    formatMillerIndices,
+    interplanarSpacing,
+    latticePlanes,
+    parseMillerList,
+    planeNumberOf,
+    unitCellEdges
+} from '../lattice/miller.js';
+import { findBonds } from '../lattice/neighbors.js';
+import {
+    bondReach,
+    cellShare,
+    countUnitCellAtoms,
+    createBoundaryImages,
+    findPeriodicBonds
+} from '../lattice/periodic.js';
+import { StructureParseError, parseStructureFile } from '../lattice/structure_io.js';
+import { analyseTopology, createBondGraph, findUnderCoordinated, valueRange } from '../lattice/topology.js';
+
 // Global variables
-let scene, camera, renderer, controls;
-let diamondGroup;
+let viewer;
+let urlState;
+let slicer;
+let timeline;
+
+// Largest supercell allowed along each cell vector
+const MAX_CELLS = 10;
+
+// Current crystal settings (defaults reproduce the classic 2×2×2 diamond supercell).
+// structure is a key of CRYSTAL_PRESETS, or 'loaded' for a structure loaded from a file;
+// periodicBoundaries repeats the supercell in every direction (crystals only).
+const crystalSettings = {
+    structure: 'diamond',
+    cells: 2,
+    periodicBoundaries: false
+};
+
+// Crystallographic overlays: plane families (hkl) and directions [uvw] as index triples,
+// and whether to outline the unit cell
+const overlaySettings = {
+    planes: [],
+    directions: [],
+    cell: false
+};
+
+// How atoms are colored ('element' or 'coordination') and whether the bond analysis is shown
+const displaySettings = {
+    colorBy: 'element',
+    topology: false
+};
+
+// Colors of atoms by their number of bonds, from none up to 8 or more
+const COORDINATION_COLORS = [0xFF00FF, 0xFF0000, 0xFF8000, 0xFFFF00, 0x00C000, 0x00C0C0, 0x0080FF, 0x8040FF, 0xFFFFFF];
+
+// Length in pixels of the longest bar in the bond analysis histograms
+const HISTOGRAM_BAR_WIDTH = 100;
+
+// Defects placed in the crystal (see chemistry/lattice/defects.js), what clicking an atom
+// does ('off', 'vacancy', 'substitution', 'interstitial' or 'nv') and the element it places
+const defectSettings = {
+    defects: [],
+    mode: 'off',
+    element: 'N'
+};
+
+// Elements offered for substitutions and interstitials: dopants of diamond and silicon,
+// and the host elements themselves
+const DEFECT_ELEMENTS = ['N', 'B', 'P', 'Al', 'Ga', 'As', 'C', 'Si', 'Ge'];
+
+// Dangling bonds are drawn red, reaching this fraction of the way to where their partner was
+const DANGLING_BOND_COLOR = 0xFF3030;
+const DANGLING_BOND_LENGTH = 0.45;
+
+// Color of the ghosts left at vacancies
+const VACANCY_COLOR = 0xFFFFFF;
+
+// Markers of the interstitial sites, shown while placing interstitials
+const INTERSTITIAL_SITE_COLOR = 0x00FF7F;
+const INTERSTITIAL_SITE_RADIUS = 0.12;
+
+// Interstitial sites of each structure's unit cell, found once per structure
+const interstitialSiteCache = new WeakMap();
+
+// Copies of the atoms on the boundary of a periodic supercell are see-through
+const BOUNDARY_IMAGE_OPACITY = 0.35;
+
+// How the tooltips describe an atom's place in its unit cell, see cellShare() in periodic.js
+const CELL_SHARE_DESCRIPTIONS = {
+    inside: 'Inside a unit cell: all of it belongs to that cell',
+    face: 'On a face of a unit cell: 1/2 of it belongs to each of the 2 cells sharing the face',
+    edge: 'On an edge of a unit cell: 1/4 of it belongs to each of the 4 cells sharing the edge',
+    corner: 'On a corner of a unit cell: 1/8 of it belongs to each of the 8 cells sharing the corner'
+};
+
+// Colors of the plane families and directions, in the order they are typed
+const OVERLAY_COLORS = [0xFF00FF, 0xFFA500, 0x00FF7F, 0x1E90FF];
+
+// Color of the unit cell outline
+const UNIT_CELL_COLOR = 0xFFFF00;
+
+// The rings around atoms lying on a plane are this much larger than the atoms
+const PLANE_ATOM_RING_SCALE = 1.3;
+
+// Names of the lattice centering types, for the timeline's captions
+const LATTICE_NAMES = {
+    P: 'primitive',
+    I: 'body-centred',
+    F: 'face-centred',
+    C: 'base-centred'
+};
+
+// Ordinal words for the lattices added after the first in the timeline
+const LATTICE_ORDINALS = [null, 'second', 'third', 'fourth', 'fifth', 'sixth'];
+
+// The structure most recently loaded from a file, if any
+let loadedStructure = null;
+
+// Address of the structure file shown (or being loaded), if it came from a link; files
+// chosen or dropped by the user cannot be linked to
+let structureFileURL = null;
 
 // Initialize the scene
 function init() {
-    // Create scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x111111);
+    // Read any settings given in the URL and connect the control panel
+    readSettingsFromURL();
+    setupControlPanel();
+    setupFileLoading();
+
+    // Create the viewer, which builds the crystal structure and slowly rotates it
+    viewer = createViewer({
+        builder: () => {
+            const crystalGroup = createCrystalStructure(
+                getCurrentStructure(),
+                [crystalSettings.cells, crystalSettings.cells, crystalSettings.cells],
+                {
+                    defects: defectSettings.defects,
+                    showInterstitialSites: defectSettings.mode === 'interstitial',
+                    periodicBoundaries: crystalSettings.periodicBoundaries
+                }
+            );
+            crystalGroup.add(createCrystalOverlays(crystalGroup.userData.crystal, overlaySettings));
+            colorAtoms(crystalGroup.userData);
+            return crystalGroup;
+        },
+        cameraPosition: [0, 0, 15],
+        autoRotate: { x: 0.001, y: 0.002 }
+    });
+
+    // Cut the crystal with a plane to see which atoms and bonds it crosses
+    slicer = createSlicer(viewer, {
+        enableCheckbox: document.getElementById('slice-enabled'),
+        presetSelect: document.getElementById('slice-preset'),
+        turnInput: document.getElementById('slice-turn'),
+        tiltInput: document.getElementById('slice-tilt'),
+        offsetInput: document.getElementById('slice-offset'),
+        infoElement: document.getElementById('slice-info'),
+        getSolids: () => [viewer.content.userData.atoms, viewer.content.userData.bonds],
+        unit: 'Å',
+        onChange: () => urlState.update()
+    });
+
+    // Build the crystal up one lattice at a time, then bond it
+    timeline = createTimeline(viewer, {
+        playButton: document.getElementById('timeline-play'),
+        stepBackButton: document.getElementById('timeline-back'),
+        stepForwardButton: document.getElementById('timeline-forward'),
+        scrubInput: document.getElementById('timeline-scrub'),
+        captionElement: document.getElementById('timeline-caption'),
+        getSteps: () => createCrystalSteps(getCurrentStructure(), viewer.content.userData),
+        onChange: () => slicer.update()
+    });
+
+    // Keep the structure, supercell, overlays, slice and camera in the URL, and restore a linked view
+    urlState = createURLState(viewer, {
+        getParams: () => ({
+            structure: crystalSettings.structure === 'loaded' ? null : crystalSettings.structure,
+            file: structureFileURL,
+            cells: crystalSettings.cells,
+            periodic: crystalSettings.periodicBoundaries ? 1 : null,
+            planes: overlaySettings.planes.map(formatCompactIndices),
+            directions: overlaySettings.directions.map(formatCompactIndices),
+            cell: overlaySettings.cell ? 1 : null,
+            defects: defectSettings.defects.length > 0 ? formatDefectList(defectSettings.defects) : null,
+            color: displaySettings.colorBy === 'element' ? null : displaySettings.colorBy,
+            topology: displaySettings.topology ? 1 : null,
+            ...slicer.getParams()
+        }),
+        copyButton: document.getElementById('copy-link')
+    });
+    updateCrystalInfo();
+
+    // Hovering over an atom or bond describes it; clicking pins the description
+    const picker = createPicker(viewer, {
+        describe: describeCrystalPick,
+        getTargets: () => {
+            const { atoms, bonds, boundaryImages, vacancies, danglingBonds, interstitialSites } = viewer.content.userData;
+            return [atoms, bonds, boundaryImages, vacancies, danglingBonds, interstitialSites].filter(Boolean);
+        }
+    });
+
+    // Measure bond lengths and bond angles between atom centres, in Angstroms
+    const measureTool = createMeasureTool(viewer, picker, {
+        modeSelect: document.getElementById('measure-mode'),
+        clearButton: document.getElementById('measure-clear'),
+        unit: 'Å'
+    });
+
+    // Place defects by clicking atoms, instead of measuring
+    const setDefectMode = setupDefectControls(picker, measureTool);
+
+    // Ask questions about the structure, answered by clicking atoms or typing numbers;
+    // clicking answers the quiz, measures or places defects, whichever was chosen last
+    const quiz = createQuiz(viewer, picker, {
+        panel: document.getElementById('quiz'),
+        bodyElement: document.getElementById('quiz-body'),
+        openButton: document.getElementById('quiz-open'),
+        fileInput: document.getElementById('quiz-file'),
+        visualization: 'diamond_visualization',
+        quizURL: '../quizzes/diamond.json',
+        kinds: {
+            atom: {
+                label: 'atoms',
+                getObjects: () => [viewer.content.userData.atoms],
+                getProperties: ({ item }) => ({ element: item.element, coordination: item.coordination })
+            }
+        },
+        getSettings: () => ({
+            structure: crystalSettings.structure,
+            cells: crystalSettings.cells,
+            periodic: crystalSettings.periodicBoundaries ? 1 : 0
+        }),
+        onTakeClicks: () => {
+            measureTool.setMode('off');
+            if (defectSettings.mode !== 'off') setDefectMode('off');
+        }
+    });
+    ['measure-mode', 'defect-mode'].forEach(id => {
+        document.getElementById(id).addEventListener('change', event => {
+            if (event.target.value !== 'off') quiz.stopPicking();
+        });
+    });
+
+    // Export what is shown for 3D printing and other 3D software
+    createExportControls(viewer, {
+        glbButton: document.getElementById('export-glb'),
+        stlButton: document.getElementById('export-stl'),
+        objButton: document.getElementById('export-obj'),
+        sizeInput: document.getElementById('export-size'),
+        getFileName: () => getExportFileName()
+    });
+
+    // Save a large picture or a line drawing of the structure for worksheets, with
+    // atoms as circles and bonds as pairs of lines
+    createSnapshotControls(viewer, {
+        pngButton: document.getElementById('snapshot-png'),
+        svgButton: document.getElementById('snapshot-svg'),
+        sizeInput: document.getElementById('snapshot-size'),
+        transparentCheckbox: document.getElementById('snapshot-transparent'),
+        getFileName: () => getExportFileName()
+    });
+
+    // Load a structure file named in the URL, e.g. ?file=../structures/quartz.cif; fitting
+    // the camera to it must not undo a linked view
+    if (structureFileURL) {
+        loadStructureFromURL(structureFileURL).then(() => {
+            if (urlState.restoreView()) urlState.update();
+        });
+    }
+}
+
+/**
+ * Returns the structure currently selected: a preset or the loaded file.
+ *
+ * @returns {Object} The structure description
+ */
+function getCurrentStructure() {
+    return crystalSettings.structure === 'loaded' ? loadedStructure : CRYSTAL_PRESETS[crystalSettings.structure];
+}
+
+/**
+ * Returns a file name for exports, e.g. "nacl_3x3x3" or the name of a loaded structure.
+ *
+ * @returns {string} The file name without extension
+ */
+function getExportFileName() {
+    const structure = getCurrentStructure();
+    const name = crystalSettings.structure === 'loaded' ? structure.name || 'structure' : crystalSettings.structure;
+    const safeName = name.replace(/[^\w-]+/g, '_');
+
+    // Molecules have no supercell
+    if (structure.atoms) return safeName;
+    const { cells } = crystalSettings;
+    return `${safeName}_${cells}x${cells}x${cells}`;
+}
+
+/**
+ * Reads the structure, structure file, supercell size and boundaries, overlays, defects and analysis settings
+ * from the URL (the hash, or the query string of older links). Unknown structures, invalid
+ * sizes, unreadable Miller indices and defect lists keep their defaults.
+ */
+function readSettingsFromURL() {
+    const params = readURLParams();
+    if (CRYSTAL_PRESETS[params.get('structure')]) {
+        crystalSettings.structure = params.get('structure');
+    }
+    structureFileURL = params.get('file');
+    const cells = parseInt(params.get('cells'), 10);
+    if (Number.isFinite(cells)) {
+        crystalSettings.cells = Math.min(MAX_CELLS, Math.max(1, cells));
+    }
+    crystalSettings.periodicBoundaries = params.get('periodic') === '1';
+    ['planes', 'directions'].forEach(name => {
+        if (!params.has(name)) return;
+        try {
+            overlaySettings[name] = parseMillerList(params.get(name));
+        } catch (error) {
+            if (!(error instanceof MillerIndexError)) throw error;
+        }
+    });
+    overlaySettings.cell = params.get('cell') === '1';
+    if (params.has('defects')) {
+        try {
+            defectSettings.defects = parseDefectList(params.get('defects'));
+        } catch (error) {
+            if (!(error instanceof DefectError)) throw error;
+        }
+    }
+    if (params.get('color') === 'coordination') displaySettings.colorBy = 'coordination';
+    displaySettings.topology = params.get('topology') === '1';
+}
+
+/**
+ * Fills the structure menu with the presets and connects the control panel.
+ */
+function setupControlPanel() {
+    const structureSelect = document.getElementById('structure');
+    Object.entries(CRYSTAL_PRESETS).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.name;
+        structureSelect.appendChild(option);
+    });
+    // Placeholder entry for a structure loaded from a file, shown once one is loaded
+    const loadedOption = document.createElement('option');
+    loadedOption.value = 'loaded';
+    loadedOption.id = 'loaded-option';
+    loadedOption.hidden = true;
+    structureSelect.appendChild(loadedOption);
+
+    structureSelect.value = crystalSettings.structure;
+    structureSelect.addEventListener('change', () => {
+        crystalSettings.structure = structureSelect.value;
+        if (crystalSettings.structure !== 'loaded') structureFileURL = null;
+        // Defects are numbered by site, so they do not carry over to another structure
+        defectSettings.defects = [];
+        rebuildCrystal();
+    });
+
+    const cellsInput = document.getElementById('cells');
+    cellsInput.max = MAX_CELLS;
+    cellsInput.value = crystalSettings.cells;
+    cellsInput.addEventListener('input', () => {
+        const cells = parseInt(cellsInput.value, 10);
+        if (!Number.isFinite(cells)) return;
+        crystalSettings.cells = Math.min(MAX_CELLS, Math.max(1, cells));
+        defectSettings.defects = [];
+        rebuildCrystal();
+    });
+    cellsInput.addEventListener('change', () => {
+        cellsInput.value = crystalSettings.cells;
+    });
+
+    // Switching the boundaries keeps the atoms where they are, so the camera stays too
+    const periodicCheckbox = document.getElementById('periodic-boundaries');
+    periodicCheckbox.checked = crystalSettings.periodicBoundaries;
+    periodicCheckbox.addEventListener('change', () => {
+        crystalSettings.periodicBoundaries = periodicCheckbox.checked;
+        viewer.rebuild();
+        updateCrystalInfo();
+    });
+
+    // Miller indices are read when the field is left or Enter is pressed, not while typing
+    ['planes', 'directions'].forEach(name => {
+        const input = document.getElementById(`miller-${name}`);
+        input.value = overlaySettings[name].map(formatCompactIndices).join(', ');
+        input.addEventListener('change', () => {
+            try {
+                overlaySettings[name] = parseMillerList(input.value);
+            } catch (error) {
+                if (!(error instanceof MillerIndexError)) throw error;
+                showError(`Could not read the Miller indices: ${error.message}`);
+                return;
+            }
+            hideError();
+            updateCrystalOverlays();
+        });
+    });
+
+    const cellCheckbox = document.getElementById('show-cell');
+    cellCheckbox.checked = overlaySettings.cell;
+    cellCheckbox.addEventListener('change', () => {
+        overlaySettings.cell = cellCheckbox.checked;
+        updateCrystalOverlays();
+    });
+
+    const colorSelect = document.getElementById('color-by');
+    colorSelect.value = displaySettings.colorBy;
+    colorSelect.addEventListener('change', () => {
+        displaySettings.colorBy = colorSelect.value;
+        colorAtoms(viewer.content.userData);
+        updateLegend();
+        urlState.update();
+    });
+
+    const topologyCheckbox = document.getElementById('show-topology');
+    topologyCheckbox.checked = displaySettings.topology;
+    topologyCheckbox.addEventListener('change', () => {
+        displaySettings.topology = topologyCheckbox.checked;
+        updateTopologyPanel();
+        urlState.update();
+    });
+}
+
+/**
+ * Connects the file button and drag and drop for loading .cif and .xyz files.
+ */
+function setupFileLoading() {
+    const fileInput = document.getElementById('file-input');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            loadStructureFromFile(fileInput.files[0]);
+        }
+        // Allow the same file to be chosen again after editing it
+        fileInput.value = '';
+    });
+
+    window.addEventListener('dragover', event => {
+        event.preventDefault();
+        document.body.classList.add('dragging');
+    });
+    window.addEventListener('dragleave', () => {
+        document.body.classList.remove('dragging');
+    });
+    window.addEventListener('drop', event => {
+        event.preventDefault();
+        document.body.classList.remove('dragging');
+        if (event.dataTransfer.files.length > 0) {
+            loadStructureFromFile(event.dataTransfer.files[0]);
+        }
+    });
+
+    document.getElementById('error-close').addEventListener('click', hideError);
+}
+
+/**
+ * Reads a structure file chosen or dropped by the user.
+ *
+ * @param {File} file - The file
+ */
+function loadStructureFromFile(file) {
+    file.text()
+        .then(text => showLoadedStructure(text, file.name))
+        .catch(error => showError(`Could not read ${file.name}: ${error.message}`));
+}
+
+/**
+ * Downloads and shows a structure file.
+ *
+ * @param {string} url - Address of the .cif or .xyz file
+ * @returns {Promise} Settles once the file is shown, or the problem reported
+ */
+function loadStructureFromURL(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`the server answered ${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        })
+        .then(text => showLoadedStructure(text, url, url))
+        .catch(error => showError(`Could not load ${url}: ${error.message}`));
+}
+
+/**
+ * Parses a structure file and shows it in place of the current structure.
+ * Parse errors are reported on screen and leave the current structure in place.
+ *
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name or URL, used to pick the format
+ * @param {string|null} [fileURL=null] - Address the file was downloaded from, for links
+ */
+function showLoadedStructure(text, fileName, fileURL = null) {
+    let structure;
+    try {
+        structure = parseStructureFile(text, fileName);
+    } catch (error) {
+        if (!(error instanceof StructureParseError)) throw error;
+        showError(`Could not load ${fileName}: ${error.message}`);
+        return;
+    }
+
+    // Defects only carry over when a linked file is loaded again, e.g. when opening a link
+    if (fileURL === null || fileURL !== structureFileURL) defectSettings.defects = [];
+    loadedStructure = structure;
+    crystalSettings.structure = 'loaded';
+    structureFileURL = fileURL;
+
+    const loadedOption = document.getElementById('loaded-option');
+    loadedOption.textContent = `Loaded: ${structure.name}`;
+    loadedOption.hidden = false;
+    document.getElementById('structure').value = 'loaded';
+
+    hideError();
+    rebuildCrystal();
+}
+
+/**
+ * Shows an error message on screen.
+ *
+ * @param {string} message - The message
+ */
+function showError(message) {
+    document.getElementById('error-message').textContent = message;
+    document.getElementById('error').style.display = 'block';
+}
+
+/**
+ * Hides the error message.
+ */
+function hideError() {
+    document.getElementById('error').style.display = 'none';
+}
+
+/**
+ * Rebuilds the crystal from the current settings and refits the camera to it.
+ */
+function rebuildCrystal() {
+    viewer.rebuild();
+    viewer.frameContent();
+    updateCrystalInfo();
+}
+
+/**
+ * Updates the title, description, element legend and URL for the current structure.
+ */
+function updateCrystalInfo() {
+    const structure = getCurrentStructure();
+    const n = crystalSettings.cells;
+    const isPeriodic = !structure.atoms;
+    document.getElementById('info').textContent = isPeriodic
+        ? `${structure.name} Crystal Structure (${n}×${n}×${n} Unit Cells)`
+        : `${structure.name} (${structure.atoms.length} Atoms)`;
+    document.getElementById('description').textContent = structure.description ||
+        (structure.spaceGroup ? `Space group ${structure.spaceGroup}` : '');
+
+    // The supercell size and boundaries and the crystallographic overlays only apply to periodic structures
+    ['cells', 'periodic-boundaries', 'miller-planes', 'miller-directions', 'show-cell'].forEach(id => {
+        document.getElementById(id).disabled = !isPeriodic;
+    });
+    updatePeriodicInfo();
+    updateOverlayInfo();
+    updateLegend();
+    updateTopologyPanel();
+    updateDefectInfo();
+
+    urlState.update();
+}
+
+/**
+ * While the boundaries are periodic, adds up the atoms of one unit cell from the share of
+ * each that belongs to it, and warns when the supercell is too small for the bonds across
+ * its faces to be found.
+ */
+function updatePeriodicInfo() {
+    const info = document.getElementById('periodic-info');
+    const { crystal, minimumImageCells } = viewer.content.userData;
+    info.innerHTML = '';
+    if (!crystal.cellVectors || !crystalSettings.periodicBoundaries) return;
+
+    const { places, total } = countUnitCellAtoms(getCurrentStructure());
+    const terms = places.map(({ place, cells, atoms }) => (cells === 1
+        ? `${atoms} inside`
+        : `${atoms} ${place}${atoms === 1 ? '' : 's'} × 1/${cells}`));
+    const count = document.createElement('div');
+    count.textContent = `Atoms per unit cell: ${terms.join(' + ')} = ${total}`;
+    info.appendChild(count);
+
+    if (crystalSettings.cells < minimumImageCells) {
+        const warning = document.createElement('div');
+        warning.textContent = `Bonds across the boundary can reach the same atom twice: use at least ${minimumImageCells} cells per side`;
+        info.appendChild(warning);
+    }
+}
+
+/**
+ * Fills the legend: one entry per element in the structure, or per number of bonds when
+ * atoms are colored by it.
+ */
+function updateLegend() {
+    const legend = document.getElementById('legend');
+    legend.innerHTML = '';
+    const addEntry = (color, text) => {
+        const entry = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'color-box';
+        swatch.style.backgroundColor = `#${color.toString(16).padStart(6, '0')}`;
+        entry.append(swatch, text);
+        legend.appendChild(entry);
+    };
+
+    if (displaySettings.colorBy === 'coordination') {
+        const counts = [...new Set(viewer.content.userData.graph.map(neighbours => neighbours.length))];
+        counts.sort((a, b) => a - b).forEach(count =>
+            addEntry(getCoordinationColor(count), `${count} bond${count === 1 ? '' : 's'}`));
+        return;
+    }
+
+    const structure = getCurrentStructure();
+    const symbols = [...new Set((structure.basis || structure.atoms).map(atom => atom.element))];
+    symbols.forEach(symbol => {
+        const element = getElement(symbol);
+        addEntry(element.color, `${element.name} (${element.symbol})`);
+    });
+}
+
+/**
+ * Returns the color of atoms with a given number of bonds.
+ *
+ * @param {number} count - The number of bonds
+ * @returns {number} The color
+ */
+function getCoordinationColor(count) {
+    return COORDINATION_COLORS[Math.min(count, COORDINATION_COLORS.length - 1)];
+}
+
+/**
+ * Colors the atoms of a crystal by element or by number of bonds, see displaySettings.
+ *
+ * @param {Object} parts - The crystal's parts from createCrystalStructure(): {atoms, graph, boundaryImages}
+ */
+function colorAtoms({ atoms, graph, boundaryImages }) {
+    const colors = atoms.userData.items.map((item, index) =>
+        (displaySettings.colorBy === 'coordination' ? getCoordinationColor(graph[index].length) : item.color));
+    colors.forEach((color, index) => setItemOwnColor(atoms, index, color));
+    // Copies of atoms on the boundary match the atoms they copy
+    if (boundaryImages) {
+        boundaryImages.userData.items.forEach((image, index) => setItemOwnColor(boundaryImages, index, colors[image.index]));
+    }
+}
+
+/**
+ * Returns the bond analysis of the structure shown, working it out the first time it is asked for.
+ *
+ * @returns {Object} The analysis from analyseTopology()
+ */
+function getTopology() {
+    const parts = viewer.content.userData;
+    if (!parts.topology) {
+        parts.topology = analyseTopology(parts.crystal, parts.bondList, getCurrentStructure(),
+            parts.expectedCoordination);
+    }
+    return parts.topology;
+}
+
+/**
+ * Shows or hides the bond analysis panel, and fills it for the structure shown.
+ */
+function updateTopologyPanel() {
+    const panel = document.getElementById('topology');
+    panel.style.display = displaySettings.topology ? 'block' : 'none';
+    panel.innerHTML = '';
+    if (!displaySettings.topology) return;
+
+    const { atoms, cellVectors } = viewer.content.userData.crystal;
+    const isPeriodic = Boolean(cellVectors);
+    const { coordination, bondLengths, bondAngles, rings, density } = getTopology();
+    const addHeading = text => {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        panel.appendChild(heading);
+    };
+    const addLine = (text, className = '') => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        panel.appendChild(line);
+    };
+
+    addHeading('Structure');
+    addLine(`${atoms.length} atoms, ${bondLengths.histogram.counts.reduce((sum, count) => sum + count, 0)} bonds`);
+    if (density !== null) addLine(`Density: ${density.toFixed(3)} g/cm³`);
+
+    addHeading('Bonds per atom');
+    panel.appendChild(createHistogram(coordination.histogram, count => `${count} bond${count === 1 ? '' : 's'}`));
+    if (coordination.underCoordinated.length > 0) {
+        const bulk = Object.entries(coordination.expected).map(([symbol, count]) => `${count} for ${symbol}`).join(', ');
+        addLine(`${coordination.underCoordinated.length} atoms have fewer bonds than in the bulk ` +
+            `(${bulk})${isPeriodic && !crystalSettings.periodicBoundaries ? ': the atoms on the surface' : ''}`, 'topology-note');
+    }
+
+    addHeading('Bond lengths');
+    bondLengths.pairs.forEach(({ elements, count, shortest, longest, mean, cutoff }) => {
+        const lengths = longest - shortest < 5e-4
+            ? `${mean.toFixed(3)} Å`
+            : `${shortest.toFixed(3)}–${longest.toFixed(3)} Å, mean ${mean.toFixed(3)} Å`;
+        addLine(`${elements.join('–')}: ${lengths} (${count} bonds, cutoff ${cutoff.toFixed(3)} Å)`);
+    });
+    const lengthBinWidth = bondLengths.histogram.binWidth;
+    panel.appendChild(createHistogram(bondLengths.histogram, length =>
+        `${length.toFixed(2)}–${(length + lengthBinWidth).toFixed(2)} Å`));
+    const nearest = bondLengths.nearestNonBonded;
+    if (nearest) {
+        addLine(`The nearest atoms that are not bonded are ${nearest.distance.toFixed(3)} Å apart, ` +
+            'beyond the cutoff', 'topology-note');
+    }
+
+    addHeading('Bond angles');
+    if (bondAngles.mean !== null) {
+        panel.appendChild(createHistogram(bondAngles.histogram, angle => `${angle}–${angle + bondAngles.histogram.binWidth}°`));
+        const isTetrahedral = Object.values(coordination.expected).every(count => count === 4);
+        addLine(`Mean ${bondAngles.mean.toFixed(2)}°${isTetrahedral ? ' (tetrahedral: 109.47°)' : ''}`, 'topology-note');
+    } else {
+        addLine('No atom has two bonds');
+    }
+
+    addHeading('Rings');
+    if (rings.sizes.length === 0) addLine(`No rings of up to ${rings.maxSize} atoms`);
+    rings.sizes.forEach(({ size, count, conformations }) => {
+        const shapes = Object.entries(conformations).map(([name, number]) => `${number} ${name}`).join(', ');
+        addLine(`${size} atoms: ${count} (${shapes})`);
+    });
+    if (isPeriodic && crystalSettings.periodicBoundaries) {
+        addLine('The smallest ring through each pair of bonds; paths that run all the way around ' +
+            'the periodic supercell are not rings, so a small supercell can hide some', 'topology-note');
+    } else if (rings.sizes.length > 0 && isPeriodic) {
+        addLine('The smallest ring through each pair of bonds; where the edge of the supercell cuts ' +
+            'a ring, a larger one is found instead', 'topology-note');
+    }
+}
+
+/**
+ * Draws a histogram as rows of bars, leaving out empty bins.
+ *
+ * @param {Object} data - The histogram from histogram() in topology.js: {start, binWidth, counts}
+ * @param {Function} formatBin - Labels a bin from its start value
+ * @returns {HTMLElement} The histogram
+ */
+function createHistogram({ start, binWidth, counts }, formatBin) {
+    const container = document.createElement('div');
+    const largest = valueRange(counts).max;
+    counts.forEach((count, bin) => {
+        if (count === 0) return;
+        const row = document.createElement('div');
+        row.className = 'histogram-row';
+        const label = document.createElement('span');
+        label.className = 'histogram-label';
+        label.textContent = formatBin(start + bin * binWidth);
+        const bar = document.createElement('span');
+        bar.className = 'histogram-bar';
+        bar.style.width = `${Math.max(1, Math.round(count / largest * HISTOGRAM_BAR_WIDTH))}px`;
+        row.append(label, bar, String(count));
+        container.appendChild(row);
+    });
+    return container;
+}
+
+/**
+ * Replaces the crystallographic overlays of the structure shown, after the settings changed,
+ * without rebuilding the atoms and bonds.
+ */
+function updateCrystalOverlays() {
+    const content = viewer.content;
+    const overlays = content.getObjectByName('Overlays');
+    content.remove(overlays);
+    disposeObject(overlays);
+    content.add(createCrystalOverlays(content.userData.crystal, overlaySettings));
+    updateOverlayInfo();
+    urlState.update();
+}
+
+/**
+ * Lists the overlays shown, with a color swatch each: the spacing of each plane family and
+ * the atoms on its planes, and the length of each direction.
+ */
+function updateOverlayInfo() {
+    const list = document.getElementById('miller-info');
+    list.innerHTML = '';
+    viewer.content.getObjectByName('Overlays').userData.descriptions.forEach(({ color, text }) => {
+        const entry = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'color-box';
+        swatch.style.backgroundColor = `#${color.toString(16).padStart(6, '0')}`;
+        entry.append(swatch, text);
+        list.appendChild(entry);
+    });
+}
 
-    // Create camera
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.z = 15;
+/**
+ * Connects the defect controls: the click modes, the element menu and the random defects.
+ * Clicking places defects while a mode is chosen, which turns measuring off (and the other
+ * way round), as both take over clicks from the picker.
+ *
+ * @param {Object} picker - The picker from createPicker()
+ * @param {Object} measureTool - The measure tool from createMeasureTool()
+ * @returns {Function} Sets the defect mode, e.g. setDefectMode('off')
+ */
+function setupDefectControls(picker, measureTool) {
+    const modeSelect = document.getElementById('defect-mode');
+    const measureSelect = document.getElementById('measure-mode');
 
-    // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.body.appendChild(renderer.domElement);
+    const setMode = mode => {
+        const showedSites = defectSettings.mode === 'interstitial';
+        defectSettings.mode = mode;
+        modeSelect.value = mode;
+        if (mode !== 'off') {
+            measureTool.setMode('off');
+            picker.setClickHandler(onDefectClick);
+            viewer.renderer.domElement.style.cursor = 'crosshair';
+        } else if (measureSelect.value === 'off') {
+            picker.setClickHandler(null);
+            viewer.renderer.domElement.style.cursor = '';
+        }
+        // The interstitial sites are only built while interstitials are being placed
+        if (showedSites !== (mode === 'interstitial')) viewer.rebuild();
+    };
+    modeSelect.addEventListener('change', () => setMode(modeSelect.value));
+    measureSelect.addEventListener('change', () => {
+        if (measureSelect.value !== 'off' && defectSettings.mode !== 'off') setMode('off');
+    });
+
+    const elementSelect = document.getElementById('defect-element');
+    DEFECT_ELEMENTS.forEach(symbol => {
+        const option = document.createElement('option');
+        option.value = symbol;
+        option.textContent = `${getElement(symbol).name} (${symbol})`;
+        elementSelect.appendChild(option);
+    });
+    elementSelect.value = defectSettings.element;
+    elementSelect.addEventListener('change', () => {
+        defectSettings.element = elementSelect.value;
+    });
+
+    document.getElementById('defect-random').addEventListener('click', () => {
+        const percent = id => Math.min(100, Math.max(0, parseFloat(document.getElementById(id).value) || 0)) / 100;
+        const seed = parseInt(document.getElementById('defect-seed').value, 10) || 0;
+        const structure = getCurrentStructure();
+        const n = crystalSettings.cells;
+        const randomDefects = createRandomDefects(
+            {
+                atoms: viewer.content.userData.siteCount,
+                interstitialSites: structure.atoms ? 0 : getInterstitialSites(structure, [n, n, n]).length
+            },
+            {
+                vacancies: percent('defect-vacancies'),
+                substitutions: percent('defect-substitutions'),
+                interstitials: percent('defect-interstitials')
+            },
+            defectSettings.element,
+            seed,
+            defectSettings.defects
+        );
+        updateDefects([...defectSettings.defects, ...randomDefects]);
+    });
 
-    // Add orbit controls for rotation
-    controls = new THREE.OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.25;
-    controls.screenSpacePanning = false;
-    controls.maxDistance = 100;
+    document.getElementById('defect-clear').addEventListener('click', () => updateDefects([]));
+
+    return setMode;
+}
+
+/**
+ * Places or removes a defect where the user clicked, depending on the defect mode:
+ * - an atom becomes a vacancy, is substituted, or (N-V centre) becomes nitrogen next to a
+ *   vacancy; substituting an atom with its own element again restores it
+ * - an interstitial site gets an atom; clicking an interstitial atom removes it again
+ * - a vacancy is filled again
+ *
+ * @param {Object|null} pick - The clicked pick from createPicker(), or null for empty space
+ */
+function onDefectClick(pick) {
+    if (!pick) return;
+    const { atoms, vacancies, interstitialSites, graph } = viewer.content.userData;
+    const { mode, element } = defectSettings;
+    const isOnSite = (defect, type, site) => (defect.type === 'interstitial') === (type === 'interstitial') && defect.site === site;
+    const without = (type, site) => defectSettings.defects.filter(defect => !isOnSite(defect, type, site));
+
+    if (pick.object === vacancies) {
+        updateDefects(without('vacancy', pick.item.site));
+    } else if (pick.object === interstitialSites) {
+        updateDefects([...without('interstitial', pick.itemIndex), { type: 'interstitial', site: pick.itemIndex, element }]);
+    } else if (pick.object === atoms && pick.item.defect === 'interstitial') {
+        const site = pick.item.interstitialSite;
+        if (mode === 'vacancy' || mode === 'interstitial') {
+            updateDefects(without('interstitial', site));
+        } else {
+            updateDefects([...without('interstitial', site), { type: 'interstitial', site, element }]);
+        }
+    } else if (pick.object === atoms) {
+        const { site, hostElement = pick.item.element } = pick.item;
+        if (mode === 'vacancy') {
+            updateDefects([...without('vacancy', site), { type: 'vacancy', site }]);
+        } else if (mode === 'substitution') {
+            const defects = without('substitution', site);
+            updateDefects(element === hostElement ? defects : [...defects, { type: 'substitution', site, element }]);
+        } else if (mode === 'nv') {
+            // The vacancy takes the place of the first neighbour that is still a host atom
+            const neighbour = graph[pick.itemIndex]
+                .map(index => atoms.userData.items[index])
+                .find(atom => atom.defect === null);
+            const defects = [...without('substitution', site), { type: 'substitution', site, element: 'N' }];
+            if (neighbour) defects.push({ type: 'vacancy', site: neighbour.site });
+            updateDefects(defects);
+        }
+    }
+}
+
+/**
+ * Rebuilds the crystal with new defects, keeping the camera where it is.
+ *
+ * @param {Object[]} defects - The defects, see defectSettings
+ */
+function updateDefects(defects) {
+    defectSettings.defects = defects;
+    viewer.rebuild();
+    updateCrystalInfo();
+}
+
+/**
+ * Returns the interstitial sites of a supercell, finding those of its unit cell once per structure.
+ *
+ * @param {Object} structure - A crystal description with a cell
+ * @param {number[]} supercell - Number of unit cells along each cell vector
+ * @returns {Object[]} The sites from generateInterstitialSites()
+ */
+function getInterstitialSites(structure, supercell) {
+    if (!interstitialSiteCache.has(structure)) {
+        interstitialSiteCache.set(structure, findInterstitialSites(structure));
+    }
+    return generateInterstitialSites(structure, supercell, interstitialSiteCache.get(structure));
+}
+
+/**
+ * Summarises the defects in the crystal shown, and enables the controls that apply to it.
+ */
+function updateDefectInfo() {
+    const { atoms, vacancyCount, danglingBondCount } = viewer.content.userData;
+    const items = atoms.userData.items;
+    const substituted = items.filter(atom => atom.defect === 'substitution');
+    const interstitialCount = items.filter(atom => atom.defect === 'interstitial').length;
+
+    const parts = [];
+    if (vacancyCount > 0) parts.push(`${vacancyCount} vacanc${vacancyCount === 1 ? 'y' : 'ies'}`);
+    if (substituted.length > 0) {
+        const elements = [...new Set(substituted.map(atom => atom.element))].join(', ');
+        parts.push(`${substituted.length} substituted (${elements})`);
+    }
+    if (interstitialCount > 0) parts.push(`${interstitialCount} interstitial${interstitialCount === 1 ? '' : 's'}`);
+    if (danglingBondCount > 0) parts.push(`${danglingBondCount} dangling bond${danglingBondCount === 1 ? '' : 's'}`);
+    document.getElementById('defect-info').textContent = parts.join(', ');
+
+    // Molecules have no interstitial sites
+    const isPeriodic = !getCurrentStructure().atoms;
+    document.querySelector('#defect-mode option[value="interstitial"]').disabled = !isPeriodic;
+    document.getElementById('defect-interstitials').disabled = !isPeriodic;
+}
+
+/**
+ * Creates the crystallographic overlays for a crystal: its lattice planes, direction arrows
+ * and unit cell outline. Structures without a cell (molecules) get none.
+ *
+ * @param {Object} crystal - The crystal from generateCrystal(), or {atoms} for a molecule
+ * @param {Object} settings - The overlays to show, see overlaySettings
+ * @returns {THREE.Group} A group named 'Overlays'; userData.descriptions lists what is shown
+ *     as {color, text}. Its meshes are marked userData.isOverlay, so STL export leaves them out.
+ */
+function createCrystalOverlays(crystal, { planes, directions, cell }) {
+    const overlayGroup = new THREE.Group();
+    overlayGroup.name = 'Overlays';
+    const descriptions = [];
+    overlayGroup.userData = { descriptions };
+    if (!crystal.cellVectors) return overlayGroup;
+
+    const { cellVectors: vectors, supercell, origin } = crystal;
+    const toCartesian = fractional => fractionalToCartesian(fractional, vectors)
+        .map((value, axis) => value + origin[axis]);
+
+    planes.forEach((indices, familyIndex) => {
+        const color = OVERLAY_COLORS[familyIndex % OVERLAY_COLORS.length];
+        const name = formatMillerIndices(indices);
+        const family = latticePlanes(indices, supercell);
+        const polygons = family.map(plane => plane.corners.map(toCartesian));
+        overlayGroup.add(createPlaneMeshes(polygons, color, `Plane ${name}`));
+
+        // Ring the atoms lying on the planes drawn
+        const numbers = new Set(family.map(plane => plane.number));
+        const atomsOnPlanes = crystal.atoms.filter(atom => numbers.has(planeNumberOf(indices, atom.fractional)));
+        if (atomsOnPlanes.length > 0) {
+            const rings = createInstancedSpheres(atomsOnPlanes.map(atom => ({
+                position: atom.position,
+                radius: getDisplayRadius(atom.element) * PLANE_ATOM_RING_SCALE,
+                color
+            })), new THREE.MeshPhongMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.35,
+                depthWrite: false
+            }));
+            rings.name = `Atoms on ${name}`;
+            overlayGroup.add(rings);
+        }
+
+        const spacing = interplanarSpacing(indices, vectors);
+        descriptions.push({
+            color,
+            text: `${name}: ${family.length} plane${family.length === 1 ? '' : 's'}, ` +
+                `d = ${spacing.toFixed(3)} Å, ${atomsOnPlanes.length} atoms on them`
+        });
+    });
+
+    // Arrows start at the centre of the supercell, which is the origin
+    directions.forEach((indices, directionIndex) => {
+        const color = OVERLAY_COLORS[directionIndex % OVERLAY_COLORS.length];
+        const name = formatMillerIndices(indices, '[]');
+        const vector = new THREE.Vector3(...directionVector(indices, vectors));
+        const length = vector.length();
+        const headLength = Math.min(0.2 * length, 0.8);
+        const arrow = new THREE.ArrowHelper(vector.normalize(), new THREE.Vector3(), length, color,
+            headLength, 0.5 * headLength);
+        arrow.name = `Direction ${name}`;
+        arrow.cone.name = arrow.name;
+        overlayGroup.add(arrow);
+        descriptions.push({ color, text: `${name}: ${length.toFixed(3)} Å long` });
+    });
+
+    // Outline the unit cell at the supercell's corner
+    if (cell) {
+        const positions = [];
+        unitCellEdges().forEach(([start, end]) => positions.push(...toCartesian(start), ...toCartesian(end)));
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const outline = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: UNIT_CELL_COLOR }));
+        outline.name = 'Unit cell';
+        overlayGroup.add(outline);
+        const [a, b, c] = vectors.map(vector => Math.hypot(...vector));
+        descriptions.push({
+            color: UNIT_CELL_COLOR,
+            text: `Unit cell: ${a.toFixed(3)} × ${b.toFixed(3)} × ${c.toFixed(3)} Å`
+        });
+    }
 
-    // Add enhanced lighting for better visibility
-    const ambientLight = new THREE.AmbientLight(0x404040);
-    scene.add(ambientLight);
+    overlayGroup.traverse(object => {
+        if (object.isMesh) object.userData.isOverlay = true;
+    });
+    return overlayGroup;
+}
 
-    // Main directional light
-    const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight1.position.set(1, 1, 1);
-    scene.add(directionalLight1);
+/**
+ * Creates see-through polygons with outlines, e.g. the planes of one (hkl) family.
+ *
+ * @param {number[][][]} polygons - Convex polygons, each a list of [x, y, z] corners in order
+ * @param {number} color - Color of the polygons and their outlines
+ * @param {string} name - Name of the group, e.g. for exported files
+ * @returns {THREE.Group} The polygons and their outlines
+ */
+function createPlaneMeshes(polygons, color, name) {
+    const planeGroup = new THREE.Group();
+    planeGroup.name = name;
 
-    // Secondary directional light from opposite direction
-    const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.5);
-    directionalLight2.position.set(-1, -1, -1);
-    scene.add(directionalLight2);
+    // Each polygon is a fan of triangles from its first corner
+    const positions = [];
+    const outlinePositions = [];
+    polygons.forEach(corners => {
+        for (let k = 1; k < corners.length - 1; k++) {
+            positions.push(...corners[0], ...corners[k], ...corners[k + 1]);
+        }
+        corners.forEach((corner, k) => outlinePositions.push(...corner, ...corners[(k + 1) % corners.length]));
+    });
 
-    // Create the diamond structure
-    createDiamondStructure();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    const planes = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+        color,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    planes.name = name;
+    planeGroup.add(planes);
 
-    // Add window resize handler
-    window.addEventListener('resize', onWindowResize, false);
+    const outlineGeometry = new THREE.BufferGeometry();
+    outlineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(outlinePositions, 3));
+    planeGroup.add(new THREE.LineSegments(outlineGeometry, new THREE.LineBasicMaterial({ color })));
 
-    // Start animation loop
-    animate();
+    return planeGroup;
 }
 
 /**
- * Creates a visualization of the diamond cubic crystal structure.
- * The diamond structure consists of carbon atoms arranged in a specific pattern
+ * Creates a visualization of a crystal structure.
+ * For diamond, the structure consists of carbon atoms arranged in a specific pattern
  * with tetrahedral bonding.
+ *
+ * @param {Object} structure - A crystal description, e.g. an entry of CRYSTAL_PRESETS or a
+ *     parsed CIF file, or a non-periodic structure {name, atoms} from an XYZ file
+ * @param {number[]} supercell - Number of unit cells along each cell vector (periodic structures only)
+ * @param {Object} [options] - Defect and boundary options
+ * @param {Object[]} [options.defects=[]] - Point defects, see chemistry/lattice/defects.js
+ * @param {boolean} [options.showInterstitialSites=false] - Whether to mark where interstitials can go
+ * @param {boolean} [options.periodicBoundaries=false] - Whether the supercell repeats in every
+ *     direction, see chemistry/lattice/periodic.js (periodic structures only)
+ * @returns {THREE.Group} A group holding the atoms and bonds, and any boundary copies of atoms,
+ *     vacancies, dangling bonds and interstitial site markers; userData holds them with the
+ *     crystal (with its defects), its bonds and bond graph (see createBondGraph()), the number
+ *     of atom sites and the coordination of each element in the perfect crystal, the numbers
+ *     of vacancies and dangling bonds, and the fewest cells per side for periodic bonds
  */
-function createDiamondStructure() {
-    // Create a group to hold all diamond structure objects
-    diamondGroup = new THREE.Group();
+function createCrystalStructure(structure, supercell, { defects = [], showInterstitialSites = false, periodicBoundaries = false } = {}) {
+    // Create a group to hold all crystal structure objects
+    const crystalGroup = new THREE.Group();
 
-    // Define the unit cell size
-    const unitCellSize = 3.57; // Approximate diamond lattice constant in Angstroms
+    // Generate the atom positions from the lattice, basis and supercell,
+    // or take them as they are for a molecule or cluster (centred on the origin)
+    const perfect = structure.atoms
+        ? { atoms: centreAtoms(structure.atoms) }
+        : generateCrystal(structure, supercell);
 
-    // Define the number of unit cells in each direction
-    const cellsX = 2;
-    const cellsY = 2;
-    const cellsZ = 2;
+    // Put in the defects; the interstitial sites are only found when something needs them
+    const needsSites = !structure.atoms &&
+        (showInterstitialSites || defects.some(defect => defect.type === 'interstitial'));
+    const interstitialSites = needsSites ? getInterstitialSites(structure, supercell) : [];
+    const { atoms: defectAtoms, vacancies } = applyDefects(perfect.atoms, interstitialSites, defects);
+    const crystal = { ...perfect, atoms: defectAtoms };
 
-    // Define carbon atom properties
-    const carbonRadius = 0.4; // Size of carbon atom spheres
-    const carbonColor = 0x444444; // Gray color for carbon
+    // Bonds cross the faces of a periodic supercell to the atoms near the opposite face
+    const isPeriodic = periodicBoundaries && !structure.atoms;
+    const findCrystalBonds = atomList => (isPeriodic
+        ? findPeriodicBonds(atomList, crystal.cellVectors, supercell, structure)
+        : findBonds(atomList, structure));
+    const bondList = findCrystalBonds(crystal.atoms);
 
     // Add some visual enhancement for a diamond-like appearance
     const diamondShine = 0xAAAAAA; // Specular highlight color
@@ -97,10 +1230,11 @@ function createDiamondStructure() {
     const bondRadius = 0.15; // Radius of bond cylinders
     const bondColor = 0xCCCCCC; // Light gray color for bonds
 
-    // Create carbon atom geometry (sphere)
-    const carbonGeometry = new THREE.SphereGeometry(carbonRadius, 32, 32);
-    const carbonMaterial = new THREE.MeshPhongMaterial({
-        color: carbonColor,
+    // All atoms share one instanced mesh and all bonds another, so even a 10×10×10
+    // supercell is only two draw calls. The materials are white: each instance is tinted
+    // with its own color (the element's CPK color for atoms).
+    const atomMaterial = new THREE.MeshPhongMaterial({
+        color: 0xffffff,
         shininess: 120,
         specular: diamondShine,
         transparent: true,
@@ -109,172 +1243,425 @@ function createDiamondStructure() {
 
     // Create bond material
     const bondMaterial = new THREE.MeshPhongMaterial({
-        color: bondColor,
+        color: 0xffffff,
         shininess: 50,
         specular: diamondShine,
         transparent: true,
         opacity: 0.7
     });
 
-    // Array to store all atom positions for bond creation
-    const atomPositions = [];
-
-    // Create the diamond cubic structure
-    // The diamond cubic structure consists of two interpenetrating FCC lattices
-    // offset by (1/4, 1/4, 1/4) of the unit cell diagonal
-
-    // Loop through each unit cell
-    for (let x = 0; x < cellsX; x++) {
-        for (let y = 0; y < cellsY; y++) {
-            for (let z = 0; z < cellsZ; z++) {
-                // Base position for this unit cell
-                const baseX = (x - cellsX/2) * unitCellSize;
-                const baseY = (y - cellsY/2) * unitCellSize;
-                const baseZ = (z - cellsZ/2) * unitCellSize;
-
-                // Create atoms for the first FCC lattice
-                // FCC lattice has atoms at:
-                // (0,0,0), (0,1/2,1/2), (1/2,0,1/2), (1/2,1/2,0)
-                const fccPositions = [
-                    [0, 0, 0],
-                    [0, 0.5, 0.5],
-                    [0.5, 0, 0.5],
-                    [0.5, 0.5, 0]
-                ];
-
-                fccPositions.forEach(pos => {
-                    // Calculate the actual position
-                    const atomX = baseX + pos[0] * unitCellSize;
-                    const atomY = baseY + pos[1] * unitCellSize;
-                    const atomZ = baseZ + pos[2] * unitCellSize;
-
-                    // Create and position the atom
-                    createAtom(atomX, atomY, atomZ, carbonGeometry, carbonMaterial);
-
-                    // Store the position for bond creation
-                    atomPositions.push(new THREE.Vector3(atomX, atomY, atomZ));
-
-                    // Create atoms for the second FCC lattice (offset by 1/4,1/4,1/4)
-                    const offsetX = atomX + 0.25 * unitCellSize;
-                    const offsetY = atomY + 0.25 * unitCellSize;
-                    const offsetZ = atomZ + 0.25 * unitCellSize;
-
-                    createAtom(offsetX, offsetY, offsetZ, carbonGeometry, carbonMaterial);
-                    atomPositions.push(new THREE.Vector3(offsetX, offsetY, offsetZ));
-                });
-            }
-        }
-    }
+    // Create the atoms
+    const atoms = createAtoms(crystal.atoms, atomMaterial);
+    atoms.name = 'Atoms';
+    crystalGroup.add(atoms);
 
     // Create bonds between atoms
     // In diamond, each carbon atom forms tetrahedral bonds with its four nearest neighbors
-    createBonds(atomPositions, bondRadius, bondMaterial, unitCellSize);
+    const bonds = createBonds(crystal.atoms, bondList, bondRadius, bondColor, bondMaterial);
+    bonds.name = 'Bonds';
+    crystalGroup.add(bonds);
 
-    // Add the diamond group to the scene
-    scene.add(diamondGroup);
-}
+    // Complete the faces, edges and corners of a periodic supercell with copies of the atoms
+    // on the opposite ones, and tell each atom what share of it lies in a unit cell
+    let boundaryImages = null;
+    let minimumImageCells = 1;
+    if (isPeriodic) {
+        const images = createBoundaryImages(crystal.atoms, crystal.cellVectors, supercell);
+        if (images.length > 0) {
+            boundaryImages = createImageAtoms(images);
+            crystalGroup.add(boundaryImages);
+        }
+        atoms.userData.items.forEach(item => {
+            item.cellShare = cellShare(item.fractional);
+        });
+        // Each pair of atoms must have only one copy within bonding distance
+        const reach = bondReach(crystal.atoms, crystal.cellVectors, structure);
+        minimumImageCells = Math.floor(2 * Math.max(...reach)) + 1;
+    }
 
-/**
- * Creates a carbon atom at the specified position.
- */
-function createAtom(x, y, z, geometry, material) {
-    const atom = new THREE.Mesh(geometry, material);
-    atom.position.set(x, y, z);
-    diamondGroup.add(atom);
+    // Show where atoms are missing, and the bonds that lost their partner
+    let vacancyGhosts = null;
+    let danglingBonds = null;
+    let danglingBondCount = 0;
+    let perfectCoordination = {};
+    if (vacancies.length > 0) {
+        vacancyGhosts = createVacancyGhosts(vacancies);
+        crystalGroup.add(vacancyGhosts);
+    }
+    if (defects.length > 0) {
+        const perfectBonds = findCrystalBonds(perfect.atoms);
+        const dangling = findDanglingBonds(perfect.atoms, perfectBonds, crystal.atoms, bondList);
+        // Atoms next to an interstitial can have more bonds than the bulk, so the bulk is
+        // judged before the defects were put in
+        perfectCoordination = findUnderCoordinated(perfect.atoms, createBondGraph(perfect.atoms.length, perfectBonds)).expected;
+        danglingBondCount = dangling.length;
+        if (dangling.length > 0) {
+            danglingBonds = createDanglingBonds(dangling, crystal.atoms, bondRadius);
+            crystalGroup.add(danglingBonds);
+        }
+    }
+    let interstitialSiteMarkers = null;
+    if (showInterstitialSites && interstitialSites.length > 0) {
+        interstitialSiteMarkers = createInterstitialSiteMarkers(interstitialSites);
+        crystalGroup.add(interstitialSiteMarkers);
+    }
+
+    // Keep the bond graph, and count each atom's bonds for its tooltip
+    const graph = createBondGraph(crystal.atoms.length, bondList);
+    const { expected } = findUnderCoordinated(crystal.atoms, graph, perfectCoordination);
+    atoms.userData.items.forEach((item, index) => {
+        item.coordination = graph[index].length;
+        item.expectedCoordination = expected[item.element];
+    });
+
+    // Keep the parts and the data they were built from for picking, highlighting and the
+    // bond analysis, which is worked out when first shown (see getTopology())
+    crystalGroup.userData = {
+        atoms,
+        bonds,
+        boundaryImages,
+        crystal,
+        bondList,
+        graph,
+        topology: null,
+        siteCount: perfect.atoms.length,
+        expectedCoordination: expected,
+        vacancies: vacancyGhosts,
+        vacancyCount: vacancies.length,
+        danglingBonds,
+        danglingBondCount,
+        interstitialSites: interstitialSiteMarkers,
+        minimumImageCells
+    };
+
+    return crystalGroup;
 }
 
 /**
- * Creates bonds between carbon atoms.
- * In the diamond structure, each carbon atom is bonded to four other carbon atoms
- * in a tetrahedral arrangement.
+ * Lists the timeline steps that build a crystal: one per atom of its basis, each adding that
+ * atom's copy at every lattice point, one for any interstitial atoms, then one adding the bonds. A molecule is built atoms
+ * first, then bonds. Within each step, atoms and bonds appear from the centre outwards.
+ *
+ * @param {Object} structure - The structure shown, see getCurrentStructure()
+ * @param {Object} parts - The crystal's parts from createCrystalStructure(): {atoms, bonds, boundaryImages, crystal}
+ * @returns {Object[]} The steps as {caption, show(fraction)}, see createTimeline()
  */
-function createBonds(atomPositions, bondRadius, bondMaterial, unitCellSize) {
-    // The maximum distance for a bond between two carbon atoms
-    // In diamond, the C-C bond length is approximately 1.54 Angstroms
-    const maxBondDistance = 1.8; // Slightly larger than actual bond length to account for positioning
-
-    // Check each pair of atoms
-    for (let i = 0; i < atomPositions.length; i++) {
-        for (let j = i + 1; j < atomPositions.length; j++) {
-            const atom1 = atomPositions[i];
-            const atom2 = atomPositions[j];
-
-            // Calculate distance between atoms
-            const distance = atom1.distanceTo(atom2);
+function createCrystalSteps(structure, { atoms, bonds, boundaryImages, crystal }) {
+    const atomItems = atoms.userData.items;
+    const byDistance = (indices, getPosition) => indices
+        .map(index => ({ index, distance: Math.hypot(...getPosition(index)) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ index }) => index);
+    const createStep = (caption, setVisible, order) => ({
+        caption,
+        show: fraction => revealInOrder(order, fraction, setVisible)
+    });
+    // The copies of an atom on the boundary of a periodic supercell appear with it
+    const imagesOf = new Map();
+    if (boundaryImages) {
+        boundaryImages.userData.items.forEach((image, imageIndex) => {
+            if (!imagesOf.has(image.index)) imagesOf.set(image.index, []);
+            imagesOf.get(image.index).push(imageIndex);
+        });
+    }
+    const setAtomVisible = (index, visible) => {
+        setItemVisible(atoms, index, visible);
+        (imagesOf.get(index) || []).forEach(imageIndex => setItemVisible(boundaryImages, imageIndex, visible));
+    };
 
-            // If atoms are close enough, create a bond
-            if (distance < maxBondDistance) {
-                createBond(atom1, atom2, bondRadius, bondMaterial);
+    const atomSteps = [];
+    if (structure.atoms) {
+        const order = byDistance(atomItems.map((atom, index) => index), index => atomItems[index].position);
+        atomSteps.push(createStep(`The ${order.length} atoms of ${structure.name}`, setAtomVisible, order));
+    } else {
+        const latticeName = describeLattice(structure.lattice, crystal.cellVectors);
+        structure.basis.forEach((basisAtom, basisIndex) => {
+            const indices = atomItems.map((atom, index) => index).filter(index => atomItems[index].basisIndex === basisIndex);
+            const order = byDistance(indices, index => atomItems[index].position);
+            const elementName = getElement(basisAtom.element).name.toLowerCase();
+            let caption;
+            if (basisIndex === 0) {
+                caption = `A ${latticeName} lattice of ${elementName} atoms: ${order.length} atoms`;
+            } else {
+                const shift = basisAtom.position.map((value, axis) => formatFraction(value - structure.basis[0].position[axis]));
+                const ordinal = LATTICE_ORDINALS[basisIndex];
+                caption = `${ordinal ? `A ${ordinal}` : 'Another'} ${latticeName} lattice of ${elementName} atoms, shifted by ` +
+                    `(${shift.join(', ')}) of a cell: ${order.length} more atoms`;
             }
+            atomSteps.push(createStep(caption, setAtomVisible, order));
+        });
+
+        const interstitials = atomItems.map((atom, index) => index).filter(index => atomItems[index].defect === 'interstitial');
+        if (interstitials.length > 0) {
+            atomSteps.push(createStep(`${interstitials.length} interstitial atom${interstitials.length === 1 ? '' : 's'} ` +
+                'in the holes between the others', setAtomVisible, byDistance(interstitials, index => atomItems[index].position)));
         }
     }
+
+    const bondItems = bonds.userData.items;
+    const bondOrder = byDistance(bondItems.map((bond, index) => index), index =>
+        bondItems[index].start.map((value, axis) => (value + bondItems[index].end[axis]) / 2));
+    const coordination = Math.max(0, ...atomItems.map(atom => atom.coordination));
+    // Both halves of a bond across a periodic boundary count as one bond
+    const bondCount = bondItems.filter(bond => bond.half !== 2).length;
+    const bondCaption = `Bonds between neighbouring atoms, up to ${coordination} per atom: ${bondCount} bonds`;
+
+    return [...atomSteps, createStep(bondCaption, (index, visible) => setItemVisible(bonds, index, visible), bondOrder)];
 }
 
 /**
- * Creates a bond (cylinder) between two atoms.
+ * Names a lattice for the timeline's captions, e.g. "face-centred cubic".
+ *
+ * @param {string} lattice - Centering type, a key of LATTICE_NAMES
+ * @param {number[][]} vectors - The cell vectors
+ * @returns {string} The lattice's name
  */
-function createBond(atom1, atom2, bondRadius, bondMaterial) {
-    // Calculate the midpoint between the two atoms
-    const midpoint = new THREE.Vector3().addVectors(atom1, atom2).multiplyScalar(0.5);
-
-    // Calculate the direction vector from atom1 to atom2
-    const direction = new THREE.Vector3().subVectors(atom2, atom1);
-
-    // Calculate the length of the bond
-    const bondLength = direction.length();
-
-    // Create a cylinder geometry for the bond
-    const bondGeometry = new THREE.CylinderGeometry(
-        bondRadius, bondRadius, bondLength, 8, 1
-    );
+function describeLattice(lattice, vectors) {
+    const lengths = vectors.map(vector => Math.hypot(...vector));
+    const isCubic = lengths.every(length => Math.abs(length - lengths[0]) < 1e-6 * lengths[0]) &&
+        [[0, 1], [1, 2], [0, 2]].every(([i, j]) =>
+            Math.abs(vectors[i].reduce((sum, value, axis) => sum + value * vectors[j][axis], 0)) < 1e-6 * lengths[0] ** 2);
+    return isCubic ? `${LATTICE_NAMES[lattice]} cubic` : LATTICE_NAMES[lattice];
+}
 
-    // Rotate the cylinder to align with the direction vector
-    // By default, the cylinder's axis is along the Y-axis
-    const bond = new THREE.Mesh(bondGeometry, bondMaterial);
+/**
+ * Writes a fractional coordinate as a simple fraction where it is one, e.g. 0.25 as "1/4".
+ *
+ * @param {number} value - The coordinate
+ * @returns {string} The coordinate as a fraction, a whole number, or a decimal
+ */
+function formatFraction(value) {
+    for (let denominator = 1; denominator <= 12; denominator++) {
+        const numerator = Math.round(value * denominator);
+        if (Math.abs(value * denominator - numerator) < 1e-4) {
+            return denominator === 1 ? String(numerator) : `${numerator}/${denominator}`;
+        }
+    }
+    return value.toFixed(3);
+}
 
-    // Position the bond at the midpoint
-    bond.position.copy(midpoint);
+/**
+ * Moves a list of atoms so their centroid is at the origin.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @returns {Object[]} Moved copies of the atoms
+ */
+function centreAtoms(atoms) {
+    const centroid = [0, 1, 2].map(axis =>
+        atoms.reduce((sum, atom) => sum + atom.position[axis], 0) / atoms.length);
+    return atoms.map(atom => ({
+        ...atom,
+        position: atom.position.map((value, axis) => value - centroid[axis])
+    }));
+}
 
-    // Orient the bond to point from atom1 to atom2
-    // First, create a vector representing the default orientation (along Y-axis)
-    const defaultOrientation = new THREE.Vector3(0, 1, 0);
+/**
+ * Creates the atoms as one instanced mesh of spheres, colored and sized by element.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @param {THREE.Material} material - Material shared by all atoms
+ * @returns {THREE.InstancedMesh} The atoms; userData.items[i] describes atoms[i], and has
+ *     coordination counts for the caller to fill in
+ */
+function createAtoms(atoms, material) {
+    return createInstancedSpheres(atoms.map((atom, index) => ({
+        ...atom,
+        index,
+        coordination: 0,
+        expectedCoordination: 0,
+        radius: getDisplayRadius(atom.element),
+        color: getElement(atom.element).color
+    })), material);
+}
 
-    // Normalize the direction vector
-    direction.normalize();
+/**
+ * Creates the bonds between atoms as one instanced mesh of cylinders.
+ * In the diamond structure, each carbon atom is bonded to four other carbon atoms
+ * in a tetrahedral arrangement. The C-C bond length is approximately 1.54 Angstroms,
+ * a little less than the cutoff from the covalent radii (2 × 0.76 × 1.15 = 1.75 Angstroms).
+ * A bond across the boundary of a periodic supercell is drawn as two halves, each reaching
+ * from one of its atoms halfway to the copy of the other beyond the boundary.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @param {Object[]} bondList - Bonds from findBonds(), or findPeriodicBonds() in periodic.js
+ * @param {number} bondRadius - Radius of the bond cylinders
+ * @param {number} bondColor - Color of the bond cylinders
+ * @param {THREE.Material} bondMaterial - Material shared by all bonds
+ * @returns {THREE.InstancedMesh} The bonds; userData.items are {i, j, distance, ...}, with
+ *     half 1 or 2 for the halves of a bond across the boundary
+ */
+function createBonds(atoms, bondList, bondRadius, bondColor, bondMaterial) {
+    const bonds = bondList.flatMap(bond => {
+        const start = atoms[bond.i].position;
+        const end = atoms[bond.j].position;
+        const common = { ...bond, radius: bondRadius, color: bondColor };
+        if (!bond.shift || bond.shift.every(count => count === 0)) return [{ ...common, start, end }];
+        return [
+            { ...common, half: 1, start, end: start.map((value, axis) => value + bond.vector[axis] / 2) },
+            { ...common, half: 2, start: end, end: end.map((value, axis) => value - bond.vector[axis] / 2) }
+        ];
+    });
+    return createInstancedCylinders(bonds, bondMaterial);
+}
 
-    // Calculate the quaternion that rotates from the default orientation to the desired direction
-    const quaternion = new THREE.Quaternion().setFromUnitVectors(defaultOrientation, direction);
+/**
+ * Creates see-through copies of the atoms on the lower faces, edges and corners of a periodic
+ * supercell, where they repeat on the upper ones.
+ *
+ * @param {Object[]} images - The copies from createBoundaryImages(), as {index, element, position, fractional}
+ * @returns {THREE.InstancedMesh} The copies; userData.items are the images, with what
+ *     share of each lies in a unit cell
+ */
+function createImageAtoms(images) {
+    const copies = createInstancedSpheres(images.map(image => ({
+        ...image,
+        cellShare: cellShare(image.fractional),
+        radius: getDisplayRadius(image.element),
+        color: getElement(image.element).color
+    })), new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: BOUNDARY_IMAGE_OPACITY,
+        depthWrite: false
+    }));
+    copies.name = 'Boundary images';
+    copies.userData.isOverlay = true;
+    return copies;
+}
 
-    // Apply the rotation to the bond
-    bond.setRotationFromQuaternion(quaternion);
+/**
+ * Creates see-through ghosts of the atoms removed at vacancies.
+ *
+ * @param {Object[]} vacancies - The vacancies from applyDefects(), as {site, element, position}
+ * @returns {THREE.InstancedMesh} The ghosts; userData.items are the vacancies
+ */
+function createVacancyGhosts(vacancies) {
+    const ghosts = createInstancedSpheres(vacancies.map(vacancy => ({
+        ...vacancy,
+        radius: getDisplayRadius(vacancy.element),
+        color: VACANCY_COLOR
+    })), new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.2,
+        depthWrite: false
+    }));
+    ghosts.name = 'Vacancies';
+    ghosts.userData.isOverlay = true;
+    return ghosts;
+}
 
-    // Add the bond to the diamond group
-    diamondGroup.add(bond);
+/**
+ * Creates short red stubs for dangling bonds, pointing to where the missing partner was.
+ *
+ * @param {Object[]} dangling - The dangling bonds from findDanglingBonds(), as {atom, towards}
+ * @param {Object[]} atoms - The atoms they belong to
+ * @param {number} bondRadius - Radius of the bond cylinders
+ * @returns {THREE.InstancedMesh} The stubs; userData.items are {atom, start, end, ...}
+ */
+function createDanglingBonds(dangling, atoms, bondRadius) {
+    const stubs = createInstancedCylinders(dangling.map(({ atom, towards }) => {
+        const start = atoms[atom].position;
+        return {
+            atom,
+            start,
+            end: start.map((value, axis) => value + (towards[axis] - value) * DANGLING_BOND_LENGTH),
+            radius: bondRadius,
+            color: DANGLING_BOND_COLOR
+        };
+    }), new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 50 }));
+    stubs.name = 'Dangling bonds';
+    stubs.userData.isOverlay = true;
+    return stubs;
 }
 
 /**
- * Handle window resize
+ * Creates small markers at the interstitial sites, which can be clicked to put an atom there.
+ *
+ * @param {Object[]} sites - The sites from generateInterstitialSites()
+ * @returns {THREE.InstancedMesh} The markers; userData.items are the sites
  */
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function createInterstitialSiteMarkers(sites) {
+    const markers = createInstancedSpheres(sites.map(site => ({
+        ...site,
+        radius: INTERSTITIAL_SITE_RADIUS,
+        color: INTERSTITIAL_SITE_COLOR
+    })), new THREE.MeshPhongMaterial({ color: 0xffffff }));
+    markers.name = 'Interstitial sites';
+    markers.userData.isOverlay = true;
+    return markers;
 }
 
 /**
- * Animation loop
+ * Describes a picked atom, bond or defect marker for its tooltip.
+ *
+ * @param {Object} pick - The pick from createPicker(): {object, item}
+ * @returns {Object|null} The tooltip as {title, lines}, or null for anything else
  */
-function animate() {
-    requestAnimationFrame(animate);
+function describeCrystalPick({ object, item }) {
+    const { atoms, bonds, boundaryImages, vacancies, danglingBonds, interstitialSites } = viewer.content.userData;
+
+    if (object === atoms) {
+        const element = getElement(item.element);
+        const lines = [`Position: ${formatPosition(item.position)} Å`];
+        if (item.defect === 'substitution') {
+            lines.push(`Substituted for ${getElement(item.hostElement).name.toLowerCase()}`);
+        } else if (item.defect === 'interstitial') {
+            lines.push('Interstitial atom');
+        }
+        if (item.fractional) {
+            lines.push(`Fractional: ${formatPosition(item.fractional, 3)}`);
+        }
+        if (item.cellShare) lines.push(CELL_SHARE_DESCRIPTIONS[item.cellShare.place]);
+        lines.push(`Coordination number: ${item.coordination}`);
+        if (item.coordination < item.expectedCoordination) {
+            lines.push(`Fewer bonds than other ${element.name.toLowerCase()} atoms, which have up to ${item.expectedCoordination}`);
+        }
+        return { title: `${element.name} (${element.symbol})`, lines };
+    }
+
+    if (object === bonds) {
+        const elementA = atoms.userData.items[item.i].element;
+        const elementB = atoms.userData.items[item.j].element;
+        const lines = [`Length: ${item.distance.toFixed(3)} Å`];
+        if (item.half) lines.push('Crosses the boundary: each half joins its atom to the copy of the other beyond it');
+        return { title: `${elementA}–${elementB} bond`, lines };
+    }
+
+    if (object === boundaryImages) {
+        const element = getElement(item.element);
+        return {
+            title: `${element.name} (${element.symbol}), repeated`,
+            lines: [
+                `Copy of the atom at ${formatPosition(atoms.userData.items[item.index].position)} Å, on the opposite side of the supercell`,
+                CELL_SHARE_DESCRIPTIONS[item.cellShare.place]
+            ]
+        };
+    }
+
+    if (object === vacancies) {
+        return {
+            title: 'Vacancy',
+            lines: [`Missing ${getElement(item.element).name.toLowerCase()} atom`, `Position: ${formatPosition(item.position)} Å`]
+        };
+    }
+
+    if (object === danglingBonds) {
+        const atom = atoms.userData.items[item.atom];
+        return {
+            title: 'Dangling bond',
+            lines: [`${getElement(atom.element).name} atom whose neighbour is missing or no longer bonded to it`]
+        };
+    }
 
-    // Add a subtle rotation to the diamond structure
-    if (diamondGroup) {
-        diamondGroup.rotation.y += 0.002;
-        diamondGroup.rotation.x += 0.001;
+    if (object === interstitialSites) {
+        return {
+            title: 'Interstitial site',
+            lines: [`Fractional: ${formatPosition(item.fractional, 3)}`, `Nearest atom: ${item.clearance.toFixed(3)} Å away`]
+        };
     }
 
-    controls.update();
-    renderer.render(scene, camera);
+    return null;
 }
 
 // Initialize the visualization when the page loads
@@ -1,11 +1,23 @@
 /**
  * Rectangular Prism Visualization
  *
- * This script visualizes a rectangular prism with dimensions 2×5×11,
- * cut into 110 individual cubes with spaces between each cube.
+ * This script visualizes a rectangular prism (2×5×11 by default),
+ * cut into individual cubes with spaces between each cube.
  *
  * Features:
- * - 110 individual cubes arranged in a 2×5×11 grid
+ * - Individual cubes arranged in a width×height×depth grid
+ * - Dimensions, spacing and cube size adjustable at runtime from the control panel
+ *   or through the URL, e.g. #width=3&height=3&depth=3&spacing=0.5&cubeSize=1
+ * - The URL hash always links to the current view: dimensions, hidden categories and camera
+ *   (see shared/viewer/url_state.js), with a "Copy link" button for worksheets
+ * - Face-count table comparing the cubes counted in each exposure category with the
+ *   closed-form formulas, with toggles to hide categories while students check their answers
+ * - A timeline that builds the prism step by step (see shared/viewer/timeline.js), either
+ *   layer by layer or by cutting one big box into cubes along each axis in turn
+ * - The box unfolded into its nets, with a grid of unit squares to count its surface area
+ *   and a printable SVG with glue tabs (see shared/viewer/unfolding.js)
+ * - A quiz on painted cubes (mathematics/quizzes/rectangular_prism.json), answered by
+ *   clicking cubes or typing counts (see shared/viewer/quiz.js)
  * - Spaces between each cube for better visibility
  * - Interactive rotation and zooming
  * - Enhanced lighting for better 3D perception
@@ -13,181 +25,738 @@
  * The visualization is interactive and can be rotated by clicking and dragging with the mouse.
  */
 
+import * as THREE from '../../shared/vendor/three/three.module.js';
+import { createExportControls } from '../../shared/export/scene_export.js';
+import { createSnapshotControls } from '../../shared/export/snapshot.js';
+import { createPolyhedron, faceNormal } from '../../shared/geometry/polyhedra.js';
+import {
+    createInstancedBoxes,
+    createInstancedOutlines,
+    setItemPosition,
+    setItemVisible,
+    setOutlinePosition,
+    setOutlineVisible
+} from '../../shared/viewer/instancing.js';
+import { createMeasureTool } from '../../shared/viewer/measure.js';
+import { createPicker } from '../../shared/viewer/picking.js';
+import { createQuiz } from '../../shared/viewer/quiz.js';
+import { createSlicer } from '../../shared/viewer/slicing.js';
+import { createTimeline, revealInOrder } from '../../shared/viewer/timeline.js';
+import { createUnfoldTool } from '../../shared/viewer/unfolding.js';
+import { createURLState, readURLParams } from '../../shared/viewer/url_state.js';
+import { createViewer } from '../../shared/viewer/viewer.js';
+
 // Global variables
-let scene, camera, renderer, controls;
+let viewer;
+let urlState;
+let slicer;
+let timeline;
+let unfolder;
+
+// Largest number of cubes allowed along any one dimension
+const MAX_DIMENSION = 20;
+
+// Allowed ranges for the adjustable parameters
+const PARAM_LIMITS = {
+    width: { min: 1, max: MAX_DIMENSION, integer: true },
+    height: { min: 1, max: MAX_DIMENSION, integer: true },
+    depth: { min: 1, max: MAX_DIMENSION, integer: true },
+    spacing: { min: 0, max: 2, integer: false },
+    cubeSize: { min: 0.1, max: 3, integer: false }
+};
+
+// Colors and labels for each exposure category, indexed by the number of exposed faces.
+// Categories 4-6 only occur when one or more dimensions are a single cube thick.
+const EXPOSURE_CATEGORIES = [
+    { color: 0xFF4444, label: 'Interior (0 Faces)' },   // Red
+    { color: 0xFFCC00, label: '1 Face Exposed' },       // Yellow
+    { color: 0x00CC44, label: '2 Faces Exposed' },      // Green
+    { color: 0x0088FF, label: '3 Faces Exposed' },      // Bright blue
+    { color: 0xAA44FF, label: '4 Faces Exposed' },      // Purple
+    { color: 0xFF66CC, label: '5 Faces Exposed' },      // Pink
+    { color: 0xFFFFFF, label: '6 Faces Exposed' }       // White
+];
+
+// Colors of the box's faces in its net, by the axis they face along: opposite faces match,
+// which shows the surface area as 2(ab + bc + ca)
+const NET_FACE_COLORS = [0xFFB3B3, 0xB3E6B3, 0xB3D1FF];
+
+// Exposure categories the user has hidden from the scene
+const hiddenCategories = new Set();
+
+// How the timeline builds the prism: 'layers' (layer by layer) or 'cut' (cut the box into cubes)
+let buildOrder = 'layers';
+
+// Whether the counted and predicted totals are revealed in the face-count table
+let answersRevealed = false;
+
+// Current prism parameters (defaults reproduce the classic 2×5×11 prism)
+const prismParams = {
+    width: 2,
+    height: 5,
+    depth: 11,
+    spacing: 0.2,
+    cubeSize: 1
+};
 
 // Initialize the scene
 function init() {
-    // Create scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x111111);
+    // Read any dimensions given in the URL and connect the panels
+    readParamsFromURL();
+    setupControlPanel();
+    setupFaceCountPanel();
 
-    // Create camera
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.z = 30;
-    camera.position.y = 10;
-    camera.position.x = 10;
+    // Create the viewer, which builds the rectangular prism cut into cubes
+    viewer = createViewer({
+        builder: () => createRectangularPrismWithCubes(prismParams),
+        cameraPosition: [10, 10, 30],
+        // Enhanced lighting for better visibility
+        lights: [
+            { type: 'ambient', color: 0x606060 },
+            { type: 'directional', color: 0xffffff, intensity: 0.7, position: [1, 1, 1] },
+            { type: 'directional', color: 0xffffff, intensity: 0.5, position: [-1, -1, -1] }
+        ]
+    });
+
+    // Cut the prism with a plane to see the cross-section of its cubes
+    slicer = createSlicer(viewer, {
+        enableCheckbox: document.getElementById('slice-enabled'),
+        presetSelect: document.getElementById('slice-preset'),
+        turnInput: document.getElementById('slice-turn'),
+        tiltInput: document.getElementById('slice-tilt'),
+        offsetInput: document.getElementById('slice-offset'),
+        infoElement: document.getElementById('slice-info'),
+        getSolids: () => [viewer.content.userData.cubes],
+        onChange: () => urlState.update()
+    });
 
-    // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.body.appendChild(renderer.domElement);
+    // Build the prism up step by step, in the order chosen in the control panel
+    timeline = createTimeline(viewer, {
+        playButton: document.getElementById('timeline-play'),
+        stepBackButton: document.getElementById('timeline-back'),
+        stepForwardButton: document.getElementById('timeline-forward'),
+        scrubInput: document.getElementById('timeline-scrub'),
+        captionElement: document.getElementById('timeline-caption'),
+        getSteps: () => buildOrder === 'cut'
+            ? createCuttingSteps(prismParams, viewer.content.userData)
+            : createLayerSteps(prismParams, viewer.content.userData),
+        onChange: () => slicer.update()
+    });
 
-    // Add orbit controls for rotation
-    controls = new THREE.OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.25;
-    controls.screenSpacePanning = false;
-    controls.maxDistance = 100;
+    // Unfold the whole box into a net to count the squares of its surface
+    unfolder = createUnfoldTool(viewer, {
+        enableCheckbox: document.getElementById('net-enabled'),
+        netSelect: document.getElementById('net-choice'),
+        unfoldInput: document.getElementById('net-unfold'),
+        playButton: document.getElementById('net-play'),
+        svgButton: document.getElementById('net-svg'),
+        infoElement: document.getElementById('net-info'),
+        getSolid: () => createBoxSolid(prismParams),
+        describeArea: () => describeBoxArea(prismParams),
+        getFileName: () => `prism_${prismParams.width}x${prismParams.height}x${prismParams.depth}`,
+        onChange: () => urlState.update()
+    });
 
-    // Add enhanced lighting for better visibility
-    const ambientLight = new THREE.AmbientLight(0x606060);
-    scene.add(ambientLight);
+    // Keep the dimensions, hidden categories, slice, net and camera in the URL, and restore a linked view
+    urlState = createURLState(viewer, {
+        getParams: () => ({
+            ...prismParams,
+            hide: [...hiddenCategories].sort((a, b) => a - b),
+            ...slicer.getParams(),
+            ...unfolder.getParams()
+        }),
+        copyButton: document.getElementById('copy-link')
+    });
+    updatePrismInfo();
 
-    // Main directional light
-    const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.7);
-    directionalLight1.position.set(1, 1, 1);
-    scene.add(directionalLight1);
+    // Hovering over a cube describes it; clicking pins the description
+    const picker = createPicker(viewer, {
+        describe: describeCubePick,
+        getTargets: () => [viewer.content.userData.cubes]
+    });
 
-    // Secondary directional light from opposite direction
-    const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.5);
-    directionalLight2.position.set(-1, -1, -1);
-    scene.add(directionalLight2);
+    // Measure distances and angles between cube centres
+    const measureTool = createMeasureTool(viewer, picker, {
+        modeSelect: document.getElementById('measure-mode'),
+        clearButton: document.getElementById('measure-clear')
+    });
 
-    // Create the rectangular prism cut into cubes
-    createRectangularPrismWithCubes();
+    // Ask questions about the painted cubes, answered by clicking cubes or typing counts;
+    // clicking answers the quiz or measures, whichever was chosen last
+    const quiz = createQuiz(viewer, picker, {
+        panel: document.getElementById('quiz'),
+        bodyElement: document.getElementById('quiz-body'),
+        openButton: document.getElementById('quiz-open'),
+        fileInput: document.getElementById('quiz-file'),
+        visualization: 'rectangular_prism_visualization',
+        quizURL: '../quizzes/rectangular_prism.json',
+        kinds: {
+            cube: {
+                label: 'cubes',
+                getObjects: () => [viewer.content.userData.cubes],
+                getProperties: ({ item }) => ({
+                    exposedFaces: item.exposedFaces,
+                    x: item.gridIndex[0] + 1,
+                    y: item.gridIndex[1] + 1,
+                    z: item.gridIndex[2] + 1
+                })
+            }
+        },
+        getSettings: () => ({ ...prismParams }),
+        onTakeClicks: () => measureTool.setMode('off')
+    });
+    document.getElementById('measure-mode').addEventListener('change', event => {
+        if (event.target.value !== 'off') quiz.stopPicking();
+    });
 
-    // Add window resize handler
-    window.addEventListener('resize', onWindowResize, false);
+    // Export what is shown for 3D printing and other 3D software
+    createExportControls(viewer, {
+        glbButton: document.getElementById('export-glb'),
+        stlButton: document.getElementById('export-stl'),
+        objButton: document.getElementById('export-obj'),
+        sizeInput: document.getElementById('export-size'),
+        getFileName: () => `prism_${prismParams.width}x${prismParams.height}x${prismParams.depth}`
+    });
 
-    // Start animation loop
-    animate();
+    // Save a large picture or a line drawing of the prism for worksheets
+    createSnapshotControls(viewer, {
+        pngButton: document.getElementById('snapshot-png'),
+        svgButton: document.getElementById('snapshot-svg'),
+        sizeInput: document.getElementById('snapshot-size'),
+        transparentCheckbox: document.getElementById('snapshot-transparent'),
+        getFileName: () => `prism_${prismParams.width}x${prismParams.height}x${prismParams.depth}`
+    });
 }
 
 /**
- * Creates a rectangular prism with dimensions 2×5×11, cut into 110 individual cubes with spaces.
- * Cubes are colored differently based on their exposure:
- * - Cubes with 3 faces exposed: bright blue
- * - Cubes with 2 faces exposed: green
- * - Cubes with 1 face exposed: yellow
- * - Interior cubes (0 faces exposed): red
+ * Clamps a parameter value to its allowed range, rounding dimensions to whole cubes.
+ *
+ * @param {string} name - The parameter name (a key of PARAM_LIMITS)
+ * @param {number} value - The requested value
+ * @returns {number} The value clamped to the parameter's range, or the current value if not a number
  */
-function createRectangularPrismWithCubes() {
-    // Define the dimensions of the rectangular prism
-    const width = 2;
-    const height = 5;
-    const depth = 11;
+function clampParam(name, value) {
+    const limits = PARAM_LIMITS[name];
+    if (!Number.isFinite(value)) {
+        return prismParams[name];
+    }
+    const clamped = Math.min(limits.max, Math.max(limits.min, value));
+    return limits.integer ? Math.round(clamped) : clamped;
+}
 
-    // Define the space between cubes
-    const spacing = 0.2;
+/**
+ * Reads prism parameters and hidden categories from the URL, e.g. #width=3&height=4&depth=5&hide=0,1
+ * (older links give them in the query string). Missing or invalid values keep their defaults.
+ */
+function readParamsFromURL() {
+    const params = readURLParams();
+    Object.keys(PARAM_LIMITS).forEach(name => {
+        if (params.has(name)) {
+            prismParams[name] = clampParam(name, parseFloat(params.get(name)));
+        }
+    });
+    (params.get('hide') || '').split(',').forEach(value => {
+        const exposedFaces = parseInt(value, 10);
+        if (exposedFaces >= 0 && exposedFaces < EXPOSURE_CATEGORIES.length) {
+            hiddenCategories.add(exposedFaces);
+        }
+    });
+}
 
-    // Calculate the size of each cube (accounting for spacing)
-    const cubeSize = 1;
+/**
+ * Connects the inputs of the control panel to the prism parameters.
+ * Every change rebuilds the prism immediately.
+ */
+function setupControlPanel() {
+    Object.keys(PARAM_LIMITS).forEach(name => {
+        const input = document.getElementById(`param-${name}`);
+        const output = document.getElementById(`param-${name}-value`);
 
-    // Create a group to hold all cubes
-    const prismGroup = new THREE.Group();
+        input.min = PARAM_LIMITS[name].min;
+        input.max = PARAM_LIMITS[name].max;
+        input.value = prismParams[name];
+        if (output) {
+            output.textContent = prismParams[name];
+        }
 
-    // Create a geometry for the cubes
-    const cubeGeometry = new THREE.BoxGeometry(cubeSize, cubeSize, cubeSize);
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            // Ignore incomplete input (e.g. an emptied number field) until it is a number again
+            if (!Number.isFinite(value)) {
+                return;
+            }
+            prismParams[name] = clampParam(name, value);
+            if (output) {
+                output.textContent = prismParams[name];
+            }
+            rebuildPrism();
+        });
 
-    // Define materials for different types of cubes
-    const threeFacesExposedMaterial = new THREE.MeshPhongMaterial({
-        color: 0x0088FF,  // Bright blue
-        transparent: true,
-        opacity: 0.8,
-        specular: 0x111111,
-        shininess: 30
+        // Show the clamped value once the user leaves the field
+        input.addEventListener('change', () => {
+            input.value = prismParams[name];
+        });
     });
 
-    const twoFacesExposedMaterial = new THREE.MeshPhongMaterial({
-        color: 0x00CC44,  // Green
-        transparent: true,
-        opacity: 0.8,
-        specular: 0x111111,
-        shininess: 30
+    const buildOrderSelect = document.getElementById('timeline-mode');
+    buildOrderSelect.value = buildOrder;
+    buildOrderSelect.addEventListener('change', () => {
+        buildOrder = buildOrderSelect.value;
+        timeline.update();
     });
+}
 
-    const oneFaceExposedMaterial = new THREE.MeshPhongMaterial({
-        color: 0xFFCC00,  // Yellow
-        transparent: true,
-        opacity: 0.8,
-        specular: 0x111111,
-        shininess: 30
+/**
+ * Replaces the current prism with one built from the current parameters,
+ * and updates the title, cube count and URL to match.
+ */
+function rebuildPrism() {
+    viewer.rebuild();
+    updatePrismInfo();
+}
+
+/**
+ * Updates everything that describes the current prism: title, face-count table and URL.
+ */
+function updatePrismInfo() {
+    updateTitle();
+    updateFaceCountTable();
+    urlState.update();
+}
+
+/**
+ * Updates the on-screen title with the current dimensions and cube count.
+ */
+function updateTitle() {
+    const { width, height, depth } = prismParams;
+    const cubeCount = width * height * depth;
+    const cubeLabel = cubeCount === 1 ? 'Cube' : 'Cubes';
+    document.getElementById('info').textContent =
+        `Rectangular Prism (${width}×${height}×${depth}) Cut Into ${cubeCount} ${cubeLabel} with Spaces`;
+}
+
+/**
+ * Counts how many faces of the cube at grid position (x, y, z) lie on the outside of the prism.
+ * Along each axis a cube exposes one face if it is at either end of the row, or two faces
+ * if the row is only one cube long (it is at both ends at once).
+ *
+ * @param {number} x - Grid index along the x axis
+ * @param {number} y - Grid index along the y axis
+ * @param {number} z - Grid index along the z axis
+ * @param {number} width - Number of cubes along the x axis
+ * @param {number} height - Number of cubes along the y axis
+ * @param {number} depth - Number of cubes along the z axis
+ * @returns {number} The number of exposed faces, from 0 to 6
+ */
+function countExposedFaces(x, y, z, width, height, depth) {
+    return exposedFacesAlongAxis(x, width) +
+        exposedFacesAlongAxis(y, height) +
+        exposedFacesAlongAxis(z, depth);
+}
+
+/**
+ * Counts the exposed faces of a cube along one axis of the prism.
+ *
+ * @param {number} index - The cube's grid index along the axis
+ * @param {number} size - Number of cubes along the axis
+ * @returns {number} 0, 1 or 2 exposed faces
+ */
+function exposedFacesAlongAxis(index, size) {
+    if (size === 1) return 2;
+    return (index === 0 || index === size - 1) ? 1 : 0;
+}
+
+/**
+ * Predicts how many cubes fall in each exposure category using closed-form counting.
+ *
+ * Along an axis of n cubes, 2 cubes expose one face each and n - 2 expose none, which we
+ * write as the polynomial 2t + (n - 2); a row of a single cube exposes both faces (t²).
+ * Multiplying the three axis polynomials gives a polynomial whose coefficient of t^k is
+ * the number of cubes with exactly k exposed faces. For a×b×c with every side at least 2
+ * this expands to the familiar formulas: 8 corners, 4(a-2)+4(b-2)+4(c-2) edge cubes,
+ * 2(a-2)(b-2)+2(b-2)(c-2)+2(a-2)(c-2) face cubes and (a-2)(b-2)(c-2) interior cubes.
+ *
+ * @param {number} width - Number of cubes along the x axis
+ * @param {number} height - Number of cubes along the y axis
+ * @param {number} depth - Number of cubes along the z axis
+ * @returns {number[]} Predicted cube counts indexed by number of exposed faces (length 7)
+ */
+function predictExposedFaceCounts(width, height, depth) {
+    // Coefficients of the running product, indexed by power of t
+    let counts = [1];
+
+    [width, height, depth].forEach(size => {
+        const axis = size === 1 ? [0, 0, 1] : [size - 2, 2];
+        const product = new Array(counts.length + axis.length - 1).fill(0);
+        counts.forEach((a, i) => {
+            axis.forEach((b, j) => {
+                product[i + j] += a * b;
+            });
+        });
+        counts = product;
     });
 
-    const interiorCubeMaterial = new THREE.MeshPhongMaterial({
-        color: 0xFF4444,  // Red
-        transparent: true,
-        opacity: 0.8,
-        specular: 0x111111,
-        shininess: 30
+    while (counts.length < EXPOSURE_CATEGORIES.length) {
+        counts.push(0);
+    }
+    return counts;
+}
+
+/**
+ * Describes the closed-form formula for one exposure category with a, b, c the prism dimensions.
+ *
+ * @param {number} exposedFaces - The exposure category (0-6)
+ * @param {number[]} dimensions - The prism dimensions [a, b, c]
+ * @returns {string} A human-readable formula
+ */
+function describeExposedFaceFormula(exposedFaces, dimensions) {
+    if (dimensions.some(size => size === 1)) {
+        // The classic formulas assume every side is at least 2 cubes long
+        return `coefficient of t${superscript(exposedFaces)} in P(a)·P(b)·P(c)`;
+    }
+    switch (exposedFaces) {
+        case 3: return '8';
+        case 2: return '4(a−2) + 4(b−2) + 4(c−2)';
+        case 1: return '2(a−2)(b−2) + 2(b−2)(c−2) + 2(a−2)(c−2)';
+        case 0: return '(a−2)(b−2)(c−2)';
+        default: return '0 (needs a side of 1)';
+    }
+}
+
+/**
+ * Formats a small non-negative integer as superscript digits.
+ *
+ * @param {number} n - The number to format
+ * @returns {string} The superscript representation
+ */
+function superscript(n) {
+    const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    return String(n).split('').map(d => digits[Number(d)]).join('');
+}
+
+/**
+ * Connects the face-count panel's "reveal" button.
+ */
+function setupFaceCountPanel() {
+    const revealButton = document.getElementById('reveal-answers');
+    revealButton.addEventListener('click', () => {
+        answersRevealed = !answersRevealed;
+        revealButton.textContent = answersRevealed ? 'Hide answers' : 'Reveal answers';
+        updateFaceCountTable();
     });
+}
 
-    // Create 110 cubes arranged in a 2×5×11 grid with spacing
-    for (let x = 0; x < width; x++) {
-        for (let y = 0; y < height; y++) {
-            for (let z = 0; z < depth; z++) {
-                // Determine how many faces are exposed
-                let exposedFaces = 0;
-
-                // Check if the cube is on any of the outer faces of the prism
-                if (x === 0 || x === width - 1) exposedFaces++;
-                if (y === 0 || y === height - 1) exposedFaces++;
-                if (z === 0 || z === depth - 1) exposedFaces++;
-
-                // Select the appropriate material based on exposure
-                let material;
-                if (exposedFaces === 3) {
-                    material = threeFacesExposedMaterial;
-                } else if (exposedFaces === 2) {
-                    material = twoFacesExposedMaterial;
-                } else if (exposedFaces === 1) {
-                    material = oneFaceExposedMaterial;
-                } else {
-                    material = interiorCubeMaterial;
-                }
-
-                const cube = new THREE.Mesh(cubeGeometry, material);
-
-                // Position the cube with spacing
-                cube.position.x = x * (cubeSize + spacing) - (width * (cubeSize + spacing) / 2) + (cubeSize + spacing) / 2;
-                cube.position.y = y * (cubeSize + spacing) - (height * (cubeSize + spacing) / 2) + (cubeSize + spacing) / 2;
-                cube.position.z = z * (cubeSize + spacing) - (depth * (cubeSize + spacing) / 2) + (cubeSize + spacing) / 2;
-
-                // Add edges to the cube for better visibility
-                const edges = new THREE.EdgesGeometry(cubeGeometry);
-                const line = new THREE.LineSegments(
-                    edges,
-                    new THREE.LineBasicMaterial({ color: 0x000000 })
-                );
-                cube.add(line);
-
-                // Add the cube to the group
-                prismGroup.add(cube);
-            }
+/**
+ * Rebuilds the face-count table: one row per exposure category with its color, a visibility
+ * toggle, the number of cubes counted in the scene and the number predicted by the formula.
+ * Categories 4-6 are only listed when the current dimensions can produce them.
+ */
+function updateFaceCountTable() {
+    const { width, height, depth } = prismParams;
+    const dimensions = [width, height, depth];
+    const predicted = predictExposedFaceCounts(width, height, depth);
+
+    // Count the cubes actually built in each category
+    const counted = new Array(EXPOSURE_CATEGORIES.length).fill(0);
+    viewer.content.userData.cubes.userData.items.forEach(cube => {
+        counted[cube.exposedFaces]++;
+    });
+
+    const tableBody = document.getElementById('face-count-rows');
+    tableBody.innerHTML = '';
+
+    const hasThinSide = dimensions.some(size => size === 1);
+    document.getElementById('face-count-note').style.display = hasThinSide ? 'block' : 'none';
+
+    EXPOSURE_CATEGORIES.forEach((category, exposedFaces) => {
+        if (exposedFaces > 3 && !hasThinSide) return;
+
+        const row = document.createElement('tr');
+
+        // Color swatch and visibility toggle
+        const toggleCell = document.createElement('td');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = !hiddenCategories.has(exposedFaces);
+        toggle.title = 'Show or hide these cubes';
+        toggle.addEventListener('change', () => {
+            setCategoryVisible(exposedFaces, toggle.checked);
+        });
+        const swatch = document.createElement('span');
+        swatch.className = 'color-box';
+        swatch.style.backgroundColor = `#${category.color.toString(16).padStart(6, '0')}`;
+        toggleCell.append(toggle, swatch, category.label);
+
+        // Counted and predicted totals, hidden until the answers are revealed
+        const countCell = document.createElement('td');
+        const formulaCell = document.createElement('td');
+        const checkCell = document.createElement('td');
+        if (answersRevealed) {
+            const matches = counted[exposedFaces] === predicted[exposedFaces];
+            countCell.textContent = counted[exposedFaces];
+            formulaCell.textContent =
+                `${describeExposedFaceFormula(exposedFaces, dimensions)} = ${predicted[exposedFaces]}`;
+            checkCell.textContent = matches ? '✓' : '✗';
+            checkCell.className = matches ? 'match' : 'mismatch';
+        } else {
+            countCell.textContent = '?';
+            formulaCell.textContent = '?';
         }
+
+        row.append(toggleCell, countCell, formulaCell, checkCell);
+        tableBody.appendChild(row);
+    });
+
+    const total = counted.reduce((sum, n) => sum + n, 0);
+    document.getElementById('face-count-total').textContent =
+        answersRevealed ? `Total: ${total} = ${width}×${height}×${depth}` : '';
+}
+
+/**
+ * Shows or hides every cube in one exposure category.
+ *
+ * @param {number} exposedFaces - The exposure category (0-6)
+ * @param {boolean} visible - Whether the cubes should be shown
+ */
+function setCategoryVisible(exposedFaces, visible) {
+    if (visible) {
+        hiddenCategories.delete(exposedFaces);
+    } else {
+        hiddenCategories.add(exposedFaces);
     }
+    const { cubes, outlines } = viewer.content.userData;
+    cubes.userData.items.forEach((cube, index) => {
+        if (cube.exposedFaces === exposedFaces) {
+            setItemVisible(cubes, index, visible);
+            setOutlineVisible(outlines, index, visible);
+        }
+    });
+    // Cubes the timeline has not built yet stay hidden
+    timeline.update();
+    slicer.update();
+    urlState.update();
+}
+
+/**
+ * Lists the timeline steps that build the prism layer by layer, from the bottom up.
+ * Within each layer the cubes appear one by one.
+ *
+ * @param {Object} params - The prism parameters
+ * @param {Object} parts - The prism's parts from createRectangularPrismWithCubes(): {cubes, outlines}
+ * @returns {Object[]} The steps as {caption, show(fraction)}, see createTimeline()
+ */
+function createLayerSteps({ width, height, depth }, { cubes, outlines }) {
+    const items = cubes.userData.items;
+
+    // The cutting steps may have moved the cubes; put them back where they were built
+    items.forEach((cube, index) => {
+        setItemPosition(cubes, index, cube.position);
+        setOutlinePosition(outlines, index, cube.position);
+    });
+
+    const layerSize = width * depth;
+    return Array.from({ length: height }, (unused, y) => {
+        const order = items.map((cube, index) => index).filter(index => items[index].gridIndex[1] === y);
+        return {
+            caption: `Layer ${y + 1} of ${height}: ${width}×${depth} = ${layerSize} cubes, ` +
+                `${layerSize * (y + 1)} in all`,
+            show: fraction => revealInOrder(order, fraction, (index, shown) => setCubeShown(cubes, outlines, index, shown))
+        };
+    });
+}
+
+/**
+ * Lists the timeline steps that cut one big box into the prism's cubes: the whole box first,
+ * then a cut along each axis in turn, opening up the spaces between the pieces.
+ * Axes only one cube long need no cut.
+ *
+ * @param {Object} params - The prism parameters
+ * @param {Object} parts - The prism's parts from createRectangularPrismWithCubes(): {cubes, outlines}
+ * @returns {Object[]} The steps as {caption, show(fraction)}, see createTimeline()
+ */
+function createCuttingSteps({ width, height, depth, spacing, cubeSize }, { cubes, outlines }) {
+    const items = cubes.userData.items;
+    const dimensions = [width, height, depth];
+    const cutAxes = [0, 1, 2].filter(axis => dimensions[axis] > 1);
 
-    // Add the group to the scene
-    scene.add(prismGroup);
+    // How far each step has got: whether the box is shown, and how far each cut has opened
+    const progress = { box: 1, cuts: [1, 1, 1] };
+    const arrangeCubes = () => {
+        const shown = progress.box > 0;
+        // The box shows no outlines inside it until it is cut
+        const isCut = cutAxes.length === 0 || cutAxes.some(axis => progress.cuts[axis] > 0);
+        items.forEach((cube, index) => {
+            const position = cube.gridIndex.map((gridIndex, axis) =>
+                (gridIndex - (dimensions[axis] - 1) / 2) * (cubeSize + spacing * progress.cuts[axis]));
+            setItemPosition(cubes, index, position);
+            setOutlinePosition(outlines, index, position);
+            setCubeShown(cubes, outlines, index, shown, isCut);
+        });
+    };
+
+    // Pieces named by how many of the axes still to be cut run through them
+    const pieceNames = ['cubes', 'rods', 'slabs'];
+    const steps = [{
+        caption: cutAxes.length === 0 ? 'A single cube' : `One big ${width}×${height}×${depth} box`,
+        show: fraction => {
+            progress.box = fraction;
+            arrangeCubes();
+        }
+    }];
+    let count = 1;
+    cutAxes.forEach((axis, rank) => {
+        const before = rank === 0 ? 'the box becomes' : `${count} ${pieceNames[cutAxes.length - rank]} become`;
+        count *= dimensions[axis];
+        steps.push({
+            caption: `Cut along the ${'xyz'[axis]} axis: ${before} ${count} ${pieceNames[cutAxes.length - rank - 1]}`,
+            show: fraction => {
+                progress.cuts[axis] = fraction;
+                arrangeCubes();
+            }
+        });
+    });
+    return steps;
+}
+
+/**
+ * Shows or hides one cube and its outline for the timeline. Cubes in a hidden exposure
+ * category stay hidden.
+ *
+ * @param {THREE.InstancedMesh} cubes - The cubes
+ * @param {THREE.LineSegments} outlines - The cubes' outlines
+ * @param {number} index - Index of the cube's item
+ * @param {boolean} shown - Whether the timeline has built the cube
+ * @param {boolean} [outlined=true] - Whether to draw its outline
+ */
+function setCubeShown(cubes, outlines, index, shown, outlined = true) {
+    const visible = shown && !hiddenCategories.has(cubes.userData.items[index].exposedFaces);
+    setItemVisible(cubes, index, visible);
+    setOutlineVisible(outlines, index, visible && outlined);
+}
+
+/**
+ * Describes the whole box the cubes make up, for unfolding into a net: one face per side,
+ * colored by the axis it faces along, with a grid of one square per cube face.
+ *
+ * @param {Object} params - The prism parameters
+ * @returns {Object} The solid for createUnfoldTool(): {polyhedron, name, faceColors, gridStep}
+ */
+function createBoxSolid({ width, height, depth, cubeSize }) {
+    const half = [width, height, depth].map(size => size * cubeSize / 2);
+    const corners = [];
+    [-1, 1].forEach(sx => [-1, 1].forEach(sy => [-1, 1].forEach(sz => {
+        corners.push([sx * half[0], sy * half[1], sz * half[2]]);
+    })));
+    const polyhedron = createPolyhedron(corners);
+    const faceColors = polyhedron.faces.map(face => {
+        const normal = faceNormal(polyhedron, face).map(Math.abs);
+        return NET_FACE_COLORS[normal.indexOf(Math.max(...normal))];
+    });
+    return { polyhedron, name: `${width}×${height}×${depth} box`, faceColors, gridStep: cubeSize };
 }
 
 /**
- * Handle window resize
+ * Works out the box's surface area in squares, one per cube face, from its dimensions.
+ *
+ * @param {Object} params - The prism parameters
+ * @returns {string} The working, e.g. "Surface area = 2(ab + bc + ca) = 2(2×5 + 5×11 + 11×2) = 174 squares"
  */
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function describeBoxArea({ width, height, depth }) {
+    const area = 2 * (width * height + height * depth + depth * width);
+    return `Surface area = 2(ab + bc + ca) = 2(${width}×${height} + ${height}×${depth} + ${depth}×${width}) = ${area} squares`;
 }
 
 /**
- * Animation loop
+ * Describes a picked cube for its tooltip: where it sits in the grid and how many faces it shows.
+ *
+ * @param {Object} pick - The pick from createPicker(): {item}
+ * @returns {Object} The tooltip as {title, lines}
  */
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
-    renderer.render(scene, camera);
+function describeCubePick({ item }) {
+    const { width, height, depth } = prismParams;
+    const [x, y, z] = item.gridIndex;
+    return {
+        title: `Cube (${x + 1}, ${y + 1}, ${z + 1})`,
+        lines: [
+            `Grid position, counted from 1: ${x + 1} of ${width} across, ${y + 1} of ${height} up, ${z + 1} of ${depth} deep`,
+            `Exposed faces: ${item.exposedFaces}`
+        ]
+    };
+}
+
+/**
+ * Creates a rectangular prism of width×height×depth cubes, with spaces between the cubes.
+ * Cubes are colored differently based on their exposure (see EXPOSURE_CATEGORIES):
+ * - Cubes with 3 faces exposed: bright blue
+ * - Cubes with 2 faces exposed: green
+ * - Cubes with 1 face exposed: yellow
+ * - Interior cubes (0 faces exposed): red
+ * - Cubes with 4, 5 or 6 faces exposed (only when a dimension is 1): purple, pink, white
+ *
+ * @param {Object} params - The prism parameters
+ * @param {number} params.width - Number of cubes along the x axis
+ * @param {number} params.height - Number of cubes along the y axis
+ * @param {number} params.depth - Number of cubes along the z axis
+ * @param {number} params.spacing - Space between neighbouring cubes
+ * @param {number} params.cubeSize - Edge length of each cube
+ * @returns {THREE.Group} A group holding the cubes (one instanced mesh) and their outlines
+ */
+function createRectangularPrismWithCubes({ width, height, depth, spacing, cubeSize }) {
+    // Create a group to hold all cubes
+    const group = new THREE.Group();
+
+    // Describe the cubes arranged in a width×height×depth grid with spacing
+    const cubeItems = [];
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            for (let z = 0; z < depth; z++) {
+                // Determine how many faces are exposed and pick the matching color
+                const exposedFaces = countExposedFaces(x, y, z, width, height, depth);
+
+                cubeItems.push({
+                    gridIndex: [x, y, z],
+                    exposedFaces,
+                    color: EXPOSURE_CATEGORIES[exposedFaces].color,
+                    size: cubeSize,
+                    // Position the cube with spacing
+                    position: [
+                        x * (cubeSize + spacing) - (width * (cubeSize + spacing) / 2) + (cubeSize + spacing) / 2,
+                        y * (cubeSize + spacing) - (height * (cubeSize + spacing) / 2) + (cubeSize + spacing) / 2,
+                        z * (cubeSize + spacing) - (depth * (cubeSize + spacing) / 2) + (cubeSize + spacing) / 2
+                    ]
+                });
+            }
+        }
+    }
+
+    // Draw all cubes as one instanced mesh, each tinted with its exposure category's color
+    const material = new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.8,
+        specular: 0x111111,
+        shininess: 30
+    });
+    const cubes = createInstancedBoxes(cubeItems, material);
+    cubes.name = 'Cubes';
+    group.add(cubes);
+
+    // Add edges to the cubes for better visibility, all in a single line object
+    const outlines = createInstancedOutlines(cubes, new THREE.LineBasicMaterial({ color: 0x000000 }));
+    group.add(outlines);
+
+    // Apply the category toggles from the face count table
+    cubeItems.forEach((cube, index) => {
+        if (hiddenCategories.has(cube.exposedFaces)) {
+            setItemVisible(cubes, index, false);
+            setOutlineVisible(outlines, index, false);
+        }
+    });
+
+    // Keep the parts for counting, toggling and picking
+    group.userData = { cubes, outlines };
+
+    return group;
 }
 
 // Initialize the visualization when the page loads
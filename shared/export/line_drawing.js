@@ -0,0 +1,377 @@
+/**
+ * Line Drawings with Hidden Lines Removed
+ *
+ * Turns a view into a black and white vector drawing for printed worksheets: the edges of
+ * solids, the outlines of atoms and bonds, and labels, with the parts hidden behind other
+ * objects left out. Lines behind see-through faces (such as the faces of the tetrahedra) are
+ * drawn dashed, as hidden edges are in technical drawings.
+ *
+ * Hidden lines are found with depth buffers, like a renderer's:
+ * 1. Every surface is drawn into a depth buffer that keeps the nearest depth under each
+ *    pixel. A second buffer gets only the opaque surfaces.
+ * 2. Each line is sampled every fraction of a pixel. A sample is visible when no surface is
+ *    in front of it, dashed when only see-through surfaces are, and hidden otherwise.
+ *
+ * A line lying on a surface (an edge of a cube, the outline of an atom) has the same depth as
+ * that surface, so each sample is compared with the farthest of the 3×3 pixels around it, and
+ * with a small tolerance: a line is only hidden by surfaces clearly in front of it.
+ *
+ * Points are [x, y, depth]: x and y in the drawing's units from its top left corner, depth
+ * the distance in front of the camera. The caller projects the scene (see snapshot.js).
+ */
+
+import { escapeXML } from './writers.js';
+
+// Depth buffer pixels along the longest side of the drawing
+const DEPTH_BUFFER_SIZE = 2048;
+
+// How much nearer than a line, as a fraction of its depth, a surface must be to hide it
+const DEPTH_TOLERANCE = 2e-3;
+
+// Distance between samples along a line, in depth buffer pixels
+const SAMPLE_SPACING = 0.5;
+
+// How each sample of a line is drawn
+const LINE_VISIBLE = 0;
+const LINE_DASHED = 1;
+const LINE_HIDDEN = 2;
+
+// Line widths, dash pattern and label size, in the drawing's units (pixels of the view)
+const DRAWING_LINE_WIDTH = 1;
+const DRAWING_DASHED_WIDTH = 0.6;
+const DRAWING_DASHES = '4 3';
+const DRAWING_DOT_RADIUS = 1.5;
+const DRAWING_FONT_SIZE = 14;
+
+/**
+ * Creates an empty line drawing.
+ *
+ * @param {number} width - Width of the drawing, e.g. of the view in pixels
+ * @param {number} height - Height of the drawing
+ * @param {number} [bufferSize=DEPTH_BUFFER_SIZE] - Depth buffer pixels along the longest side
+ * @returns {Object} The drawing: {width, height, scale, columns, rows, surfaces, opaque,
+ *     lines, circles, dots, labels}; add to it with the functions below and write it with
+ *     writeLineDrawingSVG()
+ */
+function createLineDrawing(width, height, bufferSize = DEPTH_BUFFER_SIZE) {
+    const scale = bufferSize / Math.max(width, height);
+    const columns = Math.max(1, Math.ceil(width * scale));
+    const rows = Math.max(1, Math.ceil(height * scale));
+    return {
+        width,
+        height,
+        scale,
+        columns,
+        rows,
+        // Nearest depth of any surface, and of the opaque ones, under each pixel
+        surfaces: new Float32Array(columns * rows).fill(Infinity),
+        opaque: new Float32Array(columns * rows).fill(Infinity),
+        // Straight lines as {points: [[x, y], ...], dashed}
+        lines: [],
+        // Whole circles as {center: [x, y], radius}
+        circles: [],
+        dots: [],
+        labels: []
+    };
+}
+
+/**
+ * Draws a triangle of a surface into the depth buffers. Depth is interpolated the way it
+ * is in perspective, through its reciprocal.
+ *
+ * @param {Object} drawing - The drawing from createLineDrawing()
+ * @param {number[][]} corners - The triangle's three corners as [x, y, depth]
+ * @param {boolean} isOpaque - Whether the surface hides what is behind it
+ */
+function addTriangle(drawing, corners, isOpaque) {
+    const { scale, columns, rows } = drawing;
+    const [a, b, c] = corners.map(([x, y, depth]) => [x * scale, y * scale, 1 / depth]);
+    const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    if (Math.abs(area) < 1e-12) return;
+
+    const minColumn = Math.max(0, Math.floor(Math.min(a[0], b[0], c[0])));
+    const maxColumn = Math.min(columns - 1, Math.ceil(Math.max(a[0], b[0], c[0])));
+    const minRow = Math.max(0, Math.floor(Math.min(a[1], b[1], c[1])));
+    const maxRow = Math.min(rows - 1, Math.ceil(Math.max(a[1], b[1], c[1])));
+
+    for (let row = minRow; row <= maxRow; row++) {
+        const y = row + 0.5;
+        for (let column = minColumn; column <= maxColumn; column++) {
+            const x = column + 0.5;
+            // Barycentric weights of the pixel's centre; all the same sign inside
+            const wa = ((b[0] - x) * (c[1] - y) - (b[1] - y) * (c[0] - x)) / area;
+            const wb = ((c[0] - x) * (a[1] - y) - (c[1] - y) * (a[0] - x)) / area;
+            const wc = 1 - wa - wb;
+            if (wa < 0 || wb < 0 || wc < 0) continue;
+            writeDepth(drawing, row * columns + column, 1 / (wa * a[2] + wb * b[2] + wc * c[2]), isOpaque);
+        }
+    }
+}
+
+/**
+ * Draws a sphere into the depth buffers as a disc whose depth bulges towards the viewer,
+ * which is exact enough for outlines and much faster than its triangles.
+ *
+ * @param {Object} drawing - The drawing from createLineDrawing()
+ * @param {number[]} center - The sphere's centre as [x, y, depth]
+ * @param {number} radius - Radius of its outline in the drawing's units
+ * @param {number} depthRadius - Its radius in the units of depth
+ * @param {boolean} isOpaque - Whether the sphere hides what is behind it
+ */
+function addSphere(drawing, center, radius, depthRadius, isOpaque) {
+    const { scale, columns, rows } = drawing;
+    const [cx, cy] = [center[0] * scale, center[1] * scale];
+    const r = radius * scale;
+    const minColumn = Math.max(0, Math.floor(cx - r));
+    const maxColumn = Math.min(columns - 1, Math.ceil(cx + r));
+    const minRow = Math.max(0, Math.floor(cy - r));
+    const maxRow = Math.min(rows - 1, Math.ceil(cy + r));
+
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let column = minColumn; column <= maxColumn; column++) {
+            const distance = Math.hypot(column + 0.5 - cx, row + 0.5 - cy) / r;
+            if (distance > 1) continue;
+            writeDepth(drawing, row * columns + column, center[2] - depthRadius * Math.sqrt(1 - distance * distance), isOpaque);
+        }
+    }
+}
+
+/**
+ * Keeps a surface's depth in a pixel of the buffers if it is the nearest so far.
+ *
+ * @param {Object} drawing - The drawing
+ * @param {number} pixel - Index of the pixel
+ * @param {number} depth - Depth of the surface there
+ * @param {boolean} isOpaque - Whether the surface is opaque
+ */
+function writeDepth(drawing, pixel, depth, isOpaque) {
+    if (depth < drawing.surfaces[pixel]) drawing.surfaces[pixel] = depth;
+    if (isOpaque && depth < drawing.opaque[pixel]) drawing.opaque[pixel] = depth;
+}
+
+/**
+ * Finds how a point of a line is drawn: visible, dashed or hidden.
+ *
+ * @param {Object} drawing - The drawing, with its surfaces added
+ * @param {number[]} point - The point as [x, y, depth]
+ * @returns {number} LINE_VISIBLE, LINE_DASHED or LINE_HIDDEN
+ */
+function classifyPoint(drawing, [x, y, depth]) {
+    const { scale, columns, rows, surfaces, opaque } = drawing;
+    const column = Math.floor(x * scale);
+    const row = Math.floor(y * scale);
+    const limit = depth * (1 - DEPTH_TOLERANCE);
+
+    // The farthest surfaces in the pixels around the point; outside the drawing nothing hides it
+    let farthestSurface = -Infinity;
+    let farthestOpaque = -Infinity;
+    if (column < 0 || row < 0 || column >= columns || row >= rows) return LINE_VISIBLE;
+    for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = column - 1; c <= column + 1; c++) {
+            if (r < 0 || c < 0 || r >= rows || c >= columns) continue;
+            farthestSurface = Math.max(farthestSurface, surfaces[r * columns + c]);
+            farthestOpaque = Math.max(farthestOpaque, opaque[r * columns + c]);
+        }
+    }
+    if (farthestSurface >= limit) return LINE_VISIBLE;
+    return farthestOpaque >= limit ? LINE_DASHED : LINE_HIDDEN;
+}
+
+/**
+ * Adds a straight line, split into its visible and dashed parts. The caller gives points
+ * along the line close enough together, see lineSampleCount(), so that the ends of the
+ * parts are found precisely.
+ *
+ * @param {Object} drawing - The drawing, with its surfaces added
+ * @param {Array<number[]|null>} samples - Points along the line as [x, y, depth], from one end
+ *     to the other; null for points cut away (e.g. by the slicing plane), which are not drawn
+ */
+function addLine(drawing, samples) {
+    traceSamples(drawing, samples, false).forEach(({ points, dashed }) => {
+        drawing.lines.push({ points: [points[0], points[points.length - 1]], dashed });
+    });
+}
+
+/**
+ * Adds a closed outline, e.g. of an atom. A circle that is completely visible is kept as
+ * a circle; otherwise its visible and dashed parts are added as curves.
+ *
+ * @param {Object} drawing - The drawing, with its surfaces added
+ * @param {number[]} center - The circle's centre as [x, y]
+ * @param {number} radius - Its radius
+ * @param {Array<number[]|null>} samples - Points around the circle as [x, y, depth], or null
+ *     for points cut away
+ */
+function addOutline(drawing, center, radius, samples) {
+    const parts = traceSamples(drawing, samples, true);
+    if (parts.length === 1 && !parts[0].dashed && parts[0].points.length > samples.length) {
+        drawing.circles.push({ center, radius });
+        return;
+    }
+    drawing.lines.push(...parts);
+}
+
+/**
+ * Adds a dot, e.g. a lattice point, if it is not hidden.
+ *
+ * @param {Object} drawing - The drawing, with its surfaces added
+ * @param {number[]} point - The dot as [x, y, depth]
+ */
+function addDot(drawing, point) {
+    if (classifyPoint(drawing, point) !== LINE_HIDDEN) drawing.dots.push([point[0], point[1]]);
+}
+
+/**
+ * Adds a line of text centred on a point, if the point is not hidden.
+ *
+ * @param {Object} drawing - The drawing, with its surfaces added
+ * @param {number[]} point - Where the text goes, as [x, y, depth]
+ * @param {string} text - The text
+ * @param {boolean} [depthTest=true] - Whether surfaces can hide the text; labels drawn on
+ *     top of everything, like measurements, are always added
+ */
+function addLabel(drawing, point, text, depthTest = true) {
+    if (depthTest && classifyPoint(drawing, point) === LINE_HIDDEN) return;
+    drawing.labels.push({ position: [point[0], point[1]], text });
+}
+
+/**
+ * Returns how many points to sample along a line so that neighbouring points are at most
+ * SAMPLE_SPACING depth buffer pixels apart.
+ *
+ * @param {Object} drawing - The drawing
+ * @param {number[]} start - One end as [x, y]
+ * @param {number[]} end - The other end as [x, y]
+ * @returns {number} The number of points, at least 2
+ */
+function lineSampleCount(drawing, start, end) {
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]) * drawing.scale;
+    return Math.max(2, Math.ceil(length / SAMPLE_SPACING) + 1);
+}
+
+/**
+ * Splits sampled points into runs that are drawn the same way, leaving out hidden runs.
+ * Each run starts and ends half way between the samples where the state changes.
+ *
+ * @param {Object} drawing - The drawing
+ * @param {Array<number[]|null>} samples - The points as [x, y, depth], or null where cut away
+ * @param {boolean} closed - Whether the last point joins the first
+ * @returns {Object[]} The runs as {points: [[x, y], ...], dashed}
+ */
+function traceSamples(drawing, samples, closed) {
+    const states = samples.map(sample => sample ? classifyPoint(drawing, sample) : LINE_HIDDEN);
+    const count = samples.length;
+    // Runs end where a point was cut away, not half way to it
+    const midpoint = (i, j) => {
+        if (!samples[i] || !samples[j]) return [...(samples[i] || samples[j]).slice(0, 2)];
+        return [(samples[i][0] + samples[j][0]) / 2, (samples[i][1] + samples[j][1]) / 2];
+    };
+
+    // A closed outline is traced from a change of state, so no run is split at the first point
+    let first = 0;
+    if (closed) {
+        const change = states.findIndex((state, i) => state !== states[(i + count - 1) % count]);
+        if (change === -1) {
+            if (states[0] === LINE_HIDDEN) return [];
+            const points = samples.map(([x, y]) => [x, y]);
+            points.push(points[0]);
+            return [{ points, dashed: states[0] === LINE_DASHED }];
+        }
+        first = change;
+    }
+
+    const runs = [];
+    let run = null;
+    const steps = closed ? count : count - 1;
+    for (let step = 0; step <= steps; step++) {
+        const i = (first + step) % count;
+        const state = states[i];
+        const previous = (i + count - 1) % count;
+        if (run && state !== run.state) {
+            run.points.push(midpoint(previous, i));
+            runs.push(run);
+            run = null;
+        }
+        if (step === steps && closed) break;
+        if (!run && state !== LINE_HIDDEN) {
+            const start = step === 0 && !closed ? [samples[i][0], samples[i][1]] : midpoint(previous, i);
+            run = { state, points: [start] };
+        }
+        if (run) run.points.push([samples[i][0], samples[i][1]]);
+    }
+    if (run) runs.push(run);
+
+    return runs
+        .filter(({ points }) => points.length >= 2)
+        .map(({ points, state }) => ({ points, dashed: state === LINE_DASHED }));
+}
+
+/**
+ * Writes a line drawing as an SVG document: black lines on no background, dashed where
+ * lines are behind see-through faces.
+ *
+ * @param {Object} drawing - The drawing
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title='Line drawing'] - The document's title
+ * @returns {string} The SVG document
+ */
+function writeLineDrawingSVG(drawing, { title = 'Line drawing' } = {}) {
+    const { width, height } = drawing;
+    const format = value => String(Math.round(value * 100) / 100);
+    const pathData = lines => lines
+        .map(({ points }) => points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${format(x)} ${format(y)}`).join(''))
+        .join('');
+
+    const svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${format(width)}" height="${format(height)}" ` +
+            `viewBox="0 0 ${format(width)} ${format(height)}">`,
+        `<title>${escapeXML(title)}</title>`,
+        `<g fill="none" stroke="#000000" stroke-linecap="round" stroke-linejoin="round">`
+    ];
+    const dashed = drawing.lines.filter(line => line.dashed);
+    const solid = drawing.lines.filter(line => !line.dashed);
+    if (dashed.length > 0) {
+        svg.push(`<path stroke-width="${DRAWING_DASHED_WIDTH}" stroke-dasharray="${DRAWING_DASHES}" d="${pathData(dashed)}"/>`);
+    }
+    if (solid.length > 0) {
+        svg.push(`<path stroke-width="${DRAWING_LINE_WIDTH}" d="${pathData(solid)}"/>`);
+    }
+    drawing.circles.forEach(({ center, radius }) => {
+        svg.push(`<circle stroke-width="${DRAWING_LINE_WIDTH}" cx="${format(center[0])}" cy="${format(center[1])}" r="${format(radius)}"/>`);
+    });
+    svg.push('</g>');
+
+    if (drawing.dots.length > 0) {
+        svg.push('<g fill="#000000">');
+        drawing.dots.forEach(([x, y]) => svg.push(`<circle cx="${format(x)}" cy="${format(y)}" r="${DRAWING_DOT_RADIUS}"/>`));
+        svg.push('</g>');
+    }
+    if (drawing.labels.length > 0) {
+        // A white halo keeps labels readable over lines
+        svg.push(`<g font-family="Arial, sans-serif" font-size="${DRAWING_FONT_SIZE}" text-anchor="middle" ` +
+            'dominant-baseline="middle" fill="#000000" stroke="#FFFFFF" stroke-width="3" paint-order="stroke">');
+        drawing.labels.forEach(({ position, text }) => {
+            svg.push(`<text x="${format(position[0])}" y="${format(position[1])}">${escapeXML(text)}</text>`);
+        });
+        svg.push('</g>');
+    }
+    svg.push('</svg>');
+    return svg.join('\n') + '\n';
+}
+
+export {
+    createLineDrawing,
+    addTriangle,
+    addSphere,
+    addLine,
+    addOutline,
+    addDot,
+    addLabel,
+    lineSampleCount,
+    classifyPoint,
+    writeLineDrawingSVG,
+    LINE_VISIBLE,
+    LINE_DASHED,
+    LINE_HIDDEN
+};
@@ -0,0 +1,116 @@
+/**
+ * Printable Net Writer
+ *
+ * Writes a net laid out by layoutNet() (shared/geometry/nets.js) as an SVG page, ready to
+ * print, cut out and fold:
+ * - the faces in their colors, with an optional grid of squares for counting area
+ * - solid lines to cut along, around the net and its glue tabs
+ * - dashed lines to fold along, between faces and where the tabs meet their faces
+ * - grey glue tabs, one for every edge that is cut
+ *
+ * The page is A4, turned to fit the net's shape, and sizes are in millimetres so the net
+ * prints at the scale given (by default as large as fits inside the margins).
+ */
+
+import { escapeXML } from './writers.js';
+
+// A4 paper in millimetres, portrait, and the margin kept clear for printers
+const NET_PAGE_SIZE = [210, 297];
+const NET_PAGE_MARGIN = 12;
+
+// Height of the instructions printed under the net, in millimetres
+const NET_LEGEND_HEIGHT = 8;
+
+// Line widths and dash pattern, in millimetres
+const CUT_LINE_WIDTH = 0.4;
+const FOLD_LINE_WIDTH = 0.3;
+const GRID_LINE_WIDTH = 0.15;
+const FOLD_DASHES = '2 1.5';
+
+// Colors of the tabs and grid lines
+const TAB_COLOR = '#DDDDDD';
+const GRID_COLOR = '#777777';
+
+/**
+ * Writes a printable SVG of a net.
+ *
+ * @param {Object} layout - The net's layout from layoutNet()
+ * @param {Object} [options] - Page options
+ * @param {string} [options.title='Net'] - Title printed above the instructions
+ * @param {number|number[]} [options.faceColors=0xFFFFFF] - One color for every face, or a color
+ *     per face, as 0xRRGGBB
+ * @param {number} [options.scale] - Millimetres per unit of the layout; by default the net is
+ *     made as large as fits on the page
+ * @returns {string} The SVG document
+ */
+function writeNetSVG(layout, { title = 'Net', faceColors = 0xFFFFFF, scale = null } = {}) {
+    const { min, max } = layout.bounds;
+    const size = [max[0] - min[0], max[1] - min[1]];
+
+    // Turn the page to landscape for wide nets
+    const page = size[0] > size[1] ? [NET_PAGE_SIZE[1], NET_PAGE_SIZE[0]] : NET_PAGE_SIZE.slice();
+    const available = [page[0] - 2 * NET_PAGE_MARGIN, page[1] - 2 * NET_PAGE_MARGIN - NET_LEGEND_HEIGHT];
+    const mmPerUnit = scale || Math.min(available[0] / size[0], available[1] / size[1]);
+
+    // Centre the net in the space above the legend. SVG's y axis points down, so y is
+    // flipped to keep the net as seen from outside the solid.
+    const offset = [
+        NET_PAGE_MARGIN + (available[0] - size[0] * mmPerUnit) / 2,
+        NET_PAGE_MARGIN + (available[1] - size[1] * mmPerUnit) / 2
+    ];
+    const toPage = ([x, y]) => [
+        formatMillimetres(offset[0] + (x - min[0]) * mmPerUnit),
+        formatMillimetres(offset[1] + (max[1] - y) * mmPerUnit)
+    ];
+    const points = polygon => polygon.map(point => toPage(point).join(',')).join(' ');
+    const line = ([p, q]) => {
+        const [x1, y1] = toPage(p);
+        const [x2, y2] = toPage(q);
+        return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+    };
+    const colorOf = index => {
+        const color = Array.isArray(faceColors) ? faceColors[index] : faceColors;
+        return `#${color.toString(16).padStart(6, '0')}`;
+    };
+
+    const legendY = formatMillimetres(page[1] - NET_PAGE_MARGIN);
+    const unitLength = formatMillimetres(mmPerUnit);
+    const svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${page[0]}mm" height="${page[1]}mm" viewBox="0 0 ${page[0]} ${page[1]}">`,
+        `<title>${escapeXML(title)}</title>`,
+        `<g id="tabs" fill="${TAB_COLOR}" stroke="none">`,
+        ...layout.tabs.map(tab => `<polygon points="${points(tab)}"/>`),
+        '</g>',
+        '<g id="faces" stroke="none">',
+        ...layout.faces.map((face, index) => `<polygon points="${points(face)}" fill="${colorOf(index)}"/>`),
+        '</g>',
+        `<g id="grid" stroke="${GRID_COLOR}" stroke-width="${GRID_LINE_WIDTH}">`,
+        ...layout.gridLines.map(line),
+        '</g>',
+        `<g id="folds" stroke="#000000" stroke-width="${FOLD_LINE_WIDTH}" stroke-dasharray="${FOLD_DASHES}">`,
+        ...layout.foldLines.map(line),
+        '</g>',
+        `<g id="cuts" stroke="#000000" stroke-width="${CUT_LINE_WIDTH}" stroke-linecap="round">`,
+        ...layout.cutLines.map(line),
+        '</g>',
+        `<text x="${NET_PAGE_MARGIN}" y="${legendY}" font-family="Arial, sans-serif" font-size="3.5">`,
+        `${escapeXML(title)}. Cut along the solid lines, fold along the dashed lines and glue the grey tabs. ` +
+            `1 unit = ${unitLength} mm.`,
+        '</text>',
+        '</svg>'
+    ];
+    return svg.join('\n') + '\n';
+}
+
+/**
+ * Rounds a length in millimetres to a hundredth, well below what printers can show.
+ *
+ * @param {number} value - The length
+ * @returns {number} The rounded length
+ */
+function formatMillimetres(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export { writeNetSVG };
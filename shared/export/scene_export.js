@@ -0,0 +1,289 @@
+/**
+ * Scene Export
+ *
+ * Adds export buttons to a visualization, writing what is currently shown to:
+ * - binary glTF (.glb), with colors and transparency
+ * - OBJ with its MTL material library (two files)
+ * - STL for 3D printing: every solid part (spheres, cylinders, cubes and the see-through
+ *   polyhedra) is merged into one watertight mesh by solidify.js, optionally scaled so
+ *   its longest side has a given length in millimetres
+ *
+ * Only this file needs Three.js: it turns the scene into the plain meshes and solid
+ * primitives that writers.js and solidify.js work with. Hidden objects and instances are
+ * left out, as are lines, points and labels (edge outlines and measurements).
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { forEachVisibleMesh } from '../viewer/instancing.js';
+import { solidifyPrimitives } from './solidify.js';
+import { writeGLB, writeOBJ, writeSTL } from './writers.js';
+
+// Planes closer than this (in direction and offset) are the same face of a convex solid
+const PLANE_TOLERANCE = 1e-6;
+
+/**
+ * Connects export buttons to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Export options
+ * @param {HTMLButtonElement} options.glbButton - Exports binary glTF
+ * @param {HTMLButtonElement} options.stlButton - Exports STL
+ * @param {HTMLButtonElement} options.objButton - Exports OBJ and MTL
+ * @param {HTMLInputElement} [options.sizeInput] - Longest side of the STL model in mm; when
+ *     empty, one scene unit becomes one millimetre
+ * @param {Function} options.getFileName - Returns the file name to use, without extension
+ */
+function createExportControls(viewer, options) {
+    const { glbButton, stlButton, objButton, sizeInput, getFileName } = options;
+
+    glbButton.addEventListener('click', () => {
+        try {
+            const file = writeGLB(collectExportMeshes(viewer.content));
+            downloadFile(file, `${getFileName()}.glb`, 'model/gltf-binary');
+        } catch (error) {
+            showExportError('glTF file', error);
+        }
+    });
+
+    objButton.addEventListener('click', () => {
+        try {
+            const name = getFileName();
+            const { obj, mtl } = writeOBJ(collectExportMeshes(viewer.content), { mtlFileName: `${name}.mtl` });
+            downloadFile(obj, `${name}.obj`, 'text/plain');
+            downloadFile(mtl, `${name}.mtl`, 'text/plain');
+        } catch (error) {
+            showExportError('OBJ file', error);
+        }
+    });
+
+    stlButton.addEventListener('click', () => {
+        // Merging the solids takes a moment for large scenes; show that before starting
+        const label = stlButton.textContent;
+        stlButton.textContent = 'Working…';
+        stlButton.disabled = true;
+        setTimeout(() => {
+            try {
+                const size = sizeInput ? parseFloat(sizeInput.value) : NaN;
+                const file = exportSTL(viewer.content, { size: size > 0 ? size : null });
+                downloadFile(file, `${getFileName()}.stl`, 'model/stl');
+            } catch (error) {
+                showExportError('STL file', error);
+            } finally {
+                stlButton.textContent = label;
+                stlButton.disabled = false;
+            }
+        }, 20);
+    });
+}
+
+/**
+ * Writes a watertight STL of the solid parts of an object.
+ *
+ * @param {THREE.Object3D} root - The object to export, e.g. the viewer's content
+ * @param {Object} [options] - Export options
+ * @param {number|null} [options.size=null] - Length of the longest side in millimetres;
+ *     null keeps one scene unit per millimetre
+ * @param {number} [options.maxCells] - Grid resolution, see solidifyPrimitives()
+ * @returns {ArrayBuffer} The .stl file
+ */
+function exportSTL(root, { size = null, maxCells } = {}) {
+    const solid = solidifyPrimitives(collectSolidPrimitives(root), { maxCells });
+
+    let scale = 1;
+    if (size && solid.positions.length > 0) {
+        const extent = [0, 1, 2].map(axis => {
+            let min = Infinity, max = -Infinity;
+            for (let i = axis; i < solid.positions.length; i += 3) {
+                min = Math.min(min, solid.positions[i]);
+                max = Math.max(max, solid.positions[i]);
+            }
+            return max - min;
+        });
+        scale = size / Math.max(...extent);
+    }
+    return writeSTL([solid], { scale });
+}
+
+/**
+ * Converts the visible meshes under a root object into the plain meshes the writers take,
+ * merging meshes that look the same (same color, opacity and sidedness).
+ *
+ * @param {THREE.Object3D} root - The object to export, e.g. the viewer's content
+ * @returns {Object[]} Meshes as described in writers.js
+ */
+function collectExportMeshes(root) {
+    const groups = new Map();
+    const normalMatrix = new THREE.Matrix3();
+    const vertex = new THREE.Vector3();
+
+    forEachVisibleMesh(root, (mesh, matrix, color) => {
+        // Slicing only clips the view (see shared/viewer/slicing.js); the whole object is exported
+        if (mesh.userData.isSlicePart) return;
+        const material = mesh.material;
+        const opacity = material.transparent ? material.opacity : 1;
+        const doubleSided = material.side === THREE.DoubleSide;
+        const key = `${mesh.name}|${color.getHexString()}|${opacity}|${doubleSided}`;
+        if (!groups.has(key)) {
+            const baseName = mesh.name || 'Mesh';
+            groups.set(key, {
+                name: `${baseName} #${color.getHexString()}`,
+                color: color.toArray(),
+                opacity,
+                doubleSided,
+                positions: [],
+                normals: [],
+                indices: []
+            });
+        }
+        const group = groups.get(key);
+
+        // Append this mesh's vertices, transformed, and its triangles, renumbered
+        const geometry = mesh.geometry;
+        const positions = geometry.attributes.position;
+        const normals = geometry.attributes.normal;
+        const firstVertex = group.positions.length / 3;
+        normalMatrix.getNormalMatrix(matrix);
+        for (let i = 0; i < positions.count; i++) {
+            vertex.fromBufferAttribute(positions, i).applyMatrix4(matrix);
+            group.positions.push(vertex.x, vertex.y, vertex.z);
+            if (normals) {
+                vertex.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize();
+                group.normals.push(vertex.x, vertex.y, vertex.z);
+            } else {
+                group.normals.push(0, 0, 0);
+            }
+        }
+        if (geometry.index) {
+            geometry.index.array.forEach(index => group.indices.push(index + firstVertex));
+        } else {
+            for (let i = 0; i < positions.count; i++) group.indices.push(i + firstVertex);
+        }
+    });
+
+    return [...groups.values()].map(group => ({
+        ...group,
+        positions: new Float32Array(group.positions),
+        normals: new Float32Array(group.normals),
+        indices: new Uint32Array(group.indices)
+    }));
+}
+
+/**
+ * Describes the visible meshes under a root object as solid primitives for solidify.js:
+ * spheres and cylinders from their geometry parameters, and every other mesh (cubes,
+ * polyhedra, thin see-through shells) as the convex solid its faces enclose. Overlays
+ * (meshes marked userData.isOverlay, such as lattice planes) are not part of the object
+ * and are left out.
+ *
+ * @param {THREE.Object3D} root - The object to export, e.g. the viewer's content
+ * @returns {Object[]} The primitives
+ */
+function collectSolidPrimitives(root) {
+    const primitives = [];
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    forEachVisibleMesh(root, (mesh, matrix) => {
+        if (mesh.userData.isOverlay) return;
+        const geometry = mesh.geometry;
+        matrix.decompose(position, quaternion, scale);
+
+        if (geometry.type === 'SphereGeometry') {
+            primitives.push({
+                type: 'sphere',
+                center: position.toArray(),
+                radius: geometry.parameters.radius * Math.max(scale.x, scale.y, scale.z)
+            });
+        } else if (geometry.type === 'CylinderGeometry') {
+            const halfHeight = geometry.parameters.height / 2;
+            primitives.push({
+                type: 'cylinder',
+                start: new THREE.Vector3(0, -halfHeight, 0).applyMatrix4(matrix).toArray(),
+                end: new THREE.Vector3(0, halfHeight, 0).applyMatrix4(matrix).toArray(),
+                radius: Math.max(geometry.parameters.radiusTop, geometry.parameters.radiusBottom) *
+                    Math.max(scale.x, scale.z)
+            });
+        } else {
+            primitives.push({ type: 'convex', planes: convexPlanes(geometry, matrix) });
+        }
+    });
+
+    return primitives.filter(primitive => primitive.type !== 'convex' || primitive.planes.length >= 4);
+}
+
+/**
+ * Finds the face planes of the convex solid enclosed by a geometry's triangles.
+ *
+ * @param {THREE.BufferGeometry} geometry - The geometry
+ * @param {THREE.Matrix4} matrix - Transform applied to the geometry
+ * @returns {Object[]} Planes as {normal, offset}, facing outwards
+ */
+function convexPlanes(geometry, matrix) {
+    const positions = geometry.attributes.position;
+    const points = [];
+    for (let i = 0; i < positions.count; i++) {
+        points.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(matrix));
+    }
+    const centroid = points.reduce((sum, point) => sum.add(point), new THREE.Vector3())
+        .divideScalar(points.length);
+
+    const indices = geometry.index
+        ? Array.from(geometry.index.array)
+        : points.map((point, index) => index);
+
+    const planes = [];
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [points[indices[t]], points[indices[t + 1]], points[indices[t + 2]]];
+        const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+        if (normal.lengthSq() < 1e-20) continue;
+        normal.normalize();
+
+        // Face the plane away from the middle of the solid, whatever the triangle's winding
+        let offset = normal.dot(a);
+        if (normal.dot(centroid) > offset) {
+            normal.negate();
+            offset = -offset;
+        }
+
+        // Triangles of the same face give the same plane; keep it once
+        const isNew = planes.every(plane =>
+            Math.abs(plane.offset - offset) > PLANE_TOLERANCE ||
+            new THREE.Vector3(...plane.normal).distanceTo(normal) > PLANE_TOLERANCE);
+        if (isNew) planes.push({ normal: normal.toArray(), offset });
+    }
+    return planes;
+}
+
+/**
+ * Saves data as a file through the browser's download mechanism.
+ *
+ * @param {ArrayBuffer|string|Blob} data - The file contents
+ * @param {string} fileName - The suggested file name
+ * @param {string} type - The MIME type
+ */
+function downloadFile(data, fileName, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Tells the user that a file could not be saved. The error is also logged, with its stack
+ * trace, for whoever looks into it.
+ *
+ * @param {string} what - What was being saved, e.g. 'STL file'
+ * @param {Error} error - The error
+ */
+function showExportError(what, error) {
+    console.error(error);
+    window.alert(`Could not save the ${what}: ${error.message}`);
+}
+
+export { createExportControls, downloadFile, showExportError };
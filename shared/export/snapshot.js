@@ -0,0 +1,476 @@
+/**
+ * Snapshots for Worksheets
+ *
+ * Adds snapshot buttons to a visualization, for pictures to paste into handouts:
+ * - PNG: the view rendered at a chosen size, e.g. 4000 pixels across, without the page's
+ *   controls and text, optionally on a transparent background. Large images are rendered in
+ *   tiles, each showing part of the camera's view, so the size is not limited by the
+ *   graphics card.
+ * - SVG: a black and white line drawing of the view with hidden lines removed (see
+ *   line_drawing.js): the edges of cubes and polyhedra, the outlines of atoms and bonds,
+ *   other lines and labels. It prints crisply at any size.
+ *
+ * Both show the view as it is on screen, including a slice or part-built structure, but
+ * leave out handles such as the slicing plane's frame (objects marked userData.isHandle).
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { forEachVisibleMesh } from '../viewer/instancing.js';
+import {
+    addDot,
+    addLabel,
+    addLine,
+    addOutline,
+    addSphere,
+    addTriangle,
+    createLineDrawing,
+    lineSampleCount,
+    writeLineDrawingSVG
+} from './line_drawing.js';
+import { downloadFile, showExportError } from './scene_export.js';
+
+// Longest side of a PNG snapshot in pixels: the default, and the most browsers can hold
+const SNAPSHOT_SIZE = 4000;
+const MAX_SNAPSHOT_SIZE = 8192;
+
+// Size of the tiles a snapshot is rendered in
+const SNAPSHOT_TILE_SIZE = 1024;
+
+// Surfaces less opaque than this are see-through in line drawings: lines behind them are dashed
+const SEE_THROUGH_OPACITY = 0.5;
+
+// Faces meeting at less than this angle (in degrees) have no edge drawn between them, so
+// the triangles of a flat face show as one face
+const EDGE_THRESHOLD_ANGLE = 20;
+
+// Points around the outline of each sphere in line drawings
+const OUTLINE_SEGMENTS = 72;
+
+/**
+ * Connects snapshot buttons to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Snapshot options
+ * @param {HTMLButtonElement} options.pngButton - Saves the view as a PNG image
+ * @param {HTMLButtonElement} options.svgButton - Saves the view as an SVG line drawing
+ * @param {HTMLInputElement} [options.sizeInput] - Longest side of the PNG in pixels; filled
+ *     with SNAPSHOT_SIZE when empty
+ * @param {HTMLInputElement} [options.transparentCheckbox] - Leaves the PNG's background transparent
+ * @param {Function} options.getFileName - Returns the file name to use, without extension
+ */
+function createSnapshotControls(viewer, options) {
+    const { pngButton, svgButton, sizeInput, transparentCheckbox, getFileName } = options;
+    if (sizeInput) {
+        sizeInput.max = MAX_SNAPSHOT_SIZE;
+        if (!sizeInput.value) sizeInput.value = SNAPSHOT_SIZE;
+    }
+
+    pngButton.addEventListener('click', () => {
+        const requested = sizeInput ? parseInt(sizeInput.value, 10) : NaN;
+        const longestSide = Number.isFinite(requested)
+            ? THREE.MathUtils.clamp(requested, 1, MAX_SNAPSHOT_SIZE)
+            : SNAPSHOT_SIZE;
+        const view = viewer.renderer.getSize(new THREE.Vector2());
+        const scale = longestSide / Math.max(view.x, view.y);
+        try {
+            const canvas = renderSnapshot(viewer, {
+                width: Math.max(1, Math.round(view.x * scale)),
+                height: Math.max(1, Math.round(view.y * scale)),
+                transparent: Boolean(transparentCheckbox && transparentCheckbox.checked)
+            });
+            canvas.toBlob(blob => downloadFile(blob, `${getFileName()}.png`, 'image/png'), 'image/png');
+        } catch (error) {
+            showExportError('PNG image', error);
+        }
+    });
+
+    svgButton.addEventListener('click', () => {
+        // Removing hidden lines takes a moment for large scenes; show that before starting
+        const label = svgButton.textContent;
+        svgButton.textContent = 'Working…';
+        svgButton.disabled = true;
+        setTimeout(() => {
+            try {
+                const view = viewer.renderer.getSize(new THREE.Vector2());
+                const drawing = drawViewLines(viewer.scene, viewer.camera, view.x, view.y);
+                const svg = writeLineDrawingSVG(drawing, { title: document.title });
+                downloadFile(svg, `${getFileName()}.svg`, 'image/svg+xml');
+            } catch (error) {
+                showExportError('line drawing', error);
+            } finally {
+                svgButton.textContent = label;
+                svgButton.disabled = false;
+            }
+        }, 20);
+    });
+}
+
+/**
+ * Renders the view at any size, in tiles.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Snapshot options
+ * @param {number} options.width - Width of the image in pixels
+ * @param {number} options.height - Height of the image in pixels; width / height should be
+ *     the view's shape, or the picture is stretched
+ * @param {boolean} [options.transparent=false] - Whether to leave out the background
+ * @returns {HTMLCanvasElement} The image
+ */
+function renderSnapshot(viewer, { width, height, transparent = false }) {
+    const { renderer, scene, camera } = viewer;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    const tileSize = Math.min(SNAPSHOT_TILE_SIZE, renderer.capabilities.maxTextureSize);
+    const target = new THREE.WebGLRenderTarget(tileSize, tileSize);
+    const pixels = new Uint8Array(tileSize * tileSize * 4);
+
+    // Points are sized in pixels, so they grow with the image to look as they do on screen
+    const restore = prepareSnapshot(viewer, {
+        transparent,
+        pointScale: height / renderer.domElement.height
+    });
+    const aspect = camera.aspect;
+    camera.aspect = width / height;
+
+    try {
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                const tileWidth = Math.min(tileSize, width - x);
+                const tileHeight = Math.min(tileSize, height - y);
+                camera.setViewOffset(width, height, x, y, tileSize, tileSize);
+                renderer.setRenderTarget(target);
+                renderer.render(scene, camera);
+
+                // The tile's rows are read from the bottom up, and its top rows are the ones used
+                renderer.readRenderTargetPixels(target, 0, tileSize - tileHeight, tileWidth, tileHeight, pixels);
+                const image = context.createImageData(tileWidth, tileHeight);
+                for (let row = 0; row < tileHeight; row++) {
+                    const start = (tileHeight - 1 - row) * tileWidth * 4;
+                    image.data.set(pixels.subarray(start, start + tileWidth * 4), row * tileWidth * 4);
+                }
+                if (transparent) unpremultiplyAlpha(image.data);
+                context.putImageData(image, x, y);
+            }
+        }
+    } finally {
+        renderer.setRenderTarget(null);
+        camera.aspect = aspect;
+        camera.clearViewOffset();
+        restore();
+        target.dispose();
+    }
+    return canvas;
+}
+
+/**
+ * Gets the scene ready for a snapshot: hides handles, and optionally the background, and
+ * scales the size of points.
+ *
+ * @param {Object} viewer - The viewer
+ * @param {Object} options - {transparent, pointScale}
+ * @returns {Function} Puts everything back as it was
+ */
+function prepareSnapshot(viewer, { transparent, pointScale }) {
+    const { renderer, scene } = viewer;
+    const undo = [];
+
+    scene.traverse(object => {
+        if (object.userData.isHandle && object.visible) {
+            object.visible = false;
+            undo.push(() => { object.visible = true; });
+        }
+        if (object.isPoints && !object.material.sizeAttenuation) {
+            const { material } = object;
+            const size = material.size;
+            material.size = size * pointScale;
+            undo.push(() => { material.size = size; });
+        }
+    });
+
+    if (transparent) {
+        const background = scene.background;
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+        undo.push(() => {
+            scene.background = background;
+            renderer.setClearColor(clearColor, clearAlpha);
+        });
+    }
+
+    return () => undo.forEach(step => step());
+}
+
+/**
+ * Turns colors blended onto a transparent background back into plain colors. Blending
+ * leaves each pixel's color multiplied by its opacity, which images do not expect.
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels, changed in place
+ */
+function unpremultiplyAlpha(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha === 0 || alpha === 255) continue;
+        for (let channel = 0; channel < 3; channel++) {
+            data[i + channel] = Math.min(255, Math.round(data[i + channel] * 255 / alpha));
+        }
+    }
+}
+
+/**
+ * Makes a line drawing of what a camera sees, with hidden lines removed. It needs no WebGL,
+ * so it also runs in Node, e.g. for the gallery's thumbnails (tools/build_gallery.js).
+ *
+ * @param {THREE.Scene} scene - The scene, e.g. a viewer's
+ * @param {THREE.Camera} camera - The camera looking at it
+ * @param {number} width - Width of the view in pixels
+ * @param {number} height - Height of the view in pixels
+ * @returns {Object} The drawing from createLineDrawing(), in pixels of the view
+ */
+function drawViewLines(scene, camera, width, height) {
+    const view = new THREE.Vector2(width, height);
+    const drawing = createLineDrawing(width, height);
+    scene.updateMatrixWorld();
+    camera.updateMatrixWorld();
+
+    // Directions across the view, for the outlines of spheres and bonds
+    const eye = camera.getWorldPosition(new THREE.Vector3());
+    const up = new THREE.Vector3(0, 1, 0).transformDirection(camera.matrixWorld);
+    const right = new THREE.Vector3(1, 0, 0).transformDirection(camera.matrixWorld);
+    // Everything drawn is cut to the view, so nothing behind the camera or far off to the
+    // side is traced
+    const viewPlanes = new THREE.Frustum().setFromProjectionMatrix(
+        new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)).planes;
+
+    const project = point => {
+        const projected = point.clone().applyMatrix4(camera.matrixWorldInverse);
+        const depth = -projected.z;
+        projected.applyMatrix4(camera.projectionMatrix);
+        return [(projected.x + 1) / 2 * view.x, (1 - projected.y) / 2 * view.y, depth];
+    };
+
+    // Surfaces go into the depth buffers first; lines, outlines and labels are traced after
+    const lines = new Map();
+    const outlines = [];
+    const marks = [];
+    const edgeCache = new Map();
+
+    const addSegment = (start, end, planes) => {
+        if (start.distanceToSquared(end) < 1e-18) return;
+        // Lines drawn twice, such as a polyhedron's edges and its faces' edges, are kept once
+        const keys = [start, end].map(point => point.toArray().map(value => value.toFixed(5)).join(','));
+        const key = keys[0] < keys[1] ? `${keys[0]}|${keys[1]}` : `${keys[1]}|${keys[0]}`;
+        if (!lines.has(key)) lines.set(key, { start, end, planes });
+    };
+
+    scene.traverseVisible(object => {
+        if (object.userData.isHandle || !object.material) return;
+        const material = Array.isArray(object.material) ? object.material[0] : object.material;
+        if (!material.visible) return;
+        const planes = [...viewPlanes, ...(material.clippingPlanes || [])];
+
+        if (object.isSprite) {
+            if (object.userData.text) {
+                marks.push({ point: object.getWorldPosition(new THREE.Vector3()), text: object.userData.text, depthTest: material.depthTest, planes });
+            }
+            return;
+        }
+
+        const positions = object.geometry.attributes.position;
+        if (!positions) return;
+
+        if (object.isPoints) {
+            for (let i = 0; i < positions.count; i++) {
+                marks.push({ point: new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(object.matrixWorld), planes });
+            }
+            return;
+        }
+
+        if (object.isLine) {
+            const vertex = index => new THREE.Vector3().fromBufferAttribute(positions, index).applyMatrix4(object.matrixWorld);
+            const indices = object.geometry.index ? Array.from(object.geometry.index.array) : [...Array(positions.count).keys()];
+            if (object.isLineSegments) {
+                for (let i = 0; i + 1 < indices.length; i += 2) addSegment(vertex(indices[i]), vertex(indices[i + 1]), planes);
+            } else {
+                for (let i = 0; i + 1 < indices.length; i++) addSegment(vertex(indices[i]), vertex(indices[i + 1]), planes);
+                if (object.isLineLoop && indices.length > 2) addSegment(vertex(indices[indices.length - 1]), vertex(indices[0]), planes);
+            }
+        }
+    });
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const bounds = new THREE.Sphere();
+    forEachVisibleMesh(scene, (mesh, matrix) => {
+        if (mesh.userData.isHandle || !mesh.material.visible) return;
+        const { geometry, material } = mesh;
+        const isOpaque = !material.transparent || material.opacity >= SEE_THROUGH_OPACITY;
+        const planes = [...viewPlanes, ...(material.clippingPlanes || [])];
+
+        // Skip what is out of view; an instanced mesh's bounding sphere is that of one instance
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        bounds.copy(geometry.boundingSphere).applyMatrix4(matrix);
+        if (viewPlanes.some(plane => plane.distanceToPoint(bounds.center) < -bounds.radius)) return;
+        matrix.decompose(position, quaternion, scale);
+
+        if (geometry.type === 'SphereGeometry') {
+            const radius = geometry.parameters.radius * Math.max(scale.x, scale.y, scale.z);
+            const center = position.clone();
+            const isClipped = planes.length > viewPlanes.length ||
+                viewPlanes.some(plane => plane.distanceToPoint(center) < radius);
+            if (!isClipped) {
+                const projected = project(center);
+                const edge = project(center.clone().addScaledVector(up, radius));
+                addSphere(drawing, projected, Math.hypot(edge[0] - projected[0], edge[1] - projected[1]), radius, isOpaque);
+            } else {
+                addMeshTriangles(drawing, geometry, matrix, planes, project, isOpaque);
+            }
+            outlines.push({ center, radius, planes });
+            return;
+        }
+
+        addMeshTriangles(drawing, geometry, matrix, planes, project, isOpaque);
+
+        if (geometry.type === 'CylinderGeometry') {
+            // A cylinder's outline is the two lines along its sides, as seen from the camera
+            const halfHeight = geometry.parameters.height / 2;
+            const start = new THREE.Vector3(0, -halfHeight, 0).applyMatrix4(matrix);
+            const end = new THREE.Vector3(0, halfHeight, 0).applyMatrix4(matrix);
+            const radius = Math.max(geometry.parameters.radiusTop, geometry.parameters.radiusBottom) * Math.max(scale.x, scale.z);
+            const middle = start.clone().add(end).multiplyScalar(0.5);
+            const side = new THREE.Vector3().subVectors(end, start).cross(middle.sub(eye));
+            if (side.lengthSq() < 1e-18) return;
+            side.setLength(radius);
+            addSegment(start.clone().add(side), end.clone().add(side), planes);
+            addSegment(start.clone().sub(side), end.clone().sub(side), planes);
+            return;
+        }
+
+        if (!edgeCache.has(geometry)) {
+            edgeCache.set(geometry, new THREE.EdgesGeometry(geometry, EDGE_THRESHOLD_ANGLE).attributes.position);
+        }
+        const edges = edgeCache.get(geometry);
+        for (let i = 0; i + 1 < edges.count; i += 2) {
+            addSegment(
+                new THREE.Vector3().fromBufferAttribute(edges, i).applyMatrix4(matrix),
+                new THREE.Vector3().fromBufferAttribute(edges, i + 1).applyMatrix4(matrix),
+                planes
+            );
+        }
+    });
+
+    // With every surface in place, trace what can be seen of each line
+    const point = new THREE.Vector3();
+    lines.forEach(({ start, end, planes }) => {
+        const clipped = clipSegment(start, end, planes);
+        if (!clipped) return;
+        const count = lineSampleCount(drawing, project(clipped[0]), project(clipped[1]));
+        const samples = [];
+        for (let i = 0; i < count; i++) {
+            samples.push(project(point.lerpVectors(clipped[0], clipped[1], i / (count - 1))));
+        }
+        addLine(drawing, samples);
+    });
+
+    outlines.forEach(({ center, radius, planes }) => {
+        const samples = [];
+        for (let i = 0; i < OUTLINE_SEGMENTS; i++) {
+            const angle = 2 * Math.PI * i / OUTLINE_SEGMENTS;
+            point.copy(center).addScaledVector(right, radius * Math.cos(angle)).addScaledVector(up, radius * Math.sin(angle));
+            samples.push(planes.every(plane => plane.distanceToPoint(point) >= 0) ? project(point) : null);
+        }
+        const projected = project(center);
+        const edge = samples.find(sample => sample) || projected;
+        addOutline(drawing, projected.slice(0, 2), Math.hypot(edge[0] - projected[0], edge[1] - projected[1]), samples);
+    });
+
+    marks.forEach(({ point: markPoint, text, depthTest, planes }) => {
+        if (!planes.every(plane => plane.distanceToPoint(markPoint) >= 0)) return;
+        if (text) {
+            addLabel(drawing, project(markPoint), text, depthTest);
+        } else {
+            addDot(drawing, project(markPoint));
+        }
+    });
+
+    return drawing;
+}
+
+/**
+ * Draws the triangles of a mesh into a line drawing's depth buffers, cut by clipping planes.
+ *
+ * @param {Object} drawing - The drawing from createLineDrawing()
+ * @param {THREE.BufferGeometry} geometry - The mesh's geometry
+ * @param {THREE.Matrix4} matrix - The mesh's (or instance's) transform to world coordinates
+ * @param {THREE.Plane[]} planes - Planes keeping the side each faces, as three.js clips
+ * @param {Function} project - Turns a world point into [x, y, depth]
+ * @param {boolean} isOpaque - Whether the mesh hides what is behind it
+ */
+function addMeshTriangles(drawing, geometry, matrix, planes, project, isOpaque) {
+    const positions = geometry.attributes.position;
+    const count = geometry.index ? geometry.index.count : positions.count;
+    const vertex = index => new THREE.Vector3()
+        .fromBufferAttribute(positions, geometry.index ? geometry.index.getX(index) : index)
+        .applyMatrix4(matrix);
+
+    for (let t = 0; t + 2 < count; t += 3) {
+        const polygon = clipPolygon([vertex(t), vertex(t + 1), vertex(t + 2)], planes);
+        if (polygon.length < 3) continue;
+        const corners = polygon.map(project);
+        for (let k = 1; k + 1 < corners.length; k++) {
+            addTriangle(drawing, [corners[0], corners[k], corners[k + 1]], isOpaque);
+        }
+    }
+}
+
+/**
+ * Cuts a convex polygon by planes, keeping the part on the side each plane faces.
+ *
+ * @param {THREE.Vector3[]} polygon - The polygon's corners
+ * @param {THREE.Plane[]} planes - The planes
+ * @returns {THREE.Vector3[]} The corners of what is left, possibly none
+ */
+function clipPolygon(polygon, planes) {
+    return planes.reduce((corners, plane) => {
+        const kept = [];
+        corners.forEach((corner, index) => {
+            const next = corners[(index + 1) % corners.length];
+            const distance = plane.distanceToPoint(corner);
+            const nextDistance = plane.distanceToPoint(next);
+            if (distance >= 0) kept.push(corner);
+            if ((distance >= 0) !== (nextDistance >= 0)) {
+                kept.push(corner.clone().lerp(next, distance / (distance - nextDistance)));
+            }
+        });
+        return kept;
+    }, polygon);
+}
+
+/**
+ * Cuts a line segment by planes, keeping the part on the side each plane faces.
+ *
+ * @param {THREE.Vector3} start - One end
+ * @param {THREE.Vector3} end - The other end
+ * @param {THREE.Plane[]} planes - The planes
+ * @returns {THREE.Vector3[]|null} The ends of what is left, or null if nothing is
+ */
+function clipSegment(start, end, planes) {
+    let from = 0;
+    let to = 1;
+    for (const plane of planes) {
+        const startDistance = plane.distanceToPoint(start);
+        const endDistance = plane.distanceToPoint(end);
+        if (startDistance < 0 && endDistance < 0) return null;
+        if (startDistance < 0) from = Math.max(from, startDistance / (startDistance - endDistance));
+        if (endDistance < 0) to = Math.min(to, startDistance / (startDistance - endDistance));
+    }
+    if (from >= to) return null;
+    return [start.clone().lerp(end, from), start.clone().lerp(end, to)];
+}
+
+export { createSnapshotControls, drawViewLines };
@@ -0,0 +1,375 @@
+/**
+ * Watertight Solids for 3D Printing
+ *
+ * A scene made of overlapping spheres, cylinders, cubes and see-through polyhedra cannot be
+ * printed as it is: the parts intersect, and thin shells have no inside. This module merges
+ * them into one closed surface:
+ *
+ * 1. Every part is described as a solid primitive with a signed distance function (SDF):
+ *    negative inside, positive outside.
+ * 2. The union of all parts is the minimum of their distance functions, sampled on a grid.
+ * 3. Marching tetrahedra extracts the zero level of the sampled field as a triangle mesh.
+ *    Each grid cube is split into six tetrahedra along its main diagonal, the same way in
+ *    every cube, so neighbouring cubes agree on their shared faces and the mesh has no gaps.
+ *    The grid extends past the parts on every side, so the surface is always closed.
+ *
+ * Primitives are plain objects:
+ * - { type: 'sphere', center: [x, y, z], radius }
+ * - { type: 'cylinder', start: [x, y, z], end: [x, y, z], radius } (flat ends)
+ * - { type: 'convex', planes: [{ normal: [x, y, z], offset }] }, the points p with
+ *   normal·p <= offset for every plane (cubes, tetrahedra and other convex polyhedra)
+ */
+
+// Default number of grid cells along the longest side of the scene; finer grids give smoother
+// surfaces but take longer (the time grows with the cube of this number)
+const MAX_GRID_CELLS = 128;
+
+// Grid cells across the thinnest primitive (e.g. the radius of a bond) beyond which a finer
+// grid adds nothing visible, so small scenes do not use a needlessly fine grid
+const CELLS_PER_FEATURE = 8;
+
+/**
+ * Returns the axis-aligned bounding box of a primitive.
+ *
+ * @param {Object} primitive - The primitive
+ * @returns {{min: number[], max: number[]}} The box
+ */
+function primitiveBounds(primitive) {
+    if (primitive.type === 'sphere') {
+        return {
+            min: primitive.center.map(value => value - primitive.radius),
+            max: primitive.center.map(value => value + primitive.radius)
+        };
+    }
+    if (primitive.type === 'cylinder') {
+        // The cylinder lies within the spheres around its end points
+        return {
+            min: [0, 1, 2].map(axis => Math.min(primitive.start[axis], primitive.end[axis]) - primitive.radius),
+            max: [0, 1, 2].map(axis => Math.max(primitive.start[axis], primitive.end[axis]) + primitive.radius)
+        };
+    }
+    if (primitive.type === 'convex') {
+        const vertices = convexVertices(primitive.planes);
+        return {
+            min: [0, 1, 2].map(axis => Math.min(...vertices.map(vertex => vertex[axis]))),
+            max: [0, 1, 2].map(axis => Math.max(...vertices.map(vertex => vertex[axis])))
+        };
+    }
+    throw new Error(`Unknown primitive type "${primitive.type}"`);
+}
+
+/**
+ * Returns the size of the thinnest part of a primitive, which the grid must resolve.
+ *
+ * @param {Object} primitive - The primitive
+ * @returns {number} The feature size
+ */
+function primitiveFeatureSize(primitive) {
+    if (primitive.type === 'sphere' || primitive.type === 'cylinder') return primitive.radius;
+    const { min, max } = primitiveBounds(primitive);
+    return Math.min(...max.map((value, axis) => value - min[axis])) / 2;
+}
+
+/**
+ * Finds the corners of a convex polyhedron given by its face planes.
+ *
+ * @param {Object[]} planes - Planes as {normal, offset}
+ * @returns {number[][]} The vertices
+ */
+function convexVertices(planes) {
+    const vertices = [];
+    for (let i = 0; i < planes.length; i++) {
+        for (let j = i + 1; j < planes.length; j++) {
+            for (let k = j + 1; k < planes.length; k++) {
+                const point = intersectPlanes(planes[i], planes[j], planes[k]);
+                if (point && planes.every(plane => dot(plane.normal, point) <= plane.offset + 1e-9)) {
+                    vertices.push(point);
+                }
+            }
+        }
+    }
+    return vertices;
+}
+
+/**
+ * Intersects three planes.
+ *
+ * @param {Object} p1 - A plane as {normal, offset}
+ * @param {Object} p2 - A second plane
+ * @param {Object} p3 - A third plane
+ * @returns {number[]|null} The common point, or null if two of the planes are parallel
+ */
+function intersectPlanes(p1, p2, p3) {
+    const n23 = cross(p2.normal, p3.normal);
+    const determinant = dot(p1.normal, n23);
+    if (Math.abs(determinant) < 1e-12) return null;
+    const n31 = cross(p3.normal, p1.normal);
+    const n12 = cross(p1.normal, p2.normal);
+    return [0, 1, 2].map(axis =>
+        (p1.offset * n23[axis] + p2.offset * n31[axis] + p3.offset * n12[axis]) / determinant);
+}
+
+/**
+ * @param {number[]} a - A vector [x, y, z]
+ * @param {number[]} b - Another vector
+ * @returns {number} Their dot product
+ */
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * @param {number[]} a - A vector [x, y, z]
+ * @param {number[]} b - Another vector
+ * @returns {number[]} Their cross product a × b
+ */
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+/**
+ * Creates the signed distance function of a primitive.
+ *
+ * @param {Object} primitive - The primitive
+ * @returns {Function} (x, y, z) => signed distance, negative inside
+ */
+function createDistanceFunction(primitive) {
+    if (primitive.type === 'sphere') {
+        const [cx, cy, cz] = primitive.center;
+        return (x, y, z) => Math.hypot(x - cx, y - cy, z - cz) - primitive.radius;
+    }
+
+    if (primitive.type === 'cylinder') {
+        const [sx, sy, sz] = primitive.start;
+        const axis = primitive.end.map((value, i) => value - primitive.start[i]);
+        const length = Math.hypot(...axis);
+        const [ax, ay, az] = axis.map(value => value / length);
+        return (x, y, z) => {
+            // Distance along the axis from the middle, and from the axis
+            const along = (x - sx) * ax + (y - sy) * ay + (z - sz) * az;
+            const radial = Math.hypot(
+                x - sx - along * ax,
+                y - sy - along * ay,
+                z - sz - along * az
+            );
+            const dRadial = radial - primitive.radius;
+            const dAxial = Math.abs(along - length / 2) - length / 2;
+            const outside = Math.hypot(Math.max(dRadial, 0), Math.max(dAxial, 0));
+            return outside + Math.min(Math.max(dRadial, dAxial), 0);
+        };
+    }
+
+    if (primitive.type === 'convex') {
+        // The largest plane distance: exact inside and on the faces, a slight
+        // underestimate near the outside of edges and corners, which is all the
+        // surface extraction needs
+        const planes = primitive.planes.map(({ normal, offset }) => {
+            const length = Math.hypot(...normal);
+            return [normal[0] / length, normal[1] / length, normal[2] / length, offset / length];
+        });
+        return (x, y, z) => {
+            let distance = -Infinity;
+            for (const [nx, ny, nz, offset] of planes) {
+                distance = Math.max(distance, nx * x + ny * y + nz * z - offset);
+            }
+            return distance;
+        };
+    }
+
+    throw new Error(`Unknown primitive type "${primitive.type}"`);
+}
+
+/**
+ * Merges solid primitives into a single closed triangle mesh.
+ *
+ * @param {Object[]} primitives - The primitives, see the top of this file
+ * @param {Object} [options] - Meshing options
+ * @param {number} [options.cellSize] - Grid spacing; by default maxCells along the longest
+ *     side, or coarser if that is already fine enough for the thinnest primitive
+ * @param {number} [options.maxCells=MAX_GRID_CELLS] - Limit on the default grid
+ * @returns {Object} {positions: Float32Array, indices: Uint32Array}, with every edge shared
+ *     by exactly two triangles and the triangles wound counter-clockwise seen from outside
+ */
+function solidifyPrimitives(primitives, options = {}) {
+    if (primitives.length === 0) {
+        return { positions: new Float32Array(0), indices: new Uint32Array(0) };
+    }
+
+    const bounds = primitives.map(primitiveBounds);
+    const min = [0, 1, 2].map(axis => Math.min(...bounds.map(box => box.min[axis])));
+    const max = [0, 1, 2].map(axis => Math.max(...bounds.map(box => box.max[axis])));
+    const longest = Math.max(...max.map((value, axis) => value - min[axis]));
+    const thinnest = Math.min(...primitives.map(primitiveFeatureSize));
+    const cellSize = options.cellSize ||
+        Math.max(thinnest / CELLS_PER_FEATURE, longest / (options.maxCells || MAX_GRID_CELLS));
+
+    // Grid points, with two spare cells on every side so the surface closes inside the grid
+    const origin = min.map(value => value - 2 * cellSize);
+    const counts = min.map((value, axis) => Math.ceil((max[axis] - value) / cellSize) + 5);
+    const [nx, ny, nz] = counts;
+    const pointIndex = (i, j, k) => i + nx * (j + ny * k);
+
+    // Sample the union: each primitive lowers the field around itself. Far from every
+    // primitive the field keeps a positive "outside" value, which is all that matters there.
+    const outside = 2 * cellSize;
+    const field = new Float32Array(nx * ny * nz).fill(outside);
+    primitives.forEach((primitive, index) => {
+        const distance = createDistanceFunction(primitive);
+        const box = bounds[index];
+        const from = box.min.map((value, axis) =>
+            Math.max(0, Math.floor((value - origin[axis]) / cellSize) - 1));
+        const to = box.max.map((value, axis) =>
+            Math.min(counts[axis] - 1, Math.ceil((value - origin[axis]) / cellSize) + 1));
+        for (let k = from[2]; k <= to[2]; k++) {
+            const z = origin[2] + k * cellSize;
+            for (let j = from[1]; j <= to[1]; j++) {
+                const y = origin[1] + j * cellSize;
+                for (let i = from[0]; i <= to[0]; i++) {
+                    const value = distance(origin[0] + i * cellSize, y, z);
+                    const p = pointIndex(i, j, k);
+                    if (value < field[p]) field[p] = value;
+                }
+            }
+        }
+    });
+
+    return marchingTetrahedra(field, counts, origin, cellSize);
+}
+
+// The six tetrahedra of a grid cube, as corner numbers (bit 0 = +x, bit 1 = +y, bit 2 = +z),
+// all sharing the main diagonal from corner 0 to corner 7
+const CUBE_TETRAHEDRA = [
+    [0, 1, 3, 7],
+    [0, 1, 5, 7],
+    [0, 2, 3, 7],
+    [0, 2, 6, 7],
+    [0, 4, 5, 7],
+    [0, 4, 6, 7]
+];
+
+/**
+ * Extracts the zero level of a sampled field as a closed triangle mesh.
+ *
+ * @param {Float32Array} field - Field values, x fastest
+ * @param {number[]} counts - Grid points along each axis
+ * @param {number[]} origin - Position of the first grid point
+ * @param {number} cellSize - Grid spacing
+ * @returns {Object} {positions: Float32Array, indices: Uint32Array}
+ */
+function marchingTetrahedra(field, counts, origin, cellSize) {
+    const [nx, ny, nz] = counts;
+    const positions = [];
+    const indices = [];
+
+    // Surface vertices lie on grid edges; share each one between the triangles that use it
+    const edgeVertices = new Map();
+    const vertexOnEdge = (a, b) => {
+        const key = a < b ? a * field.length + b : b * field.length + a;
+        let vertex = edgeVertices.get(key);
+        if (vertex === undefined) {
+            // Keep the vertex off the grid points themselves, so that a field value of exactly
+            // zero cannot merge vertices of different edges into one spot
+            const t = Math.min(Math.max(field[a] / (field[a] - field[b]), 1e-4), 1 - 1e-4);
+            const pa = gridPoint(a), pb = gridPoint(b);
+            vertex = positions.length / 3;
+            positions.push(
+                pa[0] + t * (pb[0] - pa[0]),
+                pa[1] + t * (pb[1] - pa[1]),
+                pa[2] + t * (pb[2] - pa[2])
+            );
+            edgeVertices.set(key, vertex);
+        }
+        return vertex;
+    };
+    const gridPoint = p => {
+        const i = p % nx;
+        const j = Math.floor(p / nx) % ny;
+        const k = Math.floor(p / (nx * ny));
+        return [origin[0] + i * cellSize, origin[1] + j * cellSize, origin[2] + k * cellSize];
+    };
+
+    // Adds a triangle, wound so its normal points from the inside corners to the outside ones
+    const addTriangle = (v0, v1, v2, insideCorners, outsideCorners) => {
+        const p = [v0, v1, v2].map(v => positions.slice(v * 3, v * 3 + 3));
+        const normal = cross(
+            p[1].map((value, axis) => value - p[0][axis]),
+            p[2].map((value, axis) => value - p[0][axis])
+        );
+        const inside = averagePoint(insideCorners.map(gridPoint));
+        const outsidePoint = averagePoint(outsideCorners.map(gridPoint));
+        const outward = outsidePoint.map((value, axis) => value - inside[axis]);
+        if (dot(normal, outward) >= 0) {
+            indices.push(v0, v1, v2);
+        } else {
+            indices.push(v0, v2, v1);
+        }
+    };
+
+    const corners = new Array(8);
+    for (let k = 0; k < nz - 1; k++) {
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                let insideCount = 0;
+                for (let c = 0; c < 8; c++) {
+                    corners[c] = (i + (c & 1)) + nx * ((j + ((c >> 1) & 1)) + ny * (k + ((c >> 2) & 1)));
+                    if (field[corners[c]] < 0) insideCount++;
+                }
+                // Skip cubes entirely inside or outside
+                if (insideCount === 0 || insideCount === 8) continue;
+
+                CUBE_TETRAHEDRA.forEach(tetrahedron => {
+                    const points = tetrahedron.map(c => corners[c]);
+                    const inside = points.filter(p => field[p] < 0);
+                    const outsidePoints = points.filter(p => field[p] >= 0);
+                    if (inside.length === 0 || inside.length === 4) return;
+
+                    if (inside.length === 1 || inside.length === 3) {
+                        // One corner on its own side: a single triangle cuts it off
+                        const [lone, others] = inside.length === 1
+                            ? [inside[0], outsidePoints]
+                            : [outsidePoints[0], inside];
+                        const vertices = others.map(other => vertexOnEdge(lone, other));
+                        addTriangle(vertices[0], vertices[1], vertices[2], inside, outsidePoints);
+                    } else {
+                        // Two corners on each side: a quadrilateral, split into two triangles
+                        const [a, b] = inside;
+                        const [c, d] = outsidePoints;
+                        const ac = vertexOnEdge(a, c), ad = vertexOnEdge(a, d);
+                        const bc = vertexOnEdge(b, c), bd = vertexOnEdge(b, d);
+                        // ac, ad, bd, bc go around the quadrilateral
+                        addTriangle(ac, ad, bd, inside, outsidePoints);
+                        addTriangle(ac, bd, bc, inside, outsidePoints);
+                    }
+                });
+            }
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        indices: new Uint32Array(indices)
+    };
+}
+
+/**
+ * Averages points, e.g. the grid corners on one side of the surface.
+ *
+ * @param {number[][]} points - Points as [x, y, z]
+ * @returns {number[]} Their centroid
+ */
+function averagePoint(points) {
+    return [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+}
+
+export {
+    MAX_GRID_CELLS,
+    primitiveBounds,
+    convexVertices,
+    createDistanceFunction,
+    solidifyPrimitives,
+    marchingTetrahedra
+};
@@ -0,0 +1,273 @@
+/**
+ * 3D File Writers
+ *
+ * Writes triangle meshes to the file formats used for sharing and 3D printing:
+ * - binary glTF (.glb), with one material per mesh, for other 3D software and the web
+ * - binary STL (.stl), plain triangles, for slicers and 3D printers
+ * - Wavefront OBJ (.obj) with its material library (.mtl), for CAD and modelling software
+ *
+ * All writers take the same list of meshes, each a plain object:
+ *
+ *     {
+ *         name: 'Carbon',
+ *         positions: Float32Array,   // x, y, z per vertex
+ *         normals: Float32Array,     // optional, x, y, z per vertex
+ *         indices: Uint32Array,      // optional, three per triangle; else every three vertices
+ *         color: [r, g, b],          // 0 to 1
+ *         opacity: 1,                // optional
+ *         doubleSided: false         // optional
+ *     }
+ */
+
+// glTF constants
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const GLB_CHUNK_JSON = 0x4E4F534A; // "JSON"
+const GLB_CHUNK_BIN = 0x004E4942; // "BIN\0"
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Returns a mesh's triangles as vertex index triples, whether or not it is indexed.
+ *
+ * @param {Object} mesh - The mesh
+ * @returns {Uint32Array} Three vertex indices per triangle
+ */
+function meshIndices(mesh) {
+    if (mesh.indices) return mesh.indices;
+    return Uint32Array.from({ length: mesh.positions.length / 3 }, (value, index) => index);
+}
+
+/**
+ * Writes meshes to a binary glTF 2.0 file.
+ *
+ * @param {Object[]} meshes - The meshes, see the top of this file
+ * @param {Object} [options] - Writer options
+ * @param {string} [options.generator] - Name of the program, stored in the file
+ * @returns {ArrayBuffer} The .glb file
+ */
+function writeGLB(meshes, { generator = '3D Shape Visualizations' } = {}) {
+    const gltf = {
+        asset: { version: '2.0', generator },
+        scene: 0,
+        scenes: [{ nodes: meshes.map((mesh, index) => index) }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+
+    // Collect every array in one binary buffer, each starting on a 4-byte boundary
+    const chunks = [];
+    let byteLength = 0;
+    const addBufferView = (array, target) => {
+        const padding = (4 - (byteLength % 4)) % 4;
+        if (padding) chunks.push(new Uint8Array(padding));
+        byteLength += padding;
+        chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+        byteLength += array.byteLength;
+        return gltf.bufferViews.length - 1;
+    };
+    const addAccessor = (array, type, target, extra = {}) => {
+        const components = { SCALAR: 1, VEC3: 3 }[type];
+        gltf.accessors.push({
+            bufferView: addBufferView(array, target),
+            componentType: array instanceof Float32Array ? GL_FLOAT : GL_UNSIGNED_INT,
+            count: array.length / components,
+            type,
+            ...extra
+        });
+        return gltf.accessors.length - 1;
+    };
+
+    meshes.forEach((mesh, index) => {
+        const [r, g, b] = mesh.color;
+        const opacity = mesh.opacity ?? 1;
+        gltf.materials.push({
+            name: mesh.name,
+            pbrMetallicRoughness: {
+                baseColorFactor: [r, g, b, opacity],
+                metallicFactor: 0,
+                roughnessFactor: 0.6
+            },
+            alphaMode: opacity < 1 ? 'BLEND' : 'OPAQUE',
+            doubleSided: Boolean(mesh.doubleSided)
+        });
+
+        // POSITION accessors must give their bounds
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < mesh.positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], mesh.positions[i + axis]);
+                max[axis] = Math.max(max[axis], mesh.positions[i + axis]);
+            }
+        }
+
+        const attributes = {
+            POSITION: addAccessor(mesh.positions, 'VEC3', GL_ARRAY_BUFFER, { min, max })
+        };
+        if (mesh.normals) {
+            attributes.NORMAL = addAccessor(mesh.normals, 'VEC3', GL_ARRAY_BUFFER);
+        }
+        const primitive = { attributes, material: index };
+        if (mesh.indices) {
+            primitive.indices = addAccessor(Uint32Array.from(mesh.indices), 'SCALAR', GL_ELEMENT_ARRAY_BUFFER);
+        }
+
+        gltf.meshes.push({ name: mesh.name, primitives: [primitive] });
+        gltf.nodes.push({ name: mesh.name, mesh: index });
+    });
+    gltf.buffers.push({ byteLength });
+
+    // The JSON chunk is padded with spaces and the binary chunk with zeros
+    const json = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonLength = Math.ceil(json.length / 4) * 4;
+    const binLength = Math.ceil(byteLength / 4) * 4;
+    const file = new ArrayBuffer(12 + 8 + jsonLength + 8 + binLength);
+    const view = new DataView(file);
+    const bytes = new Uint8Array(file);
+
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, file.byteLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(json, 20);
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+    let offset = binStart + 8;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    return file;
+}
+
+/**
+ * Writes meshes to a binary STL file. STL has no colors or materials: all triangles
+ * are written as one surface.
+ *
+ * @param {Object[]} meshes - The meshes, see the top of this file
+ * @param {Object} [options] - Writer options
+ * @param {number} [options.scale=1] - Factor applied to every coordinate, e.g. to millimetres
+ * @param {string} [options.header] - Text for the 80-byte header (not starting with "solid")
+ * @returns {ArrayBuffer} The .stl file
+ */
+function writeSTL(meshes, { scale = 1, header = 'Binary STL from 3D Shape Visualizations' } = {}) {
+    const triangleCount = meshes.reduce((sum, mesh) => sum + meshIndices(mesh).length / 3, 0);
+    const file = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(file);
+
+    new Uint8Array(file).set(new TextEncoder().encode(header).slice(0, 80));
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    meshes.forEach(mesh => {
+        const indices = meshIndices(mesh);
+        const p = mesh.positions;
+        for (let t = 0; t < indices.length; t += 3) {
+            const [a, b, c] = [indices[t] * 3, indices[t + 1] * 3, indices[t + 2] * 3];
+
+            // Facet normal from the winding (counter-clockwise seen from outside)
+            const u = [p[b] - p[a], p[b + 1] - p[a + 1], p[b + 2] - p[a + 2]];
+            const v = [p[c] - p[a], p[c + 1] - p[a + 1], p[c + 2] - p[a + 2]];
+            const normal = [
+                u[1] * v[2] - u[2] * v[1],
+                u[2] * v[0] - u[0] * v[2],
+                u[0] * v[1] - u[1] * v[0]
+            ];
+            const length = Math.hypot(...normal) || 1;
+            normal.forEach(value => {
+                view.setFloat32(offset, value / length, true);
+                offset += 4;
+            });
+
+            [a, b, c].forEach(vertex => {
+                for (let axis = 0; axis < 3; axis++) {
+                    view.setFloat32(offset, p[vertex + axis] * scale, true);
+                    offset += 4;
+                }
+            });
+
+            // Attribute byte count, unused
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+    });
+
+    return file;
+}
+
+/**
+ * Writes meshes to a Wavefront OBJ file and its MTL material library.
+ *
+ * @param {Object[]} meshes - The meshes, see the top of this file
+ * @param {Object} [options] - Writer options
+ * @param {string} [options.mtlFileName='scene.mtl'] - Name the OBJ file uses for the library
+ * @returns {{obj: string, mtl: string}} The contents of the two files
+ */
+function writeOBJ(meshes, { mtlFileName = 'scene.mtl' } = {}) {
+    const obj = ['# Exported from 3D Shape Visualizations', `mtllib ${mtlFileName}`];
+    const mtl = ['# Materials for ' + mtlFileName.replace(/\.mtl$/, '.obj')];
+    const number = value => Number(value.toFixed(6)).toString();
+
+    // OBJ vertex numbers start at 1 and run on through the whole file
+    let vertexOffset = 1;
+    meshes.forEach((mesh, index) => {
+        const name = `${(mesh.name || 'mesh').replace(/\s+/g, '_')}_${index + 1}`;
+        const [r, g, b] = mesh.color;
+
+        mtl.push('', `newmtl ${name}`,
+            `Kd ${number(r)} ${number(g)} ${number(b)}`,
+            'Ka 0 0 0',
+            'Ks 0.2 0.2 0.2',
+            `d ${number(mesh.opacity ?? 1)}`,
+            'illum 2');
+
+        obj.push('', `o ${name}`, `usemtl ${name}`);
+        const p = mesh.positions;
+        for (let i = 0; i < p.length; i += 3) {
+            obj.push(`v ${number(p[i])} ${number(p[i + 1])} ${number(p[i + 2])}`);
+        }
+        if (mesh.normals) {
+            const n = mesh.normals;
+            for (let i = 0; i < n.length; i += 3) {
+                obj.push(`vn ${number(n[i])} ${number(n[i + 1])} ${number(n[i + 2])}`);
+            }
+        }
+
+        const indices = meshIndices(mesh);
+        for (let t = 0; t < indices.length; t += 3) {
+            const corners = [indices[t], indices[t + 1], indices[t + 2]].map(vertex => {
+                const vertexNumber = vertex + vertexOffset;
+                return mesh.normals ? `${vertexNumber}//${vertexNumber}` : `${vertexNumber}`;
+            });
+            obj.push(`f ${corners.join(' ')}`);
+        }
+        vertexOffset += p.length / 3;
+    });
+
+    return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+}
+
+/**
+ * Escapes text for use in XML, e.g. in the SVG files of nets and line drawings.
+ *
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export { writeGLB, writeSTL, writeOBJ, escapeXML };
@@ -0,0 +1,85 @@
+/**
+ * Gallery
+ *
+ * This script filters the cards of the gallery page (index.html), the page to bookmark for
+ * finding a visualization:
+ * - Subject buttons show only the visualizations for one subject; shared ones are in both
+ * - The search box shows only the cards with every word typed in their title, subjects,
+ *   tags, description or features, e.g. "nets quiz"; a card's tags search for themselves
+ * - The filter is kept in the URL hash (#subject=chemistry&search=bonding), so a filtered
+ *   gallery can be bookmarked or linked
+ *
+ * The cards are written from the registry (visualizations.json) by tools/build_gallery.js,
+ * so the page lists every visualization even before this script runs.
+ */
+
+import { formatHash, readURLParams } from '../viewer/url_state.js';
+import { matchesGalleryFilter } from './registry.js';
+
+// The filter shown, as {subject, search}; empty values show everything
+let filter = { subject: '', search: '' };
+
+/**
+ * Connects the search box, subject buttons and tags, and applies the filter from the URL.
+ */
+function init() {
+    const params = readURLParams();
+    filter = { subject: params.get('subject') || '', search: params.get('search') || '' };
+
+    const searchInput = document.getElementById('search');
+    searchInput.value = filter.search;
+    searchInput.addEventListener('input', () => {
+        filter.search = searchInput.value;
+        applyFilter();
+    });
+
+    document.querySelectorAll('#subjects button').forEach(button => {
+        button.addEventListener('click', () => {
+            filter.subject = button.dataset.subject;
+            applyFilter();
+        });
+    });
+
+    document.querySelectorAll('.tags button').forEach(button => {
+        button.addEventListener('click', () => {
+            filter.search = button.textContent;
+            searchInput.value = filter.search;
+            applyFilter();
+        });
+    });
+
+    applyFilter();
+}
+
+/**
+ * Shows the cards that match the filter, marks the subject chosen, counts the cards shown
+ * and writes the filter to the URL.
+ */
+function applyFilter() {
+    const cards = [...document.querySelectorAll('.card')];
+    let shown = 0;
+    cards.forEach(card => {
+        const matches = matchesGalleryFilter({
+            subjects: card.dataset.subjects.split(' '),
+            searchText: card.textContent.replace(/\s+/g, ' ').toLowerCase()
+        }, filter);
+        card.hidden = !matches;
+        if (matches) shown++;
+    });
+
+    document.querySelectorAll('#subjects button').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.subject === filter.subject));
+    });
+
+    document.getElementById('result-count').textContent = shown === 0
+        ? 'No visualization matches. Try another word, or All subjects.'
+        : `Showing ${shown} of ${cards.length} visualization${cards.length === 1 ? '' : 's'}`;
+
+    // Like the visualizations, the address always links to what is shown
+    const url = new URL(window.location.href);
+    url.hash = formatHash(filter);
+    window.history.replaceState(null, '', url.href);
+}
+
+// Set up the gallery when the page loads
+window.onload = init;
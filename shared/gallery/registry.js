@@ -0,0 +1,247 @@
+/**
+ * Visualization Registry
+ *
+ * The list of visualizations, in visualizations.json at the repository root. Everything that
+ * lists the visualizations is written from it by tools/build_gallery.js: the gallery page
+ * (index.html) with its thumbnails, the list in the README, and the standalone pages
+ * (tools/build_standalone.js). Adding a visualization means adding an entry, e.g.
+ *
+ *     {
+ *         "id": "diamond",
+ *         "title": "Diamond Crystal Structure",
+ *         "page": "chemistry/visualizations/diamond_visualization.html",
+ *         "subjects": ["chemistry"],
+ *         "tags": ["crystals", "bonding"],
+ *         "description": "Visualization of a diamond cubic crystal structure with tetrahedral bonding",
+ *         "thumbnail": { "scene": "chemistry/scenes/diamond.json", "direction": [1, 0.7, 2] },
+ *         "files": ["chemistry/quizzes/diamond.json"]
+ *     }
+ *
+ * and running npm run build. The thumbnail is drawn from a scene file (see
+ * shared/scenes/scene_schema.js) as a line drawing, looking along the direction given, or is
+ * an image file given by its path. Paths are relative to the repository root.
+ *
+ * Registries are checked with the JSON Schema checker of the scene format, so this module
+ * needs shared/scenes/scene_schema.js.
+ */
+
+import { validateAgainstSchema } from '../scenes/scene_schema.js';
+
+// Version of the registry format described here
+const REGISTRY_FORMAT_VERSION = 1;
+
+// Reusable parts of the schema
+const PATH_SCHEMA = {
+    title: 'a path relative to the repository root, e.g. "chemistry/quizzes/diamond.json"',
+    type: 'string',
+    pattern: '^[A-Za-z0-9_.-]+(/[A-Za-z0-9_.-]+)*/?$'
+};
+
+const TEXT_LIST_SCHEMA = {
+    type: 'array',
+    items: { type: 'string', minLength: 1 }
+};
+
+const REGISTRY_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Visualization registry',
+    description: 'The visualizations shown in the gallery, see shared/gallery/registry.js',
+    type: 'object',
+    required: ['subjects', 'visualizations'],
+    additionalProperties: false,
+    properties: {
+        $schema: {
+            description: 'Where this schema is, so editors can check the registry',
+            type: 'string'
+        },
+        version: {
+            description: 'Version of the registry format',
+            const: REGISTRY_FORMAT_VERSION
+        },
+        subjects: {
+            description: 'The subjects the gallery can be filtered by, in the order of its buttons',
+            type: 'array',
+            minItems: 1,
+            items: { $ref: '#/definitions/subject' }
+        },
+        visualizations: {
+            description: 'The visualizations, in the order they are shown',
+            type: 'array',
+            minItems: 1,
+            items: { $ref: '#/definitions/visualization' }
+        }
+    },
+    definitions: {
+        subject: {
+            type: 'object',
+            required: ['id', 'name'],
+            additionalProperties: false,
+            properties: {
+                id: { description: 'Name used in the registry and in links, e.g. "chemistry"', $ref: '#/definitions/id' },
+                name: { description: 'Name shown on the button, e.g. "Chemistry"', type: 'string', minLength: 1 }
+            }
+        },
+        visualization: {
+            type: 'object',
+            required: ['id', 'title', 'page', 'subjects', 'description', 'thumbnail'],
+            additionalProperties: false,
+            properties: {
+                id: { description: 'Short name, used for the thumbnail\'s file name', $ref: '#/definitions/id' },
+                title: { description: 'Title on the gallery card and in the README', type: 'string', minLength: 1 },
+                page: {
+                    ...PATH_SCHEMA,
+                    title: 'the path of an HTML page, e.g. "chemistry/visualizations/diamond_visualization.html"',
+                    pattern: '^[A-Za-z0-9_.-]+(/[A-Za-z0-9_.-]+)*\\.html$'
+                },
+                subjects: {
+                    ...TEXT_LIST_SCHEMA,
+                    description: 'Ids of the subjects it is for; one with several is listed as shared',
+                    minItems: 1
+                },
+                tags: { ...TEXT_LIST_SCHEMA, description: 'Topics it covers, shown on its card and searched' },
+                description: { description: 'What it shows, in a sentence', type: 'string', minLength: 1 },
+                features: {
+                    ...TEXT_LIST_SCHEMA,
+                    description: 'What can be done with it, one feature each, listed in the README and on its card; `code` is allowed'
+                },
+                thumbnail: {
+                    description: 'A scene to draw the thumbnail from, or the path of an image',
+                    oneOf: [
+                        {
+                            ...PATH_SCHEMA,
+                            title: 'the path of an image, e.g. "shared/gallery/thumbnails/my_picture.png"',
+                            pattern: '^[A-Za-z0-9_.-]+(/[A-Za-z0-9_.-]+)*\\.(svg|png|jpg|jpeg|webp)$'
+                        },
+                        { $ref: '#/definitions/sceneThumbnail' }
+                    ]
+                },
+                files: {
+                    description: 'Files the page downloads, included in its standalone page; a path ending in "/" includes a folder',
+                    type: 'array',
+                    items: PATH_SCHEMA
+                }
+            }
+        },
+        sceneThumbnail: {
+            type: 'object',
+            required: ['scene'],
+            additionalProperties: false,
+            properties: {
+                scene: { ...PATH_SCHEMA, description: 'The scene file drawn' },
+                direction: {
+                    description: 'Direction the scene is seen from, e.g. [1, 1, 2]; defaults to that of the scene\'s camera',
+                    title: 'a direction [x, y, z]',
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 3,
+                    maxItems: 3
+                }
+            }
+        },
+        id: {
+            title: 'a name of lowercase letters, digits and underscores',
+            type: 'string',
+            pattern: '^[a-z0-9_]+$'
+        }
+    }
+};
+
+/**
+ * Error thrown when a registry cannot be used.
+ */
+class RegistryError extends Error {
+    /**
+     * @param {string} message - What is wrong with the registry
+     * @param {string[]} [problems=[]] - Every problem found, each with where it is
+     */
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'RegistryError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Reads a registry from the text of a JSON file and checks it.
+ *
+ * @param {string} text - The file contents
+ * @returns {Object} The registry
+ * @throws {RegistryError} If the text is not JSON, or the registry does not follow the format
+ */
+function parseRegistry(text) {
+    let registry;
+    try {
+        registry = JSON.parse(text);
+    } catch (error) {
+        const position = /position (\d+)/.exec(error.message);
+        const where = position ? ` on line ${text.slice(0, Number(position[1])).split('\n').length}` : '';
+        throw new RegistryError(`the file is not valid JSON${where}: ${error.message}`);
+    }
+
+    const problems = validateRegistry(registry);
+    if (problems.length > 0) {
+        throw new RegistryError(`the registry has ${problems.length} problem${problems.length === 1 ? '' : 's'}`, problems);
+    }
+    return registry;
+}
+
+/**
+ * Checks a registry against the schema, and what the schema cannot express: that ids and
+ * pages are used once, and that visualizations name subjects of the registry.
+ *
+ * @param {*} registry - The registry, as parsed from JSON
+ * @returns {string[]} The problems found, each starting with where it is; empty if none
+ */
+function validateRegistry(registry) {
+    const problems = validateAgainstSchema(registry, REGISTRY_SCHEMA, 'registry');
+    if (problems.length > 0) return problems;
+
+    const subjectIds = new Set();
+    registry.subjects.forEach((subject, index) => {
+        if (subjectIds.has(subject.id)) problems.push(`registry.subjects[${index}].id: "${subject.id}" is used by an earlier subject`);
+        subjectIds.add(subject.id);
+    });
+
+    const ids = new Set();
+    const pages = new Set();
+    registry.visualizations.forEach((visualization, index) => {
+        const path = `registry.visualizations[${index}]`;
+        if (ids.has(visualization.id)) problems.push(`${path}.id: "${visualization.id}" is used by an earlier visualization`);
+        if (pages.has(visualization.page)) problems.push(`${path}.page: "${visualization.page}" is listed twice`);
+        ids.add(visualization.id);
+        pages.add(visualization.page);
+
+        visualization.subjects.forEach((subject, subjectIndex) => {
+            if (!subjectIds.has(subject)) {
+                const known = [...subjectIds].map(id => `"${id}"`).join(', ');
+                problems.push(`${path}.subjects[${subjectIndex}]: "${subject}" is not one of the registry's subjects (${known})`);
+            } else if (visualization.subjects.indexOf(subject) !== subjectIndex) {
+                problems.push(`${path}.subjects[${subjectIndex}]: "${subject}" is listed twice`);
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * Checks whether a gallery card is shown for a filter: it must be for the subject chosen (if
+ * any), and its search text must contain every word searched for.
+ *
+ * @param {Object} card - The card as {subjects: string[], searchText}, the search text being
+ *     everything on it in lowercase: title, subjects, tags, description and features
+ * @param {Object} filter - The filter as {subject, search}; an empty subject or search matches all
+ * @returns {boolean} Whether the card is shown
+ */
+function matchesGalleryFilter(card, { subject = '', search = '' }) {
+    if (subject && !card.subjects.includes(subject)) return false;
+    return search.toLowerCase().split(/\s+/).filter(Boolean).every(word => card.searchText.includes(word));
+}
+
+export {
+    REGISTRY_FORMAT_VERSION,
+    REGISTRY_SCHEMA,
+    RegistryError,
+    parseRegistry,
+    validateRegistry,
+    matchesGalleryFilter
+};
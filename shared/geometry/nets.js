@@ -0,0 +1,508 @@
+/**
+ * Polyhedron Nets
+ *
+ * Unfolds a convex polyhedron into a net: its faces laid flat in one piece, joined along
+ * some of their edges, which can be cut out of paper and folded back into the solid.
+ *
+ * A net is a spanning tree of the polyhedron's faces: each face except the first (the root)
+ * hangs from a parent face by the edge they share, its hinge. The edges in the tree are
+ * folded; every other edge is cut. Unfolding turns each face about its hinge, relative to
+ * its parent, until it lies in its parent's plane, so the whole net ends up flat in the
+ * plane of the root face.
+ *
+ * Not every spanning tree gives a net that can be printed: faces can land on top of each
+ * other. findNets() tries the spanning trees, keeps those without overlaps and lists each
+ * shape once, e.g. the 11 nets of the cube and the 2 of the tetrahedron.
+ *
+ * A net is a plain object:
+ *
+ *     {
+ *         root: 0,                  // the face that stays in place
+ *         parent: [-1, 0, ...],     // each face's parent face, -1 for the root
+ *         hinge: [null, [a, b], ...], // the vertex indices of the edge each face turns about
+ *         angle: [0, 1.57, ...],    // how far each face turns to lie flat, in radians
+ *         order: [0, 1, ...],       // the faces, parents before their children
+ *         cuts: [[a, b], ...]       // the edges that are cut
+ *     }
+ *
+ * Transforms are 4×4 matrices as 16 numbers in column-major order, the order
+ * THREE.Matrix4.fromArray() reads.
+ */
+
+import {
+    addVectors,
+    crossProduct,
+    dotProduct,
+    faceNormal,
+    normalizeVector,
+    scaleVector,
+    subtractVectors,
+    vectorLength
+} from './polyhedra.js';
+
+// Most spanning trees tried, and most nets listed; solids with many faces have millions of trees
+const MAX_SPANNING_TREES = 5000;
+const MAX_NETS = 60;
+
+// Relative tolerance for points and overlaps in the flat net, as a fraction of its longest edge
+const NET_TOLERANCE = 1e-6;
+
+// Height of glue tabs, as a fraction of the longest edge; tabs on short edges are lower
+const GLUE_TAB_HEIGHT = 0.2;
+
+/**
+ * Finds the different nets of a polyhedron.
+ *
+ * @param {Object} polyhedron - A convex polyhedron from polyhedra.js
+ * @param {Object} [options] - Search options
+ * @param {number} [options.maxNets=MAX_NETS] - Stop once this many nets are found
+ * @returns {Object[]} The nets, without overlapping faces, each shape listed once (nets that
+ *     are the same shape turned or flipped over count as one)
+ */
+function findNets(polyhedron, { maxNets = MAX_NETS } = {}) {
+    const links = faceLinks(polyhedron);
+    const faceCount = polyhedron.faces.length;
+    // The net lies in the plane of the lowest face, so it unfolds onto the floor
+    const root = polyhedron.faces
+        .map((face, index) => ({ index, y: faceNormal(polyhedron, face)[1] }))
+        .reduce((lowest, face) => face.y < lowest.y ? face : lowest).index;
+
+    const nets = [];
+    const shapes = new Set();
+    let trees = 0;
+    const search = (index, components, chosen) => {
+        if (trees >= MAX_SPANNING_TREES || nets.length >= maxNets) return;
+        if (chosen.length === faceCount - 1) {
+            trees++;
+            const net = createNet(polyhedron, root, chosen.map(linkIndex => links[linkIndex]), links);
+            const polygons = flattenNet(polyhedron, net);
+            if (polygonsOverlap(polygons)) return;
+            const shape = netShapeKey(polygons);
+            if (!shapes.has(shape)) {
+                shapes.add(shape);
+                nets.push(net);
+            }
+            return;
+        }
+        // Too few links left to connect every face
+        if (links.length - index < faceCount - 1 - chosen.length) return;
+
+        const [f, g] = links[index].faces;
+        const rootF = findComponent(components, f);
+        const rootG = findComponent(components, g);
+        if (rootF !== rootG) {
+            const joined = components.slice();
+            joined[rootF] = rootG;
+            chosen.push(index);
+            search(index + 1, joined, chosen);
+            chosen.pop();
+        }
+        search(index + 1, components, chosen);
+    };
+    search(0, polyhedron.faces.map((face, index) => index), []);
+    return nets;
+}
+
+/**
+ * Lists the pairs of faces that share an edge.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {Object[]} One link per edge, as {faces: [f, g], edge: [a, b]}
+ */
+function faceLinks(polyhedron) {
+    const facesOfEdge = new Map();
+    polyhedron.faces.forEach((face, faceIndex) => {
+        face.forEach((a, k) => {
+            const b = face[(k + 1) % face.length];
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            if (!facesOfEdge.has(key)) facesOfEdge.set(key, []);
+            facesOfEdge.get(key).push(faceIndex);
+        });
+    });
+    return polyhedron.edges.map(([a, b]) => ({
+        faces: facesOfEdge.get(a < b ? `${a},${b}` : `${b},${a}`),
+        edge: [a, b]
+    }));
+}
+
+/**
+ * Finds the component a face belongs to, for the union-find search of spanning trees.
+ *
+ * @param {number[]} components - Each face's parent in the union-find forest
+ * @param {number} face - The face
+ * @returns {number} The face at the root of its component
+ */
+function findComponent(components, face) {
+    while (components[face] !== face) face = components[face];
+    return face;
+}
+
+/**
+ * Creates a net from a spanning tree of faces.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} root - The face that stays in place
+ * @param {Object[]} treeLinks - The links of the tree, from faceLinks()
+ * @param {Object[]} links - All links of the polyhedron
+ * @returns {Object} The net
+ */
+function createNet(polyhedron, root, treeLinks, links) {
+    const faceCount = polyhedron.faces.length;
+    const parent = new Array(faceCount).fill(-1);
+    const hinge = new Array(faceCount).fill(null);
+    const angle = new Array(faceCount).fill(0);
+    const order = [root];
+    const normals = polyhedron.faces.map(face => faceNormal(polyhedron, face));
+
+    // Walk the tree outwards from the root
+    for (let k = 0; k < order.length; k++) {
+        const face = order[k];
+        treeLinks.forEach(({ faces, edge }) => {
+            if (!faces.includes(face)) return;
+            const child = faces[0] === face ? faces[1] : faces[0];
+            if (child === parent[face]) return;
+            parent[child] = face;
+            hinge[child] = edge;
+            order.push(child);
+
+            // Turning the child by the angle between the normals lays it in its parent's
+            // plane; the direction is whichever turns its normal onto the parent's
+            const axis = normalizeVector(subtractVectors(polyhedron.vertices[edge[1]], polyhedron.vertices[edge[0]]));
+            const between = Math.acos(Math.min(1, Math.max(-1, dotProduct(normals[child], normals[face]))));
+            const turned = rotateVector(normals[child], axis, between);
+            angle[child] = dotProduct(turned, normals[face]) > Math.cos(between / 2) ? between : -between;
+        });
+    }
+
+    const treeEdges = new Set(treeLinks.map(({ edge }) => edge));
+    const cuts = links.filter(({ edge }) => !treeEdges.has(edge)).map(({ edge }) => edge);
+    return { root, parent, hinge, angle, order, cuts };
+}
+
+/**
+ * Computes where each face of a net is, part way through unfolding.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {Object} net - A net from findNets()
+ * @param {number} amount - How far to unfold: 0 is the solid, 1 the flat net
+ * @returns {number[][]} Each face's transform, a column-major 4×4 matrix
+ */
+function netTransforms(polyhedron, net, amount) {
+    const transforms = new Array(polyhedron.faces.length);
+    net.order.forEach(face => {
+        if (net.parent[face] === -1) {
+            transforms[face] = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+            return;
+        }
+        const [a, b] = net.hinge[face].map(index => polyhedron.vertices[index]);
+        const turn = rotationAboutLine(a, normalizeVector(subtractVectors(b, a)), amount * net.angle[face]);
+        transforms[face] = multiplyTransforms(transforms[net.parent[face]], turn);
+    });
+    return transforms;
+}
+
+/**
+ * Lays a net out flat in 2D, in the plane of its root face seen from outside the solid.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {Object} net - A net from findNets()
+ * @returns {number[][][]} Each face's corners as [x, y], counter-clockwise, in the order of
+ *     the face's vertices
+ */
+function flattenNet(polyhedron, net) {
+    const transforms = netTransforms(polyhedron, net, 1);
+    const rootFace = polyhedron.faces[net.root];
+    const origin = polyhedron.vertices[rootFace[0]];
+    const normal = faceNormal(polyhedron, rootFace);
+    const xAxis = normalizeVector(subtractVectors(polyhedron.vertices[rootFace[1]], origin));
+    const yAxis = crossProduct(normal, xAxis);
+
+    return polyhedron.faces.map((face, faceIndex) => face.map(vertex => {
+        const offset = subtractVectors(applyTransform(transforms[faceIndex], polyhedron.vertices[vertex]), origin);
+        return [dotProduct(offset, xAxis), dotProduct(offset, yAxis)];
+    }));
+}
+
+/**
+ * Lays out everything needed to print a net: the faces, the lines to cut and fold, and a
+ * glue tab on one side of every cut edge.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {Object} net - A net from findNets()
+ * @param {Object} [options] - Layout options
+ * @param {number} [options.gridStep] - Draw a grid of squares this size on rectangular faces,
+ *     e.g. to count the unit squares of a box's surface
+ * @returns {Object} {faces, cutLines, foldLines, tabs, gridLines, bounds}, all in 2D: faces
+ *     and tabs are polygons, the lines are [[x, y], [x, y]] segments, and bounds is
+ *     {min: [x, y], max: [x, y]} around faces and tabs. The cut lines go around the outside
+ *     of the net and its tabs; the fold lines are the hinges and the edges tabs fold along.
+ */
+function layoutNet(polyhedron, net, { gridStep = null } = {}) {
+    const faces = flattenNet(polyhedron, net);
+    const scale = netScale(faces);
+
+    // Where an edge of the polyhedron lies on a face of the flat net
+    const edgeOnFace = (edge, faceIndex) => {
+        const face = polyhedron.faces[faceIndex];
+        const k = face.findIndex((vertex, position) =>
+            edge.includes(vertex) && edge.includes(face[(position + 1) % face.length]));
+        return [faces[faceIndex][k], faces[faceIndex][(k + 1) % face.length]];
+    };
+    const facesOfEdge = edge => polyhedron.faces
+        .map((face, index) => index)
+        .filter(index => edge.every(vertex => polyhedron.faces[index].includes(vertex)));
+
+    const foldLines = net.order
+        .filter(face => net.parent[face] !== -1)
+        .map(face => edgeOnFace(net.hinge[face], face));
+
+    // Each cut edge gets one tab, on whichever side it does not cover another face or tab.
+    // The tab is folded where it meets its face, and the other side is cut.
+    const cutLines = [];
+    const tabs = [];
+    net.cuts.forEach(edge => {
+        const sides = facesOfEdge(edge).map(face => edgeOnFace(edge, face));
+        const candidates = sides.map(([p, q]) => glueTab(p, q, GLUE_TAB_HEIGHT * scale));
+        let side = candidates.findIndex(candidate =>
+            ![...faces, ...tabs].some(other => polygonsOverlap([candidate, other])));
+        if (side === -1) side = 0;
+        const tab = candidates[side];
+        tabs.push(tab);
+        foldLines.push(sides[side]);
+        cutLines.push(sides[1 - side], [tab[1], tab[2]], [tab[2], tab[3]], [tab[3], tab[0]]);
+    });
+
+    const gridLines = gridStep ? faces.flatMap(face => faceGridLines(face, gridStep)) : [];
+
+    const points = [...faces, ...tabs].flat();
+    const bounds = {
+        min: [0, 1].map(axis => Math.min(...points.map(point => point[axis]))),
+        max: [0, 1].map(axis => Math.max(...points.map(point => point[axis])))
+    };
+    return { faces, cutLines, foldLines, tabs, gridLines, bounds };
+}
+
+/**
+ * Makes a glue tab on the outside of a face's edge: a trapezoid with 45° sides.
+ *
+ * @param {number[]} p - Start of the edge, going counter-clockwise around the face
+ * @param {number[]} q - End of the edge
+ * @param {number} height - The tab's height; tabs on short edges are made lower
+ * @returns {number[][]} The tab's corners
+ */
+function glueTab(p, q, height) {
+    const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    const along = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+    // The face is on the left of its counter-clockwise edges, so outwards is to the right
+    const outwards = [along[1], -along[0]];
+    const h = Math.min(height, 0.4 * length);
+    return [
+        p,
+        q,
+        [q[0] + h * (outwards[0] - along[0]), q[1] + h * (outwards[1] - along[1])],
+        [p[0] + h * (outwards[0] + along[0]), p[1] + h * (outwards[1] + along[1])]
+    ];
+}
+
+/**
+ * Draws a grid of squares on a rectangular face, parallel to its sides.
+ *
+ * @param {number[][]} corners - The face's corners, in 2D or 3D
+ * @param {number} step - Size of the squares
+ * @returns {number[][][]} The grid lines inside the face, as [start, end]; none unless the
+ *     face is a rectangle
+ */
+function faceGridLines(corners, step) {
+    if (corners.length !== 4) return [];
+    const [c0, c1, , c3] = corners;
+    const side = (from, to) => to.map((value, axis) => value - from[axis]);
+    const length = vector => Math.hypot(...vector);
+    const across = side(c0, c1);
+    const up = side(c0, c3);
+    if (Math.abs(across.reduce((sum, value, axis) => sum + value * up[axis], 0)) > NET_TOLERANCE * length(across) * length(up)) {
+        return [];
+    }
+
+    const lines = [];
+    const addLines = (direction, other) => {
+        const count = Math.round(length(direction) / step);
+        for (let k = 1; k < count; k++) {
+            const start = c0.map((value, axis) => value + direction[axis] * k / count);
+            lines.push([start, start.map((value, axis) => value + other[axis])]);
+        }
+    };
+    addLines(across, up);
+    addLines(up, across);
+    return lines;
+}
+
+/**
+ * Checks whether any two of a list of convex polygons overlap, more than touching along
+ * an edge or at a corner.
+ *
+ * @param {number[][][]} polygons - The polygons, corners as [x, y] in order
+ * @returns {boolean} True if two polygons overlap
+ */
+function polygonsOverlap(polygons) {
+    const tolerance = NET_TOLERANCE * netScale(polygons);
+    for (let i = 0; i < polygons.length; i++) {
+        for (let j = i + 1; j < polygons.length; j++) {
+            if (!isSeparated(polygons[i], polygons[j], tolerance)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Looks for a line separating two convex polygons, along the edges of either (the
+ * separating axis theorem).
+ *
+ * @param {number[][]} first - The first polygon
+ * @param {number[][]} second - The second polygon
+ * @param {number} tolerance - Overlaps up to this deep still count as touching
+ * @returns {boolean} True if the polygons do not overlap
+ */
+function isSeparated(first, second, tolerance) {
+    return [first, second].some(polygon => polygon.some((p, k) => {
+        const q = polygon[(k + 1) % polygon.length];
+        const normal = [q[1] - p[1], p[0] - q[0]];
+        const length = Math.hypot(...normal);
+        const project = point => (point[0] * normal[0] + point[1] * normal[1]) / length;
+        const a = first.map(project);
+        const b = second.map(project);
+        return Math.max(...a) <= Math.min(...b) + tolerance || Math.max(...b) <= Math.min(...a) + tolerance;
+    }));
+}
+
+/**
+ * Describes the shape of a flat net in a way that does not change when it is turned or
+ * flipped over: the distances between all its corners.
+ *
+ * @param {number[][][]} polygons - The net's faces
+ * @returns {string} The description; congruent nets give the same one
+ */
+function netShapeKey(polygons) {
+    const scale = netScale(polygons);
+    const points = [];
+    polygons.flat().forEach(point => {
+        if (!points.some(other => Math.hypot(other[0] - point[0], other[1] - point[1]) < NET_TOLERANCE * scale * 100)) {
+            points.push(point);
+        }
+    });
+    const distances = [];
+    points.forEach((p, i) => points.slice(i + 1).forEach(q => {
+        distances.push(Math.round(Math.hypot(p[0] - q[0], p[1] - q[1]) / scale * 1e4));
+    }));
+    return distances.sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Returns the longest edge of a list of polygons, the length tolerances are measured against.
+ *
+ * @param {number[][][]} polygons - The polygons
+ * @returns {number} The longest edge
+ */
+function netScale(polygons) {
+    let longest = 0;
+    polygons.forEach(polygon => polygon.forEach((p, k) => {
+        const q = polygon[(k + 1) % polygon.length];
+        longest = Math.max(longest, Math.hypot(q[0] - p[0], q[1] - p[1]));
+    }));
+    return longest || 1;
+}
+
+/**
+ * Adds up the areas of a polyhedron's faces.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {number} The surface area
+ */
+function surfaceArea(polyhedron) {
+    return polyhedron.faces.reduce((total, face) => {
+        const corners = face.map(index => polyhedron.vertices[index]);
+        let sum = [0, 0, 0];
+        corners.forEach((a, k) => {
+            sum = addVectors(sum, crossProduct(a, corners[(k + 1) % corners.length]));
+        });
+        return total + vectorLength(sum) / 2;
+    }, 0);
+}
+
+/**
+ * Turns a vector about a unit axis through the origin (Rodrigues' formula).
+ *
+ * @param {number[]} vector - The vector
+ * @param {number[]} axis - The unit axis
+ * @param {number} angle - The angle in radians, counter-clockwise looking down the axis
+ * @returns {number[]} The turned vector
+ */
+function rotateVector(vector, axis, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return addVectors(
+        addVectors(scaleVector(vector, cos), scaleVector(crossProduct(axis, vector), sin)),
+        scaleVector(axis, dotProduct(axis, vector) * (1 - cos))
+    );
+}
+
+/**
+ * Builds the transform turning space about a line.
+ *
+ * @param {number[]} point - A point on the line
+ * @param {number[]} axis - The line's unit direction
+ * @param {number} angle - The angle in radians
+ * @returns {number[]} The transform, a column-major 4×4 matrix
+ */
+function rotationAboutLine(point, axis, angle) {
+    const columns = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(unit => rotateVector(unit, axis, angle));
+    // Points on the line stay where they are
+    const turned = rotateVector(point, axis, angle);
+    const translation = subtractVectors(point, turned);
+    return [...columns[0], 0, ...columns[1], 0, ...columns[2], 0, ...translation, 1];
+}
+
+/**
+ * Multiplies two transforms.
+ *
+ * @param {number[]} a - The transform applied second
+ * @param {number[]} b - The transform applied first
+ * @returns {number[]} The transform a × b
+ */
+function multiplyTransforms(a, b) {
+    const product = new Array(16).fill(0);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            for (let k = 0; k < 4; k++) {
+                product[column * 4 + row] += a[k * 4 + row] * b[column * 4 + k];
+            }
+        }
+    }
+    return product;
+}
+
+/**
+ * Applies a transform to a point.
+ *
+ * @param {number[]} transform - A column-major 4×4 matrix
+ * @param {number[]} point - The point [x, y, z]
+ * @returns {number[]} The transformed point
+ */
+function applyTransform(transform, point) {
+    return [0, 1, 2].map(row =>
+        transform[row] * point[0] + transform[4 + row] * point[1] + transform[8 + row] * point[2] + transform[12 + row]);
+}
+
+export {
+    MAX_NETS,
+    findNets,
+    faceLinks,
+    netTransforms,
+    flattenNet,
+    layoutNet,
+    faceGridLines,
+    polygonsOverlap,
+    surfaceArea,
+    rotationAboutLine,
+    multiplyTransforms,
+    applyTransform
+};
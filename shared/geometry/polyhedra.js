@@ -0,0 +1,690 @@
+/**
+ * Polyhedron Library
+ *
+ * Builds the Platonic solids and the common Archimedean solids with exact geometry, and the
+ * operations a geometry unit needs on them:
+ * - the convex hull of a set of points, found by checking which planes through three points
+ *   have every point on one side, with the points of each face ordered around it
+ * - truncation: cutting every corner off by a chosen amount, from the solid itself (0) to
+ *   cutting up to the edge midpoints (1); the amount that makes all edges equal turns a
+ *   Platonic solid into its truncated Archimedean solid
+ * - the dual polyhedron, with a vertex above each face and a face around each vertex
+ * - vertex, edge and face counts, the Euler characteristic V − E + F, face types and
+ *   vertex configurations such as 3.4.3.4
+ *
+ * A polyhedron is a plain object:
+ *
+ *     {
+ *         vertices: [[x, y, z], ...],
+ *         faces: [[0, 1, 2], ...],   // vertex indices, counter-clockwise seen from outside
+ *         edges: [[0, 1], ...]       // vertex index pairs, each edge once
+ *     }
+ *
+ * All solids are centred on the origin and scaled to the same circumradius as the regular
+ * tetrahedron with corners (±1, ±1, ±1).
+ */
+
+// The golden ratio, which appears in the coordinates of the icosahedral solids
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+// Distance from the centre to the corners of every solid built by buildPolyhedron()
+const CIRCUMRADIUS = Math.sqrt(3);
+
+// Points closer than this, relative to the size of the solid, are the same point
+const POINT_TOLERANCE = 1e-7;
+
+// Names of the faces by number of sides; four-sided faces are only squares when regular
+const FACE_NAMES = {
+    3: ['triangle', 'triangles'],
+    4: ['quadrilateral', 'quadrilaterals'],
+    5: ['pentagon', 'pentagons'],
+    6: ['hexagon', 'hexagons'],
+    8: ['octagon', 'octagons'],
+    10: ['decagon', 'decagons']
+};
+
+/**
+ * The solids of the library. Each has a family, the name of its dual and a build function
+ * returning its (unscaled) polyhedron; see buildPolyhedron().
+ */
+const POLYHEDRA = {
+    tetrahedron: {
+        name: 'Tetrahedron',
+        family: 'Platonic',
+        dualName: 'Tetrahedron',
+        build: () => createPolyhedron([[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]])
+    },
+    cube: {
+        name: 'Cube',
+        family: 'Platonic',
+        dualName: 'Octahedron',
+        build: () => createPolyhedron(signedPermutations([1, 1, 1], 'none'))
+    },
+    octahedron: {
+        name: 'Octahedron',
+        family: 'Platonic',
+        dualName: 'Cube',
+        build: () => createPolyhedron(signedPermutations([1, 0, 0], 'all'))
+    },
+    dodecahedron: {
+        name: 'Dodecahedron',
+        family: 'Platonic',
+        dualName: 'Icosahedron',
+        build: () => createPolyhedron([
+            ...signedPermutations([1, 1, 1], 'none'),
+            ...signedPermutations([0, 1 / PHI, PHI], 'cyclic')
+        ])
+    },
+    icosahedron: {
+        name: 'Icosahedron',
+        family: 'Platonic',
+        dualName: 'Dodecahedron',
+        build: () => createPolyhedron(signedPermutations([0, 1, PHI], 'cyclic'))
+    },
+    truncatedTetrahedron: {
+        name: 'Truncated Tetrahedron',
+        family: 'Archimedean',
+        dualName: 'Triakis Tetrahedron',
+        build: () => truncateRegularly(POLYHEDRA.tetrahedron.build())
+    },
+    cuboctahedron: {
+        name: 'Cuboctahedron',
+        family: 'Archimedean',
+        dualName: 'Rhombic Dodecahedron',
+        build: () => truncatePolyhedron(POLYHEDRA.cube.build(), 1)
+    },
+    truncatedCube: {
+        name: 'Truncated Cube',
+        family: 'Archimedean',
+        dualName: 'Triakis Octahedron',
+        build: () => truncateRegularly(POLYHEDRA.cube.build())
+    },
+    truncatedOctahedron: {
+        name: 'Truncated Octahedron',
+        family: 'Archimedean',
+        dualName: 'Tetrakis Hexahedron',
+        build: () => truncateRegularly(POLYHEDRA.octahedron.build())
+    },
+    rhombicuboctahedron: {
+        name: 'Rhombicuboctahedron',
+        family: 'Archimedean',
+        dualName: 'Deltoidal Icositetrahedron',
+        build: () => createPolyhedron(signedPermutations([1, 1, 1 + Math.SQRT2], 'all'))
+    },
+    truncatedCuboctahedron: {
+        name: 'Truncated Cuboctahedron',
+        family: 'Archimedean',
+        dualName: 'Disdyakis Dodecahedron',
+        build: () => createPolyhedron(signedPermutations([1, 1 + Math.SQRT2, 1 + 2 * Math.SQRT2], 'all'))
+    },
+    icosidodecahedron: {
+        name: 'Icosidodecahedron',
+        family: 'Archimedean',
+        dualName: 'Rhombic Triacontahedron',
+        build: () => truncatePolyhedron(POLYHEDRA.dodecahedron.build(), 1)
+    },
+    truncatedDodecahedron: {
+        name: 'Truncated Dodecahedron',
+        family: 'Archimedean',
+        dualName: 'Triakis Icosahedron',
+        build: () => truncateRegularly(POLYHEDRA.dodecahedron.build())
+    },
+    truncatedIcosahedron: {
+        name: 'Truncated Icosahedron',
+        family: 'Archimedean',
+        dualName: 'Pentakis Dodecahedron',
+        build: () => truncateRegularly(POLYHEDRA.icosahedron.build())
+    },
+    rhombicosidodecahedron: {
+        name: 'Rhombicosidodecahedron',
+        family: 'Archimedean',
+        dualName: 'Deltoidal Hexecontahedron',
+        build: () => createPolyhedron([
+            ...signedPermutations([1, 1, PHI ** 3], 'cyclic'),
+            ...signedPermutations([PHI ** 2, PHI, 2 * PHI], 'cyclic'),
+            ...signedPermutations([2 + PHI, 0, PHI ** 2], 'cyclic')
+        ])
+    }
+};
+
+/**
+ * Builds a solid of the library, centred on the origin with circumradius CIRCUMRADIUS.
+ *
+ * @param {string} key - A key of POLYHEDRA
+ * @returns {Object} The polyhedron
+ */
+function buildPolyhedron(key) {
+    const solid = POLYHEDRA[key];
+    if (!solid) {
+        throw new Error(`Unknown polyhedron "${key}"`);
+    }
+    const polyhedron = solid.build();
+    const radius = Math.max(...polyhedron.vertices.map(vectorLength));
+    return {
+        ...polyhedron,
+        vertices: polyhedron.vertices.map(vertex => scaleVector(vertex, CIRCUMRADIUS / radius))
+    };
+}
+
+/**
+ * Creates the convex polyhedron with the given corner points.
+ *
+ * @param {number[][]} points - The corners as [x, y, z]; duplicates are merged
+ * @returns {Object} The polyhedron; its vertices keep the order of the points
+ */
+function createPolyhedron(points) {
+    const vertices = mergePoints(points).points;
+    return withEdges({ vertices, faces: convexHullFaces(vertices) });
+}
+
+/**
+ * Lists every arrangement of a point's coordinates with every combination of signs.
+ *
+ * @param {number[]} coordinates - The point, e.g. [0, 1, PHI]
+ * @param {string} permutations - 'all' for every order of the coordinates, 'cyclic' for
+ *     (x, y, z), (y, z, x) and (z, x, y) only, or 'none'
+ * @returns {number[][]} The points, without duplicates
+ */
+function signedPermutations(coordinates, permutations) {
+    const [a, b, c] = coordinates;
+    const orders = {
+        none: [[a, b, c]],
+        cyclic: [[a, b, c], [b, c, a], [c, a, b]],
+        all: [[a, b, c], [b, c, a], [c, a, b], [a, c, b], [c, b, a], [b, a, c]]
+    }[permutations];
+
+    const points = [];
+    orders.forEach(order => {
+        for (let signs = 0; signs < 8; signs++) {
+            points.push(order.map((value, axis) => (signs & (1 << axis) ? -value : value)));
+        }
+    });
+    return mergePoints(points).points;
+}
+
+/**
+ * Merges points that are closer than POINT_TOLERANCE (relative to the largest coordinate).
+ *
+ * @param {number[][]} points - The points
+ * @returns {{points: number[][], indexOf: number[]}} The distinct points, in order of first
+ *     appearance, and the index into them of every input point
+ */
+function mergePoints(points) {
+    const size = Math.max(1e-12, ...points.map(point => Math.max(...point.map(Math.abs))));
+    const tolerance = POINT_TOLERANCE * size;
+    const merged = [];
+    const indexOf = points.map(point => {
+        let index = merged.findIndex(other => vectorLength(subtractVectors(other, point)) < tolerance);
+        if (index === -1) {
+            merged.push(point.slice());
+            index = merged.length - 1;
+        }
+        return index;
+    });
+    return { points: merged, indexOf };
+}
+
+/**
+ * Finds the faces of the convex hull of a set of points. Every plane through three of the
+ * points that has all points on one side holds a face; the points on it, ordered around
+ * their centre, are the face.
+ *
+ * @param {number[][]} points - The points, e.g. the corners of a convex solid
+ * @returns {number[][]} The faces as point indices, counter-clockwise seen from outside
+ */
+function convexHullFaces(points) {
+    const size = Math.max(...points.map(vectorLength));
+    const tolerance = POINT_TOLERANCE * size;
+    const planes = [];
+
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            for (let k = j + 1; k < points.length; k++) {
+                let normal = crossProduct(subtractVectors(points[j], points[i]), subtractVectors(points[k], points[i]));
+                const length = vectorLength(normal);
+                if (length < tolerance * size) continue; // The three points are in a line
+                normal = scaleVector(normal, 1 / length);
+                let offset = dotProduct(normal, points[i]);
+
+                // A face plane has no points on one of its sides
+                let above = false;
+                let below = false;
+                for (const point of points) {
+                    const height = dotProduct(normal, point) - offset;
+                    if (height > tolerance) above = true;
+                    if (height < -tolerance) below = true;
+                    if (above && below) break;
+                }
+                if (above && below) continue;
+
+                // Face the plane away from the solid
+                if (above) {
+                    normal = scaleVector(normal, -1);
+                    offset = -offset;
+                }
+                const isNew = planes.every(plane => Math.abs(plane.offset - offset) > tolerance ||
+                    vectorLength(subtractVectors(plane.normal, normal)) > POINT_TOLERANCE);
+                if (isNew) planes.push({ normal, offset });
+            }
+        }
+    }
+
+    return planes.map(({ normal, offset }) => {
+        const face = [];
+        points.forEach((point, index) => {
+            if (Math.abs(dotProduct(normal, point) - offset) < tolerance) face.push(index);
+        });
+        return orderAroundNormal(face, points, normal);
+    });
+}
+
+/**
+ * Orders the points of a flat polygon counter-clockwise, seen from the side the normal points to.
+ *
+ * @param {number[]} face - Indices of the polygon's points, in any order
+ * @param {number[][]} points - All points
+ * @param {number[]} normal - The polygon's unit normal
+ * @returns {number[]} The indices in order
+ */
+function orderAroundNormal(face, points, normal) {
+    const centre = averageVector(face.map(index => points[index]));
+    const u = normalizeVector(subtractVectors(points[face[0]], centre));
+    const v = crossProduct(normal, u);
+    const angleOf = index => {
+        const offset = subtractVectors(points[index], centre);
+        return Math.atan2(dotProduct(offset, v), dotProduct(offset, u));
+    };
+    return face.slice().sort((a, b) => angleOf(a) - angleOf(b));
+}
+
+/**
+ * Adds the edge list to a polyhedron with vertices and faces.
+ *
+ * @param {Object} polyhedron - {vertices, faces}
+ * @returns {Object} The polyhedron with its edges
+ */
+function withEdges({ vertices, faces }) {
+    const edges = new Map();
+    faces.forEach(face => {
+        face.forEach((a, k) => {
+            const b = face[(k + 1) % face.length];
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            if (!edges.has(key)) edges.set(key, a < b ? [a, b] : [b, a]);
+        });
+    });
+    return { vertices, faces, edges: [...edges.values()] };
+}
+
+/**
+ * Cuts every corner off a polyhedron. Each face keeps a smaller copy of itself (with twice
+ * as many sides, until the cuts meet) and each corner becomes a new face.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} amount - How far to cut: 0 leaves the solid as it is, 1 cuts every edge
+ *     at its midpoint (e.g. the cube becomes the cuboctahedron)
+ * @returns {Object} The truncated polyhedron
+ */
+function truncatePolyhedron(polyhedron, amount) {
+    if (amount <= 0) return polyhedron;
+    const fraction = Math.min(amount, 1) / 2;
+    const { vertices, faces } = polyhedron;
+
+    // One cut point on each edge near each of its ends; at amount 1 the two meet
+    const cutPoints = [];
+    const cutIndex = new Map();
+    const cut = (from, to) => {
+        const key = `${from}-${to}`;
+        if (!cutIndex.has(key)) {
+            const start = vertices[from];
+            cutPoints.push(addVectors(start, scaleVector(subtractVectors(vertices[to], start), fraction)));
+            cutIndex.set(key, cutPoints.length - 1);
+        }
+        return cutIndex.get(key);
+    };
+
+    // Each face passes along its edges through the cut points near both ends
+    const newFaces = faces.map(face => face.flatMap((from, k) => {
+        const to = face[(k + 1) % face.length];
+        return [cut(from, to), cut(to, from)];
+    }));
+
+    // Each corner becomes a face through the cut points on its edges, in order around it
+    vertices.forEach((vertex, index) => {
+        const neighbours = neighboursInOrder(polyhedron, index);
+        newFaces.push(orientOutwards(neighbours.map(neighbour => cut(index, neighbour)), cutPoints));
+    });
+
+    // Merge the cut points that meet, and the repeated corners that leaves in the faces
+    const { points, indexOf } = mergePoints(cutPoints);
+    const mergedFaces = newFaces.map(face => face
+        .map(index => indexOf[index])
+        .filter((index, k, all) => index !== all[(k + 1) % all.length]));
+    return withEdges({ vertices: points, faces: mergedFaces });
+}
+
+/**
+ * Returns the truncation amount that makes every edge of the truncated solid the same length,
+ * which exists when all faces have the same number of sides (as for the Platonic solids).
+ * A corner of an n-sided regular face is cut off at the fraction 1 / (2 + 2 sin(α/2)) of the
+ * edges, with α = (n − 2)·180°/n the face's interior angle.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {number|null} The amount for truncatePolyhedron(), or null if the faces differ
+ */
+function regularTruncationAmount(polyhedron) {
+    const sides = polyhedron.faces[0].length;
+    if (polyhedron.faces.some(face => face.length !== sides)) return null;
+    const interiorAngle = Math.PI * (sides - 2) / sides;
+    return 2 / (2 + 2 * Math.sin(interiorAngle / 2));
+}
+
+/**
+ * Truncates a polyhedron by the amount that keeps all edges equal.
+ *
+ * @param {Object} polyhedron - A polyhedron whose faces all have the same number of sides
+ * @returns {Object} The truncated polyhedron
+ */
+function truncateRegularly(polyhedron) {
+    return truncatePolyhedron(polyhedron, regularTruncationAmount(polyhedron));
+}
+
+/**
+ * Builds the dual of a polyhedron centred on the origin: one vertex above each face and one
+ * face around each vertex. The faces' planes are reflected in the sphere through the edge
+ * midpoints, so the dual's edges cross the original edges there.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {Object} The dual; vertex i lies above face i of the polyhedron
+ */
+function dualPolyhedron(polyhedron) {
+    const { vertices, faces, edges } = polyhedron;
+    const midradius = edges.reduce((sum, [a, b]) =>
+        sum + vectorLength(averageVector([vertices[a], vertices[b]])), 0) / edges.length;
+
+    const dualVertices = faces.map(face => {
+        const normal = faceNormal(polyhedron, face);
+        const offset = dotProduct(normal, vertices[face[0]]);
+        return scaleVector(normal, midradius * midradius / offset);
+    });
+
+    // Around each vertex, the faces meeting there in order make a face of the dual
+    const dualFaces = vertices.map((vertex, index) => {
+        const around = facesAroundVertex(polyhedron, index);
+        return orientOutwards(around, dualVertices);
+    });
+    return withEdges({ vertices: dualVertices, faces: dualFaces });
+}
+
+/**
+ * Lists the faces around a vertex in order, each sharing an edge with the next.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} vertex - Index of the vertex
+ * @returns {number[]} Face indices
+ */
+function facesAroundVertex(polyhedron, vertex) {
+    return walkAroundVertex(polyhedron, vertex).map(step => step.face);
+}
+
+/**
+ * Lists the neighbours of a vertex (the other ends of its edges) in order around it.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} vertex - Index of the vertex
+ * @returns {number[]} Vertex indices
+ */
+function neighboursInOrder(polyhedron, vertex) {
+    return walkAroundVertex(polyhedron, vertex).map(step => step.next);
+}
+
+/**
+ * Walks around a vertex from face to face across the edges meeting there. In each face the
+ * walk leaves along the edge to the vertex after this one, and enters the face on the other
+ * side of that edge, where the edge runs the other way.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} vertex - Index of the vertex
+ * @returns {Object[]} Steps as {face, next}: a face index and the neighbour it leads to
+ */
+function walkAroundVertex({ faces }, vertex) {
+    const following = (face, index) => face[(face.indexOf(index) + 1) % face.length];
+    const start = faces.findIndex(face => face.includes(vertex));
+    const steps = [];
+    let face = start;
+    do {
+        const next = following(faces[face], vertex);
+        steps.push({ face, next });
+        // The face on the other side has the edge the other way round: next, then vertex
+        face = faces.findIndex(other => other.includes(next) && following(other, next) === vertex);
+    } while (face !== start && face !== -1 && steps.length <= faces.length);
+    return steps;
+}
+
+/**
+ * Reverses a polygon if needed so it is counter-clockwise seen from outside a solid centred
+ * on the origin.
+ *
+ * @param {number[]} face - Point indices of the polygon, in order around it
+ * @param {number[][]} points - All points
+ * @returns {number[]} The face, counter-clockwise
+ */
+function orientOutwards(face, points) {
+    const corners = face.map(index => points[index]);
+    const normal = polygonNormal(corners);
+    return dotProduct(normal, averageVector(corners)) < 0 ? face.slice().reverse() : face;
+}
+
+/**
+ * Returns the outward unit normal of a face.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number[]} face - The face's vertex indices, counter-clockwise seen from outside
+ * @returns {number[]} The normal
+ */
+function faceNormal(polyhedron, face) {
+    return polygonNormal(face.map(index => polyhedron.vertices[index]));
+}
+
+/**
+ * Returns the unit normal of a flat polygon, following the right-hand rule (Newell's method).
+ *
+ * @param {number[][]} corners - The corners in order
+ * @returns {number[]} The normal
+ */
+function polygonNormal(corners) {
+    const normal = [0, 0, 0];
+    corners.forEach((a, k) => {
+        const b = corners[(k + 1) % corners.length];
+        normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    return normalizeVector(normal);
+}
+
+/**
+ * Counts a polyhedron's vertices, edges and faces and its Euler characteristic, which is 2
+ * for every convex polyhedron.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {{vertices: number, edges: number, faces: number, eulerCharacteristic: number}}
+ */
+function countElements({ vertices, edges, faces }) {
+    return {
+        vertices: vertices.length,
+        edges: edges.length,
+        faces: faces.length,
+        eulerCharacteristic: vertices.length - edges.length + faces.length
+    };
+}
+
+/**
+ * Describes the faces of a polyhedron by kind, e.g. "8 triangles, 6 squares".
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {string} The description, fewest sides first
+ */
+function describeFaceTypes(polyhedron) {
+    const counts = new Map();
+    polyhedron.faces.forEach(face => {
+        const name = face.length === 4 && isRegularFace(polyhedron, face)
+            ? ['square', 'squares']
+            : FACE_NAMES[face.length] || [`${face.length}-gon`, `${face.length}-gons`];
+        const key = name[0];
+        const entry = counts.get(key) || { sides: face.length, name, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    });
+    return [...counts.values()]
+        .sort((a, b) => a.sides - b.sides)
+        .map(({ name, count }) => `${count} ${count === 1 ? name[0] : name[1]}`)
+        .join(', ');
+}
+
+/**
+ * Checks whether a face is a regular polygon: all sides the same length and all corners
+ * the same distance from its centre.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number[]} face - The face's vertex indices
+ * @returns {boolean} True if the face is regular
+ */
+function isRegularFace({ vertices }, face) {
+    const corners = face.map(index => vertices[index]);
+    const centre = averageVector(corners);
+    const sides = corners.map((corner, k) => vectorLength(subtractVectors(corners[(k + 1) % corners.length], corner)));
+    const radii = corners.map(corner => vectorLength(subtractVectors(corner, centre)));
+    const isEqual = values => Math.max(...values) - Math.min(...values) < 1e-6 * Math.max(...values);
+    return isEqual(sides) && isEqual(radii);
+}
+
+/**
+ * Returns the vertex configuration of a vertex: the number of sides of each face around it,
+ * e.g. "3.4.3.4" for the cuboctahedron. It starts and turns so the list is as small as possible.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} vertex - Index of the vertex
+ * @returns {string} The vertex configuration
+ */
+function vertexConfiguration(polyhedron, vertex) {
+    const sizes = facesAroundVertex(polyhedron, vertex).map(face => polyhedron.faces[face].length);
+    const candidates = [];
+    [sizes, sizes.slice().reverse()].forEach(order => {
+        order.forEach((size, start) => candidates.push([...order.slice(start), ...order.slice(0, start)]));
+    });
+    const compare = (a, b) => {
+        const k = a.findIndex((value, index) => value !== b[index]);
+        return k === -1 ? 0 : a[k] - b[k];
+    };
+    return candidates.sort(compare)[0].join('.');
+}
+
+/**
+ * Returns the lengths of a polyhedron's shortest and longest edges.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @returns {{min: number, max: number}} The edge lengths
+ */
+function edgeLengthRange({ vertices, edges }) {
+    const lengths = edges.map(([a, b]) => vectorLength(subtractVectors(vertices[b], vertices[a])));
+    return { min: Math.min(...lengths), max: Math.max(...lengths) };
+}
+
+// Vertex configurations of the library's solids, worked out when first needed
+let solidConfigurations = null;
+
+/**
+ * Finds the solid of the library a polyhedron is a copy of (at any size): one with all
+ * edges equal and the same vertex configuration at every corner. E.g. the cube truncated
+ * at the regular amount is the truncated cube, and the rectified tetrahedron the octahedron.
+ *
+ * @param {Object} polyhedron - The polyhedron
+ * @param {number} [tolerance=1e-3] - Largest difference between edge lengths, relative to
+ *     the longest edge, still counted as equal
+ * @returns {string|null} The key in POLYHEDRA, or null if it is none of them
+ */
+function findMatchingSolid(polyhedron, tolerance = 1e-3) {
+    const { min, max } = edgeLengthRange(polyhedron);
+    if (max - min > tolerance * max) return null;
+
+    const configurations = new Set(polyhedron.vertices.map((vertex, index) => vertexConfiguration(polyhedron, index)));
+    if (configurations.size !== 1) return null;
+    const [configuration] = configurations;
+
+    if (!solidConfigurations) {
+        solidConfigurations = {};
+        Object.entries(POLYHEDRA).forEach(([key, solid]) => {
+            solidConfigurations[key] = vertexConfiguration(solid.build(), 0);
+        });
+    }
+    return Object.keys(solidConfigurations).find(key => solidConfigurations[key] === configuration) || null;
+}
+
+// Small vector helpers on [x, y, z] arrays
+
+function addVectors(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function subtractVectors(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scaleVector(a, factor) {
+    return [a[0] * factor, a[1] * factor, a[2] * factor];
+}
+
+function dotProduct(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function crossProduct(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function vectorLength(a) {
+    return Math.hypot(a[0], a[1], a[2]);
+}
+
+function normalizeVector(a) {
+    return scaleVector(a, 1 / (vectorLength(a) || 1));
+}
+
+function averageVector(points) {
+    return scaleVector(points.reduce(addVectors, [0, 0, 0]), 1 / points.length);
+}
+
+export {
+    PHI,
+    CIRCUMRADIUS,
+    POLYHEDRA,
+    buildPolyhedron,
+    createPolyhedron,
+    withEdges,
+    signedPermutations,
+    convexHullFaces,
+    truncatePolyhedron,
+    regularTruncationAmount,
+    dualPolyhedron,
+    facesAroundVertex,
+    neighboursInOrder,
+    faceNormal,
+    countElements,
+    describeFaceTypes,
+    isRegularFace,
+    vertexConfiguration,
+    edgeLengthRange,
+    findMatchingSolid,
+    addVectors,
+    subtractVectors,
+    scaleVector,
+    dotProduct,
+    crossProduct,
+    vectorLength,
+    normalizeVector,
+    averageVector
+};
@@ -0,0 +1,104 @@
+/**
+ * Polyhedron Meshes
+ *
+ * Turns polyhedra from polyhedra.js into Three.js objects, in the style of the tetrahedron
+ * scene: see-through colored faces with black edges, a red dot at the centre and blue
+ * spheres on the corners.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+
+// Centre dot and corner spheres, as first drawn in the tetrahedron scene
+const CENTER_MARKER_STYLE = { radius: 0.1, color: 0xff0000 };
+const VERTEX_MARKER_STYLE = { radius: 0.08, color: 0x0000ff };
+
+/**
+ * Creates the faces of a polyhedron as one see-through mesh with flat shading.
+ *
+ * @param {Object} polyhedron - A polyhedron from polyhedra.js
+ * @param {Object} [options] - Face options
+ * @param {number} [options.color=0x00FFFF] - Face color
+ * @param {number} [options.opacity=0.3] - Face opacity
+ * @returns {THREE.Mesh} The faces
+ */
+function createPolyhedronFaces(polyhedron, { color = 0x00FFFF, opacity = 0.3 } = {}) {
+    // Each face is a fan of triangles from its first corner; faces are convex
+    const positions = [];
+    polyhedron.faces.forEach(face => {
+        for (let k = 1; k < face.length - 1; k++) {
+            [face[0], face[k], face[k + 1]].forEach(index => positions.push(...polyhedron.vertices[index]));
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+
+    const material = new THREE.MeshPhongMaterial({
+        color,
+        transparent: true,
+        opacity,
+        side: THREE.DoubleSide
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
+/**
+ * Creates the edges of a polyhedron as one line object.
+ *
+ * @param {Object} polyhedron - A polyhedron from polyhedra.js
+ * @param {number} [color=0x000000] - Line color
+ * @returns {THREE.LineSegments} The edges
+ */
+function createPolyhedronEdges(polyhedron, color = 0x000000) {
+    const positions = [];
+    polyhedron.edges.forEach(([a, b]) => positions.push(...polyhedron.vertices[a], ...polyhedron.vertices[b]));
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color }));
+}
+
+/**
+ * Creates the red dot marking the centre of a solid. Each marker has its own material so
+ * it can be highlighted on its own when picked.
+ *
+ * @param {THREE.Vector3|number[]} position - The centre
+ * @returns {THREE.Mesh} The marker, named 'Center'
+ */
+function createCenterMarker(position) {
+    return createMarker(position, CENTER_MARKER_STYLE, 'Center');
+}
+
+/**
+ * Creates the blue sphere marking a corner of a solid.
+ *
+ * @param {THREE.Vector3|number[]} position - The corner
+ * @returns {THREE.Mesh} The marker, named 'Corner'
+ */
+function createVertexMarker(position) {
+    return createMarker(position, VERTEX_MARKER_STYLE, 'Corner');
+}
+
+/**
+ * Creates a small sphere marker.
+ *
+ * @param {THREE.Vector3|number[]} position - Where to put it
+ * @param {Object} style - {radius, color}
+ * @param {string} name - Object name
+ * @returns {THREE.Mesh} The marker
+ */
+function createMarker(position, { radius, color }, name) {
+    const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(radius, 16, 16),
+        new THREE.MeshPhongMaterial({ color })
+    );
+    if (Array.isArray(position)) {
+        marker.position.set(...position);
+    } else {
+        marker.position.copy(position);
+    }
+    marker.name = name;
+    return marker;
+}
+
+export { createPolyhedronFaces, createPolyhedronEdges, createCenterMarker, createVertexMarker };
@@ -0,0 +1,383 @@
+/**
+ * Tetrahedron Clusters
+ *
+ * Builds clusters of regular tetrahedrons that share faces, edges and corners, with every
+ * position computed exactly rather than from rounded constants:
+ * - star: a central tetrahedron with a copy on each face. Each copy's apex is the central
+ *   tetrahedron's opposite corner reflected in that face, at 2 × (face centroid) − (opposite
+ *   corner), twice the height of the tetrahedron away
+ * - tetrahelix (Boerdijk–Coxeter helix): a chain where each new tetrahedron is the last one
+ *   reflected in its newest face, which twists into a helix that never repeats
+ * - ring: five tetrahedrons around one shared edge. The dihedral angle of a regular
+ *   tetrahedron is arccos(1/3) ≈ 70.53°, so five of them fill 352.64° and leave a 7.36° gap
+ * - honeycomb: a patch of the tetrahedral-octahedral honeycomb, where regular tetrahedrons
+ *   and octahedrons fill space, built on the face-centred cubic lattice
+ *
+ * A cluster is a plain object:
+ *
+ *     {
+ *         vertices: [[x, y, z], ...],   // each shared corner once
+ *         cells: [{ type: 'tetrahedron', vertices: [0, 1, 2, 3] }, ...]
+ *     }
+ *
+ * All edges are 2√2 long, the edge of the tetrahedron with corners (±1, ±1, ±1), and the
+ * cluster is centred on the origin.
+ */
+
+import {
+    averageVector,
+    createPolyhedron,
+    crossProduct,
+    dotProduct,
+    normalizeVector,
+    scaleVector,
+    subtractVectors,
+    vectorLength
+} from './polyhedra.js';
+
+// Edge length of every cell
+const CLUSTER_EDGE = 2 * Math.SQRT2;
+
+// Angle between two faces of a regular tetrahedron, arccos(1/3) ≈ 70.53°
+const TETRAHEDRON_DIHEDRAL_ANGLE = Math.acos(1 / 3);
+
+// Angle between two faces of a regular octahedron, arccos(−1/3) ≈ 109.47°
+const OCTAHEDRON_DIHEDRAL_ANGLE = Math.acos(-1 / 3);
+
+// The cluster types, with the range of their size setting (the number of tetrahedrons,
+// or of cubic cells along each side for the honeycomb)
+const CLUSTER_MODES = {
+    star: {
+        name: 'Tetrahedrons on the Faces of a Central One',
+        sizeLabel: 'Tetrahedrons',
+        minSize: 1,
+        maxSize: 5,
+        defaultSize: 5,
+        build: size => buildStarCluster(size)
+    },
+    tetrahelix: {
+        name: 'Tetrahelix (Boerdijk–Coxeter Helix)',
+        sizeLabel: 'Tetrahedrons',
+        minSize: 1,
+        maxSize: 40,
+        defaultSize: 12,
+        build: size => buildTetrahelix(size)
+    },
+    ring: {
+        name: 'Five Tetrahedrons Around an Edge',
+        sizeLabel: 'Tetrahedrons',
+        minSize: 1,
+        maxSize: 5,
+        defaultSize: 5,
+        build: size => buildTetrahedronRing(size)
+    },
+    honeycomb: {
+        name: 'Tetrahedral-Octahedral Honeycomb',
+        sizeLabel: 'Cells per side',
+        minSize: 1,
+        maxSize: 4,
+        defaultSize: 2,
+        build: size => buildHoneycombPatch(size)
+    }
+};
+
+// Corners of the central tetrahedron: (1, 1, 1), (1, -1, -1), (-1, 1, -1), (-1, -1, 1)
+const BASE_TETRAHEDRON = [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]];
+
+/**
+ * Builds a cluster, centred on the origin.
+ *
+ * @param {string} mode - A key of CLUSTER_MODES
+ * @param {number} size - The size setting, clamped to the mode's range
+ * @returns {Object} The cluster
+ */
+function buildCluster(mode, size) {
+    const clusterMode = CLUSTER_MODES[mode];
+    if (!clusterMode) {
+        throw new Error(`Unknown cluster mode "${mode}"`);
+    }
+    const clamped = Math.min(clusterMode.maxSize, Math.max(clusterMode.minSize, Math.round(size)));
+    const cluster = clusterMode.build(clamped);
+
+    const centre = averageVector(cluster.vertices);
+    return {
+        ...cluster,
+        vertices: cluster.vertices.map(vertex => subtractVectors(vertex, centre))
+    };
+}
+
+/**
+ * Collects the cells of a cluster, storing each corner once however many cells share it.
+ *
+ * @returns {Object} A builder: {addCell(type, points), cluster}
+ */
+function createClusterBuilder() {
+    const cluster = { vertices: [], cells: [] };
+    const tolerance = 1e-9 * CLUSTER_EDGE;
+
+    const indexOf = point => {
+        let index = cluster.vertices.findIndex(vertex => vectorLength(subtractVectors(vertex, point)) < tolerance);
+        if (index === -1) {
+            cluster.vertices.push(point);
+            index = cluster.vertices.length - 1;
+        }
+        return index;
+    };
+
+    return {
+        cluster,
+        addCell(type, points) {
+            cluster.cells.push({ type, vertices: points.map(indexOf) });
+        }
+    };
+}
+
+/**
+ * Reflects a point in the plane through three others.
+ *
+ * @param {number[]} point - The point to reflect
+ * @param {number[]} a - First point of the plane
+ * @param {number[]} b - Second point of the plane
+ * @param {number[]} c - Third point of the plane
+ * @returns {number[]} The mirror image
+ */
+function reflectPointInPlane(point, a, b, c) {
+    const normal = normalizeVector(crossProduct(subtractVectors(b, a), subtractVectors(c, a)));
+    const height = dotProduct(subtractVectors(point, a), normal);
+    return subtractVectors(point, scaleVector(normal, 2 * height));
+}
+
+/**
+ * Builds the central tetrahedron and up to four copies, each on one of its faces. The copy on
+ * the face without corner i has the apex reflectPointInPlane(corner i, face); for a regular
+ * tetrahedron that is 2 × (face centroid) − (corner i), since the centroid is where the
+ * corner's height meets the face.
+ *
+ * @param {number} count - Number of tetrahedrons, 1 to 5
+ * @returns {Object} The cluster; cell 0 is the central tetrahedron
+ */
+function buildStarCluster(count) {
+    const builder = createClusterBuilder();
+    builder.addCell('tetrahedron', BASE_TETRAHEDRON);
+
+    for (let i = 0; i < count - 1; i++) {
+        const face = [0, 1, 2].map(k => BASE_TETRAHEDRON[(i + k) % 4]);
+        const opposite = BASE_TETRAHEDRON[(i + 3) % 4];
+        builder.addCell('tetrahedron', [...face, reflectPointInPlane(opposite, ...face)]);
+    }
+    return builder.cluster;
+}
+
+/**
+ * Builds a Boerdijk–Coxeter helix: each corner is the corner four places back reflected in
+ * the face of the three corners in between, and every four consecutive corners make a
+ * tetrahedron.
+ *
+ * @param {number} count - Number of tetrahedrons
+ * @returns {Object} The cluster
+ */
+function buildTetrahelix(count) {
+    const points = BASE_TETRAHEDRON.slice();
+    while (points.length < count + 3) {
+        const k = points.length - 4;
+        points.push(reflectPointInPlane(points[k], points[k + 1], points[k + 2], points[k + 3]));
+    }
+
+    const builder = createClusterBuilder();
+    for (let k = 0; k < count; k++) {
+        builder.addCell('tetrahedron', points.slice(k, k + 4));
+    }
+    return builder.cluster;
+}
+
+/**
+ * Builds up to five tetrahedrons around one shared edge along the z axis. Their outer corners
+ * lie on a circle around the edge, one dihedral angle apart, so the gap left after five is
+ * 360° − 5 × arccos(1/3).
+ *
+ * @param {number} count - Number of tetrahedrons, 1 to 5
+ * @returns {Object} The cluster; the shared edge is between vertices 0 and 1
+ */
+function buildTetrahedronRing(count) {
+    const halfEdge = CLUSTER_EDGE / 2;
+    const bottom = [0, 0, -halfEdge];
+    const top = [0, 0, halfEdge];
+
+    // Distance from the edge to the opposite edge's ends: the height of an equilateral face
+    const radius = CLUSTER_EDGE * Math.sqrt(3) / 2;
+
+    // Centre the full ring's gap on the -x side, so it faces the viewer's left
+    const start = -5 * TETRAHEDRON_DIHEDRAL_ANGLE / 2;
+    const ringPoint = k => {
+        const angle = start + k * TETRAHEDRON_DIHEDRAL_ANGLE;
+        return [radius * Math.cos(angle), radius * Math.sin(angle), 0];
+    };
+
+    const builder = createClusterBuilder();
+    for (let k = 0; k < count; k++) {
+        builder.addCell('tetrahedron', [bottom, top, ringPoint(k), ringPoint(k + 1)]);
+    }
+    return builder.cluster;
+}
+
+/**
+ * Builds a patch of the tetrahedral-octahedral honeycomb. Its corners are the points of the
+ * face-centred cubic lattice: integer points whose coordinates add up to an even number. Every
+ * unit cube holds one tetrahedron (its four corners with an even sum), and every point with
+ * an odd sum is the centre of an octahedron reaching one unit along each axis.
+ *
+ * @param {number} size - Number of unit cubes along each side
+ * @returns {Object} The cluster
+ */
+function buildHoneycombPatch(size) {
+    // Lattice points are 1 apart along the axes, so edges are √2; scale them to CLUSTER_EDGE
+    const scale = CLUSTER_EDGE / Math.SQRT2;
+    const point = (x, y, z) => [x * scale, y * scale, z * scale];
+    const builder = createClusterBuilder();
+
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                const corners = [];
+                for (let corner = 0; corner < 8; corner++) {
+                    const [dx, dy, dz] = [corner & 1, (corner >> 1) & 1, (corner >> 2) & 1];
+                    if ((x + dx + y + dy + z + dz) % 2 === 0) corners.push(point(x + dx, y + dy, z + dz));
+                }
+                builder.addCell('tetrahedron', corners);
+            }
+        }
+    }
+
+    // Octahedrons whose six corners are all inside the patch
+    for (let x = 1; x < size; x++) {
+        for (let y = 1; y < size; y++) {
+            for (let z = 1; z < size; z++) {
+                if ((x + y + z) % 2 === 1) {
+                    builder.addCell('octahedron', [
+                        point(x + 1, y, z), point(x - 1, y, z),
+                        point(x, y + 1, z), point(x, y - 1, z),
+                        point(x, y, z + 1), point(x, y, z - 1)
+                    ]);
+                }
+            }
+        }
+    }
+    return builder.cluster;
+}
+
+/**
+ * Returns the angle between the two faces that meet along the edge ab, one through c and
+ * the other through d.
+ *
+ * @param {number[]} a - One end of the edge
+ * @param {number[]} b - The other end of the edge
+ * @param {number[]} c - A point on the first face
+ * @param {number[]} d - A point on the second face
+ * @returns {number} The angle in radians, 0 to π
+ */
+function dihedralAngle(a, b, c, d) {
+    // Drop c and d onto the plane perpendicular to the edge and measure the angle there
+    const axis = normalizeVector(subtractVectors(b, a));
+    const across = point => {
+        const offset = subtractVectors(point, a);
+        return subtractVectors(offset, scaleVector(axis, dotProduct(offset, axis)));
+    };
+    const u = normalizeVector(across(c));
+    const v = normalizeVector(across(d));
+    return Math.acos(Math.min(1, Math.max(-1, dotProduct(u, v))));
+}
+
+/**
+ * Measures the edges and dihedral angles of one cell of a cluster.
+ *
+ * @param {Object} cluster - The cluster
+ * @param {Object} cell - One of its cells
+ * @returns {{edges: number[], dihedralAngles: number[]}} Edge lengths and the angles between
+ *     the faces meeting along each edge, in radians
+ */
+function measureCell(cluster, cell) {
+    const polyhedron = createPolyhedron(cell.vertices.map(index => cluster.vertices[index]));
+    const { vertices, faces } = polyhedron;
+
+    const edges = [];
+    const dihedralAngles = [];
+    polyhedron.edges.forEach(([a, b]) => {
+        edges.push(vectorLength(subtractVectors(vertices[b], vertices[a])));
+
+        // The two faces along this edge, and a corner of each off the edge
+        const [first, second] = faces.filter(face => face.includes(a) && face.includes(b));
+        const offEdge = face => vertices[face.find(index => index !== a && index !== b)];
+        dihedralAngles.push(dihedralAngle(vertices[a], vertices[b], offEdge(first), offEdge(second)));
+    });
+    return { edges, dihedralAngles };
+}
+
+/**
+ * Checks how regular the cells of a cluster are and how its corners are shared.
+ *
+ * @param {Object} cluster - The cluster
+ * @returns {Object} The report: {edges: {min, max}, dihedralAngles: {tetrahedron: {min, max},
+ *     octahedron: {min, max} or null}, sharing: [{cells, count}]} with angles in radians,
+ *     where sharing counts the corners shared by each number of cells
+ */
+function analyzeCluster(cluster) {
+    const range = values => ({ min: Math.min(...values), max: Math.max(...values) });
+    const edges = [];
+    const angles = { tetrahedron: [], octahedron: [] };
+    const cellsAtVertex = new Array(cluster.vertices.length).fill(0);
+
+    cluster.cells.forEach(cell => {
+        const measured = measureCell(cluster, cell);
+        edges.push(...measured.edges);
+        angles[cell.type].push(...measured.dihedralAngles);
+        cell.vertices.forEach(index => cellsAtVertex[index]++);
+    });
+
+    const sharing = new Map();
+    cellsAtVertex.forEach(cells => sharing.set(cells, (sharing.get(cells) || 0) + 1));
+
+    return {
+        edges: range(edges),
+        dihedralAngles: {
+            tetrahedron: angles.tetrahedron.length > 0 ? range(angles.tetrahedron) : null,
+            octahedron: angles.octahedron.length > 0 ? range(angles.octahedron) : null
+        },
+        sharing: [...sharing.entries()]
+            .sort((a, b) => b[0] - a[0])
+            .map(([cells, count]) => ({ cells, count }))
+    };
+}
+
+/**
+ * Returns the angle left open around the shared edge of a ring of tetrahedrons, between the
+ * outer face of the first and the outer face of the last.
+ *
+ * @param {Object} cluster - A cluster from buildTetrahedronRing()
+ * @returns {number} The angle in radians; 360° − 5 × 70.53° ≈ 7.36° for the full ring
+ */
+function ringGapAngle(cluster) {
+    const [bottom, top] = cluster.vertices;
+    const first = cluster.cells[0].vertices[2];
+    const last = cluster.cells[cluster.cells.length - 1].vertices[3];
+    const filled = cluster.cells.length * TETRAHEDRON_DIHEDRAL_ANGLE;
+    // The angle between the outer faces is at most 180°; past that the gap is the reflex side
+    const between = dihedralAngle(bottom, top, cluster.vertices[first], cluster.vertices[last]);
+    return filled > Math.PI ? between : 2 * Math.PI - filled;
+}
+
+export {
+    CLUSTER_EDGE,
+    TETRAHEDRON_DIHEDRAL_ANGLE,
+    OCTAHEDRON_DIHEDRAL_ANGLE,
+    CLUSTER_MODES,
+    buildCluster,
+    reflectPointInPlane,
+    buildStarCluster,
+    buildTetrahelix,
+    buildTetrahedronRing,
+    buildHoneycombPatch,
+    dihedralAngle,
+    measureCell,
+    analyzeCluster,
+    ringGapAngle
+};
@@ -0,0 +1,389 @@
+/**
+ * Quiz Format
+ *
+ * Questions for checking understanding inside a visualization, written in a JSON file so
+ * teachers can write their own without JavaScript. A quiz has a title, the page it is for,
+ * and a list of questions of two types:
+ * - number: the answer is typed, e.g. "How many cubes have exactly 2 painted faces?". The
+ *   answer is a number, or is counted from the scene: {"count": "cube", "where": {...}}
+ *   counts the cubes whose properties match, so it follows the size the box is set to
+ * - click: the answer is given by clicking objects in the scene, e.g. "Click all corners
+ *   shared by three tetrahedrons". The objects to click are those of a kind whose
+ *   properties match "where"
+ *
+ * Each page names the kinds of objects it has and their properties, e.g. the cubes of the
+ * rectangular prism with their number of exposed faces, or atoms with their element and
+ * coordination. A "where" matches when every property it names has the value given, or lies
+ * within {"min": ..., "max": ...}. A question may also name the page settings it is about, as
+ * in the page's links (e.g. {"width": 3}), and is only marked once the page shows them.
+ *
+ * For example:
+ *
+ *     {
+ *         "title": "Painted cubes",
+ *         "visualization": "rectangular_prism_visualization",
+ *         "questions": [
+ *             {
+ *                 "type": "number",
+ *                 "prompt": "How many cubes have exactly 2 painted faces?",
+ *                 "answer": { "count": "cube", "where": { "exposedFaces": 2 } }
+ *             }
+ *         ]
+ *     }
+ *
+ * Results are kept per question (the answer given, whether it was right and how many tries it
+ * took) and can be saved as JSON or CSV.
+ *
+ * Quizzes are checked with the JSON Schema checker of the scene format, so this module needs
+ * shared/scenes/scene_schema.js.
+ */
+
+import {
+    closestName,
+    describeJSONValue,
+    isPlainObject,
+    validateAgainstSchema
+} from '../scenes/scene_schema.js';
+
+// Version of the quiz format described here
+const QUIZ_FORMAT_VERSION = 1;
+
+// Most problems listed for one quiz file; the rest are counted
+const MAX_REPORTED_QUIZ_ERRORS = 20;
+
+// Columns of the CSV results, one row per question
+const QUIZ_CSV_COLUMNS = ['student', 'quiz', 'question', 'prompt', 'type', 'answer', 'expected', 'correct', 'attempts', 'correctFirstTime'];
+
+// Reusable parts of the schema
+const QUESTION_PROPERTIES = {
+    id: {
+        description: 'A name for the question in the results; defaults to its number, e.g. "q3"',
+        type: 'string',
+        minLength: 1
+    },
+    prompt: {
+        description: 'The question as the student reads it',
+        type: 'string',
+        minLength: 1
+    },
+    settings: {
+        description: 'Page settings the question is about, as in the page\'s links, e.g. {"width": 3}',
+        type: 'object'
+    },
+    explanation: {
+        description: 'Shown once the question is answered correctly',
+        type: 'string'
+    }
+};
+
+const WHERE_SCHEMA = {
+    description: 'Properties the objects must have, e.g. {"exposedFaces": 2}; a value may also be {"min": 1, "max": 3}',
+    type: 'object'
+};
+
+const QUIZ_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Quiz',
+    description: 'Questions for a visualization, see shared/quiz/quiz_format.js',
+    type: 'object',
+    required: ['title', 'questions'],
+    additionalProperties: false,
+    properties: {
+        $schema: {
+            description: 'Where this schema is, so editors can check the quiz',
+            type: 'string'
+        },
+        version: {
+            description: 'Version of the quiz format',
+            const: QUIZ_FORMAT_VERSION
+        },
+        title: {
+            description: 'Title shown above the questions',
+            type: 'string',
+            minLength: 1
+        },
+        description: {
+            description: 'Shown under the title, e.g. what the quiz is about',
+            type: 'string'
+        },
+        visualization: {
+            description: 'Name of the page the questions are for, e.g. "diamond_visualization"; other pages refuse the quiz',
+            type: 'string'
+        },
+        questions: {
+            description: 'The questions, in the order they are asked',
+            type: 'array',
+            minItems: 1,
+            items: { $ref: '#/definitions/question' }
+        }
+    },
+    definitions: {
+        question: {
+            oneOf: [
+                { $ref: '#/definitions/numberQuestion' },
+                { $ref: '#/definitions/clickQuestion' }
+            ]
+        },
+        numberQuestion: {
+            description: 'A question answered by typing a number',
+            type: 'object',
+            required: ['type', 'prompt', 'answer'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'number' },
+                ...QUESTION_PROPERTIES,
+                answer: {
+                    description: 'The right answer, or {"count": kind, "where": {...}} to count it in the scene',
+                    oneOf: [
+                        { type: 'number' },
+                        {
+                            type: 'object',
+                            required: ['count'],
+                            additionalProperties: false,
+                            properties: {
+                                count: { description: 'The kind of objects to count, e.g. "cube"', type: 'string', minLength: 1 },
+                                where: WHERE_SCHEMA
+                            }
+                        }
+                    ]
+                },
+                tolerance: {
+                    description: 'How far the answer may be off and still be right',
+                    type: 'number',
+                    minimum: 0,
+                    default: 0
+                }
+            }
+        },
+        clickQuestion: {
+            description: 'A question answered by clicking objects in the scene',
+            type: 'object',
+            required: ['type', 'prompt', 'kind'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'click' },
+                ...QUESTION_PROPERTIES,
+                kind: {
+                    description: 'The kind of objects clicked, e.g. "corner"',
+                    type: 'string',
+                    minLength: 1
+                },
+                where: WHERE_SCHEMA
+            }
+        }
+    }
+};
+
+/**
+ * Error thrown when a quiz file cannot be used.
+ */
+class QuizError extends Error {
+    /**
+     * @param {string} message - What is wrong with the quiz
+     * @param {string[]} [problems=[]] - Every problem found, each with where it is
+     */
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'QuizError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Reads a quiz from the text of a JSON file and checks it. Questions without an id are
+ * named by their number.
+ *
+ * @param {string} text - The file contents
+ * @returns {Object} The quiz
+ * @throws {QuizError} If the text is not JSON, or the quiz does not follow the format
+ */
+function parseQuiz(text) {
+    let quiz;
+    try {
+        quiz = JSON.parse(text);
+    } catch (error) {
+        const position = /position (\d+)/.exec(error.message);
+        const where = position ? ` on line ${text.slice(0, Number(position[1])).split('\n').length}` : '';
+        throw new QuizError(`the file is not valid JSON${where}: ${error.message}`);
+    }
+
+    const problems = validateQuiz(quiz);
+    if (problems.length > 0) {
+        throw new QuizError(`the quiz has ${problems.length} problem${problems.length === 1 ? '' : 's'}`, problems);
+    }
+    quiz.questions.forEach((question, index) => {
+        if (question.id === undefined) question.id = `q${index + 1}`;
+    });
+    return quiz;
+}
+
+/**
+ * Checks a quiz against the schema, and what the schema cannot express: the values of
+ * "where", and that no two questions share an id.
+ *
+ * @param {*} quiz - The quiz, as parsed from JSON
+ * @returns {string[]} The problems found, each starting with where it is; empty if none
+ */
+function validateQuiz(quiz) {
+    const problems = validateAgainstSchema(quiz, QUIZ_SCHEMA, 'quiz');
+    if (problems.length === 0) {
+        const ids = new Set();
+        quiz.questions.forEach((question, index) => {
+            const path = `quiz.questions[${index}]`;
+            const where = question.type === 'click' ? question.where : question.answer.where;
+            const wherePath = question.type === 'click' ? `${path}.where` : `${path}.answer.where`;
+            Object.entries(where || {}).forEach(([name, value]) => {
+                problems.push(...checkWhereValue(value, `${wherePath}.${name}`));
+            });
+            if (question.id !== undefined) {
+                if (ids.has(question.id)) problems.push(`${path}.id: "${question.id}" is used by an earlier question`);
+                ids.add(question.id);
+            }
+        });
+    }
+    if (problems.length > MAX_REPORTED_QUIZ_ERRORS) {
+        const more = problems.length - MAX_REPORTED_QUIZ_ERRORS;
+        return [...problems.slice(0, MAX_REPORTED_QUIZ_ERRORS), `...and ${more} more problem${more === 1 ? '' : 's'}`];
+    }
+    return problems;
+}
+
+/**
+ * Checks one value of a "where": a number, text, true or false, or a range.
+ *
+ * @param {*} value - The value
+ * @param {string} path - Where the value is in the quiz
+ * @returns {string[]} The problems found
+ */
+function checkWhereValue(value, path) {
+    if (['number', 'string', 'boolean'].includes(typeof value)) return [];
+    if (!isPlainObject(value)) {
+        return [`${path}: must be a number, text, true or false, or {"min": ..., "max": ...}, not ${describeJSONValue(value)}`];
+    }
+    const problems = [];
+    Object.entries(value).forEach(([name, limit]) => {
+        if (name !== 'min' && name !== 'max') {
+            const suggestion = closestName(name, ['min', 'max']);
+            problems.push(`${path}: unknown property "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        } else if (typeof limit !== 'number') {
+            problems.push(`${path}.${name}: must be a number, not ${describeJSONValue(limit)}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Checks whether an object's properties match a "where".
+ *
+ * @param {Object} properties - The object's properties, e.g. {exposedFaces: 2}
+ * @param {Object} [where={}] - The properties asked for; a value may be {min, max}
+ * @returns {boolean} True if every property asked for matches
+ */
+function matchesWhere(properties, where = {}) {
+    return Object.entries(where).every(([name, wanted]) => {
+        const value = properties[name];
+        if (isPlainObject(wanted)) {
+            return typeof value === 'number' &&
+                (wanted.min === undefined || value >= wanted.min) &&
+                (wanted.max === undefined || value <= wanted.max);
+        }
+        return value === wanted;
+    });
+}
+
+/**
+ * Marks a typed answer to a number question.
+ *
+ * @param {number} answer - The answer given
+ * @param {number} expected - The right answer
+ * @param {number} [tolerance=0] - How far the answer may be off
+ * @returns {boolean} True if the answer is right
+ */
+function checkNumberAnswer(answer, expected, tolerance = 0) {
+    // Allow for answers worked out in floating point, e.g. 0.1 + 0.2
+    return Number.isFinite(answer) && Math.abs(answer - expected) <= tolerance + 1e-9 * Math.max(1, Math.abs(expected));
+}
+
+/**
+ * Marks the objects clicked for a click question.
+ *
+ * @param {string[]} selected - Keys of the objects clicked
+ * @param {string[]} expected - Keys of the objects that should be clicked
+ * @returns {Object} {right, wrong, missed}: the keys clicked rightly, clicked wrongly, and
+ *     not clicked but should have been; the answer is right when the last two are empty
+ */
+function compareSelection(selected, expected) {
+    const expectedSet = new Set(expected);
+    const selectedSet = new Set(selected);
+    return {
+        right: selected.filter(key => expectedSet.has(key)),
+        wrong: selected.filter(key => !expectedSet.has(key)),
+        missed: expected.filter(key => !selectedSet.has(key))
+    };
+}
+
+/**
+ * Adds up the results of a quiz.
+ *
+ * @param {Object[]} results - The results of the questions answered, see formatQuizResultsJSON()
+ * @returns {Object} {answered, correct, correctFirstTime}
+ */
+function summariseQuizResults(results) {
+    return {
+        answered: results.length,
+        correct: results.filter(result => result.correct).length,
+        correctFirstTime: results.filter(result => result.correctFirstTime).length
+    };
+}
+
+/**
+ * Writes quiz results as JSON.
+ *
+ * @param {Object} report - {student, quiz, visualization, questionCount, started, saved, results},
+ *     each result being {question, prompt, type, answer, expected, correct, attempts,
+ *     correctFirstTime}; for click questions, answer and expected are numbers of objects
+ * @returns {string} The JSON text, with the summary added
+ */
+function formatQuizResultsJSON(report) {
+    return JSON.stringify({ ...report, summary: summariseQuizResults(report.results) }, null, 2);
+}
+
+/**
+ * Writes quiz results as CSV, one row per question answered, e.g. to open in a spreadsheet.
+ *
+ * @param {Object} report - The results, see formatQuizResultsJSON()
+ * @returns {string} The CSV text
+ */
+function formatQuizResultsCSV(report) {
+    const rows = report.results.map(result => QUIZ_CSV_COLUMNS.map(column => {
+        if (column === 'student') return report.student;
+        if (column === 'quiz') return report.quiz;
+        return result[column];
+    }));
+    return [QUIZ_CSV_COLUMNS, ...rows].map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field where needed: when it holds a comma, quote or line break.
+ *
+ * @param {*} value - The value
+ * @returns {string} The field
+ */
+function formatCSVField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export {
+    QUIZ_FORMAT_VERSION,
+    QUIZ_SCHEMA,
+    QuizError,
+    parseQuiz,
+    validateQuiz,
+    matchesWhere,
+    checkNumberAnswer,
+    compareSelection,
+    summariseQuizResults,
+    formatQuizResultsJSON,
+    formatQuizResultsCSV
+};
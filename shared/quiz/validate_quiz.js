@@ -0,0 +1,47 @@
+/**
+ * Quiz File Checker
+ *
+ * Checks quiz files against the quiz format (shared/quiz/quiz_format.js) and lists every
+ * problem, so a quiz can be checked before it is handed out. With --schema it prints the
+ * format's JSON Schema instead, which is how shared/quiz/quiz.schema.json is written.
+ *
+ * Run with Node from the repository root:
+ *
+ *     node shared/quiz/validate_quiz.js mathematics/quizzes/rectangular_prism.json [more files]
+ *     node shared/quiz/validate_quiz.js --schema > shared/quiz/quiz.schema.json
+ *
+ * Exits with status 1 if any file has a problem.
+ */
+
+import fs from 'fs';
+import { QUIZ_SCHEMA, QuizError, parseQuiz } from './quiz_format.js';
+
+/**
+ * Checks one quiz file and prints the result.
+ *
+ * @param {string} fileName - Path of the file
+ * @returns {boolean} Whether the quiz is fine
+ */
+function checkQuizFile(fileName) {
+    try {
+        const quiz = parseQuiz(fs.readFileSync(fileName, 'utf8'));
+        console.log(`${fileName}: OK, ${quiz.questions.length} question${quiz.questions.length === 1 ? '' : 's'}`);
+        return true;
+    } catch (error) {
+        if (!(error instanceof QuizError) && error.code !== 'ENOENT') throw error;
+        console.log(`${fileName}: ${error.message}`);
+        error.problems?.forEach(problem => console.log(`  ${problem}`));
+        return false;
+    }
+}
+
+const args = process.argv.slice(2);
+if (args[0] === '--schema') {
+    console.log(JSON.stringify(QUIZ_SCHEMA, null, 4));
+} else if (args.length === 0) {
+    console.log('Usage: node shared/quiz/validate_quiz.js quiz.json [more files], or --schema');
+    process.exitCode = 1;
+} else {
+    const results = args.map(checkQuizFile);
+    if (results.includes(false)) process.exitCode = 1;
+}
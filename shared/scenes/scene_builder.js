@@ -0,0 +1,174 @@
+/**
+ * Scene Builder
+ *
+ * Turns a scene checked by validateScene() (shared/scenes/scene_schema.js) into Three.js
+ * objects, drawn the way the hand-written visualizations draw them:
+ * - spheres and cylinders as instanced meshes (shared/viewer/instancing.js), so scenes with
+ *   thousands of atoms and bonds stay interactive
+ * - polyhedra as see-through faces with black edges (shared/geometry/polyhedron_mesh.js)
+ * - cube grids as instanced cubes with outlines, as in the rectangular prism
+ * - labels as text that keeps its size on screen (shared/viewer/measure.js)
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { createPolyhedron, withEdges } from '../geometry/polyhedra.js';
+import { createPolyhedronEdges, createPolyhedronFaces } from '../geometry/polyhedron_mesh.js';
+import {
+    createInstancedBoxes,
+    createInstancedCylinders,
+    createInstancedOutlines,
+    createInstancedSpheres
+} from '../viewer/instancing.js';
+import { createLabelSprite } from '../viewer/measure.js';
+
+// Names of the objects of each type, when the scene gives none
+const SCENE_OBJECT_NAMES = {
+    points: 'Points',
+    spheres: 'Spheres',
+    cylinders: 'Cylinders',
+    polyhedron: 'Polyhedron',
+    cubeGrid: 'Cubes',
+    label: 'Label'
+};
+
+/**
+ * Builds everything a scene shows.
+ *
+ * @param {Object} scene - A scene that passed validateScene()
+ * @returns {THREE.Group} A group with one child per scene object (a polyhedron's edges and a
+ *     cube grid's outlines are extra children); each object built from the scene keeps its
+ *     description in userData.sceneObject, and userData.objects lists them in scene order
+ */
+function createSceneContent(scene) {
+    const group = new THREE.Group();
+    group.name = scene.title;
+
+    const objects = scene.objects.map(description => {
+        const parts = SCENE_OBJECT_BUILDERS[description.type](description);
+        parts.forEach(part => group.add(part));
+        parts[0].name = description.name || SCENE_OBJECT_NAMES[description.type];
+        parts[0].userData.sceneObject = description;
+        return parts[0];
+    });
+
+    group.userData = { scene, objects };
+    return group;
+}
+
+// Builds the Three.js objects for each type of scene object; the first object returned is
+// the one tooltips describe
+const SCENE_OBJECT_BUILDERS = {
+    points({ positions, size = 4, color = '#FFFFFF', colors }) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions.flat(), 3));
+        if (colors) {
+            const values = colors.flatMap(value => new THREE.Color(value).toArray());
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(values, 3));
+        }
+        const material = new THREE.PointsMaterial({
+            color: colors ? 0xffffff : color,
+            size,
+            sizeAttenuation: false,
+            vertexColors: Boolean(colors)
+        });
+        return [new THREE.Points(geometry, material)];
+    },
+
+    spheres({ positions, radius = 0.1, radii, color = '#0000FF', colors, labels, opacity = 1 }) {
+        const items = positions.map((position, index) => ({
+            position,
+            radius: radii ? radii[index] : radius,
+            color: colors ? colors[index] : color,
+            label: labels ? labels[index] : null
+        }));
+        return [createInstancedSpheres(items, createSceneMaterial(opacity))];
+    },
+
+    cylinders({ segments, radius = 0.05, color = '#CCCCCC', colors, labels, opacity = 1 }) {
+        const items = segments.map(([start, end], index) => ({
+            start,
+            end,
+            radius,
+            color: colors ? colors[index] : color,
+            label: labels ? labels[index] : null
+        }));
+        return [createInstancedCylinders(items, createSceneMaterial(opacity))];
+    },
+
+    polyhedron({ vertices, faces, color = '#00FFFF', opacity = 0.3, edges = true, edgeColor = '#000000' }) {
+        const polyhedron = faces ? withEdges({ vertices, faces }) : createPolyhedron(vertices);
+        const mesh = createPolyhedronFaces(polyhedron, { color, opacity });
+        mesh.userData.polyhedron = polyhedron;
+        return edges ? [mesh, createPolyhedronEdges(polyhedron, edgeColor)] : [mesh];
+    },
+
+    cubeGrid({ size, center = [0, 0, 0], cubeSize = 1, spacing = 0.2, color = '#FFFFFF', exposureColors, opacity = 0.8, edges = true }) {
+        const step = cubeSize + spacing;
+        const items = [];
+        for (let x = 0; x < size[0]; x++) {
+            for (let y = 0; y < size[1]; y++) {
+                for (let z = 0; z < size[2]; z++) {
+                    const gridIndex = [x, y, z];
+                    const exposedFaces = countExposedCubeFaces(gridIndex, size);
+                    items.push({
+                        gridIndex,
+                        exposedFaces,
+                        size: cubeSize,
+                        color: exposureColors ? exposureColors[exposedFaces] : color,
+                        position: gridIndex.map((index, axis) => center[axis] + (index - (size[axis] - 1) / 2) * step)
+                    });
+                }
+            }
+        }
+        const cubes = createInstancedBoxes(items, new THREE.MeshPhongMaterial({
+            color: 0xffffff,
+            transparent: opacity < 1,
+            opacity,
+            specular: 0x111111,
+            shininess: 30
+        }));
+        if (!edges) return [cubes];
+        return [cubes, createInstancedOutlines(cubes, new THREE.LineBasicMaterial({ color: 0x000000 }))];
+    },
+
+    label({ position, text, color = '#FFFFFF' }) {
+        const label = createLabelSprite(text, color);
+        label.position.set(...position);
+        // Text cannot be printed, so it is left out of STL files
+        label.userData.isOverlay = true;
+        return [label];
+    }
+};
+
+/**
+ * Creates the white material shared by a scene's instanced spheres or cylinders, which
+ * tint it with each item's own color.
+ *
+ * @param {number} opacity - How opaque the items are, from 0 to 1
+ * @returns {THREE.MeshPhongMaterial} The material
+ */
+function createSceneMaterial(opacity) {
+    return new THREE.MeshPhongMaterial({
+        color: 0xffffff,
+        shininess: 60,
+        transparent: opacity < 1,
+        opacity
+    });
+}
+
+/**
+ * Counts the faces of a cube in a grid that are on the outside: one for each end of a row
+ * the cube is at, or two along a row only one cube long.
+ *
+ * @param {number[]} gridIndex - The cube's place in the grid, [x, y, z]
+ * @param {number[]} size - Cubes along each side of the grid
+ * @returns {number} The number of exposed faces, from 0 to 6
+ */
+function countExposedCubeFaces(gridIndex, size) {
+    return gridIndex.reduce((total, index, axis) => {
+        if (size[axis] === 1) return total + 2;
+        return total + (index === 0 || index === size[axis] - 1 ? 1 : 0);
+    }, 0);
+}
+
+export { createSceneContent };
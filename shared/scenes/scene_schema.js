@@ -0,0 +1,583 @@
+/**
+ * Scene Format
+ *
+ * Describes a whole visualization in a JSON file, so a new one needs no JavaScript: the
+ * generic viewer (shared/visualizations/scene_viewer.html) draws any scene that passes the
+ * checks below. A scene has a title, an optional camera, background and lights, and a list of
+ * objects:
+ * - points: small dots, e.g. lattice points
+ * - spheres: balls with a radius each, e.g. atoms or corners
+ * - cylinders: rods between two points, e.g. bonds
+ * - polyhedron: a solid given by its corners, and optionally its faces
+ * - cubeGrid: a box of cubes, e.g. the rectangular prism, optionally colored by how many
+ *   faces of each cube are on the outside
+ * - label: a line of text at a point
+ *
+ * For example:
+ *
+ *     {
+ *         "title": "A tetrahedron",
+ *         "camera": { "position": [0, 0, 5] },
+ *         "objects": [
+ *             { "type": "polyhedron", "vertices": [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]] },
+ *             { "type": "label", "position": [1, 1, 1], "text": "A" }
+ *         ]
+ *     }
+ *
+ * Scenes are checked against SCENE_SCHEMA, a JSON Schema that is also published as
+ * shared/scenes/scene.schema.json, so editors that understand JSON Schema can check a scene
+ * while it is typed. validateScene() reports every problem with where it is, e.g.
+ * 'scene.objects[2].radius: must be greater than 0', and suggests the right name for misspelled
+ * properties.
+ */
+
+// Version of the scene format described here
+const SCENE_FORMAT_VERSION = 1;
+
+// Most cubes along each side of a cube grid, as in the rectangular prism visualization
+const MAX_GRID_CUBES = 20;
+
+// Most problems listed for one scene; the rest are counted
+const MAX_REPORTED_ERRORS = 20;
+
+// What each JSON Schema type is called in error messages
+const JSON_TYPE_NAMES = {
+    object: 'an object',
+    array: 'a list',
+    string: 'text',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false'
+};
+
+// Reusable parts of the schema
+const VECTOR_SCHEMA = {
+    title: 'a point [x, y, z]',
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 3,
+    maxItems: 3
+};
+const COLOR_SCHEMA = {
+    title: 'a color written as "#RRGGBB", e.g. "#FF8800"',
+    type: 'string',
+    pattern: '^#[0-9A-Fa-f]{6}$'
+};
+const OPACITY_SCHEMA = {
+    description: 'How opaque the object is, from 0 (invisible) to 1 (solid)',
+    type: 'number',
+    minimum: 0,
+    maximum: 1
+};
+const NAME_SCHEMA = {
+    description: 'Name shown in tooltips and used in exported files',
+    type: 'string'
+};
+const listSchema = (description, items) => ({ description, type: 'array', items });
+
+/**
+ * The JSON Schema (draft-07) of scene files.
+ */
+const SCENE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Scene',
+    description: 'A scene for the generic viewer, shared/visualizations/scene_viewer.html',
+    type: 'object',
+    required: ['title', 'objects'],
+    additionalProperties: false,
+    properties: {
+        $schema: {
+            description: 'Where this schema is, so editors can check the scene, e.g. "../../shared/scenes/scene.schema.json"',
+            type: 'string'
+        },
+        version: {
+            description: 'Version of the scene format',
+            const: SCENE_FORMAT_VERSION
+        },
+        title: {
+            description: 'Title shown above the scene',
+            type: 'string',
+            minLength: 1
+        },
+        description: {
+            description: 'A few sentences about the scene, shown next to it',
+            type: 'string'
+        },
+        unit: {
+            description: 'Unit of lengths, used by measurements and tooltips, e.g. "Å"',
+            type: 'string',
+            default: 'units'
+        },
+        background: { ...COLOR_SCHEMA, default: '#111111' },
+        camera: {
+            description: 'Where the camera starts; without a position it is moved to show the whole scene',
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                position: VECTOR_SCHEMA,
+                target: { ...VECTOR_SCHEMA, description: 'The point the camera looks at and turns around', default: [0, 0, 0] },
+                fov: { description: 'Vertical field of view in degrees', type: 'number', exclusiveMinimum: 0, maximum: 170, default: 75 }
+            }
+        },
+        lights: {
+            description: 'The lights; without them the scene has an ambient light and two directional lights',
+            type: 'array',
+            items: { $ref: '#/definitions/light' }
+        },
+        autoRotate: {
+            description: 'Turns the scene slowly, by these angles in radians per frame',
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+        objects: {
+            description: 'What the scene shows',
+            type: 'array',
+            minItems: 1,
+            items: {
+                oneOf: ['points', 'spheres', 'cylinders', 'polyhedron', 'cubeGrid', 'label']
+                    .map(type => ({ $ref: `#/definitions/${type}` }))
+            }
+        }
+    },
+    definitions: {
+        light: {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+                type: { enum: ['ambient', 'directional'] },
+                color: { ...COLOR_SCHEMA, default: '#FFFFFF' },
+                intensity: { type: 'number', minimum: 0, default: 1 },
+                position: { ...VECTOR_SCHEMA, description: 'Direction the light shines from', default: [1, 1, 1] }
+            }
+        },
+        points: {
+            description: 'Small dots of the same size on screen',
+            type: 'object',
+            required: ['type', 'positions'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'points' },
+                name: NAME_SCHEMA,
+                positions: listSchema('Where the dots are', VECTOR_SCHEMA),
+                size: { description: 'Size of the dots in pixels', type: 'number', exclusiveMinimum: 0, default: 4 },
+                color: { ...COLOR_SCHEMA, default: '#FFFFFF' },
+                colors: listSchema('A color for each dot, in place of color', COLOR_SCHEMA)
+            }
+        },
+        spheres: {
+            description: 'Balls, e.g. atoms or corners',
+            type: 'object',
+            required: ['type', 'positions'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'spheres' },
+                name: NAME_SCHEMA,
+                positions: listSchema('Where the centres of the balls are', VECTOR_SCHEMA),
+                radius: { type: 'number', exclusiveMinimum: 0, default: 0.1 },
+                radii: listSchema('A radius for each ball, in place of radius', { type: 'number', exclusiveMinimum: 0 }),
+                color: { ...COLOR_SCHEMA, default: '#0000FF' },
+                colors: listSchema('A color for each ball, in place of color', COLOR_SCHEMA),
+                labels: listSchema('A name for each ball, shown in its tooltip', { type: 'string' }),
+                opacity: { ...OPACITY_SCHEMA, default: 1 }
+            }
+        },
+        cylinders: {
+            description: 'Rods from one point to another, e.g. bonds',
+            type: 'object',
+            required: ['type', 'segments'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'cylinders' },
+                name: NAME_SCHEMA,
+                segments: listSchema('The ends of each rod, as [[x, y, z], [x, y, z]]', {
+                    title: 'the two ends of a rod, [[x, y, z], [x, y, z]]',
+                    type: 'array',
+                    items: VECTOR_SCHEMA,
+                    minItems: 2,
+                    maxItems: 2
+                }),
+                radius: { type: 'number', exclusiveMinimum: 0, default: 0.05 },
+                color: { ...COLOR_SCHEMA, default: '#CCCCCC' },
+                colors: listSchema('A color for each rod, in place of color', COLOR_SCHEMA),
+                labels: listSchema('A name for each rod, shown in its tooltip', { type: 'string' }),
+                opacity: { ...OPACITY_SCHEMA, default: 1 }
+            }
+        },
+        polyhedron: {
+            description: 'A solid with flat faces and see-through sides',
+            type: 'object',
+            required: ['type', 'vertices'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'polyhedron' },
+                name: NAME_SCHEMA,
+                vertices: listSchema('The corners', VECTOR_SCHEMA),
+                faces: listSchema(
+                    'Each face as the indices of its corners in order around it, counting from 0; ' +
+                        'without faces the solid is the convex hull of the corners',
+                    { type: 'array', items: { type: 'integer', minimum: 0 }, minItems: 3 }
+                ),
+                color: { ...COLOR_SCHEMA, default: '#00FFFF' },
+                opacity: { ...OPACITY_SCHEMA, default: 0.3 },
+                edges: { description: 'Whether to draw the edges', type: 'boolean', default: true },
+                edgeColor: { ...COLOR_SCHEMA, default: '#000000' }
+            }
+        },
+        cubeGrid: {
+            description: 'A box of width × height × depth cubes with spaces between them',
+            type: 'object',
+            required: ['type', 'size'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'cubeGrid' },
+                name: NAME_SCHEMA,
+                size: {
+                    title: 'the number of cubes across, up and deep, [width, height, depth]',
+                    type: 'array',
+                    items: { type: 'integer', minimum: 1, maximum: MAX_GRID_CUBES },
+                    minItems: 3,
+                    maxItems: 3
+                },
+                center: { ...VECTOR_SCHEMA, default: [0, 0, 0] },
+                cubeSize: { description: 'Edge length of each cube', type: 'number', exclusiveMinimum: 0, default: 1 },
+                spacing: { description: 'Space between neighbouring cubes', type: 'number', minimum: 0, default: 0.2 },
+                color: { ...COLOR_SCHEMA, default: '#FFFFFF' },
+                exposureColors: listSchema(
+                    'Colors the cubes by how many of their faces are on the outside of the box: ' +
+                        'the first color for none, the second for 1 face, and so on up to 6',
+                    COLOR_SCHEMA
+                ),
+                opacity: { ...OPACITY_SCHEMA, default: 0.8 },
+                edges: { description: 'Whether to outline the cubes', type: 'boolean', default: true }
+            }
+        },
+        label: {
+            description: 'Text at a point, the same size on screen however far away',
+            type: 'object',
+            required: ['type', 'position', 'text'],
+            additionalProperties: false,
+            properties: {
+                type: { const: 'label' },
+                name: NAME_SCHEMA,
+                position: VECTOR_SCHEMA,
+                text: { type: 'string', minLength: 1 },
+                color: { ...COLOR_SCHEMA, default: '#FFFFFF' }
+            }
+        }
+    }
+};
+
+/**
+ * Error thrown when a scene file cannot be used.
+ */
+class SceneError extends Error {
+    /**
+     * @param {string} message - What is wrong with the scene
+     * @param {string[]} [problems=[]] - Every problem found, each with where it is
+     */
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'SceneError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Reads a scene from the text of a JSON file and checks it.
+ *
+ * @param {string} text - The file contents
+ * @returns {Object} The scene
+ * @throws {SceneError} If the text is not JSON, or the scene does not follow the format
+ */
+function parseScene(text) {
+    let scene;
+    try {
+        scene = JSON.parse(text);
+    } catch (error) {
+        // Point to the line, as editors number lines rather than characters
+        const position = /position (\d+)/.exec(error.message);
+        const where = position ? ` on line ${text.slice(0, Number(position[1])).split('\n').length}` : '';
+        throw new SceneError(`the file is not valid JSON${where}: ${error.message}`);
+    }
+
+    const problems = validateScene(scene);
+    if (problems.length > 0) {
+        throw new SceneError(`the scene has ${problems.length} problem${problems.length === 1 ? '' : 's'}`, problems);
+    }
+    return scene;
+}
+
+/**
+ * Checks a scene against the schema, and what the schema cannot express: that faces only
+ * use corners that exist, and that lists of colors, radii and labels match their items.
+ *
+ * @param {*} scene - The scene, as parsed from JSON
+ * @returns {string[]} The problems found, each starting with where it is; empty if none.
+ *     At most MAX_REPORTED_ERRORS are listed, followed by a count of the rest.
+ */
+function validateScene(scene) {
+    const problems = validateAgainstSchema(scene, SCENE_SCHEMA);
+    if (problems.length === 0) {
+        scene.objects.forEach((object, index) => problems.push(...checkSceneObject(object, `scene.objects[${index}]`)));
+    }
+    if (problems.length > MAX_REPORTED_ERRORS) {
+        const more = problems.length - MAX_REPORTED_ERRORS;
+        return [...problems.slice(0, MAX_REPORTED_ERRORS), `...and ${more} more problem${more === 1 ? '' : 's'}`];
+    }
+    return problems;
+}
+
+/**
+ * Checks one object of a scene that already follows the schema.
+ *
+ * @param {Object} object - The object
+ * @param {string} path - Where the object is in the scene
+ * @returns {string[]} The problems found
+ */
+function checkSceneObject(object, path) {
+    const problems = [];
+    const itemsName = { points: 'positions', spheres: 'positions', cylinders: 'segments' }[object.type];
+    if (itemsName) {
+        ['colors', 'radii', 'labels'].forEach(listName => {
+            const list = object[listName];
+            if (list && list.length !== object[itemsName].length) {
+                problems.push(`${path}.${listName}: has ${list.length} entries, but there are ` +
+                    `${object[itemsName].length} ${itemsName}`);
+            }
+        });
+    }
+    if (object.type === 'polyhedron') {
+        const count = object.vertices.length;
+        if (count < 4) {
+            problems.push(`${path}.vertices: a solid needs at least 4 corners, not ${count}`);
+        }
+        (object.faces || []).forEach((face, f) => {
+            face.forEach((vertex, k) => {
+                if (vertex >= count) {
+                    problems.push(`${path}.faces[${f}][${k}]: there is no corner ${vertex}; ` +
+                        `the ${count} corners are numbered 0 to ${count - 1}`);
+                }
+            });
+            if (new Set(face).size !== face.length) {
+                problems.push(`${path}.faces[${f}]: uses a corner more than once`);
+            }
+        });
+    }
+    if (object.type === 'cubeGrid' && object.exposureColors && object.exposureColors.length < 7) {
+        problems.push(`${path}.exposureColors: needs 7 colors, for 0 to 6 exposed faces, not ${object.exposureColors.length}`);
+    }
+    return problems;
+}
+
+/**
+ * Checks a value against a JSON Schema. Supports the keywords the scene schema uses:
+ * type, const, enum, minimum, maximum, exclusiveMinimum, minLength, pattern, items, minItems,
+ * maxItems, properties, required, additionalProperties: false, $ref to the root's
+ * definitions, and oneOf. A oneOf whose choices each have a const "type" property is
+ * checked against the choice the value's type names, to report its problems only.
+ *
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @param {string} [path='scene'] - Where the value is, to start each problem with
+ * @param {Object} [root=schema] - The schema that $refs point into
+ * @returns {string[]} The problems found
+ */
+function validateAgainstSchema(value, schema, path = 'scene', root = schema) {
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/definitions/', '');
+        return validateAgainstSchema(value, root.definitions[name], path, root);
+    }
+
+    if (schema.oneOf) {
+        const choices = schema.oneOf.map(choice => choice.$ref ? root.definitions[choice.$ref.replace('#/definitions/', '')] : choice);
+        const types = choices.map(choice => choice.properties && choice.properties.type && choice.properties.type.const);
+        if (types.every(type => type !== undefined)) {
+            const typeList = types.map(type => `"${type}"`).join(', ');
+            if (!isPlainObject(value)) {
+                return [`${path}: must be an object, not ${describeJSONValue(value)}`];
+            }
+            if (value.type === undefined) {
+                return [`${path}: missing "type", which must be one of ${typeList}`];
+            }
+            const index = types.indexOf(value.type);
+            if (index === -1) {
+                return [`${path}.type: ${describeJSONValue(value.type)} is not one of ${typeList}`];
+            }
+            return validateAgainstSchema(value, choices[index], path, root);
+        }
+        const results = choices.map(choice => validateAgainstSchema(value, choice, path, root));
+        const matches = results.filter(problems => problems.length === 0).length;
+        if (matches === 1) return [];
+        return matches === 0 ? results[0] : [`${path}: matches more than one of the allowed forms`];
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        return [`${path}: must be ${JSON.stringify(schema.const)}, not ${describeJSONValue(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: ${describeJSONValue(value)} is not one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+
+    if (schema.type && !hasJSONType(value, schema.type)) {
+        return [`${path}: must be ${schema.title || JSON_TYPE_NAMES[schema.type]}, not ${describeJSONValue(value)}`];
+    }
+
+    const problems = [];
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${path}: must be at least ${schema.minimum}, not ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            problems.push(`${path}: must be greater than ${schema.exclusiveMinimum}, not ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push(`${path}: must be at most ${schema.maximum}, not ${value}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problems.push(`${path}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push(`${path}: must be ${schema.title || `text matching ${schema.pattern}`}, not ${describeJSONValue(value)}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        const { minItems, maxItems } = schema;
+        if (minItems !== undefined && minItems === maxItems && value.length !== minItems) {
+            const expected = schema.title || `exactly ${minItems} items`;
+            problems.push(`${path}: must be ${schema.title ? expected : `a list of ${expected}`}, but has ${value.length} item${value.length === 1 ? '' : 's'}`);
+        } else if (minItems !== undefined && value.length < minItems) {
+            problems.push(`${path}: must have at least ${minItems} item${minItems === 1 ? '' : 's'}, but has ${value.length}`);
+        } else if (maxItems !== undefined && value.length > maxItems) {
+            problems.push(`${path}: must have at most ${maxItems} items, but has ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => problems.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`, root)));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) problems.push(`${path}: missing "${name}"`);
+        });
+        Object.keys(value).forEach(name => {
+            const childPath = `${path}.${name}`;
+            if (properties[name]) {
+                problems.push(...validateAgainstSchema(value[name], properties[name], childPath, root));
+            } else if (schema.additionalProperties === false) {
+                const suggestion = closestName(name, Object.keys(properties));
+                problems.push(`${path}: unknown property "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            }
+        });
+    }
+    return problems;
+}
+
+/**
+ * Checks whether a value has a JSON Schema type.
+ *
+ * @param {*} value - The value
+ * @param {string} type - 'object', 'array', 'string', 'number', 'integer' or 'boolean'
+ * @returns {boolean} Whether it does
+ */
+function hasJSONType(value, type) {
+    switch (type) {
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Checks whether a value is a JSON object (not an array or null).
+ *
+ * @param {*} value - The value
+ * @returns {boolean} Whether it is
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Describes a value for an error message, e.g. 'the text "big"' or 'a list'.
+ *
+ * @param {*} value - The value
+ * @returns {string} The description
+ */
+function describeJSONValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'object') return 'an object';
+    if (typeof value === 'string') return `the text ${JSON.stringify(value)}`;
+    return String(value);
+}
+
+/**
+ * Finds the allowed name a misspelled one was most likely meant to be: the closest by edit
+ * distance, if it is within a third of the name's length.
+ *
+ * @param {string} name - The misspelled name
+ * @param {string[]} names - The allowed names
+ * @returns {string|null} The closest allowed name, or null if none is close
+ */
+function closestName(name, names) {
+    let best = null;
+    let bestDistance = Math.max(1, Math.floor(name.length / 3)) + 1;
+    names.forEach(candidate => {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Counts the single-letter insertions, deletions and substitutions that turn one word into
+ * another (Levenshtein distance).
+ *
+ * @param {string} a - The first word
+ * @param {string} b - The second word
+ * @returns {number} The distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (unused, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+export {
+    SCENE_FORMAT_VERSION,
+    MAX_GRID_CUBES,
+    SCENE_SCHEMA,
+    SceneError,
+    parseScene,
+    validateScene,
+    validateAgainstSchema,
+    isPlainObject,
+    describeJSONValue,
+    closestName
+};
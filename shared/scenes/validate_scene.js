@@ -0,0 +1,47 @@
+/**
+ * Scene File Checker
+ *
+ * Checks scene files against the scene format (shared/scenes/scene_schema.js) and lists
+ * every problem, so a scene can be checked before it is shared. With --schema it prints the
+ * format's JSON Schema instead, which is how shared/scenes/scene.schema.json is written.
+ *
+ * Run with Node from the repository root:
+ *
+ *     node shared/scenes/validate_scene.js mathematics/scenes/rectangular_prism.json [more files]
+ *     node shared/scenes/validate_scene.js --schema > shared/scenes/scene.schema.json
+ *
+ * Exits with status 1 if any file has a problem.
+ */
+
+import fs from 'fs';
+import { SCENE_SCHEMA, SceneError, parseScene } from './scene_schema.js';
+
+/**
+ * Checks one scene file and prints the result.
+ *
+ * @param {string} fileName - Path of the file
+ * @returns {boolean} Whether the scene is fine
+ */
+function checkSceneFile(fileName) {
+    try {
+        const scene = parseScene(fs.readFileSync(fileName, 'utf8'));
+        console.log(`${fileName}: OK, ${scene.objects.length} object${scene.objects.length === 1 ? '' : 's'}`);
+        return true;
+    } catch (error) {
+        if (!(error instanceof SceneError) && error.code !== 'ENOENT') throw error;
+        console.log(`${fileName}: ${error.message}`);
+        error.problems?.forEach(problem => console.log(`  ${problem}`));
+        return false;
+    }
+}
+
+const args = process.argv.slice(2);
+if (args[0] === '--schema') {
+    console.log(JSON.stringify(SCENE_SCHEMA, null, 4));
+} else if (args.length === 0) {
+    console.log('Usage: node shared/scenes/validate_scene.js scene.json [more files], or --schema');
+    process.exitCode = 1;
+} else {
+    const results = args.map(checkSceneFile);
+    if (results.includes(false)) process.exitCode = 1;
+}
@@ -0,0 +1,455 @@
+/**
+ * Instanced Rendering Helpers
+ *
+ * Large scenes (thousands of atoms, bonds or cubes) are drawn as one THREE.InstancedMesh per
+ * kind of object instead of one THREE.Mesh each, with a per-instance transform and color.
+ *
+ * Each instanced mesh keeps the list of items it was built from in mesh.userData.items, and
+ * the helpers below address items by their index in that list:
+ * - setItemVisible() hides or shows an item
+ * - setItemPosition() moves an item, e.g. for animations
+ * - setItemColor() highlights an item, or restores its own color
+ * - setItemOwnColor() changes the color an item has when it is not highlighted
+ * - getItemIndex() turns the instanceId of a raycast hit back into the item index
+ * - forEachVisibleMesh() visits every visible mesh and instance of a scene, e.g. for export
+ *
+ * Transparent instanced meshes are re-sorted back to front every frame by
+ * sortInstancesByDepth(), as three.js does for separate transparent meshes. Because sorting
+ * moves items between instance slots, always go through these helpers rather than
+ * writing to instanceMatrix or instanceColor directly.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+
+// Geometry detail for instanced spheres and cylinders
+const SPHERE_SEGMENTS = 24;
+const CYLINDER_SEGMENTS = 8;
+
+// Depth sort keys: distances are quantized to DEPTH_LEVELS steps, with room for up to
+// MAX_SORTED_ITEMS item indices below them (together within a double's 53-bit mantissa)
+const DEPTH_LEVELS = 2 ** 30;
+const MAX_SORTED_ITEMS = 2 ** 22;
+
+// Transparent meshes are re-sorted once the camera has moved this fraction of its distance
+const RESORT_DISTANCE = 0.01;
+
+// Matrix used to hide an item: scaling to zero leaves nothing to draw or hit
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+/**
+ * Creates an instanced mesh of spheres, e.g. atoms.
+ *
+ * @param {Object[]} items - Spheres as {position: [x, y, z], radius, color}; other
+ *     properties are kept for picking
+ * @param {THREE.Material} material - Shared material; its color should be white, as it is
+ *     multiplied with each item's color
+ * @returns {THREE.InstancedMesh} The spheres
+ */
+function createInstancedSpheres(items, material) {
+    const geometry = new THREE.SphereGeometry(1, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
+    const matrix = new THREE.Matrix4();
+    return createInstancedMesh(geometry, material, items, item => matrix.compose(
+        new THREE.Vector3(...item.position),
+        new THREE.Quaternion(),
+        new THREE.Vector3(item.radius, item.radius, item.radius)
+    ));
+}
+
+/**
+ * Creates an instanced mesh of cylinders between pairs of points, e.g. bonds.
+ *
+ * @param {Object[]} items - Cylinders as {start: [x, y, z], end: [x, y, z], radius, color}
+ * @param {THREE.Material} material - Shared material (white, see createInstancedSpheres)
+ * @returns {THREE.InstancedMesh} The cylinders
+ */
+function createInstancedCylinders(items, material) {
+    // A unit cylinder along the y axis, stretched and rotated into place per instance
+    const geometry = new THREE.CylinderGeometry(1, 1, 1, CYLINDER_SEGMENTS, 1);
+    const matrix = new THREE.Matrix4();
+    const yAxis = new THREE.Vector3(0, 1, 0);
+    return createInstancedMesh(geometry, material, items, item => {
+        const start = new THREE.Vector3(...item.start);
+        const end = new THREE.Vector3(...item.end);
+        const direction = new THREE.Vector3().subVectors(end, start);
+        const length = direction.length();
+        const midpoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(yAxis, direction.normalize());
+        return matrix.compose(midpoint, quaternion, new THREE.Vector3(item.radius, length, item.radius));
+    });
+}
+
+/**
+ * Creates an instanced mesh of axis-aligned cubes.
+ *
+ * @param {Object[]} items - Cubes as {position: [x, y, z], size, color}
+ * @param {THREE.Material} material - Shared material (white, see createInstancedSpheres)
+ * @returns {THREE.InstancedMesh} The cubes
+ */
+function createInstancedBoxes(items, material) {
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const matrix = new THREE.Matrix4();
+    return createInstancedMesh(geometry, material, items, item => matrix.compose(
+        new THREE.Vector3(...item.position),
+        new THREE.Quaternion(),
+        new THREE.Vector3(item.size, item.size, item.size)
+    ));
+}
+
+/**
+ * Creates an instanced mesh and fills in one instance per item.
+ *
+ * @param {THREE.BufferGeometry} geometry - Geometry shared by all instances
+ * @param {THREE.Material} material - Material shared by all instances
+ * @param {Object[]} items - The items, each with a color
+ * @param {Function} getMatrix - Returns the THREE.Matrix4 placing an item
+ * @returns {THREE.InstancedMesh} The mesh
+ */
+function createInstancedMesh(geometry, material, items, getMatrix) {
+    const mesh = new THREE.InstancedMesh(geometry, material, items.length);
+    const color = new THREE.Color();
+
+    // Each item's own transform and color, indexed by item (not by instance slot)
+    const matrices = new Float32Array(items.length * 16);
+    const colors = new Float32Array(items.length * 3);
+    items.forEach((item, index) => {
+        getMatrix(item).toArray(matrices, index * 16);
+        color.set(item.color).toArray(colors, index * 3);
+    });
+
+    mesh.userData.items = items;
+    mesh.userData.instancing = {
+        matrices,
+        colors,
+        visible: new Uint8Array(items.length).fill(1),
+        highlight: new Array(items.length).fill(null),
+        // Item shown in each instance slot, and the slot of each item
+        itemOfSlot: Int32Array.from(items, (item, index) => index),
+        slotOfItem: Int32Array.from(items, (item, index) => index)
+    };
+
+    // Transparent meshes are sorted per frame, so their matrices change constantly
+    if (material.transparent) {
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.onBeforeRender = (renderer, scene, camera) => sortInstancesByDepth(mesh, camera);
+    }
+
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(items.length * 3), 3);
+    items.forEach((item, index) => writeSlot(mesh, index));
+
+    // The geometry's bounding box covers every instance, so Box3.setFromObject() (used to
+    // frame the camera) sees the whole mesh. Its bounding sphere stays that of one instance,
+    // which raycasting tests per instance to skip misses quickly; three.js would frustum
+    // cull the whole mesh with it, so culling is turned off.
+    const box = new THREE.Box3();
+    const instanceBox = new THREE.Box3();
+    const matrix = new THREE.Matrix4();
+    geometry.computeBoundingBox();
+    items.forEach((item, index) => {
+        matrix.fromArray(matrices, index * 16);
+        box.union(instanceBox.copy(geometry.boundingBox).applyMatrix4(matrix));
+    });
+    geometry.computeBoundingSphere();
+    geometry.boundingBox = box;
+    mesh.frustumCulled = false;
+
+    return mesh;
+}
+
+/**
+ * Writes an item's transform and color into the instance slot it currently occupies.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} itemIndex - Index of the item in mesh.userData.items
+ */
+function writeSlot(mesh, itemIndex) {
+    const state = mesh.userData.instancing;
+    const slot = state.slotOfItem[itemIndex];
+
+    // Plain loops: this runs for every item whenever a transparent mesh is re-sorted
+    const matrixArray = mesh.instanceMatrix.array;
+    if (state.visible[itemIndex]) {
+        for (let i = 0; i < 16; i++) {
+            matrixArray[slot * 16 + i] = state.matrices[itemIndex * 16 + i];
+        }
+    } else {
+        HIDDEN_MATRIX.toArray(matrixArray, slot * 16);
+    }
+
+    const colorArray = mesh.instanceColor.array;
+    const highlight = state.highlight[itemIndex];
+    if (highlight) {
+        highlight.toArray(colorArray, slot * 3);
+    } else {
+        for (let i = 0; i < 3; i++) {
+            colorArray[slot * 3 + i] = state.colors[itemIndex * 3 + i];
+        }
+    }
+
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Shows or hides one item of an instanced mesh.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} itemIndex - Index of the item in mesh.userData.items
+ * @param {boolean} visible - Whether the item should be drawn
+ */
+function setItemVisible(mesh, itemIndex, visible) {
+    mesh.userData.instancing.visible[itemIndex] = visible ? 1 : 0;
+    writeSlot(mesh, itemIndex);
+}
+
+/**
+ * Moves one item of an instanced mesh, keeping its size and orientation.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} itemIndex - Index of the item in mesh.userData.items
+ * @param {number[]} position - The new position [x, y, z]
+ */
+function setItemPosition(mesh, itemIndex, position) {
+    const state = mesh.userData.instancing;
+    state.matrices.set(position, itemIndex * 16 + 12);
+    // Transparent meshes need sorting again for the new position
+    state.lastEye = null;
+    writeSlot(mesh, itemIndex);
+}
+
+/**
+ * Checks whether an item of an instanced mesh is currently drawn.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} itemIndex - Index of the item in mesh.userData.items
+ * @returns {boolean} True if the item is visible
+ */
+function isItemVisible(mesh, itemIndex) {
+    return mesh.userData.instancing.visible[itemIndex] === 1;
+}
+
+/**
+ * Calls a function for every visible mesh under a root object, and for every visible
+ * instance of an instanced mesh, with its transform relative to the root.
+ *
+ * @param {THREE.Object3D} root - The root object
+ * @param {Function} callback - Called with (mesh, matrix, color), where color is the
+ *     instance's color for instanced meshes and the material color otherwise
+ */
+function forEachVisibleMesh(root, callback) {
+    root.updateMatrixWorld(true);
+    const rootInverse = root.matrixWorld.clone().invert();
+    const instanceMatrix = new THREE.Matrix4();
+    const instanceColor = new THREE.Color();
+
+    root.traverseVisible(object => {
+        if (!object.isMesh || !object.geometry.attributes.position) return;
+        const matrix = rootInverse.clone().multiply(object.matrixWorld);
+        const materialColor = object.material.color || new THREE.Color(0xffffff);
+
+        if (object.isInstancedMesh) {
+            const count = object.userData.items ? object.userData.items.length : object.count;
+            for (let index = 0; index < count; index++) {
+                if (object.userData.items && !isItemVisible(object, index)) continue;
+                // Items are read in item order, whatever slots depth sorting put them in
+                const slot = object.userData.items ? object.userData.instancing.slotOfItem[index] : index;
+                object.getMatrixAt(slot, instanceMatrix);
+                let color = materialColor.clone();
+                if (object.instanceColor) {
+                    object.getColorAt(slot, instanceColor);
+                    color = instanceColor.clone().multiply(materialColor);
+                }
+                callback(object, matrix.clone().multiply(instanceMatrix), color);
+            }
+        } else {
+            callback(object, matrix, materialColor.clone());
+        }
+    });
+}
+
+/**
+ * Draws one item in a highlight color, or back in its own color.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} itemIndex - Index of the item in mesh.userData.items
+ * @param {THREE.Color|number|string|null} color - The highlight color, or null to restore
+ */
+function setItemColor(mesh, itemIndex, color) {
+    mesh.userData.instancing.highlight[itemIndex] = color === null ? null : new THREE.Color(color);
+    writeSlot(mesh, itemIndex);
+}
+
+/**
+ * Changes an item's own color, the one it is drawn in when not highlighted, e.g. to color
+ * atoms by their number of bonds instead of by element.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} itemIndex - Index of the item in mesh.userData.items
+ * @param {THREE.Color|number|string} color - The new color
+ */
+function setItemOwnColor(mesh, itemIndex, color) {
+    new THREE.Color(color).toArray(mesh.userData.instancing.colors, itemIndex * 3);
+    writeSlot(mesh, itemIndex);
+}
+
+/**
+ * Returns the item drawn in an instance slot, e.g. for the instanceId of a raycast hit.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {number} instanceId - The instance slot
+ * @returns {number} Index of the item in mesh.userData.items
+ */
+function getItemIndex(mesh, instanceId) {
+    return mesh.userData.instancing.itemOfSlot[instanceId];
+}
+
+/**
+ * Reorders the instance slots of a transparent instanced mesh so the items furthest from
+ * the camera are drawn first and nearer items blend over them.
+ *
+ * @param {THREE.InstancedMesh} mesh - The instanced mesh
+ * @param {THREE.Camera} camera - The camera the mesh is about to be drawn with
+ */
+function sortInstancesByDepth(mesh, camera) {
+    const state = mesh.userData.instancing;
+    const count = mesh.userData.items.length;
+
+    // Camera position in the mesh's own coordinates, where the instance positions are
+    const eye = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+    mesh.worldToLocal(eye);
+
+    // Skip the sort until the camera has moved noticeably relative to the mesh; a slowly
+    // rotating crystal is then only re-sorted every few frames
+    if (state.lastEye && state.lastEye.distanceTo(eye) < RESORT_DISTANCE * eye.length()) return;
+    state.lastEye = eye.clone();
+
+    // Sort on one number per item, the squared distance scaled into the high bits and the
+    // item index in the low bits, so the typed array's fast numeric sort can be used
+    const depth = new Float64Array(count);
+    let maxDepth = 0;
+    for (let item = 0; item < count; item++) {
+        const offset = item * 16;
+        depth[item] = (state.matrices[offset + 12] - eye.x) ** 2 +
+            (state.matrices[offset + 13] - eye.y) ** 2 +
+            (state.matrices[offset + 14] - eye.z) ** 2;
+        maxDepth = Math.max(maxDepth, depth[item]);
+    }
+    const keys = new Float64Array(count);
+    for (let item = 0; item < count; item++) {
+        const level = maxDepth > 0 ? Math.floor(depth[item] / maxDepth * DEPTH_LEVELS) : 0;
+        keys[item] = level * MAX_SORTED_ITEMS + item;
+    }
+    keys.sort();
+
+    // Furthest first: the largest key goes into slot 0
+    for (let slot = 0; slot < count; slot++) {
+        const item = keys[count - 1 - slot] % MAX_SORTED_ITEMS;
+        state.itemOfSlot[slot] = item;
+        state.slotOfItem[item] = slot;
+        writeSlot(mesh, item);
+    }
+}
+
+/**
+ * Creates one LineSegments object outlining the edges of every cube in an instanced box mesh.
+ * All outlines share a single geometry (one draw call), with the same look as adding an
+ * EdgesGeometry to each cube.
+ *
+ * @param {THREE.InstancedMesh} boxes - Cubes from createInstancedBoxes()
+ * @param {THREE.Material} material - Line material
+ * @returns {THREE.LineSegments} The outlines; pass it to setOutlineVisible() to hide one, or
+ *     to setOutlinePosition() to move one
+ */
+function createInstancedOutlines(boxes, material) {
+    const edgePositions = new THREE.EdgesGeometry(boxes.geometry).attributes.position;
+    const state = boxes.userData.instancing;
+    const verticesPerItem = edgePositions.count;
+    const positions = new Float32Array(boxes.userData.items.length * verticesPerItem * 3);
+
+    const matrix = new THREE.Matrix4();
+    const vertex = new THREE.Vector3();
+    boxes.userData.items.forEach((item, index) => {
+        matrix.fromArray(state.matrices, index * 16);
+        for (let v = 0; v < verticesPerItem; v++) {
+            vertex.fromBufferAttribute(edgePositions, v).applyMatrix4(matrix);
+            vertex.toArray(positions, (index * verticesPerItem + v) * 3);
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const outlines = new THREE.LineSegments(geometry, material);
+    outlines.userData.outlines = {
+        verticesPerItem,
+        positions: positions.slice(),
+        // Where each cube was built, and how far it has been moved since
+        centres: boxes.userData.items.map((item, index) => state.matrices.slice(index * 16 + 12, index * 16 + 15)),
+        offsets: new Float32Array(boxes.userData.items.length * 3),
+        visible: new Uint8Array(boxes.userData.items.length).fill(1)
+    };
+    return outlines;
+}
+
+/**
+ * Shows or hides the outline of one cube created by createInstancedOutlines().
+ *
+ * @param {THREE.LineSegments} outlines - The outlines
+ * @param {number} itemIndex - Index of the cube's item
+ * @param {boolean} visible - Whether the outline should be drawn
+ */
+function setOutlineVisible(outlines, itemIndex, visible) {
+    outlines.userData.outlines.visible[itemIndex] = visible ? 1 : 0;
+    writeOutline(outlines, itemIndex);
+}
+
+/**
+ * Moves the outline of one cube created by createInstancedOutlines(), e.g. along with
+ * setItemPosition().
+ *
+ * @param {THREE.LineSegments} outlines - The outlines
+ * @param {number} itemIndex - Index of the cube's item
+ * @param {number[]} position - The cube's new centre [x, y, z]
+ */
+function setOutlinePosition(outlines, itemIndex, position) {
+    const { centres, offsets } = outlines.userData.outlines;
+    for (let axis = 0; axis < 3; axis++) {
+        offsets[itemIndex * 3 + axis] = position[axis] - centres[itemIndex][axis];
+    }
+    writeOutline(outlines, itemIndex);
+}
+
+/**
+ * Writes the vertices of one cube's outline, moved and shown or hidden as set.
+ *
+ * @param {THREE.LineSegments} outlines - The outlines
+ * @param {number} itemIndex - Index of the cube's item
+ */
+function writeOutline(outlines, itemIndex) {
+    const { verticesPerItem, positions, offsets, visible } = outlines.userData.outlines;
+    const attribute = outlines.geometry.attributes.position;
+    const start = itemIndex * verticesPerItem * 3;
+    const end = start + verticesPerItem * 3;
+    for (let offset = start; offset < end; offset += 3) {
+        // A hidden outline collapses every vertex onto the first one, leaving zero-length lines
+        const source = visible[itemIndex] ? offset : start;
+        for (let axis = 0; axis < 3; axis++) {
+            attribute.array[offset + axis] = positions[source + axis] + offsets[itemIndex * 3 + axis];
+        }
+    }
+    attribute.needsUpdate = true;
+}
+
+export {
+    createInstancedSpheres,
+    createInstancedCylinders,
+    createInstancedBoxes,
+    setItemVisible,
+    setItemPosition,
+    isItemVisible,
+    forEachVisibleMesh,
+    setItemColor,
+    setItemOwnColor,
+    getItemIndex,
+    createInstancedOutlines,
+    setOutlineVisible,
+    setOutlinePosition
+};
@@ -0,0 +1,295 @@
+/**
+ * Measurement Tool
+ *
+ * Measures distances and angles between picked points, e.g. the 1.54 Å C–C bond and the
+ * 109.47° tetrahedral bond angle in diamond:
+ * - Distance mode: click two points; a dimension line is drawn between them with its length
+ * - Angle mode: click three points; the angle at the second point is drawn as an arc with
+ *   its size in degrees
+ *
+ * Measurements are added to the viewer's content, so they turn with it, and stay until the
+ * Clear button is pressed (or the content is rebuilt, which replaces the points measured).
+ *
+ * The tool is driven by two controls from the page: a select with the options "off",
+ * "distance" and "angle", and a clear button.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { disposeObject } from './viewer.js';
+
+// Color of measurement lines, arcs and pending points
+const MEASURE_COLOR = 0xFFFF00;
+
+// Height of the measurement labels, as a fraction of the view height at unit distance
+const MEASURE_LABEL_HEIGHT = 0.05;
+
+// Radius of angle arcs, as a fraction of the shorter arm
+const ARC_RADIUS_FRACTION = 0.3;
+
+// Number of points clicked for each measurement mode
+const MEASURE_POINT_COUNTS = { distance: 2, angle: 3 };
+
+/**
+ * Adds a measurement tool to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} picker - The viewer's picker from createPicker(); its clicks are taken over
+ *     while measuring
+ * @param {Object} options - Measurement options
+ * @param {HTMLSelectElement} options.modeSelect - Select with the options off, distance, angle
+ * @param {HTMLButtonElement} options.clearButton - Button that removes all measurements
+ * @param {string|Function} [options.unit='units'] - Unit of distances, e.g. 'Å', or a function
+ *     returning it, for pages whose unit changes with what they show
+ * @param {Function} [options.getPoint=getPickPoint] - Returns the point measured for a pick
+ *     (a THREE.Vector3 in the content's coordinates), or null if it cannot be measured
+ * @returns {Object} The tool: {setMode(mode), clear()}
+ */
+function createMeasureTool(viewer, picker, options) {
+    const {
+        modeSelect,
+        clearButton,
+        unit = 'units',
+        getPoint = getPickPoint
+    } = options;
+
+    let mode = 'off';
+    let pendingPoints = [];
+    let group = null; // Holds every measurement; lives inside the viewer's content
+
+    // Creates the measurement group, or a new one after the content was rebuilt
+    function getGroup() {
+        if (!group || group.parent !== viewer.content) {
+            group = new THREE.Group();
+            group.name = 'measurements';
+            viewer.content.add(group);
+            pendingPoints = [];
+        }
+        return group;
+    }
+
+    function onClick(pick) {
+        const point = pick && getPoint(pick);
+        if (!point) return;
+
+        const measurements = getGroup();
+        pendingPoints.push(point);
+        measurements.add(createPointMarker(point, 'pending'));
+
+        if (pendingPoints.length < MEASURE_POINT_COUNTS[mode]) return;
+
+        // Enough points: replace the pending markers with the finished measurement
+        measurements.children
+            .filter(child => child.name === 'pending')
+            .forEach(marker => {
+                measurements.remove(marker);
+                disposeObject(marker);
+            });
+        measurements.add(mode === 'distance'
+            ? createDistanceMeasurement(pendingPoints[0], pendingPoints[1], typeof unit === 'function' ? unit() : unit)
+            : createAngleMeasurement(pendingPoints[0], pendingPoints[1], pendingPoints[2]));
+        pendingPoints = [];
+    }
+
+    const tool = {
+        /**
+         * Switches between measuring distances, angles, or not measuring.
+         *
+         * @param {string} newMode - 'off', 'distance' or 'angle'
+         */
+        setMode(newMode) {
+            mode = newMode in MEASURE_POINT_COUNTS ? newMode : 'off';
+            modeSelect.value = mode;
+
+            // Points picked for the previous mode no longer make a measurement
+            if (group) {
+                group.children
+                    .filter(child => child.name === 'pending')
+                    .forEach(marker => {
+                        group.remove(marker);
+                        disposeObject(marker);
+                    });
+            }
+            pendingPoints = [];
+
+            picker.setClickHandler(mode === 'off' ? null : onClick);
+            viewer.renderer.domElement.style.cursor = mode === 'off' ? '' : 'crosshair';
+        },
+
+        /**
+         * Removes all measurements and any points picked so far.
+         */
+        clear() {
+            if (group) {
+                group.removeFromParent();
+                disposeObject(group);
+                group = null;
+            }
+            pendingPoints = [];
+        }
+    };
+
+    modeSelect.addEventListener('change', () => tool.setMode(modeSelect.value));
+    clearButton.addEventListener('click', () => tool.clear());
+    tool.setMode(modeSelect.value);
+
+    return tool;
+}
+
+/**
+ * Returns the point measured for a pick: the centre of the picked item or object, so that
+ * e.g. distances between atoms are between their nuclei rather than their surfaces.
+ *
+ * @param {Object} pick - The pick from createPicker()
+ * @returns {THREE.Vector3|null} The point in the content's coordinates, or null if the
+ *     picked item has no single position (such as a bond)
+ */
+function getPickPoint({ object, item }) {
+    if (item) {
+        return item.position ? new THREE.Vector3(...item.position) : null;
+    }
+    return object.position.clone();
+}
+
+/**
+ * Creates a dimension line between two points, labelled with the distance.
+ *
+ * @param {THREE.Vector3} a - First point
+ * @param {THREE.Vector3} b - Second point
+ * @param {string} unit - Unit of the distance
+ * @returns {THREE.Group} The measurement
+ */
+function createDistanceMeasurement(a, b, unit) {
+    const measurement = new THREE.Group();
+    measurement.add(createMeasureLine([a, b]));
+    measurement.add(createPointMarker(a));
+    measurement.add(createPointMarker(b));
+
+    const label = createLabelSprite(`${a.distanceTo(b).toFixed(3)} ${unit}`);
+    label.position.addVectors(a, b).multiplyScalar(0.5);
+    measurement.add(label);
+    return measurement;
+}
+
+/**
+ * Creates the two arms of an angle and an arc between them, labelled with the angle.
+ *
+ * @param {THREE.Vector3} a - Point on the first arm
+ * @param {THREE.Vector3} vertex - The vertex, where the angle is measured
+ * @param {THREE.Vector3} b - Point on the second arm
+ * @returns {THREE.Group} The measurement
+ */
+function createAngleMeasurement(a, vertex, b) {
+    const measurement = new THREE.Group();
+    measurement.add(createMeasureLine([a, vertex, b]));
+    [a, vertex, b].forEach(point => measurement.add(createPointMarker(point)));
+
+    const armA = new THREE.Vector3().subVectors(a, vertex);
+    const armB = new THREE.Vector3().subVectors(b, vertex);
+    const angle = armA.angleTo(armB);
+
+    // Sweep the arc in the plane of the arms, from arm A towards arm B
+    const radius = ARC_RADIUS_FRACTION * Math.min(armA.length(), armB.length());
+    const u = armA.clone().normalize();
+    const w = armB.clone().normalize().addScaledVector(u, -u.dot(armB.clone().normalize()));
+    if (w.lengthSq() < 1e-12) {
+        // A straight angle: any direction perpendicular to the arms will do
+        w.set(1, 0, 0).cross(u);
+        if (w.lengthSq() < 1e-12) w.set(0, 1, 0).cross(u);
+    }
+    w.normalize();
+
+    const arcPoint = t => vertex.clone()
+        .addScaledVector(u, radius * Math.cos(t))
+        .addScaledVector(w, radius * Math.sin(t));
+    const segments = Math.max(8, Math.ceil(angle / (Math.PI / 32)));
+    const arc = [];
+    for (let i = 0; i <= segments; i++) {
+        arc.push(arcPoint(angle * i / segments));
+    }
+    measurement.add(createMeasureLine(arc));
+
+    // Place the label just outside the middle of the arc
+    const label = createLabelSprite(`${THREE.MathUtils.radToDeg(angle).toFixed(2)}°`);
+    label.position.copy(vertex).addScaledVector(arcPoint(angle / 2).sub(vertex), 1.5);
+    measurement.add(label);
+    return measurement;
+}
+
+/**
+ * Creates a line through a list of points, drawn on top of the scene.
+ *
+ * @param {THREE.Vector3[]} points - The points
+ * @returns {THREE.Line} The line
+ */
+function createMeasureLine(points) {
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false, transparent: true })
+    );
+    line.renderOrder = 1000;
+    return line;
+}
+
+/**
+ * Creates a dot marking a measured point, drawn on top of the scene at a fixed screen size.
+ *
+ * @param {THREE.Vector3} point - The point
+ * @param {string} [name=''] - Object name, 'pending' for points of an unfinished measurement
+ * @returns {THREE.Points} The marker
+ */
+function createPointMarker(point, name = '') {
+    const marker = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints([point]),
+        new THREE.PointsMaterial({
+            color: MEASURE_COLOR,
+            size: 8,
+            sizeAttenuation: false,
+            depthTest: false,
+            transparent: true
+        })
+    );
+    marker.name = name;
+    marker.renderOrder = 1000;
+    return marker;
+}
+
+/**
+ * Creates a text label that always faces the camera and keeps the same size on screen.
+ *
+ * @param {string} text - The label text
+ * @param {string} [color='white'] - The text color, as a CSS color
+ * @returns {THREE.Sprite} The label
+ */
+function createLabelSprite(text, color = 'white') {
+    const fontSize = 48;
+    const padding = 12;
+    const font = `${fontSize}px Arial, sans-serif`;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 2 * padding;
+    canvas.height = fontSize + 2 * padding;
+
+    // Resizing the canvas resets the context, so set the font again
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = font;
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        sizeAttenuation: false
+    }));
+    sprite.scale.set(MEASURE_LABEL_HEIGHT * canvas.width / canvas.height, MEASURE_LABEL_HEIGHT, 1);
+    sprite.renderOrder = 1001;
+    // The text itself, for line drawings (see shared/export/snapshot.js)
+    sprite.userData.text = text;
+    return sprite;
+}
+
+export { createMeasureTool, getPickPoint, createLabelSprite };
@@ -0,0 +1,324 @@
+/**
+ * Picking and Tooltips
+ *
+ * Lets students ask "what is this?": hovering over an object highlights it and shows a
+ * tooltip describing it, and clicking pins the tooltip so it stays while the scene is rotated.
+ * Clicking empty space unpins it.
+ *
+ * The visualization decides what can be picked and what the tooltip says, through a
+ * describe() function:
+ *
+ *     const picker = createPicker(viewer, {
+ *         describe: ({ object, item }) => item ? { title: item.element, lines: ['...'] } : null
+ *     });
+ *
+ * Both ordinary meshes and the instanced meshes from instancing.js can be picked; for an
+ * instanced mesh the hit is resolved to the item it shows. Objects describe() returns null
+ * for (e.g. transparent faces) are looked through, so an atom or vertex behind them can
+ * still be picked.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { getItemIndex, setItemColor } from './instancing.js';
+
+// Default highlight color; cyan is not used by any of the color schemes being highlighted
+const PICK_HIGHLIGHT_COLOR = 0x00FFFF;
+
+// Pointer movement (in pixels) between press and release that still counts as a click
+const CLICK_TOLERANCE = 5;
+
+/**
+ * Adds hover highlighting and tooltips to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Picking options
+ * @param {Function} options.describe - Called with a pick {object, item, itemIndex, point}; returns
+ *     the tooltip as {title, lines: string[]}, or null if the object cannot be picked
+ * @param {Function} [options.getTargets] - Returns the objects to pick from (searched with
+ *     their descendants); defaults to the viewer's content
+ * @param {number} [options.highlightColor=PICK_HIGHLIGHT_COLOR] - Color of the hovered object
+ * @returns {Object} The picker: {setClickHandler(handler), clear(), dispose()}
+ */
+function createPicker(viewer, options) {
+    const {
+        describe,
+        getTargets = () => [viewer.content],
+        highlightColor = PICK_HIGHLIGHT_COLOR
+    } = options;
+
+    const canvas = viewer.renderer.domElement;
+    const raycaster = new THREE.Raycaster();
+    // Lines are only outlines here; don't let them catch the pointer from far away
+    raycaster.params.Line.threshold = 0.01;
+
+    const tooltip = createTooltipElement();
+    viewer.container.appendChild(tooltip);
+
+    let hovered = null;     // The pick under the pointer, if any
+    let pinned = null;      // The pick whose tooltip is pinned, if any
+    let pressPosition = null;
+    let clickHandler = null; // Replaces pinning while set, see setClickHandler()
+    let content = viewer.content;
+
+    /**
+     * Finds the first describable object under a pointer event.
+     */
+    function pickAt(event) {
+        const rect = canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, viewer.camera);
+
+        for (const hit of raycaster.intersectObjects(getTargets(viewer), true)) {
+            // Raycasting also hits hidden objects, e.g. cells the timeline has not built yet
+            if (!isShownInScene(hit.object)) continue;
+            const pick = {
+                object: hit.object,
+                point: hit.point,
+                itemIndex: null,
+                item: null
+            };
+            if (hit.object.isInstancedMesh) {
+                pick.itemIndex = getItemIndex(hit.object, hit.instanceId);
+                pick.item = hit.object.userData.items[pick.itemIndex];
+            }
+            const description = describe(pick);
+            if (description) {
+                pick.description = description;
+                return pick;
+            }
+        }
+        return null;
+    }
+
+    function onPointerMove(event) {
+        // Leave the scene alone while it is being rotated
+        if (event.buttons !== 0) return;
+
+        const pick = pickAt(event);
+        if (isSamePick(pick, hovered)) {
+            if (pick && !pinned) moveTooltip(tooltip, event);
+            return;
+        }
+
+        // Keep the pinned object highlighted when the pointer moves off it
+        if (hovered && !isSamePick(hovered, pinned)) setHighlight(hovered, null);
+        hovered = pick;
+        if (hovered) setHighlight(hovered, highlightColor);
+
+        if (!pinned) {
+            showTooltip(tooltip, hovered, event);
+        }
+        canvas.style.cursor = hovered ? 'pointer' : '';
+    }
+
+    function onPointerDown(event) {
+        pressPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    function onPointerUp(event) {
+        // Only a click, not the end of a drag, pins or unpins
+        if (!pressPosition ||
+            Math.hypot(event.clientX - pressPosition.x, event.clientY - pressPosition.y) > CLICK_TOLERANCE) {
+            return;
+        }
+        pressPosition = null;
+
+        const pick = pickAt(event);
+        if (clickHandler) {
+            clickHandler(pick);
+            return;
+        }
+
+        if (pinned && !isSamePick(pinned, hovered)) setHighlight(pinned, null);
+        pinned = pick;
+        if (pinned) {
+            hovered = pinned;
+            setHighlight(pinned, highlightColor);
+        }
+        showTooltip(tooltip, pinned, event, true);
+    }
+
+    function onPointerLeave() {
+        if (hovered && !isSamePick(hovered, pinned)) setHighlight(hovered, null);
+        hovered = pinned;
+        if (!pinned) showTooltip(tooltip, null);
+    }
+
+    // A rebuild replaces every object, so forget the old picks
+    function checkForRebuild() {
+        if (viewer.content !== content) {
+            content = viewer.content;
+            hovered = null;
+            pinned = null;
+            showTooltip(tooltip, null);
+        }
+    }
+
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointerleave', onPointerLeave);
+    viewer.addFrameListener(checkForRebuild);
+
+    return {
+        /**
+         * Sends clicks to another tool (e.g. measuring) instead of pinning tooltips.
+         *
+         * @param {Function|null} handler - Called with the clicked pick, or null for empty
+         *     space; pass null to go back to pinning
+         */
+        setClickHandler(handler) {
+            clickHandler = handler;
+        },
+
+        /**
+         * Removes any highlight and tooltip.
+         */
+        clear() {
+            [hovered, pinned].forEach(pick => pick && setHighlight(pick, null));
+            hovered = null;
+            pinned = null;
+            showTooltip(tooltip, null);
+        },
+
+        /**
+         * Stops picking and removes the tooltip.
+         */
+        dispose() {
+            this.clear();
+            canvas.removeEventListener('pointermove', onPointerMove);
+            canvas.removeEventListener('pointerdown', onPointerDown);
+            canvas.removeEventListener('pointerup', onPointerUp);
+            canvas.removeEventListener('pointerleave', onPointerLeave);
+            viewer.removeFrameListener(checkForRebuild);
+            tooltip.remove();
+        }
+    };
+}
+
+/**
+ * Checks whether two picks refer to the same object (and item).
+ *
+ * @param {Object|null} a - First pick
+ * @param {Object|null} b - Second pick
+ * @returns {boolean} True if both are the same pick, or both are null
+ */
+function isSamePick(a, b) {
+    if (!a || !b) return a === b;
+    return a.object === b.object && a.itemIndex === b.itemIndex;
+}
+
+/**
+ * Highlights a picked object, or removes its highlight.
+ * Instanced items are recolored; ordinary meshes glow through their material's emissive color,
+ * so each pickable mesh needs a material of its own.
+ *
+ * @param {Object} pick - The pick
+ * @param {number|null} color - The highlight color, or null to remove the highlight
+ */
+function setHighlight(pick, color) {
+    const { object, itemIndex } = pick;
+    if (object.isInstancedMesh) {
+        setItemColor(object, itemIndex, color);
+    } else if (object.material && object.material.emissive) {
+        if (object.userData.originalEmissive === undefined) {
+            object.userData.originalEmissive = object.material.emissive.getHex();
+        }
+        object.material.emissive.setHex(color === null ? object.userData.originalEmissive : color);
+    }
+}
+
+/**
+ * Creates the tooltip element, styled like the visualizations' panels.
+ *
+ * @returns {HTMLElement} The hidden tooltip
+ */
+function createTooltipElement() {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'pick-tooltip';
+    Object.assign(tooltip.style, {
+        position: 'fixed',
+        display: 'none',
+        pointerEvents: 'none',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        backgroundColor: 'rgba(0, 0, 0, 0.75)',
+        border: '1px solid #444444',
+        borderRadius: '5px',
+        padding: '6px 10px',
+        zIndex: 10,
+        whiteSpace: 'nowrap'
+    });
+    return tooltip;
+}
+
+/**
+ * Checks whether an object is drawn: it and all its ancestors are visible.
+ *
+ * @param {THREE.Object3D} object - The object
+ * @returns {boolean} True if the object is drawn
+ */
+function isShownInScene(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Fills in and shows the tooltip for a pick, or hides it.
+ *
+ * @param {HTMLElement} tooltip - The tooltip element
+ * @param {Object|null} pick - The pick to describe, or null to hide the tooltip
+ * @param {PointerEvent} [event] - The pointer event to position the tooltip at
+ * @param {boolean} [isPinned=false] - Whether the tooltip is pinned, shown by a brighter border
+ */
+function showTooltip(tooltip, pick, event, isPinned = false) {
+    if (!pick) {
+        tooltip.style.display = 'none';
+        return;
+    }
+
+    const { title, lines = [] } = pick.description;
+    tooltip.innerHTML = '';
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    tooltip.appendChild(heading);
+    lines.forEach(line => {
+        const row = document.createElement('div');
+        row.textContent = line;
+        tooltip.appendChild(row);
+    });
+
+    tooltip.style.borderColor = isPinned ? '#CCCCCC' : '#444444';
+    tooltip.style.display = 'block';
+    if (event) moveTooltip(tooltip, event);
+}
+
+/**
+ * Places the tooltip just below and to the right of the pointer.
+ *
+ * @param {HTMLElement} tooltip - The tooltip element
+ * @param {PointerEvent} event - The pointer event
+ */
+function moveTooltip(tooltip, event) {
+    tooltip.style.left = `${event.clientX + 14}px`;
+    tooltip.style.top = `${event.clientY + 14}px`;
+}
+
+/**
+ * Formats a position for a tooltip, e.g. "(1.23, -0.45, 2.00)".
+ *
+ * @param {number[]} position - The [x, y, z] position
+ * @param {number} [digits=2] - Decimal places
+ * @returns {string} The formatted position
+ */
+function formatPosition(position, digits = 2) {
+    return `(${position.map(value => value.toFixed(digits)).join(', ')})`;
+}
+
+export { createPicker, isShownInScene, formatPosition };
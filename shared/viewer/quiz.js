@@ -0,0 +1,623 @@
+/**
+ * Quiz Mode
+ *
+ * Asks the questions of a quiz file (see shared/quiz/quiz_format.js) inside a visualization,
+ * one at a time, in a panel beside the scene:
+ * - number questions are answered by typing a number
+ * - click questions are answered by clicking the objects asked for, e.g. every corner shared
+ *   by three tetrahedrons; each object clicked is marked, and clicking it again unmarks it
+ *
+ * Check marks the answer at once: a number is right or not, and of the objects clicked the
+ * right ones turn green and the wrong ones red, while the ones missed are marked orange. A
+ * question can be tried until it is right. The panel keeps the score, and the results
+ * (each answer, whether it was right and after how many tries) can be saved as JSON or CSV.
+ *
+ * The page names the kinds of objects its questions can be about, and their properties:
+ *
+ *     createQuiz(viewer, picker, {
+ *         ...
+ *         kinds: {
+ *             cube: {
+ *                 label: 'cubes',
+ *                 getObjects: () => [viewer.content.userData.cubes],
+ *                 getProperties: ({ item }) => ({ exposedFaces: item.exposedFaces })
+ *             }
+ *         }
+ *     });
+ *
+ * Every item of an instanced mesh (see instancing.js) is an object of its own. Objects are
+ * marked at the point measured on them (see getPickPoint() in measure.js). Counted answers
+ * count every object of the kind, shown or not, while click questions only ask for the
+ * objects shown, e.g. the corners the timeline has built so far.
+ *
+ * The page's quiz, or the one named in the URL (e.g. ?quiz=../quizzes/my_quiz.json), is
+ * downloaded when the panel is first opened. Pages opened from disk cannot download files,
+ * so a quiz can also be opened from a file; everything else works offline.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { downloadFile } from '../export/scene_export.js';
+import {
+    QuizError,
+    checkNumberAnswer,
+    compareSelection,
+    formatQuizResultsCSV,
+    formatQuizResultsJSON,
+    matchesWhere,
+    parseQuiz,
+    summariseQuizResults
+} from '../quiz/quiz_format.js';
+import { isItemVisible } from './instancing.js';
+import { getPickPoint } from './measure.js';
+import { isShownInScene } from './picking.js';
+import { readURLParams } from './url_state.js';
+import { disposeObject } from './viewer.js';
+
+// Colors of the marks on clicked objects, and after checking, on missed objects
+const QUIZ_MARK_COLORS = {
+    selected: 0xFFFFFF,
+    right: 0x00C000,
+    wrong: 0xFF3030,
+    missed: 0xFFA500
+};
+
+// Size of the marks, in pixels
+const QUIZ_MARK_SIZE = 14;
+
+/**
+ * Adds a quiz panel to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} picker - The viewer's picker from createPicker(); its clicks are taken over
+ *     while a click question is asked
+ * @param {Object} options - Quiz options
+ * @param {HTMLElement} options.panel - The panel, shown and hidden by the open button
+ * @param {HTMLElement} options.bodyElement - Element in the panel the questions are shown in
+ * @param {HTMLButtonElement} options.openButton - Button that shows and hides the panel
+ * @param {HTMLInputElement} options.fileInput - File input to open a quiz from
+ * @param {string} options.visualization - Name of the page, e.g. 'diamond_visualization';
+ *     quizzes for other pages are refused
+ * @param {Object} options.kinds - The kinds of objects questions can be about, by name:
+ *     {label, getObjects(), getProperties({object, item, itemIndex})}
+ * @param {string} [options.quizURL] - Address of the page's quiz
+ * @param {Function} [options.getSettings] - Returns the page's settings, named as in its links,
+ *     for questions about particular settings
+ * @param {Function} [options.onTakeClicks] - Called before the quiz takes over clicks, to turn
+ *     off the page's other click modes
+ * @returns {Object} The quiz: {open(), close(), stopPicking()}
+ */
+function createQuiz(viewer, picker, options) {
+    const {
+        panel,
+        bodyElement,
+        openButton,
+        fileInput,
+        visualization,
+        kinds,
+        quizURL = null,
+        getSettings = () => ({}),
+        onTakeClicks = () => {}
+    } = options;
+
+    const url = readURLParams().get('quiz') || quizURL;
+
+    let quiz = null;
+    let message = '';           // Shown instead of the questions, e.g. why the quiz could not be loaded
+    let problems = [];          // Listed under the message
+    let requested = false;      // Whether the quiz was downloaded, or is being downloaded
+    let started = null;         // When the quiz was loaded, as an ISO date
+    let student = '';
+    const results = new Map();  // Question id → result, see formatQuizResultsJSON()
+
+    // The question asked, and the answer being given
+    let questionIndex = 0;
+    let typed = '';
+    const selection = new Map(); // Key → object, for the objects clicked
+    let checked = null;          // {right, wrong, missed, objects} once a selection is checked
+    let feedback = null;         // {correct, text} once the answer is checked
+    let picking = false;         // Whether the quiz has the picker's clicks
+    let marks = null;            // Marks on the clicked objects; live inside the viewer's content
+    let shownContent = viewer.content;
+
+    // Parts of the question that change without showing it again
+    let selectionElement = null;
+    let feedbackElement = null;
+    let scoreElement = null;
+
+    /**
+     * Lists the objects of a kind, each as {key, object, item, itemIndex}.
+     */
+    function listObjects(kindName) {
+        const objects = [];
+        kinds[kindName].getObjects().filter(Boolean).forEach((object, objectIndex) => {
+            if (object.userData.instancing) {
+                object.userData.items.forEach((item, itemIndex) =>
+                    objects.push({ key: `${objectIndex}/${itemIndex}`, object, item, itemIndex }));
+            } else {
+                objects.push({ key: String(objectIndex), object, item: null, itemIndex: null });
+            }
+        });
+        return objects;
+    }
+
+    function isShown({ object, itemIndex }) {
+        return isShownInScene(object) && (itemIndex === null || isItemVisible(object, itemIndex));
+    }
+
+    function findMatches(kindName, where) {
+        return listObjects(kindName).filter(entry => matchesWhere(kinds[kindName].getProperties(entry), where));
+    }
+
+    // The settings a question is about that the page does not show, as [name, value] pairs
+    function findMissingSettings(question) {
+        const settings = getSettings();
+        return Object.entries(question.settings || {})
+            .filter(([name, value]) => String(settings[name]) !== String(value));
+    }
+
+    /**
+     * Checks that a quiz is for this page and only asks about objects it has.
+     */
+    function checkQuizFits(candidate) {
+        if (candidate.visualization && candidate.visualization !== visualization) {
+            throw new QuizError(`the quiz is for ${candidate.visualization}, not ${visualization}`);
+        }
+        const found = [];
+        candidate.questions.forEach((question, index) => {
+            const kind = question.type === 'click' ? question.kind : question.answer.count;
+            if (kind !== undefined && !(kind in kinds)) {
+                const path = question.type === 'click' ? 'kind' : 'answer.count';
+                found.push(`quiz.questions[${index}].${path}: this page has no "${kind}" objects; ` +
+                    `it has ${Object.keys(kinds).map(name => `"${name}"`).join(', ')}`);
+            }
+        });
+        if (found.length > 0) throw new QuizError('the quiz does not fit this page', found);
+    }
+
+    /**
+     * Checks a quiz file and starts it; problems are shown in the panel instead.
+     */
+    function useQuiz(text, fileName) {
+        let candidate;
+        try {
+            candidate = parseQuiz(text);
+            checkQuizFits(candidate);
+        } catch (error) {
+            if (!(error instanceof QuizError)) throw error;
+            showMessage(`Could not use ${fileName}: ${error.message}`, error.problems);
+            return;
+        }
+        quiz = candidate;
+        started = new Date().toISOString();
+        results.clear();
+        showQuestion(0);
+    }
+
+    function loadQuizFromURL(address) {
+        showMessage(`Loading ${address}…`);
+        return fetch(address)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`the server answered ${response.status} ${response.statusText}`);
+                }
+                return response.text();
+            })
+            .then(text => useQuiz(text, address))
+            .catch(error => {
+                // Browsers do not let pages opened from disk download other files
+                const hint = window.location.protocol === 'file:'
+                    ? ' Pages opened from disk cannot download quizzes: serve the repository ' +
+                      '(e.g. python3 -m http.server) or use "Open questions".'
+                    : '';
+                showMessage(`Could not load ${address}: ${error.message}.${hint}`);
+            });
+    }
+
+    function showMessage(text, list = []) {
+        quiz = null;
+        message = text;
+        problems = list;
+        clearSelection();
+        updatePicking();
+        render();
+    }
+
+    /**
+     * Asks a question, forgetting the answer being given to the one before.
+     */
+    function showQuestion(index) {
+        questionIndex = index;
+        typed = '';
+        feedback = null;
+        clearSelection();
+        updatePicking();
+        render();
+    }
+
+    function clearSelection() {
+        selection.clear();
+        checked = null;
+        drawMarks();
+    }
+
+    /**
+     * Takes the picker's clicks while a click question is asked in the open panel, and gives
+     * them back otherwise.
+     */
+    function updatePicking() {
+        const question = quiz && quiz.questions[questionIndex];
+        const wanted = panel.style.display === 'block' && Boolean(question) && question.type === 'click';
+        if (wanted && !picking) {
+            onTakeClicks();
+            picker.setClickHandler(onClick);
+            viewer.renderer.domElement.style.cursor = 'crosshair';
+            picking = true;
+        } else if (!wanted && picking) {
+            picker.setClickHandler(null);
+            viewer.renderer.domElement.style.cursor = '';
+            picking = false;
+        }
+    }
+
+    function onClick(pick) {
+        if (!pick) return;
+        const question = quiz.questions[questionIndex];
+        const entry = listObjects(question.kind)
+            .find(({ object, itemIndex }) => object === pick.object && itemIndex === pick.itemIndex);
+        if (!entry) {
+            feedback = { correct: false, text: `That is not one of the ${kinds[question.kind].label}.` };
+        } else {
+            if (selection.has(entry.key)) {
+                selection.delete(entry.key);
+            } else {
+                selection.set(entry.key, entry);
+            }
+            feedback = null;
+        }
+        // Changing the selection starts a new answer
+        checked = null;
+        drawMarks();
+        updateStatus();
+    }
+
+    /**
+     * Marks the clicked objects, or once checked, the right, wrong and missed ones.
+     */
+    function drawMarks() {
+        if (marks) {
+            marks.removeFromParent();
+            disposeObject(marks);
+            marks = null;
+        }
+        const marked = checked
+            ? [
+                ...checked.right.map(key => [checked.objects.get(key), 'right']),
+                ...checked.wrong.map(key => [checked.objects.get(key), 'wrong']),
+                ...checked.missed.map(key => [checked.objects.get(key), 'missed'])
+            ]
+            : [...selection.values()].map(entry => [entry, 'selected']);
+        if (marked.length === 0) return;
+
+        marks = new THREE.Group();
+        marks.name = 'quiz marks';
+        // Marks are part of answering, not of the scene, so snapshots leave them out
+        marks.userData.isHandle = true;
+        marked.forEach(([entry, state]) => {
+            marks.add(createQuizMark(getPickPoint(entry), QUIZ_MARK_COLORS[state]));
+        });
+        viewer.content.add(marks);
+    }
+
+    /**
+     * Marks the answer to the question asked, and records the result.
+     */
+    function check() {
+        const question = quiz.questions[questionIndex];
+        const missingSettings = findMissingSettings(question);
+        if (missingSettings.length > 0) {
+            feedback = { correct: false, text: `Set ${describeSettings(missingSettings)} first.` };
+            updateStatus();
+            return;
+        }
+
+        let result;
+        if (question.type === 'number') {
+            const answer = parseFloat(typed);
+            if (!Number.isFinite(answer)) {
+                feedback = { correct: false, text: 'Type a number first.' };
+                updateStatus();
+                return;
+            }
+            const expected = typeof question.answer === 'number'
+                ? question.answer
+                : findMatches(question.answer.count, question.answer.where).length;
+            const correct = checkNumberAnswer(answer, expected, question.tolerance);
+            result = { answer, expected, correct };
+            feedback = { correct, text: correct ? `Right: ${typed}.` : `${typed} is not right. Try again.` };
+        } else {
+            const label = kinds[question.kind].label;
+            const expected = findMatches(question.kind, question.where).filter(isShown);
+            checked = {
+                ...compareSelection([...selection.keys()], expected.map(entry => entry.key)),
+                objects: new Map([...selection, ...expected.map(entry => [entry.key, entry])])
+            };
+            const { right, wrong, missed } = checked;
+            const correct = wrong.length === 0 && missed.length === 0;
+            result = { answer: selection.size, expected: expected.length, correct, wrong: wrong.length, missed: missed.length };
+            feedback = {
+                correct,
+                text: correct
+                    ? ['Right: there are none.', 'Right: that is the only one.'][expected.length] ||
+                      `Right: all ${expected.length} ${label}.`
+                    : `${right.length} right, ${wrong.length} wrong (red) and ${missed.length} missed (orange). ` +
+                      'Click to change your answer and check again.'
+            };
+            drawMarks();
+        }
+
+        // Once a question is right, trying it again does not change its result
+        const previous = results.get(question.id);
+        if (!previous || !previous.correct) {
+            const attempts = previous ? previous.attempts + 1 : 1;
+            results.set(question.id, {
+                question: question.id,
+                prompt: question.prompt,
+                type: question.type,
+                ...result,
+                attempts,
+                correctFirstTime: result.correct && attempts === 1
+            });
+        }
+        updateStatus();
+    }
+
+    function createReport() {
+        return {
+            student,
+            quiz: quiz.title,
+            visualization,
+            questionCount: quiz.questions.length,
+            started,
+            saved: new Date().toISOString(),
+            results: quiz.questions.filter(question => results.has(question.id)).map(question => results.get(question.id))
+        };
+    }
+
+    function saveResults(format) {
+        const report = createReport();
+        const name = [quiz.title, student].filter(Boolean).join('_').replace(/[^\w-]+/g, '_');
+        if (format === 'csv') {
+            downloadFile(formatQuizResultsCSV(report), `${name}_results.csv`, 'text/csv');
+        } else {
+            downloadFile(formatQuizResultsJSON(report), `${name}_results.json`, 'application/json');
+        }
+    }
+
+    /**
+     * Shows the question asked, or the message when there is no quiz.
+     */
+    function render() {
+        bodyElement.innerHTML = '';
+        selectionElement = feedbackElement = scoreElement = null;
+        const add = (tag, text = '', className = '', parent = bodyElement) => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            element.className = className;
+            parent.appendChild(element);
+            return element;
+        };
+        const addButton = (text, onPress, parent) => {
+            const button = add('button', text, '', parent);
+            button.addEventListener('click', onPress);
+            return button;
+        };
+
+        if (!quiz) {
+            add('div', message || 'Open a quiz file with "Open questions".');
+            if (problems.length > 0) {
+                const list = add('ul', '', 'quiz-problems');
+                problems.forEach(problem => add('li', problem, '', list));
+            }
+            return;
+        }
+
+        const question = quiz.questions[questionIndex];
+        add('h3', quiz.title);
+        if (quiz.description) add('div', quiz.description, 'quiz-note');
+        add('div', `Question ${questionIndex + 1} of ${quiz.questions.length}`, 'quiz-note');
+        add('div', question.prompt, 'quiz-prompt');
+
+        const missingSettings = findMissingSettings(question);
+        if (missingSettings.length > 0) {
+            add('div', `This question is about ${describeSettings(missingSettings)}: set that in the controls first.`, 'quiz-note');
+        }
+
+        const answerRow = add('div', '', 'quiz-row');
+        if (question.type === 'number') {
+            const input = add('input', '', '', answerRow);
+            input.type = 'number';
+            input.step = 'any';
+            input.value = typed;
+            input.addEventListener('input', () => {
+                typed = input.value;
+            });
+            input.addEventListener('keydown', event => {
+                if (event.key === 'Enter') check();
+            });
+            addButton('Check', check, answerRow);
+        } else {
+            selectionElement = add('span', '', '', answerRow);
+            addButton('Check', check, answerRow);
+            addButton('Clear selection', () => {
+                clearSelection();
+                feedback = null;
+                updateStatus();
+            }, answerRow);
+        }
+        feedbackElement = add('div');
+
+        const navigationRow = add('div', '', 'quiz-row');
+        addButton('Previous', () => showQuestion(questionIndex - 1), navigationRow).disabled = questionIndex === 0;
+        addButton('Next', () => showQuestion(questionIndex + 1), navigationRow).disabled =
+            questionIndex === quiz.questions.length - 1;
+        scoreElement = add('div', '', 'quiz-note');
+
+        const nameLabel = add('label', 'Name ', 'quiz-row');
+        const nameInput = add('input', '', '', nameLabel);
+        nameInput.type = 'text';
+        nameInput.value = student;
+        nameInput.addEventListener('input', () => {
+            student = nameInput.value.trim();
+        });
+        const saveRow = add('div', 'Results ', 'quiz-row');
+        addButton('JSON', () => saveResults('json'), saveRow);
+        addButton('CSV', () => saveResults('csv'), saveRow);
+        updateStatus();
+    }
+
+    /**
+     * Shows how many objects are clicked, how the answer was marked, and the score.
+     */
+    function updateStatus() {
+        if (!quiz) return;
+        const question = quiz.questions[questionIndex];
+
+        if (selectionElement) {
+            const label = kinds[question.kind].label;
+            selectionElement.textContent = `${selection.size} ${label} clicked `;
+            // Another tool took the clicks; answering takes them back
+            if (!picking) {
+                const resume = document.createElement('button');
+                resume.textContent = 'Answer by clicking';
+                resume.addEventListener('click', () => {
+                    updatePicking();
+                    updateStatus();
+                });
+                selectionElement.appendChild(resume);
+            }
+        }
+
+        feedbackElement.innerHTML = '';
+        if (feedback) {
+            const line = document.createElement('div');
+            line.className = feedback.correct ? 'quiz-right' : 'quiz-wrong';
+            line.textContent = feedback.text;
+            feedbackElement.appendChild(line);
+            if (feedback.correct && question.explanation) {
+                const explanation = document.createElement('div');
+                explanation.className = 'quiz-note';
+                explanation.textContent = question.explanation;
+                feedbackElement.appendChild(explanation);
+            }
+        }
+
+        const { answered, correct, correctFirstTime } = summariseQuizResults([...results.values()]);
+        scoreElement.textContent = `Score: ${correct} of ${quiz.questions.length} right` +
+            (answered > 0 ? `, ${correctFirstTime} at the first try` : '');
+    }
+
+    const quizPanel = {
+        /**
+         * Shows the panel, downloading the quiz the first time.
+         */
+        open() {
+            panel.style.display = 'block';
+            if (!requested && !quiz) {
+                requested = true;
+                if (url) {
+                    loadQuizFromURL(url);
+                } else {
+                    render();
+                }
+            }
+            updatePicking();
+        },
+
+        /**
+         * Hides the panel, giving clicks back to the picker.
+         */
+        close() {
+            panel.style.display = 'none';
+            updatePicking();
+        },
+
+        /**
+         * Lets go of clicks after another tool took them over, e.g. the measure tool; the
+         * student can take them back from the panel.
+         */
+        stopPicking() {
+            if (!picking) return;
+            picking = false;
+            updateStatus();
+        }
+    };
+
+    openButton.addEventListener('click', () => {
+        if (panel.style.display === 'block') {
+            quizPanel.close();
+        } else {
+            quizPanel.open();
+        }
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            const file = fileInput.files[0];
+            file.text()
+                .then(text => useQuiz(text, file.name))
+                .catch(error => showMessage(`Could not read ${file.name}: ${error.message}`));
+        }
+        // Allow the same file to be chosen again after editing it
+        fileInput.value = '';
+    });
+
+    // A rebuilt scene has new objects: the clicked ones are gone, and the settings may now match
+    viewer.addFrameListener(() => {
+        if (viewer.content === shownContent) return;
+        shownContent = viewer.content;
+        marks = null;
+        selection.clear();
+        checked = null;
+        if (quiz) render();
+    });
+
+    // A quiz named in the URL is opened at once
+    if (readURLParams().has('quiz')) quizPanel.open();
+
+    return quizPanel;
+}
+
+/**
+ * Describes settings for the student, e.g. "width 3 and height 3".
+ *
+ * @param {Array[]} settings - The settings as [name, value] pairs
+ * @returns {string} The description
+ */
+function describeSettings(settings) {
+    const parts = settings.map(([name, value]) => `${name} ${value}`);
+    return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Creates a dot marking a clicked object, drawn on top of the scene at a fixed
+ * screen size.
+ *
+ * @param {THREE.Vector3} point - Where the object is, in the content's coordinates
+ * @param {number} color - The mark's color
+ * @returns {THREE.Points} The mark
+ */
+function createQuizMark(point, color) {
+    const mark = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints([point]),
+        new THREE.PointsMaterial({
+            color,
+            size: QUIZ_MARK_SIZE,
+            sizeAttenuation: false,
+            depthTest: false,
+            transparent: true
+        })
+    );
+    mark.renderOrder = 1000;
+    return mark;
+}
+
+export { createQuiz };
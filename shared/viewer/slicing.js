@@ -0,0 +1,662 @@
+/**
+ * Cross-Section Slicing
+ *
+ * Cuts the shown object with a plane of any orientation, to answer questions like "what
+ * shape do you get slicing a tetrahedron through the midpoints of four edges?" (a square):
+ * - Everything in front of the plane (on the side its normal points to) is clipped away
+ * - The cut is capped: each piece the plane crosses is filled with its own color there
+ * - The section's area and vertex count are shown, with the name of its shape (e.g.
+ *   "square" or "regular hexagon") when it is one convex polygon
+ *
+ * The plane is set with a select of presets (x = 0, y = 0, z = 0 and x + y + z = 0), two
+ * sliders that turn and tilt it, and one that moves it along its normal. It can also be
+ * dragged along its normal by the frame drawn around it.
+ *
+ * Every mesh cut is taken to be convex (cubes, polyhedron cells, atoms and bonds), so its
+ * section is the convex hull of the points where the plane crosses its triangles' edges.
+ * Atoms and bonds give polygons with many corners, which only approximate their round sections.
+ *
+ * The plane lives in the content's coordinates, so it turns with the content, and is kept in
+ * the URL as slice=nx,ny,nz,offset (see shared/viewer/url_state.js).
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { forEachVisibleMesh } from './instancing.js';
+import { readURLParams } from './url_state.js';
+import { disposeObject } from './viewer.js';
+
+// Planes offered in the preset select; all pass through the origin
+const SLICE_PRESETS = {
+    x: { name: 'x = 0', normal: [1, 0, 0] },
+    y: { name: 'y = 0', normal: [0, 1, 0] },
+    z: { name: 'z = 0', normal: [0, 0, 1] },
+    diagonal: { name: 'x + y + z = 0', normal: [1, 1, 1] }
+};
+
+// Colors of the frame around the plane and of the section outlines
+const SLICE_FRAME_COLOR = 0xFFFF00;
+const SLICE_OUTLINE_COLOR = 0x000000;
+
+// Half the width of the frame, and of its border, as a fraction of the content's radius
+const SLICE_FRAME_SIZE = 1.2;
+const SLICE_FRAME_BORDER = 0.05;
+
+// Geometries whose sections are round, so their polygons' corners are not real corners
+const ROUND_GEOMETRIES = new Set(['SphereGeometry', 'CylinderGeometry']);
+
+// Relative tolerance for equal side lengths and angles when naming a section's shape
+const SHAPE_TOLERANCE = 1e-6;
+
+// Decimal places of the plane in the URL
+const SLICE_DIGITS = 4;
+
+// Names of polygons by number of vertices
+const POLYGON_NAMES = {
+    3: 'triangle',
+    4: 'quadrilateral',
+    5: 'pentagon',
+    6: 'hexagon',
+    7: 'heptagon',
+    8: 'octagon',
+    9: 'nonagon',
+    10: 'decagon',
+    12: 'dodecagon'
+};
+
+/**
+ * Adds a slicing plane to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Slicing options
+ * @param {HTMLInputElement} options.enableCheckbox - Checkbox that turns slicing on and off
+ * @param {HTMLSelectElement} options.presetSelect - Select to fill with the preset planes
+ * @param {HTMLInputElement} options.turnInput - Range input turning the plane about the y axis, in degrees
+ * @param {HTMLInputElement} options.tiltInput - Range input tilting the plane, in degrees
+ * @param {HTMLInputElement} options.offsetInput - Range input moving the plane along its normal
+ * @param {HTMLElement} options.infoElement - Element to show the section's area and shape in
+ * @param {Function} [options.getSolids] - Returns the objects to cut (searched with their
+ *     descendants); defaults to the viewer's content. Lines and overlays are never cut.
+ * @param {string|Function} [options.unit='units'] - Unit of lengths, e.g. 'Å', or a function
+ *     that returns it when the section is described
+ * @param {Function} [options.onChange] - Called after the plane is changed from the controls
+ * @returns {Object} The slicer: {getParams(), update()}
+ */
+function createSlicer(viewer, options) {
+    const {
+        enableCheckbox,
+        presetSelect,
+        turnInput,
+        tiltInput,
+        offsetInput,
+        infoElement,
+        getSolids = () => [viewer.content],
+        unit = 'units',
+        onChange = () => {}
+    } = options;
+
+    const canvas = viewer.renderer.domElement;
+    viewer.renderer.localClippingEnabled = true;
+
+    // The plane normal·p = offset, in the content's coordinates
+    let enabled = false;
+    const normal = new THREE.Vector3(1, 0, 0);
+    let offset = 0;
+    let radius = 1;
+
+    // Three.js clips where the plane's distance is negative, so its normal points backwards;
+    // the plane in world coordinates is updated every frame as the content turns
+    const worldPlane = new THREE.Plane();
+    const clippingPlanes = [worldPlane];
+
+    let content = null;
+    let sliceGroup = null;
+    let needsSection = true;
+    let drag = null;
+
+    // Start with the plane from the link that opened the page, if any
+    const linked = parseSlice(readURLParams().get('slice'));
+    if (linked) {
+        enabled = true;
+        normal.fromArray(linked.normal).normalize();
+        offset = linked.offset;
+    }
+
+    // Controls
+    Object.entries(SLICE_PRESETS).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    presetSelect.appendChild(customOption);
+
+    enableCheckbox.checked = enabled;
+    showControls();
+
+    enableCheckbox.addEventListener('change', () => {
+        enabled = enableCheckbox.checked;
+        planeChanged();
+    });
+    presetSelect.addEventListener('change', () => {
+        const preset = SLICE_PRESETS[presetSelect.value];
+        if (!preset) return;
+        normal.fromArray(preset.normal).normalize();
+        offset = 0;
+        planeChanged();
+    });
+    [turnInput, tiltInput].forEach(input => input.addEventListener('input', () => {
+        const turn = THREE.MathUtils.degToRad(parseFloat(turnInput.value));
+        const tilt = THREE.MathUtils.degToRad(parseFloat(tiltInput.value));
+        normal.set(Math.cos(tilt) * Math.cos(turn), Math.sin(tilt), Math.cos(tilt) * Math.sin(turn));
+        planeChanged({ keepAngles: true });
+    }));
+    offsetInput.addEventListener('input', () => {
+        offset = parseFloat(offsetInput.value);
+        planeChanged({ keepAngles: true });
+    });
+
+    /**
+     * Shows the plane in the controls. The sliders keep the angles typed while they are
+     * being dragged, rather than jumping to the rounded angles of the normal.
+     */
+    function showControls({ keepAngles = false } = {}) {
+        [presetSelect, turnInput, tiltInput, offsetInput].forEach(input => {
+            input.disabled = !enabled;
+        });
+        const presetKey = Object.keys(SLICE_PRESETS).find(key =>
+            offset === 0 && new THREE.Vector3(...SLICE_PRESETS[key].normal).normalize().distanceTo(normal) < 1e-9);
+        presetSelect.value = presetKey || 'custom';
+        if (!keepAngles) {
+            turnInput.value = THREE.MathUtils.radToDeg(Math.atan2(normal.z, normal.x));
+            tiltInput.value = THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(normal.y, -1, 1)));
+        }
+        offsetInput.min = -radius;
+        offsetInput.max = radius;
+        offsetInput.step = radius / 500;
+        offsetInput.value = offset;
+    }
+
+    function planeChanged(controlOptions) {
+        showControls(controlOptions);
+        needsSection = true;
+        onChange();
+    }
+
+    /**
+     * Puts the slicing objects into newly built content and sizes the controls to it.
+     */
+    function attach() {
+        content = viewer.content;
+        const sphere = new THREE.Box3().setFromObject(content).getBoundingSphere(new THREE.Sphere());
+        radius = Math.max(sphere.radius + sphere.center.length(), 1e-3);
+        offset = THREE.MathUtils.clamp(offset, -radius, radius);
+        showControls({ keepAngles: true });
+
+        sliceGroup = new THREE.Group();
+        sliceGroup.name = 'slice';
+        sliceGroup.add(createSliceFrame(radius));
+        markSlicePart(sliceGroup);
+        content.add(sliceGroup);
+        needsSection = true;
+    }
+
+    /**
+     * Recomputes the section, and redraws its caps and outlines.
+     */
+    function updateSection() {
+        needsSection = false;
+        const frame = sliceGroup.getObjectByName('slice frame');
+        sliceGroup.children.filter(child => child !== frame).forEach(child => {
+            sliceGroup.remove(child);
+            disposeObject(child);
+        });
+
+        sliceGroup.visible = enabled;
+        if (!enabled) {
+            infoElement.textContent = '';
+            return;
+        }
+
+        frame.position.copy(normal).multiplyScalar(offset);
+        frame.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+
+        const pieces = computeSection();
+        if (pieces.length > 0) {
+            sliceGroup.add(createSectionCaps(pieces));
+            markSlicePart(sliceGroup);
+        }
+        infoElement.innerHTML = '';
+        describeSection(pieces, normal, typeof unit === 'function' ? unit() : unit).forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            infoElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Cuts every visible mesh of the solids with the plane.
+     *
+     * @returns {Object[]} The pieces cut, as {corners, area, color, isRound}
+     */
+    function computeSection() {
+        content.updateMatrixWorld(true);
+        const contentInverse = content.matrixWorld.clone().invert();
+        const pieces = [];
+        getSolids(viewer).forEach(solid => {
+            const solidToContent = contentInverse.clone().multiply(solid.matrixWorld);
+            forEachVisibleMesh(solid, (mesh, matrix, color) => {
+                if (mesh.userData.isOverlay) return;
+                const piece = sliceConvexMesh(mesh.geometry, solidToContent.clone().multiply(matrix), normal, offset);
+                if (piece) {
+                    pieces.push({ ...piece, color, isRound: ROUND_GEOMETRIES.has(mesh.geometry.type) });
+                }
+            });
+        });
+        return pieces;
+    }
+
+    /**
+     * Clips every material in the content except the slicing objects' own, and keeps the
+     * clipping plane turning with the content.
+     */
+    function onFrame() {
+        if (viewer.content !== content) attach();
+
+        content.updateMatrixWorld();
+        worldPlane.normal.copy(normal).negate();
+        worldPlane.constant = offset;
+        worldPlane.applyMatrix4(content.matrixWorld);
+
+        const planes = enabled ? clippingPlanes : null;
+        content.traverse(object => {
+            if (!object.material || object.userData.isSlicePart) return;
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+                if (material.clippingPlanes !== planes) {
+                    material.clippingPlanes = planes;
+                    material.needsUpdate = true;
+                }
+            });
+        });
+
+        if (needsSection) updateSection();
+    }
+
+    // Dragging the frame moves the plane along its normal. This listens in the capture phase,
+    // so the orbit controls can be switched off before they start rotating the view.
+    function onPointerDown(event) {
+        if (!enabled || event.button !== 0) return;
+        const ray = getPointerRay(event);
+        const frame = sliceGroup.getObjectByName('slice frame');
+        if (ray.intersectObject(frame, false).length === 0) return;
+
+        drag = { pointerId: event.pointerId, startOffset: offset, startPosition: null };
+        drag.startPosition = positionAlongNormal(ray.ray);
+        if (drag.startPosition === null) {
+            drag = null;
+            return;
+        }
+        viewer.controls.enabled = false;
+        canvas.setPointerCapture(event.pointerId);
+        canvas.style.cursor = 'grabbing';
+    }
+
+    function onPointerMove(event) {
+        if (!drag) return;
+        const position = positionAlongNormal(getPointerRay(event).ray);
+        if (position === null) return;
+        offset = THREE.MathUtils.clamp(drag.startOffset + position - drag.startPosition, -radius, radius);
+        planeChanged({ keepAngles: true });
+    }
+
+    function onPointerUp() {
+        if (!drag) return;
+        canvas.releasePointerCapture(drag.pointerId);
+        drag = null;
+        viewer.controls.enabled = true;
+        canvas.style.cursor = '';
+    }
+
+    function getPointerRay(event) {
+        const rect = canvas.getBoundingClientRect();
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        ), viewer.camera);
+        return raycaster;
+    }
+
+    /**
+     * Finds where a ray passes closest to the line through the origin along the plane's
+     * normal, as a distance along that line.
+     *
+     * @param {THREE.Ray} ray - The ray, in world coordinates
+     * @returns {number|null} The distance, or null if the ray runs along the normal
+     */
+    function positionAlongNormal(ray) {
+        const origin = content.localToWorld(new THREE.Vector3());
+        const direction = normal.clone().transformDirection(content.matrixWorld);
+        const b = direction.dot(ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) return null;
+        const toLine = origin.clone().sub(ray.origin);
+        return (b * ray.direction.dot(toLine) - direction.dot(toLine)) / denominator;
+    }
+
+    canvas.addEventListener('pointerdown', onPointerDown, true);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    viewer.addFrameListener(onFrame);
+
+    return {
+        /**
+         * Returns the plane for the URL, e.g. {slice: [1, 0, 0, 0.5]}, or nothing while
+         * slicing is off.
+         *
+         * @returns {Object} Settings to add to the page's URL settings
+         */
+        getParams() {
+            if (!enabled) return {};
+            return { slice: [...normal.toArray(), offset].map(value => Number(value.toFixed(SLICE_DIGITS))) };
+        },
+
+        /**
+         * Recomputes the section on the next frame, e.g. after objects were hidden.
+         */
+        update() {
+            needsSection = true;
+        }
+    };
+}
+
+/**
+ * Reads a plane from the URL, e.g. "1,0,0,0.5".
+ *
+ * @param {string|null} text - The slice setting
+ * @returns {Object|null} The plane as {normal, offset}, or null if missing or invalid
+ */
+function parseSlice(text) {
+    if (!text) return null;
+    const values = text.split(',').map(Number);
+    if (values.length !== 4 || !values.every(Number.isFinite)) return null;
+    const normal = values.slice(0, 3);
+    if (Math.hypot(...normal) === 0) return null;
+    return { normal, offset: values[3] };
+}
+
+/**
+ * Marks the slicing objects, so they are not clipped, cut or exported as part of the object.
+ *
+ * @param {THREE.Object3D} object - The slicing objects
+ */
+function markSlicePart(object) {
+    object.traverse(child => {
+        child.userData.isSlicePart = true;
+        child.userData.isOverlay = true;
+    });
+}
+
+/**
+ * Creates the square frame drawn around the plane, which can be dragged to move it.
+ * It lies in the xy plane and is turned into place by the slicer.
+ *
+ * @param {number} radius - Radius of the content
+ * @returns {THREE.Mesh} The frame, named 'slice frame'
+ */
+function createSliceFrame(radius) {
+    const half = radius * SLICE_FRAME_SIZE;
+    const inner = half - radius * SLICE_FRAME_BORDER;
+    const shape = new THREE.Shape([
+        new THREE.Vector2(-half, -half), new THREE.Vector2(half, -half),
+        new THREE.Vector2(half, half), new THREE.Vector2(-half, half)
+    ]);
+    shape.holes.push(new THREE.Path([
+        new THREE.Vector2(-inner, -inner), new THREE.Vector2(-inner, inner),
+        new THREE.Vector2(inner, inner), new THREE.Vector2(inner, -inner)
+    ]));
+    const frame = new THREE.Mesh(new THREE.ShapeGeometry(shape), new THREE.MeshBasicMaterial({
+        color: SLICE_FRAME_COLOR,
+        transparent: true,
+        opacity: 0.6,
+        side: THREE.DoubleSide
+    }));
+    frame.name = 'slice frame';
+    // The frame is a control rather than part of the picture, so snapshots leave it out
+    frame.userData.isHandle = true;
+    return frame;
+}
+
+/**
+ * Creates the caps filling the section, each piece in its own color, with outlines.
+ *
+ * @param {Object[]} pieces - The pieces cut, from the slicer
+ * @returns {THREE.Group} The caps and outlines
+ */
+function createSectionCaps(pieces) {
+    const positions = [];
+    const colors = [];
+    const outlinePositions = [];
+    pieces.forEach(({ corners, color }) => {
+        // Sections of convex pieces are convex, so a fan of triangles fills each one
+        for (let k = 1; k < corners.length - 1; k++) {
+            [corners[0], corners[k], corners[k + 1]].forEach(corner => {
+                positions.push(corner.x, corner.y, corner.z);
+                colors.push(color.r, color.g, color.b);
+            });
+        }
+        corners.forEach((corner, k) => {
+            const next = corners[(k + 1) % corners.length];
+            outlinePositions.push(corner.x, corner.y, corner.z, next.x, next.y, next.z);
+        });
+    });
+
+    const group = new THREE.Group();
+    group.name = 'section';
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    const caps = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        side: THREE.DoubleSide
+    }));
+    caps.name = 'Section';
+    group.add(caps);
+
+    const outlineGeometry = new THREE.BufferGeometry();
+    outlineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(outlinePositions, 3));
+    group.add(new THREE.LineSegments(outlineGeometry, new THREE.LineBasicMaterial({ color: SLICE_OUTLINE_COLOR })));
+
+    return group;
+}
+
+/**
+ * Cuts a convex mesh with a plane.
+ *
+ * @param {THREE.BufferGeometry} geometry - The mesh's geometry
+ * @param {THREE.Matrix4} matrix - Transform from the geometry to the plane's coordinates
+ * @param {THREE.Vector3} normal - The plane's unit normal
+ * @param {number} offset - The plane's distance from the origin along its normal
+ * @returns {Object|null} The section as {corners: THREE.Vector3[] in order, area}, or null
+ *     if the plane misses the mesh or only touches it
+ */
+function sliceConvexMesh(geometry, matrix, normal, offset) {
+    // Skip meshes whose bounding sphere the plane misses, e.g. most atoms of a large crystal
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+    const centre = geometry.boundingSphere.center.clone().applyMatrix4(matrix);
+    const sphereRadius = geometry.boundingSphere.radius * matrix.getMaxScaleOnAxis();
+    if (Math.abs(normal.dot(centre) - offset) >= sphereRadius) return null;
+
+    const positions = geometry.attributes.position;
+    const vertices = [];
+    const distances = [];
+    for (let i = 0; i < positions.count; i++) {
+        const vertex = new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(matrix);
+        vertices.push(vertex);
+        distances.push(normal.dot(vertex) - offset);
+    }
+
+    // Points where the plane crosses the triangles' edges, or passes through their corners
+    const tolerance = 1e-9 * Math.max(sphereRadius, 1);
+    const points = [];
+    const index = geometry.index ? geometry.index.array : null;
+    const triangleCount = (index ? index.length : positions.count) / 3;
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [0, 1, 2].map(k => index ? index[3 * t + k] : 3 * t + k);
+        corners.forEach((a, k) => {
+            const b = corners[(k + 1) % 3];
+            const [da, db] = [distances[a], distances[b]];
+            if (Math.abs(da) <= tolerance) {
+                points.push(vertices[a]);
+            } else if (Math.abs(db) > tolerance && da * db < 0) {
+                points.push(vertices[a].clone().lerp(vertices[b], da / (da - db)));
+            }
+        });
+    }
+
+    const corners = convexHullInPlane(points, normal);
+    if (corners.length < 3) return null;
+    return { corners, area: polygonArea(corners, normal) };
+}
+
+/**
+ * Finds the convex hull of points lying in a plane, leaving out corners on straight sides.
+ *
+ * @param {THREE.Vector3[]} points - The points
+ * @param {THREE.Vector3} normal - The plane's unit normal
+ * @returns {THREE.Vector3[]} The hull's corners, counterclockwise seen from the normal's side
+ */
+function convexHullInPlane(points, normal) {
+    if (points.length < 3) return points;
+    const [u, v] = planeAxes(normal);
+    const flat = points.map(point => ({ point, x: point.dot(u), y: point.dot(v) }))
+        .sort((p, q) => p.x - q.x || p.y - q.y);
+
+    // Andrew's monotone chain; turns smaller than the tolerance count as straight
+    const scale = Math.max(...flat.map(p => Math.abs(p.x) + Math.abs(p.y)), 1);
+    const tolerance = 1e-9 * scale * scale;
+    const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const buildChain = list => {
+        const chain = [];
+        list.forEach(p => {
+            while (chain.length >= 2 && turn(chain[chain.length - 2], chain[chain.length - 1], p) <= tolerance) {
+                chain.pop();
+            }
+            chain.push(p);
+        });
+        chain.pop();
+        return chain;
+    };
+    const hull = [...buildChain(flat), ...buildChain(flat.slice().reverse())];
+    return hull.map(p => p.point);
+}
+
+/**
+ * Returns two unit vectors at right angles to each other and to a normal, such that
+ * u × v = normal.
+ *
+ * @param {THREE.Vector3} normal - The unit normal
+ * @returns {THREE.Vector3[]} The axes [u, v]
+ */
+function planeAxes(normal) {
+    const helper = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    const u = new THREE.Vector3().crossVectors(helper, normal).normalize();
+    const v = new THREE.Vector3().crossVectors(normal, u);
+    return [u, v];
+}
+
+/**
+ * Computes the area of a polygon in a plane.
+ *
+ * @param {THREE.Vector3[]} corners - The corners in order
+ * @param {THREE.Vector3} normal - The plane's unit normal
+ * @returns {number} The area
+ */
+function polygonArea(corners, normal) {
+    const sum = new THREE.Vector3();
+    corners.forEach((corner, k) => {
+        sum.add(new THREE.Vector3().crossVectors(corner, corners[(k + 1) % corners.length]));
+    });
+    return Math.abs(sum.dot(normal)) / 2;
+}
+
+/**
+ * Describes a section for the info panel: its area, and its shape and vertex count when the
+ * pieces together make one convex polygon.
+ *
+ * @param {Object[]} pieces - The pieces cut, from the slicer
+ * @param {THREE.Vector3} normal - The plane's unit normal
+ * @param {string} unit - Unit of lengths
+ * @returns {string[]} Lines of text
+ */
+function describeSection(pieces, normal, unit) {
+    if (pieces.length === 0) return ['The plane misses the shape'];
+
+    const totalArea = pieces.reduce((sum, piece) => sum + piece.area, 0);
+    const lines = [pieces.length === 1
+        ? `Section area: ${formatArea(totalArea, unit)}`
+        : `${pieces.length} pieces, total area: ${formatArea(totalArea, unit)}`];
+
+    if (pieces.some(piece => piece.isRound)) {
+        lines.push('Atoms and bonds have round sections, drawn as polygons with many corners');
+        return lines;
+    }
+
+    // The pieces make one convex polygon when their outline encloses no more than they cover
+    const outline = convexHullInPlane(pieces.flatMap(piece => piece.corners), normal);
+    const outlineArea = polygonArea(outline, normal);
+    if (outlineArea - totalArea <= 1e-6 * outlineArea) {
+        lines.push(`Shape: ${namePolygon(outline)} with ${outline.length} vertices`);
+    } else {
+        const vertexCount = pieces.reduce((sum, piece) => sum + piece.corners.length, 0);
+        lines.push(`Shape: ${pieces.length} separate polygons with ${vertexCount} vertices in all`);
+    }
+    return lines;
+}
+
+/**
+ * Formats an area with its unit, e.g. "2.000 square units" or "5.432 Å²".
+ *
+ * @param {number} area - The area
+ * @param {string} unit - Unit of lengths
+ * @returns {string} The area with its unit
+ */
+function formatArea(area, unit) {
+    return unit === 'units' ? `${area.toFixed(3)} square units` : `${area.toFixed(3)} ${unit}²`;
+}
+
+/**
+ * Names a convex polygon, e.g. "equilateral triangle", "square" or "regular hexagon".
+ *
+ * @param {THREE.Vector3[]} corners - The corners in order
+ * @returns {string} The name
+ */
+function namePolygon(corners) {
+    const n = corners.length;
+    const sides = corners.map((corner, k) => corners[(k + 1) % n].clone().sub(corner));
+    const lengths = sides.map(side => side.length());
+    const angles = sides.map((side, k) => sides[(k + n - 1) % n].clone().negate().angleTo(side));
+    const isEqual = values => Math.max(...values) - Math.min(...values) <= SHAPE_TOLERANCE * Math.max(...values);
+    const isParallel = (a, b) => a.clone().cross(b).length() <= SHAPE_TOLERANCE * a.length() * b.length();
+    const name = POLYGON_NAMES[n] || `${n}-gon`;
+
+    if (n === 3) {
+        if (isEqual(lengths)) return 'equilateral triangle';
+        if (angles.some(angle => Math.abs(angle - Math.PI / 2) <= SHAPE_TOLERANCE)) return 'right triangle';
+        if ([[0, 1], [1, 2], [2, 0]].some(([a, b]) => isEqual([lengths[a], lengths[b]]))) return 'isosceles triangle';
+        return name;
+    }
+    if (n === 4) {
+        if (isEqual(angles)) return isEqual(lengths) ? 'square' : 'rectangle';
+        const parallelPairs = [isParallel(sides[0], sides[2]), isParallel(sides[1], sides[3])].filter(Boolean).length;
+        if (parallelPairs === 2) return isEqual(lengths) ? 'rhombus' : 'parallelogram';
+        if (parallelPairs === 1) return 'trapezoid';
+        return name;
+    }
+    return isEqual(lengths) && isEqual(angles) ? `regular ${name}` : name;
+}
+
+export { createSlicer };
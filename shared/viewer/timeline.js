@@ -0,0 +1,172 @@
+/**
+ * Build-Up Timeline
+ *
+ * Assembles the shown structure in teaching order, one step at a time, e.g. for diamond the
+ * first FCC lattice, then the second one offset from it, then the bonds. Each step has a
+ * caption saying what it adds.
+ *
+ * The page describes the steps; this module plays them:
+ * - Play runs through the steps (from the start again once the end is reached), and pauses
+ * - The step buttons jump to the previous or next whole step
+ * - The scrub slider shows any point of the timeline, part way through a step included
+ *
+ * Each step is {caption, show(fraction)}: show(0) undoes the step, show(1) completes it, and
+ * values in between show it part done. Whenever the timeline moves, show() is called for
+ * every step in order, so a step may rely on the steps before it having been shown.
+ *
+ * The timeline starts at its end, with everything built, and returns there whenever the
+ * content is rebuilt.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+
+// Seconds each step takes while playing
+const TIMELINE_STEP_DURATION = 1.5;
+
+// Positions of the scrub slider per step
+const TIMELINE_SCRUB_RESOLUTION = 100;
+
+/**
+ * Adds a build-up timeline to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Timeline options
+ * @param {HTMLButtonElement} options.playButton - Button that plays and pauses
+ * @param {HTMLButtonElement} options.stepBackButton - Button that goes back one step
+ * @param {HTMLButtonElement} options.stepForwardButton - Button that goes forward one step
+ * @param {HTMLInputElement} options.scrubInput - Range input showing and setting the position
+ * @param {HTMLElement} options.captionElement - Element to show the current step's caption in
+ * @param {Function} options.getSteps - Returns the steps for the viewer's current content,
+ *     as [{caption, show(fraction)}]
+ * @param {number} [options.stepDuration=TIMELINE_STEP_DURATION] - Seconds per step while playing
+ * @param {Function} [options.onChange] - Called after the steps shown have changed
+ * @returns {Object} The timeline: {update()}, where update() asks for the steps again and
+ *     shows them, e.g. after the page changed what they show
+ */
+function createTimeline(viewer, options) {
+    const {
+        playButton,
+        stepBackButton,
+        stepForwardButton,
+        scrubInput,
+        captionElement,
+        getSteps,
+        stepDuration = TIMELINE_STEP_DURATION,
+        onChange = () => {}
+    } = options;
+
+    let content = null;
+    let steps = [];
+    // Steps done, from 0 (nothing built) to steps.length (everything built)
+    let position = 0;
+    let playing = false;
+    let lastTime = null;
+
+    playButton.addEventListener('click', () => {
+        if (playing) {
+            setPlaying(false);
+            return;
+        }
+        if (position >= steps.length) position = 0;
+        setPlaying(true);
+        show();
+    });
+    stepBackButton.addEventListener('click', () => {
+        setPlaying(false);
+        position = Math.max(0, Math.ceil(position) - 1);
+        show();
+    });
+    stepForwardButton.addEventListener('click', () => {
+        setPlaying(false);
+        position = Math.min(steps.length, Math.floor(position) + 1);
+        show();
+    });
+    scrubInput.step = 1 / TIMELINE_SCRUB_RESOLUTION;
+    scrubInput.addEventListener('input', () => {
+        setPlaying(false);
+        position = parseFloat(scrubInput.value);
+        show();
+    });
+
+    function setPlaying(value) {
+        playing = value;
+        lastTime = null;
+        playButton.textContent = playing ? 'Pause' : 'Play';
+    }
+
+    /**
+     * Takes the steps of newly built content, which is built complete.
+     */
+    function attach() {
+        content = viewer.content;
+        steps = getSteps();
+        position = steps.length;
+        setPlaying(false);
+        showControls();
+    }
+
+    /**
+     * Shows every step as far as the position has reached.
+     */
+    function show() {
+        steps.forEach((step, index) => step.show(THREE.MathUtils.clamp(position - index, 0, 1)));
+        showControls();
+        onChange();
+    }
+
+    function showControls() {
+        scrubInput.max = steps.length;
+        scrubInput.value = position;
+        [playButton, stepBackButton, stepForwardButton, scrubInput].forEach(control => {
+            control.disabled = steps.length === 0;
+        });
+        if (steps.length === 0) {
+            captionElement.textContent = '';
+        } else if (position === 0) {
+            captionElement.textContent = 'Press Play to build it step by step';
+        } else {
+            // The step being shown, or the last one completed
+            const index = Math.min(steps.length, Math.ceil(position)) - 1;
+            captionElement.textContent = `Step ${index + 1} of ${steps.length}: ${steps[index].caption}`;
+        }
+    }
+
+    function onFrame() {
+        if (viewer.content !== content) attach();
+        if (!playing) return;
+
+        const time = performance.now();
+        if (lastTime !== null) {
+            position = Math.min(steps.length, position + (time - lastTime) / 1000 / stepDuration);
+        }
+        lastTime = time;
+        if (position >= steps.length) setPlaying(false);
+        show();
+    }
+
+    viewer.addFrameListener(onFrame);
+
+    return {
+        update() {
+            if (viewer.content !== content) return;
+            steps = getSteps();
+            position = Math.min(position, steps.length);
+            show();
+        }
+    };
+}
+
+/**
+ * Shows the first part of a list of items and hides the rest, e.g. to add atoms one by one
+ * over the course of a step.
+ *
+ * @param {number[]} order - Indices of the items, in the order they appear
+ * @param {number} fraction - Fraction of the items to show, from 0 to 1
+ * @param {Function} setVisible - Called as setVisible(index, visible) for every item
+ */
+function revealInOrder(order, fraction, setVisible) {
+    const shown = Math.ceil(fraction * order.length);
+    order.forEach((index, rank) => setVisible(index, rank < shown));
+}
+
+export { createTimeline, revealInOrder };
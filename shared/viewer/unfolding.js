@@ -0,0 +1,319 @@
+/**
+ * Net Unfolding
+ *
+ * Unfolds the shown solid into a net for surface-area lessons: its faces turn about their
+ * hinges until they lie flat in one piece (see shared/geometry/nets.js). The tool offers:
+ * - a select of the solid's different nets, e.g. the 11 nets of a cube
+ * - a slider from the folded solid (0) to the flat net (1), and a button that animates the
+ *   fold or unfold
+ * - a printable SVG of the net with glue tabs (see shared/export/net_svg.js)
+ *
+ * While unfolding, the net replaces everything else in the viewer's content, which is shown
+ * again when the tool is switched off. The net and how far it is unfolded are kept in the
+ * URL as net=3&unfold=0.5 (see shared/viewer/url_state.js).
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { writeNetSVG } from '../export/net_svg.js';
+import { downloadFile } from '../export/scene_export.js';
+import {
+    faceGridLines,
+    findNets,
+    layoutNet,
+    netTransforms,
+    surfaceArea
+} from '../geometry/nets.js';
+import { readURLParams } from './url_state.js';
+import { disposeObject } from './viewer.js';
+
+// Seconds a full fold or unfold takes
+const UNFOLD_DURATION = 2;
+
+// Look of the net's faces, edges and grid lines
+const NET_FACE_OPACITY = 0.85;
+const NET_EDGE_COLOR = 0x000000;
+const NET_GRID_COLOR = 0x555555;
+
+// Decimal places of the unfold amount in the URL
+const UNFOLD_DIGITS = 2;
+
+/**
+ * Adds net unfolding to a viewer.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - Unfolding options
+ * @param {HTMLInputElement} options.enableCheckbox - Checkbox that shows the net instead of the content
+ * @param {HTMLSelectElement} options.netSelect - Select to fill with the solid's nets
+ * @param {HTMLInputElement} options.unfoldInput - Range input from 0 (folded) to 1 (flat)
+ * @param {HTMLButtonElement} options.playButton - Button that animates the fold or unfold
+ * @param {HTMLButtonElement} options.svgButton - Button that downloads the net as a printable SVG
+ * @param {HTMLElement} options.infoElement - Element to describe the net and surface area in
+ * @param {Function} options.getSolid - Returns the solid to unfold as {polyhedron, name,
+ *     faceColors, gridStep}: faceColors is a color or one per face, and gridStep (optional)
+ *     draws a grid of squares that size on rectangular faces
+ * @param {Function} [options.describeArea] - Returns a line about the solid's surface area;
+ *     defaults to the area in square units
+ * @param {Function} options.getFileName - Returns the file name to use, without extension
+ * @param {Function} [options.onChange] - Called after the net or how far it is unfolded changed
+ * @returns {Object} The tool: {getParams()}
+ */
+function createUnfoldTool(viewer, options) {
+    const {
+        enableCheckbox,
+        netSelect,
+        unfoldInput,
+        playButton,
+        svgButton,
+        infoElement,
+        getSolid,
+        describeArea = polyhedron => `Surface area: ${surfaceArea(polyhedron).toFixed(2)} square units`,
+        getFileName,
+        onChange = () => {}
+    } = options;
+
+    let enabled = false;
+    let netIndex = 0;
+    let amount = 1;
+    // Where the animation is heading (0 or 1), or null when not animating
+    let target = null;
+    let lastTime = null;
+
+    let content = null;
+    let solid = null;
+    let nets = [];
+    let netGroup = null;
+    // Content objects hidden while the net is shown, with whether they were visible
+    let hidden = [];
+
+    // Start with the net from the link that opened the page, if any
+    const params = readURLParams();
+    const linkedNet = parseInt(params.get('net'), 10);
+    if (linkedNet >= 1) {
+        enabled = true;
+        netIndex = linkedNet - 1;
+        const linkedAmount = parseFloat(params.get('unfold'));
+        if (Number.isFinite(linkedAmount)) amount = THREE.MathUtils.clamp(linkedAmount, 0, 1);
+    }
+
+    enableCheckbox.checked = enabled;
+    unfoldInput.min = 0;
+    unfoldInput.max = 1;
+    unfoldInput.step = 0.01;
+
+    enableCheckbox.addEventListener('change', () => {
+        enabled = enableCheckbox.checked;
+        target = null;
+        if (enabled) {
+            showNet();
+        } else {
+            removeNet();
+        }
+        showControls();
+        onChange();
+    });
+    netSelect.addEventListener('change', () => {
+        netIndex = parseInt(netSelect.value, 10);
+        showNet();
+        showControls();
+        onChange();
+    });
+    unfoldInput.addEventListener('input', () => {
+        target = null;
+        amount = parseFloat(unfoldInput.value);
+        placeFaces();
+        showControls();
+        onChange();
+    });
+    playButton.addEventListener('click', () => {
+        target = target === null ? (amount < 1 ? 1 : 0) : null;
+        lastTime = null;
+        showControls();
+    });
+    svgButton.addEventListener('click', () => {
+        const layout = layoutNet(solid.polyhedron, nets[netIndex], { gridStep: solid.gridStep });
+        const svg = writeNetSVG(layout, {
+            title: `${solid.name}, net ${netIndex + 1} of ${nets.length}`,
+            faceColors: solid.faceColors
+        });
+        downloadFile(svg, `${getFileName()}_net${netIndex + 1}.svg`, 'image/svg+xml');
+    });
+
+    function showControls() {
+        [netSelect, unfoldInput, playButton, svgButton].forEach(control => {
+            control.disabled = !enabled;
+        });
+        unfoldInput.value = amount;
+        if (target !== null) {
+            playButton.textContent = 'Pause';
+        } else {
+            playButton.textContent = amount < 1 ? 'Unfold' : 'Fold';
+        }
+
+        if (!enabled || nets.length === 0) {
+            infoElement.textContent = '';
+            return;
+        }
+        const net = nets[netIndex];
+        const folds = solid.polyhedron.faces.length - 1;
+        infoElement.innerHTML = '';
+        [
+            `Net ${netIndex + 1} of ${nets.length}: cut ${net.cuts.length} edges, fold ${folds}`,
+            describeArea(solid.polyhedron)
+        ].forEach(text => {
+            const row = document.createElement('div');
+            row.textContent = text;
+            infoElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Finds the nets of the solid shown and fills the select with them.
+     */
+    function findSolidNets() {
+        solid = getSolid();
+        nets = findNets(solid.polyhedron);
+        netIndex = Math.min(netIndex, nets.length - 1);
+        netSelect.innerHTML = '';
+        nets.forEach((net, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Net ${index + 1}`;
+            netSelect.appendChild(option);
+        });
+        netSelect.value = netIndex;
+    }
+
+    /**
+     * Puts the chosen net into the content in place of everything else.
+     */
+    function showNet() {
+        if (netGroup) {
+            content.remove(netGroup);
+            disposeObject(netGroup);
+        } else {
+            hidden = content.children.map(object => ({ object, visible: object.visible }));
+            hidden.forEach(({ object }) => {
+                object.visible = false;
+            });
+        }
+        netGroup = createNetObject(solid, nets[netIndex]);
+        content.add(netGroup);
+        placeFaces();
+    }
+
+    function removeNet() {
+        if (!netGroup) return;
+        content.remove(netGroup);
+        disposeObject(netGroup);
+        netGroup = null;
+        hidden.forEach(({ object, visible }) => {
+            object.visible = visible;
+        });
+        hidden = [];
+    }
+
+    /**
+     * Turns every face to where it is at the current unfold amount.
+     */
+    function placeFaces() {
+        if (!netGroup) return;
+        netTransforms(solid.polyhedron, nets[netIndex], amount).forEach((transform, face) => {
+            netGroup.children[face].matrix.fromArray(transform);
+        });
+    }
+
+    function onFrame() {
+        if (viewer.content !== content) {
+            // The content was rebuilt: unfold the new solid the same way
+            content = viewer.content;
+            netGroup = null;
+            hidden = [];
+            findSolidNets();
+            if (enabled) showNet();
+            showControls();
+        }
+        if (target === null) return;
+
+        const time = performance.now();
+        if (lastTime !== null) {
+            const step = (time - lastTime) / 1000 / UNFOLD_DURATION;
+            amount = target > amount ? Math.min(target, amount + step) : Math.max(target, amount - step);
+        }
+        lastTime = time;
+        if (amount === target) target = null;
+        placeFaces();
+        showControls();
+        onChange();
+    }
+
+    viewer.addFrameListener(onFrame);
+
+    return {
+        /**
+         * Returns the net for the URL, e.g. {net: 3, unfold: 0.5}, or nothing while the
+         * net is not shown.
+         *
+         * @returns {Object} Settings to add to the page's URL settings
+         */
+        getParams() {
+            if (!enabled) return {};
+            return { net: netIndex + 1, unfold: Number(amount.toFixed(UNFOLD_DIGITS)) };
+        }
+    };
+}
+
+/**
+ * Creates the net's faces, each in its own group so it can be turned about its hinge.
+ * The faces are built where they are on the solid; the groups' matrices unfold them.
+ *
+ * @param {Object} solid - The solid, see createUnfoldTool()
+ * @returns {THREE.Group} The net, named 'Net', with one child group per face
+ */
+function createNetObject({ polyhedron, faceColors, gridStep }) {
+    const group = new THREE.Group();
+    group.name = 'Net';
+
+    polyhedron.faces.forEach((face, index) => {
+        const corners = face.map(vertex => polyhedron.vertices[vertex]);
+        const faceGroup = new THREE.Group();
+        faceGroup.matrixAutoUpdate = false;
+
+        // A fan of triangles from the first corner; faces are convex
+        const positions = [];
+        for (let k = 1; k < corners.length - 1; k++) {
+            positions.push(...corners[0], ...corners[k], ...corners[k + 1]);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+            color: Array.isArray(faceColors) ? faceColors[index] : faceColors,
+            transparent: true,
+            opacity: NET_FACE_OPACITY,
+            side: THREE.DoubleSide
+        }));
+        // A face has no thickness, so it cannot be printed as a solid
+        mesh.userData.isOverlay = true;
+        faceGroup.add(mesh);
+
+        const edges = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(corners.map(corner => new THREE.Vector3(...corner))),
+            new THREE.LineBasicMaterial({ color: NET_EDGE_COLOR })
+        );
+        faceGroup.add(edges);
+
+        if (gridStep) {
+            const gridPoints = faceGridLines(corners, gridStep).flat().map(point => new THREE.Vector3(...point));
+            if (gridPoints.length > 0) {
+                faceGroup.add(new THREE.LineSegments(
+                    new THREE.BufferGeometry().setFromPoints(gridPoints),
+                    new THREE.LineBasicMaterial({ color: NET_GRID_COLOR })
+                ));
+            }
+        }
+        group.add(faceGroup);
+    });
+    return group;
+}
+
+export { createUnfoldTool };
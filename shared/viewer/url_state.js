@@ -0,0 +1,202 @@
+/**
+ * Shareable URL State
+ *
+ * Keeps the view and the visualization's settings in the URL hash, so the address bar (and
+ * the "Copy link" button) always links to exactly what is on screen, e.g.
+ *
+ *     rectangular_prism_visualization.html#width=3&height=3&depth=3&hide=0&camera=8,6,12&target=0,0,0
+ *
+ * The view is the camera position, the point it orbits around and the rotation of the shown
+ * object. The visualization supplies its own settings through getParams() and reads them back
+ * at startup with readURLParams():
+ *
+ *     const urlState = createURLState(viewer, {
+ *         getParams: () => ({ width: 3, hide: [0, 1] }),
+ *         copyButton: document.getElementById('copy-link')
+ *     });
+ *     // ...and after every change of settings:
+ *     urlState.update();
+ *
+ * Settings given in the query string (?width=3) are still read, so older links keep working;
+ * the hash wins where both give a value, and the query keys are moved into the hash on the
+ * first update.
+ *
+ * Works with any viewer from shared/viewer/viewer.js.
+ */
+
+// Names of the view entries in the hash; visualization settings must use other names
+const VIEW_KEYS = ['camera', 'target', 'rotation'];
+
+// Decimal places kept for view coordinates and angles, far below what is visible on screen
+const VIEW_DIGITS = 4;
+
+// Time (in ms) after the camera stops moving before the URL is updated
+const VIEW_UPDATE_DELAY = 500;
+
+/**
+ * Reads the settings from the URL: the query string, overridden by the hash.
+ *
+ * @returns {URLSearchParams} All settings in the URL
+ */
+function readURLParams() {
+    const params = new URLSearchParams(window.location.search);
+    new URLSearchParams(window.location.hash.slice(1)).forEach((value, key) => params.set(key, value));
+    return params;
+}
+
+/**
+ * Keeps a viewer's view and a visualization's settings in the URL hash. A view given in the
+ * URL is applied at once; a linked view is shown still (auto-rotation is stopped), as it
+ * would otherwise drift away from what was linked.
+ *
+ * @param {Object} viewer - A viewer from createViewer()
+ * @param {Object} options - URL state options
+ * @param {Function} options.getParams - Returns the settings to store, as {name: value}; values
+ *     may be numbers, strings or arrays, and null leaves the setting out
+ * @param {HTMLButtonElement} [options.copyButton] - Button that copies the link to the clipboard
+ * @returns {Object} The URL state: {update(), restoreView(), getLink()}
+ */
+function createURLState(viewer, options) {
+    const { getParams, copyButton } = options;
+
+    // The view from the link that opened the page, kept for restoreView()
+    const linkedView = parseView(readURLParams());
+    let updateTimer = null;
+
+    const state = {
+        /**
+         * Writes the current view and settings to the address bar, without adding a history entry.
+         */
+        update() {
+            clearTimeout(updateTimer);
+            window.history.replaceState(null, '', state.getLink());
+        },
+
+        /**
+         * Applies the view from the link that opened the page again, e.g. after loading
+         * a structure has moved the camera to fit it.
+         *
+         * @returns {boolean} True if the link gave a view
+         */
+        restoreView() {
+            if (!linkedView) return false;
+            const { camera, target, rotation } = linkedView;
+            if (camera) viewer.camera.position.set(...camera);
+            if (target) viewer.controls.target.set(...target);
+            if (rotation && viewer.content) viewer.content.rotation.set(...rotation);
+            viewer.controls.update();
+            viewer.autoRotate = null;
+            return true;
+        },
+
+        /**
+         * Returns the link to the current view and settings.
+         *
+         * @returns {string} The absolute URL
+         */
+        getLink() {
+            const params = getParams();
+            const { camera, controls, content } = viewer;
+            const view = {
+                camera: roundValues(camera.position.toArray()),
+                target: roundValues(controls.target.toArray()),
+                rotation: content ? roundValues(content.rotation.toArray().slice(0, 3)) : null
+            };
+
+            // Settings now live in the hash, so drop any copies of them from the query string
+            const query = new URLSearchParams(window.location.search);
+            [...Object.keys(params), ...VIEW_KEYS].forEach(key => query.delete(key));
+            const search = query.toString();
+
+            const url = new URL(window.location.href);
+            url.search = search ? `?${search}` : '';
+            url.hash = formatHash({ ...params, ...view });
+            return url.href;
+        }
+    };
+
+    // Follow the camera once the user has finished moving it
+    viewer.controls.addEventListener('end', () => {
+        clearTimeout(updateTimer);
+        updateTimer = setTimeout(() => state.update(), VIEW_UPDATE_DELAY);
+    });
+
+    if (copyButton) {
+        copyButton.addEventListener('click', () => copyLink(state.getLink(), copyButton));
+    }
+
+    state.restoreView();
+    return state;
+}
+
+/**
+ * Reads the view entries from the URL settings.
+ *
+ * @param {URLSearchParams} params - The URL settings
+ * @returns {Object|null} The view as {camera, target, rotation} (each [x, y, z] or undefined),
+ *     or null if the URL gives no valid view
+ */
+function parseView(params) {
+    const view = {};
+    VIEW_KEYS.forEach(key => {
+        const values = (params.get(key) || '').split(',').map(parseFloat);
+        if (values.length === 3 && values.every(Number.isFinite)) {
+            view[key] = values;
+        }
+    });
+    return Object.keys(view).length > 0 ? view : null;
+}
+
+/**
+ * Rounds coordinates or angles for the URL.
+ *
+ * @param {number[]} values - The values
+ * @returns {number[]} The rounded values
+ */
+function roundValues(values) {
+    return values.map(value => Number(value.toFixed(VIEW_DIGITS)));
+}
+
+/**
+ * Formats settings as a URL hash, leaving the commas of lists and slashes of paths readable.
+ *
+ * @param {Object} params - Settings as {name: value}; null, undefined and empty values are left out
+ * @returns {string} The hash, without the leading "#"
+ */
+function formatHash(params) {
+    return Object.entries(params)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '' &&
+            !(Array.isArray(value) && value.length === 0))
+        .map(([key, value]) => {
+            const text = Array.isArray(value) ? value.join(',') : String(value);
+            return `${encodeURIComponent(key)}=${encodeURIComponent(text).replace(/%2C/gi, ',').replace(/%2F/gi, '/')}`;
+        })
+        .join('&');
+}
+
+/**
+ * Copies a link to the clipboard and confirms it on the button. Where the clipboard cannot
+ * be used (e.g. some browsers on pages opened from disk), the link is shown to copy by hand.
+ *
+ * @param {string} link - The link
+ * @param {HTMLButtonElement} button - The button that was pressed
+ */
+function copyLink(link, button) {
+    // Remember the label once, so pressing the button again while it says "Copied!" is harmless
+    if (!button.dataset.label) button.dataset.label = button.textContent;
+    const showCopied = () => {
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+            button.textContent = button.dataset.label;
+        }, 1500);
+    };
+    const showLink = () => window.prompt('Copy this link:', link);
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(showCopied, showLink);
+    } else {
+        showLink();
+    }
+}
+
+export { readURLParams, createURLState, formatHash };
@@ -0,0 +1,265 @@
+/**
+ * Shared Viewer Core
+ *
+ * This script provides the scene, camera, renderer, orbit controls, lighting, resize handling
+ * and animation loop that every visualization needs, so a visualization only has to describe
+ * its geometry in a "builder" function.
+ *
+ * Usage:
+ *
+ *     const viewer = createViewer({
+ *         builder: () => createMyShape(),          // returns a THREE.Object3D
+ *         cameraPosition: [0, 0, 5],
+ *         autoRotate: { x: 0.001, y: 0.002 }
+ *     });
+ *
+ * Each call creates an independent viewer with its own renderer, so several viewers can live
+ * on the same page by passing different container elements.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { OrbitControls } from '../vendor/three/OrbitControls.js';
+
+// Lighting used when a visualization does not specify its own
+const DEFAULT_LIGHTS = [
+    { type: 'ambient', color: 0x404040 },
+    { type: 'directional', color: 0xffffff, intensity: 0.8, position: [1, 1, 1] },
+    { type: 'directional', color: 0xffffff, intensity: 0.5, position: [-1, -1, -1] }
+];
+
+/**
+ * Creates a viewer that renders the object returned by a builder function.
+ *
+ * @param {Object} options - Viewer options
+ * @param {Function} options.builder - Called with the viewer; returns the THREE.Object3D to show
+ * @param {HTMLElement} [options.container=document.body] - Element the canvas is added to;
+ *     the viewer fills it (or the whole window for document.body)
+ * @param {number[]} [options.cameraPosition=[0, 0, 5]] - Initial camera position
+ * @param {number[]} [options.cameraTarget=[0, 0, 0]] - Point the camera orbits around
+ * @param {number} [options.fov=75] - Vertical field of view in degrees
+ * @param {number} [options.background=0x111111] - Background color
+ * @param {Object[]} [options.lights=DEFAULT_LIGHTS] - Lights as {type: 'ambient'|'directional',
+ *     color, intensity, position}
+ * @param {Object} [options.autoRotate] - Rotation per frame applied to the built object, as {x, y, z}
+ *     in radians; omit for a still scene
+ * @param {number} [options.maxDistance=100] - Furthest the camera can zoom out
+ * @returns {Object} The viewer: {scene, camera, renderer, controls, container, content, autoRotate,
+ *     rebuild(), frameContent(), addFrameListener(fn), removeFrameListener(fn), resize(), dispose()};
+ *     autoRotate can be changed (or set to null) at any time
+ */
+function createViewer(options) {
+    const {
+        builder,
+        container = document.body,
+        cameraPosition = [0, 0, 5],
+        cameraTarget = [0, 0, 0],
+        fov = 75,
+        background = 0x111111,
+        lights = DEFAULT_LIGHTS,
+        autoRotate = null,
+        maxDistance = 100
+    } = options;
+
+    // Create scene
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(background);
+
+    // Create camera
+    const size = getContainerSize(container);
+    const camera = new THREE.PerspectiveCamera(fov, size.width / size.height, 0.1, 1000);
+    camera.position.set(...cameraPosition);
+
+    // Create renderer
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio || 1);
+    renderer.setSize(size.width, size.height);
+    container.appendChild(renderer.domElement);
+
+    // Add orbit controls for rotation
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.25;
+    controls.screenSpacePanning = false;
+    controls.maxDistance = maxDistance;
+    controls.target.set(...cameraTarget);
+    controls.update();
+
+    // Add lights
+    lights.forEach(light => scene.add(createLight(light)));
+
+    const frameListeners = [];
+    let animationFrameId = null;
+    let resizeObserver = null;
+
+    const viewer = {
+        scene,
+        camera,
+        renderer,
+        controls,
+        container,
+        content: null,
+        autoRotate,
+
+        /**
+         * Replaces the shown object with a freshly built one, disposing the old one.
+         */
+        rebuild() {
+            if (viewer.content) {
+                // Keep the current auto-rotation so a rebuild does not make the object jump
+                const rotation = viewer.content.rotation.clone();
+                scene.remove(viewer.content);
+                disposeObject(viewer.content);
+                viewer.content = builder(viewer);
+                viewer.content.rotation.copy(rotation);
+            } else {
+                viewer.content = builder(viewer);
+            }
+            scene.add(viewer.content);
+        },
+
+        /**
+         * Moves the camera, keeping its viewing direction, so the whole object fits in view.
+         *
+         * @param {number} [padding=1.2] - Extra room around the object, as a factor of its size
+         */
+        frameContent(padding = 1.2) {
+            const box = new THREE.Box3().setFromObject(viewer.content);
+            if (box.isEmpty()) return;
+            const sphere = box.getBoundingSphere(new THREE.Sphere());
+            const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+            const distance = sphere.radius * padding / Math.sin(halfFov);
+            const direction = new THREE.Vector3().subVectors(camera.position, controls.target).normalize();
+            controls.target.copy(sphere.center);
+            camera.position.copy(sphere.center).addScaledVector(direction, distance);
+            controls.update();
+        },
+
+        /**
+         * Registers a function called once per frame, before rendering.
+         *
+         * @param {Function} listener - Called with the viewer
+         */
+        addFrameListener(listener) {
+            frameListeners.push(listener);
+        },
+
+        /**
+         * Removes a function registered with addFrameListener.
+         *
+         * @param {Function} listener - The listener to remove
+         */
+        removeFrameListener(listener) {
+            const index = frameListeners.indexOf(listener);
+            if (index !== -1) frameListeners.splice(index, 1);
+        },
+
+        /**
+         * Fits the camera and renderer to the container's current size.
+         */
+        resize() {
+            const { width, height } = getContainerSize(container);
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+            renderer.setSize(width, height);
+        },
+
+        /**
+         * Stops rendering and frees all resources held by the viewer.
+         */
+        dispose() {
+            cancelAnimationFrame(animationFrameId);
+            window.removeEventListener('resize', viewer.resize);
+            if (resizeObserver) resizeObserver.disconnect();
+            controls.dispose();
+            disposeObject(scene);
+            renderer.dispose();
+            renderer.domElement.remove();
+        }
+    };
+
+    // Build the content
+    viewer.rebuild();
+
+    // Handle resizing: the window for full-page viewers, the container otherwise
+    if (container === document.body || typeof ResizeObserver === 'undefined') {
+        window.addEventListener('resize', viewer.resize, false);
+    } else {
+        resizeObserver = new ResizeObserver(() => viewer.resize());
+        resizeObserver.observe(container);
+    }
+
+    // Animation loop
+    function animate() {
+        animationFrameId = requestAnimationFrame(animate);
+
+        if (viewer.autoRotate && viewer.content) {
+            viewer.content.rotation.x += viewer.autoRotate.x || 0;
+            viewer.content.rotation.y += viewer.autoRotate.y || 0;
+            viewer.content.rotation.z += viewer.autoRotate.z || 0;
+        }
+
+        frameListeners.forEach(listener => listener(viewer));
+        controls.update();
+        renderer.render(scene, camera);
+    }
+    animate();
+
+    return viewer;
+}
+
+/**
+ * Creates a light from a plain description.
+ *
+ * @param {Object} light - {type: 'ambient'|'directional', color, intensity, position}
+ * @returns {THREE.Light} The light
+ */
+function createLight({ type, color = 0xffffff, intensity = 1, position = [1, 1, 1] }) {
+    if (type === 'ambient') {
+        return new THREE.AmbientLight(color, intensity);
+    }
+    if (type === 'directional') {
+        const light = new THREE.DirectionalLight(color, intensity);
+        light.position.set(...position);
+        return light;
+    }
+    throw new Error(`Unknown light type "${type}"`);
+}
+
+/**
+ * Returns the size a viewer should render at inside its container.
+ *
+ * @param {HTMLElement} container - The viewer's container
+ * @returns {{width: number, height: number}} The size in CSS pixels
+ */
+function getContainerSize(container) {
+    if (container === document.body) {
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+    // Fall back to 1 pixel so a hidden container does not produce a NaN aspect ratio
+    return {
+        width: container.clientWidth || 1,
+        height: container.clientHeight || 1
+    };
+}
+
+/**
+ * Frees the GPU resources (geometries, materials and their textures) held by an object and
+ * all of its descendants.
+ *
+ * @param {THREE.Object3D} object - The object to dispose
+ */
+function disposeObject(object) {
+    const disposed = new Set();
+    object.traverse(child => {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        const textures = materials.map(material => material && material.map);
+        [child.geometry, ...materials, ...textures].forEach(resource => {
+            if (resource && resource.dispose && !disposed.has(resource)) {
+                resource.dispose();
+                disposed.add(resource);
+            }
+        });
+    });
+}
+
+export { DEFAULT_LIGHTS, createViewer, createLight, disposeObject };
@@ -0,0 +1,367 @@
+/**
+ * Platonic and Archimedean Solids Visualization
+ *
+ * This script shows the solids of the polyhedron library (shared/geometry/polyhedra.js):
+ * the five Platonic solids and ten Archimedean solids, drawn like the tetrahedron scene with
+ * see-through faces, a red dot at the centre and blue spheres on the corners.
+ *
+ * Features:
+ * - Vertex, edge and face counts with the Euler characteristic check V − E + F = 2
+ * - Face types and vertex configuration (e.g. 3.4.3.4 for the cuboctahedron)
+ * - Truncation slider: cuts the corners off by any amount; the "Regular" amount turns a
+ *   Platonic solid into its truncated Archimedean solid, and cutting to the edge midpoints
+ *   gives e.g. the cuboctahedron from the cube
+ * - Dual polyhedron overlay, whose edges cross the solid's edges at their midpoints
+ * - Hover over a corner to see its vertex configuration; measure edges and angles; export;
+ *   the URL hash links to the solid, truncation, overlays and view, e.g.
+ *   #solid=cube&truncation=0.5858&dual=1
+ *
+ * The visualization is interactive and can be rotated by clicking and dragging with the mouse.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { createExportControls } from '../export/scene_export.js';
+import { createSnapshotControls } from '../export/snapshot.js';
+import {
+    POLYHEDRA,
+    buildPolyhedron,
+    countElements,
+    describeFaceTypes,
+    dualPolyhedron,
+    findMatchingSolid,
+    neighboursInOrder,
+    regularTruncationAmount,
+    truncatePolyhedron,
+    vertexConfiguration
+} from '../geometry/polyhedra.js';
+import {
+    createCenterMarker,
+    createPolyhedronEdges,
+    createPolyhedronFaces,
+    createVertexMarker
+} from '../geometry/polyhedron_mesh.js';
+import { createMeasureTool } from '../viewer/measure.js';
+import { createPicker, formatPosition } from '../viewer/picking.js';
+import { createSlicer } from '../viewer/slicing.js';
+import { createURLState, readURLParams } from '../viewer/url_state.js';
+import { createViewer } from '../viewer/viewer.js';
+
+// Global variables
+let viewer;
+let urlState;
+let slicer;
+
+// Colors of the solid's faces and of the dual overlay
+const FACE_COLOR = 0x00FFFF;
+const DUAL_COLOR = 0xFFA500;
+
+// Current settings
+const polyhedronSettings = {
+    solid: 'cube',
+    truncation: 0,
+    dual: false,
+    vertices: true,
+    center: true
+};
+
+// Initialize the scene
+function init() {
+    // Read the settings given in the URL and connect the control panel
+    readSettingsFromURL();
+    setupControlPanel();
+
+    // Create the viewer, which builds the solid
+    viewer = createViewer({
+        builder: () => createPolyhedronScene(polyhedronSettings),
+        cameraPosition: [0, 0, 5],
+        lights: [
+            { type: 'ambient', color: 0x404040 },
+            { type: 'directional', color: 0xffffff, intensity: 0.5, position: [1, 1, 1] }
+        ]
+    });
+
+    // Cut the solid with a plane, e.g. the cube along x + y + z = 0 in a regular hexagon
+    slicer = createSlicer(viewer, {
+        enableCheckbox: document.getElementById('slice-enabled'),
+        presetSelect: document.getElementById('slice-preset'),
+        turnInput: document.getElementById('slice-turn'),
+        tiltInput: document.getElementById('slice-tilt'),
+        offsetInput: document.getElementById('slice-offset'),
+        infoElement: document.getElementById('slice-info'),
+        getSolids: () => [viewer.content.userData.faces],
+        onChange: () => urlState.update()
+    });
+
+    // Keep the settings, slice and camera in the URL, and restore a linked view
+    urlState = createURLState(viewer, {
+        getParams: () => ({
+            solid: polyhedronSettings.solid,
+            truncation: Number(polyhedronSettings.truncation.toFixed(4)),
+            dual: polyhedronSettings.dual ? 1 : 0,
+            vertices: polyhedronSettings.vertices ? 1 : 0,
+            center: polyhedronSettings.center ? 1 : 0,
+            ...slicer.getParams()
+        }),
+        copyButton: document.getElementById('copy-link')
+    });
+    updateSolidInfo();
+
+    // Hovering over a corner describes it; clicking pins the description
+    const picker = createPicker(viewer, { describe: describePolyhedronPick });
+
+    // Measure edge lengths, distances from the centre and angles between corners
+    createMeasureTool(viewer, picker, {
+        modeSelect: document.getElementById('measure-mode'),
+        clearButton: document.getElementById('measure-clear')
+    });
+
+    // Export what is shown for 3D printing and other 3D software
+    createExportControls(viewer, {
+        glbButton: document.getElementById('export-glb'),
+        stlButton: document.getElementById('export-stl'),
+        objButton: document.getElementById('export-obj'),
+        sizeInput: document.getElementById('export-size'),
+        getFileName: () => getExportFileName()
+    });
+
+    // Save a large picture or a line drawing of the solid for worksheets
+    createSnapshotControls(viewer, {
+        pngButton: document.getElementById('snapshot-png'),
+        svgButton: document.getElementById('snapshot-svg'),
+        sizeInput: document.getElementById('snapshot-size'),
+        transparentCheckbox: document.getElementById('snapshot-transparent'),
+        getFileName: () => getExportFileName()
+    });
+}
+
+/**
+ * Returns a file name for exports, e.g. "cube" or "cube_truncated_0.50".
+ *
+ * @returns {string} The file name without extension
+ */
+function getExportFileName() {
+    const { solid, truncation } = polyhedronSettings;
+    return truncation > 0 ? `${solid}_truncated_${truncation.toFixed(2)}` : solid;
+}
+
+/**
+ * Reads the settings from the URL, e.g. #solid=icosahedron&truncation=0.5&dual=1.
+ * Unknown solids and invalid values keep their defaults.
+ */
+function readSettingsFromURL() {
+    const params = readURLParams();
+    if (POLYHEDRA[params.get('solid')]) {
+        polyhedronSettings.solid = params.get('solid');
+    }
+    const truncation = parseFloat(params.get('truncation'));
+    if (Number.isFinite(truncation)) {
+        polyhedronSettings.truncation = Math.min(1, Math.max(0, truncation));
+    }
+    ['dual', 'vertices', 'center'].forEach(name => {
+        if (params.has(name)) {
+            polyhedronSettings[name] = params.get(name) === '1';
+        }
+    });
+}
+
+/**
+ * Fills the solid menu from the library and connects the control panel.
+ * Every change rebuilds the solid immediately.
+ */
+function setupControlPanel() {
+    // One group of options per family
+    const solidSelect = document.getElementById('solid');
+    const groups = {};
+    Object.entries(POLYHEDRA).forEach(([key, solid]) => {
+        if (!groups[solid.family]) {
+            groups[solid.family] = document.createElement('optgroup');
+            groups[solid.family].label = `${solid.family} solids`;
+            solidSelect.appendChild(groups[solid.family]);
+        }
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = solid.name;
+        groups[solid.family].appendChild(option);
+    });
+    solidSelect.value = polyhedronSettings.solid;
+    solidSelect.addEventListener('change', () => {
+        polyhedronSettings.solid = solidSelect.value;
+        rebuildSolid();
+    });
+
+    const truncationInput = document.getElementById('truncation');
+    truncationInput.value = polyhedronSettings.truncation;
+    truncationInput.addEventListener('input', () => {
+        polyhedronSettings.truncation = parseFloat(truncationInput.value);
+        rebuildSolid();
+    });
+
+    // Set the exact amount that makes all edges equal, which the slider's steps would miss
+    document.getElementById('truncation-regular').addEventListener('click', () => {
+        const amount = regularTruncationAmount(buildPolyhedron(polyhedronSettings.solid));
+        if (amount === null) return;
+        polyhedronSettings.truncation = amount;
+        truncationInput.value = amount;
+        rebuildSolid();
+    });
+
+    ['dual', 'vertices', 'center'].forEach(name => {
+        const checkbox = document.getElementById(`show-${name}`);
+        checkbox.checked = polyhedronSettings[name];
+        checkbox.addEventListener('change', () => {
+            polyhedronSettings[name] = checkbox.checked;
+            rebuildSolid();
+        });
+    });
+}
+
+/**
+ * Rebuilds the solid from the current settings and updates its description and the URL.
+ */
+function rebuildSolid() {
+    viewer.rebuild();
+    updateSolidInfo();
+}
+
+/**
+ * Updates the title and the counts panel for the solid being shown, and the URL.
+ */
+function updateSolidInfo() {
+    const { polyhedron, dual } = viewer.content.userData;
+    const { solid, truncation } = polyhedronSettings;
+    const base = POLYHEDRA[solid];
+
+    // A truncation may give another solid of the library, e.g. the cube truncated to its
+    // edge midpoints is the cuboctahedron
+    const matchKey = truncation > 0 ? findMatchingSolid(polyhedron) : solid;
+    const match = matchKey ? POLYHEDRA[matchKey] : null;
+    let title = base.name;
+    if (truncation > 0) {
+        title = `${base.name} truncated by ${truncation.toFixed(2)}`;
+        if (match) title += ` = ${match.name}`;
+    }
+    document.getElementById('info').textContent = title;
+
+    const counts = countElements(polyhedron);
+    const isEulerValid = counts.eulerCharacteristic === 2;
+    const configurations = [...new Set(polyhedron.vertices.map((vertex, index) => vertexConfiguration(polyhedron, index)))];
+
+    const rows = [
+        ['Vertices (V)', counts.vertices],
+        ['Edges (E)', counts.edges],
+        ['Faces (F)', counts.faces],
+        ['V − E + F', `${counts.vertices} − ${counts.edges} + ${counts.faces} = ${counts.eulerCharacteristic} ${isEulerValid ? '✓' : '✗'}`],
+        ['Faces', describeFaceTypes(polyhedron)],
+        ['Vertex configuration', configurations.join(', ')]
+    ];
+    if (dual) {
+        const dualCounts = countElements(dual);
+        rows.push(['Dual', `${match ? match.dualName : 'Dual polyhedron'}: ` +
+            `V ${dualCounts.vertices}, E ${dualCounts.edges}, F ${dualCounts.faces}`]);
+    }
+
+    const tableBody = document.getElementById('solid-info-rows');
+    tableBody.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('th');
+        const valueCell = document.createElement('td');
+        labelCell.textContent = label;
+        valueCell.textContent = value;
+        row.append(labelCell, valueCell);
+        tableBody.appendChild(row);
+    });
+
+    // The regular truncation only exists when all faces have the same number of sides
+    document.getElementById('truncation-regular').disabled =
+        regularTruncationAmount(buildPolyhedron(solid)) === null;
+    document.getElementById('truncation-value').textContent = truncation.toFixed(2);
+
+    urlState.update();
+}
+
+/**
+ * Describes a picked corner or the centre for its tooltip.
+ *
+ * @param {Object} pick - The pick from createPicker(): {object}
+ * @returns {Object|null} The tooltip as {title, lines}, or null for faces and the dual
+ */
+function describePolyhedronPick({ object }) {
+    const { polyhedron } = viewer.content.userData;
+    const position = `Position: ${formatPosition(object.position.toArray())}`;
+
+    if (object.userData.vertexIndex !== undefined) {
+        const index = object.userData.vertexIndex;
+        return {
+            title: `Corner ${index + 1}`,
+            lines: [
+                position,
+                `Vertex configuration: ${vertexConfiguration(polyhedron, index)}`,
+                `Edges meeting here: ${neighboursInOrder(polyhedron, index).length}`
+            ]
+        };
+    }
+
+    if (object.userData.isCenter) {
+        return {
+            title: 'Center',
+            lines: [position, `Distance to the corners: ${object.position.distanceTo(new THREE.Vector3(...polyhedron.vertices[0])).toFixed(3)}`]
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Creates the solid from the settings: its faces and edges, the corner and centre markers
+ * and optionally the dual overlay.
+ *
+ * @param {Object} settings - The settings
+ * @param {string} settings.solid - A key of POLYHEDRA
+ * @param {number} settings.truncation - Truncation amount from 0 (none) to 1 (edge midpoints)
+ * @param {boolean} settings.dual - Whether to overlay the dual polyhedron
+ * @param {boolean} settings.vertices - Whether to mark the corners
+ * @param {boolean} settings.center - Whether to mark the centre
+ * @returns {THREE.Group} A group holding the solid; userData holds the polyhedron, its dual
+ *     and the solid's faces
+ */
+function createPolyhedronScene({ solid, truncation, dual, vertices, center }) {
+    const group = new THREE.Group();
+
+    const polyhedron = truncatePolyhedron(buildPolyhedron(solid), truncation);
+
+    const faces = createPolyhedronFaces(polyhedron, { color: FACE_COLOR });
+    faces.name = POLYHEDRA[solid].name;
+    group.add(faces);
+    group.add(createPolyhedronEdges(polyhedron));
+
+    // The dual's faces are fainter, so the solid stays readable through them
+    let dualPolyhedronShown = null;
+    if (dual) {
+        dualPolyhedronShown = dualPolyhedron(polyhedron);
+        const dualFaces = createPolyhedronFaces(dualPolyhedronShown, { color: DUAL_COLOR, opacity: 0.15 });
+        dualFaces.name = 'Dual';
+        group.add(dualFaces);
+        group.add(createPolyhedronEdges(dualPolyhedronShown, DUAL_COLOR));
+    }
+
+    if (center) {
+        const centerMarker = createCenterMarker([0, 0, 0]);
+        centerMarker.userData.isCenter = true;
+        group.add(centerMarker);
+    }
+
+    if (vertices) {
+        polyhedron.vertices.forEach((vertex, index) => {
+            const marker = createVertexMarker(vertex);
+            marker.userData.vertexIndex = index;
+            group.add(marker);
+        });
+    }
+
+    group.userData = { polyhedron, dual: dualPolyhedronShown, faces };
+    return group;
+}
+
+// Initialize the visualization when the page loads
+window.onload = init;
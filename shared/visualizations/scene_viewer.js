@@ -0,0 +1,383 @@
+/**
+ * Scene Viewer
+ *
+ * This script shows any scene written in the JSON scene format (shared/scenes/scene_schema.js),
+ * so a new visualization can be made by writing a JSON file instead of JavaScript. The three
+ * hand-written visualizations are included as example scenes:
+ * - chemistry/scenes/diamond.json: the diamond crystal structure
+ * - mathematics/scenes/rectangular_prism.json: the 2×5×11 prism of cubes colored by exposed faces
+ * - shared/scenes/tetrahedron_star.json: the five-tetrahedron star
+ * Two more show the five Platonic solids (shared/scenes/platonic_solids.json) and one of each
+ * kind of object (shared/scenes/scene_objects.json).
+ *
+ * Features:
+ * - Scenes loaded from the examples menu, a link (#scene=../scenes/my_scene.json), the
+ *   "Open scene" button or drag and drop
+ * - Every problem in a scene listed with where it is, e.g. 'scene.objects[2].radius: must be
+ *   greater than 0', leaving the current scene in place
+ * - Hover over an object to inspect it; measure distances and angles; slice; export; the URL
+ *   hash links to the scene, slice and view
+ *
+ * Scene files are downloaded, so the page must be served (e.g. python3 -m http.server from the
+ * repository root) to open linked scenes; scenes opened from disk work anywhere.
+ *
+ * The visualization is interactive and can be rotated by clicking and dragging with the mouse.
+ */
+
+import * as THREE from '../vendor/three/three.module.js';
+import { createExportControls } from '../export/scene_export.js';
+import { createSnapshotControls } from '../export/snapshot.js';
+import { countElements } from '../geometry/polyhedra.js';
+import { createSceneContent } from '../scenes/scene_builder.js';
+import { SceneError, parseScene } from '../scenes/scene_schema.js';
+import { createMeasureTool } from '../viewer/measure.js';
+import { createPicker, formatPosition } from '../viewer/picking.js';
+import { createSlicer } from '../viewer/slicing.js';
+import { createURLState, readURLParams } from '../viewer/url_state.js';
+import { DEFAULT_LIGHTS, createLight, createViewer } from '../viewer/viewer.js';
+
+// Global variables
+let viewer;
+let urlState;
+let slicer;
+
+// Example scenes, relative to this page
+const EXAMPLE_SCENES = [
+    { name: 'Rectangular prism', url: '../../mathematics/scenes/rectangular_prism.json' },
+    { name: 'Diamond crystal structure', url: '../../chemistry/scenes/diamond.json' },
+    { name: 'Five-tetrahedron star', url: '../scenes/tetrahedron_star.json' },
+    { name: 'The five Platonic solids', url: '../scenes/platonic_solids.json' },
+    { name: 'Kinds of scene object', url: '../scenes/scene_objects.json' }
+];
+
+// The scene being shown, once one has loaded
+let currentScene = null;
+
+// Address of the scene file shown (or being loaded), if it came from a link; files chosen or
+// dropped by the user cannot be linked to
+let sceneFileURL = EXAMPLE_SCENES[0].url;
+
+// Initialize the scene
+function init() {
+    // Read the scene given in the URL and connect the control panel
+    const linkedScene = readURLParams().get('scene');
+    if (linkedScene) sceneFileURL = linkedScene;
+    setupControlPanel();
+    setupFileLoading();
+
+    // Create the viewer; it stays empty until the scene file has loaded
+    viewer = createViewer({
+        builder: () => currentScene ? createSceneContent(currentScene) : new THREE.Group()
+    });
+
+    // Cut the scene's solids with a plane
+    slicer = createSlicer(viewer, {
+        enableCheckbox: document.getElementById('slice-enabled'),
+        presetSelect: document.getElementById('slice-preset'),
+        turnInput: document.getElementById('slice-turn'),
+        tiltInput: document.getElementById('slice-tilt'),
+        offsetInput: document.getElementById('slice-offset'),
+        infoElement: document.getElementById('slice-info'),
+        getSolids: () => (viewer.content.userData.objects || []).filter(object => object.isMesh),
+        unit: getSceneUnit,
+        onChange: () => urlState.update()
+    });
+
+    // Keep the scene file, slice and camera in the URL, and restore a linked view
+    urlState = createURLState(viewer, {
+        getParams: () => ({
+            scene: sceneFileURL,
+            ...slicer.getParams()
+        }),
+        copyButton: document.getElementById('copy-link')
+    });
+
+    // Hovering over an object describes it; clicking pins the description
+    const picker = createPicker(viewer, { describe: describeScenePick });
+
+    // Measure distances and angles in the scene's unit
+    createMeasureTool(viewer, picker, {
+        modeSelect: document.getElementById('measure-mode'),
+        clearButton: document.getElementById('measure-clear'),
+        unit: getSceneUnit
+    });
+
+    // Export what is shown for 3D printing and other 3D software
+    createExportControls(viewer, {
+        glbButton: document.getElementById('export-glb'),
+        stlButton: document.getElementById('export-stl'),
+        objButton: document.getElementById('export-obj'),
+        sizeInput: document.getElementById('export-size'),
+        getFileName: () => getExportFileName()
+    });
+
+    // Save a large picture or a line drawing of the scene for worksheets
+    createSnapshotControls(viewer, {
+        pngButton: document.getElementById('snapshot-png'),
+        svgButton: document.getElementById('snapshot-svg'),
+        sizeInput: document.getElementById('snapshot-size'),
+        transparentCheckbox: document.getElementById('snapshot-transparent'),
+        getFileName: () => getExportFileName()
+    });
+
+    // Placing the scene's camera must not undo a linked view
+    loadSceneFromURL(sceneFileURL).then(() => {
+        if (urlState.restoreView()) urlState.update();
+    });
+}
+
+/**
+ * Returns the unit of the scene's coordinates, for measurements and sections.
+ *
+ * @returns {string} The unit, e.g. 'Å'
+ */
+function getSceneUnit() {
+    return currentScene && currentScene.unit ? currentScene.unit : 'units';
+}
+
+/**
+ * Returns a file name for exports from the scene's title, e.g. "Tetrahedron_Star".
+ *
+ * @returns {string} The file name without extension
+ */
+function getExportFileName() {
+    return (currentScene ? currentScene.title : 'scene').replace(/[^\w-]+/g, '_');
+}
+
+/**
+ * Fills the examples menu and connects it.
+ */
+function setupControlPanel() {
+    const exampleSelect = document.getElementById('scene-example');
+    EXAMPLE_SCENES.forEach(({ name, url }) => {
+        const option = document.createElement('option');
+        option.value = url;
+        option.textContent = name;
+        exampleSelect.appendChild(option);
+    });
+    // Placeholder entry for a scene from a file or a link, shown once one is loaded
+    const loadedOption = document.createElement('option');
+    loadedOption.value = '';
+    loadedOption.id = 'loaded-option';
+    loadedOption.hidden = true;
+    exampleSelect.appendChild(loadedOption);
+
+    exampleSelect.addEventListener('change', () => {
+        if (exampleSelect.value) loadSceneFromURL(exampleSelect.value);
+    });
+}
+
+/**
+ * Connects the file button and drag and drop for opening .json scene files.
+ */
+function setupFileLoading() {
+    const fileInput = document.getElementById('file-input');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            loadSceneFromFile(fileInput.files[0]);
+        }
+        // Allow the same file to be chosen again after editing it
+        fileInput.value = '';
+    });
+
+    window.addEventListener('dragover', event => {
+        event.preventDefault();
+        document.body.classList.add('dragging');
+    });
+    window.addEventListener('dragleave', () => {
+        document.body.classList.remove('dragging');
+    });
+    window.addEventListener('drop', event => {
+        event.preventDefault();
+        document.body.classList.remove('dragging');
+        if (event.dataTransfer.files.length > 0) {
+            loadSceneFromFile(event.dataTransfer.files[0]);
+        }
+    });
+
+    document.getElementById('error-close').addEventListener('click', hideError);
+}
+
+/**
+ * Reads a scene file chosen or dropped by the user.
+ *
+ * @param {File} file - The file
+ */
+function loadSceneFromFile(file) {
+    file.text()
+        .then(text => showScene(text, file.name))
+        .catch(error => showError(`Could not read ${file.name}: ${error.message}`));
+}
+
+/**
+ * Downloads and shows a scene file.
+ *
+ * @param {string} url - Address of the .json file, relative to this page
+ * @returns {Promise} Settles once the scene is shown, or the problem reported
+ */
+function loadSceneFromURL(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`the server answered ${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        })
+        .then(text => showScene(text, url, url))
+        .catch(error => {
+            // Browsers do not let pages opened from disk download other files
+            const hint = window.location.protocol === 'file:'
+                ? ' Pages opened from disk cannot download scenes: serve the repository ' +
+                  '(e.g. python3 -m http.server) or use "Open scene".'
+                : '';
+            showError(`Could not load ${url}: ${error.message}.${hint}`);
+        });
+}
+
+/**
+ * Checks a scene file and shows it in place of the current scene, with its camera,
+ * background and lights. Problems are listed on screen and leave the current scene in place.
+ *
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name or URL, for messages
+ * @param {string|null} [fileURL=null] - Address the file was downloaded from, for links
+ */
+function showScene(text, fileName, fileURL = null) {
+    let scene;
+    try {
+        scene = parseScene(text);
+    } catch (error) {
+        if (!(error instanceof SceneError)) throw error;
+        showError(`Could not load ${fileName}: ${error.message}`, error.problems);
+        return;
+    }
+
+    currentScene = scene;
+    sceneFileURL = fileURL;
+    hideError();
+
+    // The menu shows the example, or the scene's title for any other file
+    const exampleSelect = document.getElementById('scene-example');
+    const loadedOption = document.getElementById('loaded-option');
+    const isExample = EXAMPLE_SCENES.some(example => example.url === fileURL);
+    loadedOption.textContent = `Loaded: ${scene.title}`;
+    loadedOption.hidden = isExample;
+    exampleSelect.value = isExample ? fileURL : '';
+
+    applySceneSettings(scene);
+    viewer.rebuild();
+    // Without a camera position, look at the whole scene from the front
+    if (!scene.camera || !scene.camera.position) viewer.frameContent();
+    updateSceneInfo();
+}
+
+/**
+ * Sets the background, lights, camera and rotation a scene asks for; settings it leaves out
+ * take the viewer's defaults.
+ *
+ * @param {Object} scene - A scene that passed validateScene()
+ */
+function applySceneSettings(scene) {
+    viewer.scene.background.set(scene.background || 0x111111);
+
+    viewer.scene.children.filter(child => child.isLight).forEach(light => viewer.scene.remove(light));
+    (scene.lights || DEFAULT_LIGHTS).forEach(light => viewer.scene.add(createLight(light)));
+
+    const { position = [0, 0, 5], target = [0, 0, 0], fov = 75 } = scene.camera || {};
+    viewer.camera.position.set(...position);
+    viewer.controls.target.set(...target);
+    viewer.camera.fov = fov;
+    viewer.camera.updateProjectionMatrix();
+    viewer.controls.update();
+
+    viewer.autoRotate = scene.autoRotate || null;
+    // A new scene starts unrotated
+    if (viewer.content) viewer.content.rotation.set(0, 0, 0);
+}
+
+/**
+ * Updates the title and the description panel for the scene being shown, and the URL.
+ */
+function updateSceneInfo() {
+    document.getElementById('info').textContent = currentScene.title;
+    document.title = `${currentScene.title} – Scene Viewer`;
+
+    const panel = document.getElementById('scene-info');
+    panel.innerHTML = '';
+    if (currentScene.description) {
+        const description = document.createElement('div');
+        description.textContent = currentScene.description;
+        panel.appendChild(description);
+    }
+
+    urlState.update();
+}
+
+/**
+ * Shows an error message on screen, with a list of problems below it.
+ *
+ * @param {string} message - The message
+ * @param {string[]} [problems=[]] - The problems found, one per line
+ */
+function showError(message, problems = []) {
+    document.getElementById('error-message').textContent = message;
+    const list = document.getElementById('error-problems');
+    list.innerHTML = '';
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
+    });
+    document.getElementById('error').style.display = 'block';
+}
+
+/**
+ * Hides the error message.
+ */
+function hideError() {
+    document.getElementById('error').style.display = 'none';
+}
+
+/**
+ * Describes a picked scene object for its tooltip.
+ *
+ * @param {Object} pick - The pick from createPicker(): {object, item, itemIndex}
+ * @returns {Object|null} The tooltip as {title, lines}, or null for edges and outlines
+ */
+function describeScenePick({ object, item, itemIndex }) {
+    const description = object.userData.sceneObject;
+    if (!description) return null;
+    const unit = getSceneUnit();
+
+    switch (description.type) {
+        case 'spheres':
+            return {
+                title: item.label || `${object.name} ${itemIndex + 1}`,
+                lines: [`Position: ${formatPosition(item.position)} ${unit}`, `Radius: ${item.radius} ${unit}`]
+            };
+        case 'cylinders': {
+            const length = Math.hypot(...item.end.map((value, axis) => value - item.start[axis]));
+            return {
+                title: item.label || `${object.name} ${itemIndex + 1}`,
+                lines: [`Length: ${length.toFixed(3)} ${unit}`]
+            };
+        }
+        case 'polyhedron': {
+            const counts = countElements(object.userData.polyhedron);
+            return {
+                title: object.name,
+                lines: [`Vertices: ${counts.vertices}, edges: ${counts.edges}, faces: ${counts.faces}`]
+            };
+        }
+        case 'cubeGrid':
+            return {
+                title: `Cube (${item.gridIndex.map(index => index + 1).join(', ')})`,
+                lines: [`Exposed faces: ${item.exposedFaces}`]
+            };
+        default:
+            return null;
+    }
+}
+
+// Initialize the visualization when the page loads
+window.onload = init;
@@ -1,21 +1,77 @@
 /**
- * Multiple Connected Tetrahedrons Visualization with Shared Corners
+ * Tetrahedron Clusters Visualization with Shared Corners
  *
- * This script visualizes 5 connected regular tetrahedrons, each with a point at its center.
- * The configuration consists of one central tetrahedron with 4 additional tetrahedrons,
- * where all corners (vertices) of each tetrahedron are shared with other tetrahedrons.
- * Specifically, each additional tetrahedron shares 3 vertices with the central tetrahedron,
- * creating a structure where every vertex is part of multiple tetrahedrons.
- * Each tetrahedron has a dot in its middle representing its geometric center.
+ * This script visualizes clusters of regular tetrahedrons, each with a point at its center,
+ * built exactly by shared/geometry/tetrahedra.js:
+ * - Star: one central tetrahedron with up to 4 more, one on each of its faces. Each outer
+ *   tetrahedron shares a face (3 corners) with the central one, so each central corner is
+ *   shared by 4 tetrahedrons, while each outer apex belongs to its own tetrahedron only.
+ *   The apex is the central tetrahedron's opposite corner reflected in the shared face.
+ * - Tetrahelix: the Boerdijk–Coxeter helix, a chain of face-sharing tetrahedrons
+ * - Ring: five tetrahedrons around a shared edge, which leave a gap of about 7.36°
+ * - Honeycomb: a patch of the tetrahedral-octahedral honeycomb, which fills space
+ *
+ * A regularity report shows the range of edge lengths and dihedral angles over all cells,
+ * and how many cells share each corner, so students can check that the cells are regular.
+ *
+ * A timeline (see shared/viewer/timeline.js) builds the cluster one cell at a time, each
+ * growing from its center point, e.g. the central tetrahedron first and then each neighbour
+ * on its faces. A corner appears once a cell it belongs to is complete.
+ *
+ * The first cell, e.g. the central tetrahedron, can be unfolded into its nets and
+ * downloaded as a printable SVG with glue tabs (see shared/viewer/unfolding.js).
+ *
+ * A quiz (shared/quizzes/tetrahedron.json) asks which corners are shared by how many cells,
+ * answered by clicking corners or typing numbers (see shared/viewer/quiz.js).
+ *
+ * The cluster and its size can be changed from the control panel, and the URL hash always
+ * links to the current cluster and view, e.g. #cluster=ring&count=5&camera=0,0,5
+ * (see shared/viewer/url_state.js).
  *
  * The visualization is interactive and can be rotated by clicking and dragging with the mouse.
  */
 
+import * as THREE from '../vendor/three/three.module.js';
+import { createExportControls } from '../export/scene_export.js';
+import { createSnapshotControls } from '../export/snapshot.js';
+import { surfaceArea } from '../geometry/nets.js';
+import {
+    averageVector,
+    createPolyhedron,
+    subtractVectors,
+    vectorLength
+} from '../geometry/polyhedra.js';
+import {
+    createCenterMarker,
+    createPolyhedronEdges,
+    createPolyhedronFaces,
+    createVertexMarker
+} from '../geometry/polyhedron_mesh.js';
+import {
+    CLUSTER_MODES,
+    OCTAHEDRON_DIHEDRAL_ANGLE,
+    TETRAHEDRON_DIHEDRAL_ANGLE,
+    analyzeCluster,
+    buildCluster,
+    ringGapAngle
+} from '../geometry/tetrahedra.js';
+import { createMeasureTool } from '../viewer/measure.js';
+import { createPicker, formatPosition } from '../viewer/picking.js';
+import { createQuiz } from '../viewer/quiz.js';
+import { createSlicer } from '../viewer/slicing.js';
+import { createTimeline } from '../viewer/timeline.js';
+import { createUnfoldTool } from '../viewer/unfolding.js';
+import { createURLState, readURLParams } from '../viewer/url_state.js';
+import { createViewer } from '../viewer/viewer.js';
+
 // Global variables
-let scene, camera, renderer, controls;
-let allTetrahedrons = [];
+let viewer;
+let urlState;
+let slicer;
+let timeline;
+let unfolder;
 
-// Colors for the tetrahedrons
+// Colors for the tetrahedrons, repeated for clusters of more than five
 const colors = [
     0x00FFFF, // cyan
     0x90EE90, // lightgreen
@@ -24,281 +80,497 @@ const colors = [
     0xFFB6C1  // lightpink
 ];
 
+// Names of the colors above, for tooltips
+const colorNames = ['cyan', 'light green', 'light blue', 'light yellow', 'light pink'];
+
+// Color of the octahedrons in the honeycomb
+const OCTAHEDRON_COLOR = 0xFFDAB9; // peach
+
+// Current settings: the kind of cluster (a key of CLUSTER_MODES) and its size
+const tetraSettings = {
+    cluster: 'star',
+    count: CLUSTER_MODES.star.defaultSize
+};
+
 // Initialize the scene
 function init() {
-    // Create scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x111111);
-
-    // Create camera
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.z = 5;
-
-    // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.body.appendChild(renderer.domElement);
-
-    // Add orbit controls for rotation
-    controls = new THREE.OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.25;
-    controls.screenSpacePanning = false;
-    controls.maxDistance = 100;
-
-    // Add lights
-    const ambientLight = new THREE.AmbientLight(0x404040);
-    scene.add(ambientLight);
-
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-    directionalLight.position.set(1, 1, 1);
-    scene.add(directionalLight);
-
-    // Create the tetrahedrons
-    createMultipleTetrahedrons();
-
-    // Add window resize handler
-    window.addEventListener('resize', onWindowResize, false);
-
-    // Start animation loop
-    animate();
-}
+    // Read the settings given in the URL and connect the control panel
+    readSettingsFromURL();
+    setupControlPanel();
+
+    // Create the viewer, which builds the tetrahedrons
+    viewer = createViewer({
+        builder: () => createTetrahedronCluster(tetraSettings),
+        cameraPosition: [0, 0, 5],
+        lights: [
+            { type: 'ambient', color: 0x404040 },
+            { type: 'directional', color: 0xffffff, intensity: 0.5, position: [1, 1, 1] }
+        ]
+    });
 
-/**
- * Creates a regular tetrahedron centered at the specified position.
- *
- * @param {THREE.Vector3} center - The center position of the tetrahedron (default: origin)
- * @param {number} scale - Scaling factor for the tetrahedron size (default: 1.0)
- * @returns {Object} An object containing the tetrahedron mesh and its center point
- */
-function createRegularTetrahedron(center = new THREE.Vector3(0, 0, 0), scale = 1.0) {
-    // Define the vertices of a regular tetrahedron
-    const vertices = [
-        new THREE.Vector3(1, 1, 1),     // Vertex 0
-        new THREE.Vector3(1, -1, -1),   // Vertex 1
-        new THREE.Vector3(-1, 1, -1),   // Vertex 2
-        new THREE.Vector3(-1, -1, 1)    // Vertex 3
-    ];
-
-    // Scale the vertices
-    vertices.forEach(vertex => {
-        vertex.multiplyScalar(scale);
-        vertex.add(center);
+    // Clusters differ a lot in size, so fit the camera to the one shown; a linked view
+    // restored below replaces this
+    viewer.frameContent();
+
+    // Cut the cells with a plane; x = 0 cuts the central tetrahedron in a square
+    slicer = createSlicer(viewer, {
+        enableCheckbox: document.getElementById('slice-enabled'),
+        presetSelect: document.getElementById('slice-preset'),
+        turnInput: document.getElementById('slice-turn'),
+        tiltInput: document.getElementById('slice-tilt'),
+        offsetInput: document.getElementById('slice-offset'),
+        infoElement: document.getElementById('slice-info'),
+        getSolids: () => viewer.content.userData.cellMeshes,
+        onChange: () => urlState.update()
     });
 
-    // Create geometry
-    const geometry = new THREE.BufferGeometry();
-
-    // Define the faces (triangles) of the tetrahedron
-    const indices = [
-        0, 1, 2,  // Face 1
-        0, 1, 3,  // Face 2
-        0, 2, 3,  // Face 3
-        1, 2, 3   // Face 4
-    ];
-
-    // Create positions array from vertices
-    const positions = [];
-    vertices.forEach(vertex => {
-        positions.push(vertex.x, vertex.y, vertex.z);
+    // Build the cluster up one cell at a time
+    timeline = createTimeline(viewer, {
+        playButton: document.getElementById('timeline-play'),
+        stepBackButton: document.getElementById('timeline-back'),
+        stepForwardButton: document.getElementById('timeline-forward'),
+        scrubInput: document.getElementById('timeline-scrub'),
+        captionElement: document.getElementById('timeline-caption'),
+        getSteps: () => createClusterSteps(tetraSettings.cluster, viewer.content.userData),
+        onChange: () => slicer.update()
     });
 
-    // Set attributes
-    geometry.setIndex(indices);
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    geometry.computeVertexNormals();
+    // Unfold the first cell into a net, exactly as it is built in the cluster
+    unfolder = createUnfoldTool(viewer, {
+        enableCheckbox: document.getElementById('net-enabled'),
+        netSelect: document.getElementById('net-choice'),
+        unfoldInput: document.getElementById('net-unfold'),
+        playButton: document.getElementById('net-play'),
+        svgButton: document.getElementById('net-svg'),
+        infoElement: document.getElementById('net-info'),
+        getSolid: () => createCellSolid(viewer.content.userData, 0),
+        describeArea: describeCellArea,
+        getFileName: () => `tetrahedrons_${tetraSettings.cluster}_cell1`,
+        onChange: () => urlState.update()
+    });
 
-    // Create edges geometry for wireframe
-    const edges = new THREE.EdgesGeometry(geometry);
-    const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x000000 }));
+    // Keep the cluster, its size, the slice, the net and the camera in the URL, and restore a linked view
+    urlState = createURLState(viewer, {
+        getParams: () => ({
+            cluster: tetraSettings.cluster,
+            count: tetraSettings.count,
+            ...slicer.getParams(),
+            ...unfolder.getParams()
+        }),
+        copyButton: document.getElementById('copy-link')
+    });
+    updateClusterInfo();
 
-    // Return the vertices for later use
-    return {
-        vertices: vertices,
-        geometry: geometry,
-        edges: line,
-        center: center.clone()
-    };
+    // Hovering over a corner shows which tetrahedrons share it; clicking pins the description
+    const picker = createPicker(viewer, { describe: describeVertexPick });
+
+    // Measure edge lengths, centre distances and angles between corners and centre points
+    const measureTool = createMeasureTool(viewer, picker, {
+        modeSelect: document.getElementById('measure-mode'),
+        clearButton: document.getElementById('measure-clear')
+    });
+
+    // Ask questions about the shared corners, answered by clicking corners or typing numbers;
+    // clicking answers the quiz or measures, whichever was chosen last
+    const quiz = createQuiz(viewer, picker, {
+        panel: document.getElementById('quiz'),
+        bodyElement: document.getElementById('quiz-body'),
+        openButton: document.getElementById('quiz-open'),
+        fileInput: document.getElementById('quiz-file'),
+        visualization: 'tetrahedron_visualization',
+        quizURL: '../quizzes/tetrahedron.json',
+        kinds: {
+            corner: {
+                label: 'corners',
+                getObjects: () => viewer.content.userData.cornerMarkers,
+                getProperties: ({ object }) => {
+                    const sharing = object.userData.sharedBy.map(index => viewer.content.userData.cells[index]);
+                    return {
+                        cells: sharing.length,
+                        tetrahedra: sharing.filter(cell => cell.type === 'tetrahedron').length,
+                        octahedra: sharing.filter(cell => cell.type === 'octahedron').length
+                    };
+                }
+            }
+        },
+        getSettings: () => ({ ...tetraSettings }),
+        onTakeClicks: () => measureTool.setMode('off')
+    });
+    document.getElementById('measure-mode').addEventListener('change', event => {
+        if (event.target.value !== 'off') quiz.stopPicking();
+    });
+
+    // Export what is shown for 3D printing and other 3D software
+    createExportControls(viewer, {
+        glbButton: document.getElementById('export-glb'),
+        stlButton: document.getElementById('export-stl'),
+        objButton: document.getElementById('export-obj'),
+        sizeInput: document.getElementById('export-size'),
+        getFileName: () => `tetrahedrons_${tetraSettings.cluster}_${tetraSettings.count}`
+    });
+
+    // Save a large picture or a line drawing of the cluster for worksheets
+    createSnapshotControls(viewer, {
+        pngButton: document.getElementById('snapshot-png'),
+        svgButton: document.getElementById('snapshot-svg'),
+        sizeInput: document.getElementById('snapshot-size'),
+        transparentCheckbox: document.getElementById('snapshot-transparent'),
+        getFileName: () => `tetrahedrons_${tetraSettings.cluster}_${tetraSettings.count}`
+    });
 }
 
 /**
- * Creates a 3D visualization of 5 connected regular tetrahedrons, each with a point at its center.
- * All corners (vertices) of each tetrahedron are shared with other tetrahedrons.
+ * Clamps a size setting to the range of a cluster mode.
+ *
+ * @param {string} mode - A key of CLUSTER_MODES
+ * @param {number} count - The requested size
+ * @returns {number} The size, a whole number in the mode's range
  */
-function createMultipleTetrahedrons() {
-    // Create a group to hold all tetrahedron objects
-    const tetraGroup = new THREE.Group();
-
-    // Define the scale for the tetrahedrons
-    const scale = 1.0;
+function clampCount(mode, count) {
+    const { minSize, maxSize } = CLUSTER_MODES[mode];
+    return Math.min(maxSize, Math.max(minSize, Math.round(count)));
+}
 
-    // Create a set of shared vertices that will be used by multiple tetrahedrons
-    // We'll create a structure where 5 tetrahedrons share all their vertices
+/**
+ * Reads the cluster and its size from the URL, e.g. #cluster=tetrahelix&count=20.
+ * Unknown clusters and invalid sizes keep their defaults.
+ */
+function readSettingsFromURL() {
+    const params = readURLParams();
+    if (CLUSTER_MODES[params.get('cluster')]) {
+        tetraSettings.cluster = params.get('cluster');
+        tetraSettings.count = CLUSTER_MODES[tetraSettings.cluster].defaultSize;
+    }
+    const count = parseInt(params.get('count'), 10);
+    if (Number.isFinite(count)) {
+        tetraSettings.count = clampCount(tetraSettings.cluster, count);
+    }
+}
 
-    // First, create the central tetrahedron
-    const centralTetra = createRegularTetrahedron(new THREE.Vector3(0, 0, 0), scale);
+/**
+ * Fills the cluster menu and connects the size input of the control panel.
+ * Every change rebuilds the cluster and fits the camera to it.
+ */
+function setupControlPanel() {
+    const clusterSelect = document.getElementById('cluster');
+    Object.entries(CLUSTER_MODES).forEach(([key, mode]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = mode.name;
+        clusterSelect.appendChild(option);
+    });
+    clusterSelect.value = tetraSettings.cluster;
+
+    const countInput = document.getElementById('count');
+    const showCountRange = () => {
+        const mode = CLUSTER_MODES[tetraSettings.cluster];
+        document.getElementById('count-label').textContent = mode.sizeLabel;
+        countInput.min = mode.minSize;
+        countInput.max = mode.maxSize;
+        countInput.value = tetraSettings.count;
+    };
+    showCountRange();
 
-    // Store all tetrahedrons in an array for easier access
-    const tetrahedrons = [];
-    tetrahedrons.push({
-        vertices: centralTetra.vertices,
-        center: centralTetra.center,
-        geometry: centralTetra.geometry,
-        edges: centralTetra.edges,
-        color: colors[0]
+    clusterSelect.addEventListener('change', () => {
+        tetraSettings.cluster = clusterSelect.value;
+        tetraSettings.count = CLUSTER_MODES[tetraSettings.cluster].defaultSize;
+        showCountRange();
+        rebuildCluster();
     });
 
-    // Now create 4 additional tetrahedrons that share vertices with the central one
-    // Each additional tetrahedron will share 3 vertices with the central tetrahedron
-    // and 1 new vertex that will be shared with the next tetrahedron
-
-    // Create 4 new vertices that will be used for the additional tetrahedrons
-    const newVertices = [];
-    for (let i = 0; i < 4; i++) {
-        // Create a new vertex in a direction that forms a regular tetrahedron with 3 vertices from the central tetrahedron
-        // We'll use 3 consecutive vertices from the central tetrahedron
-        const v1 = centralTetra.vertices[i];
-        const v2 = centralTetra.vertices[(i + 1) % 4];
-        const v3 = centralTetra.vertices[(i + 2) % 4];
-
-        // Calculate the center of these 3 vertices
-        const center = new THREE.Vector3()
-            .add(v1)
-            .add(v2)
-            .add(v3)
-            .divideScalar(3);
-
-        // Calculate a vector from this center to the opposite vertex of the central tetrahedron
-        const oppositeVertex = centralTetra.vertices[(i + 3) % 4];
-        const directionToOpposite = new THREE.Vector3()
-            .subVectors(oppositeVertex, center)
-            .normalize();
-
-        // Create a new vertex in the opposite direction at the same distance
-        // This ensures the new tetrahedron has the same size as the central one
-        const newVertex = new THREE.Vector3()
-            .subVectors(center, directionToOpposite.multiplyScalar(scale * 1.63));
-
-        newVertices.push(newVertex);
-    }
+    countInput.addEventListener('input', () => {
+        const count = parseInt(countInput.value, 10);
+        if (!Number.isFinite(count)) return;
+        tetraSettings.count = clampCount(tetraSettings.cluster, count);
+        rebuildCluster();
+    });
+    countInput.addEventListener('change', () => {
+        countInput.value = tetraSettings.count;
+    });
+}
 
-    // Create 4 additional tetrahedrons using the shared vertices
-    for (let i = 0; i < 4; i++) {
-        // Each additional tetrahedron uses 3 vertices from the central tetrahedron
-        // and 1 new vertex
-        const tetraVertices = [
-            centralTetra.vertices[i],
-            centralTetra.vertices[(i + 1) % 4],
-            centralTetra.vertices[(i + 2) % 4],
-            newVertices[i]
-        ];
-
-        // Calculate the center of this tetrahedron
-        const center = new THREE.Vector3();
-        tetraVertices.forEach(v => center.add(v));
-        center.divideScalar(4);
-
-        // Create geometry for this tetrahedron
-        const geometry = new THREE.BufferGeometry();
-
-        // Define the faces (triangles) of the tetrahedron
-        const indices = [
-            0, 1, 2,  // Face 1
-            0, 1, 3,  // Face 2
-            0, 2, 3,  // Face 3
-            1, 2, 3   // Face 4
-        ];
-
-        // Create positions array from vertices
-        const positions = [];
-        tetraVertices.forEach(vertex => {
-            positions.push(vertex.x, vertex.y, vertex.z);
-        });
+/**
+ * Rebuilds the cluster from the current settings, fits the camera to it and updates
+ * the title, regularity report and URL.
+ */
+function rebuildCluster() {
+    viewer.rebuild();
+    viewer.frameContent();
+    updateClusterInfo();
+}
 
-        // Set attributes
-        geometry.setIndex(indices);
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.computeVertexNormals();
-
-        // Create edges geometry for wireframe
-        const edges = new THREE.EdgesGeometry(geometry);
-        const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: 0x000000 }));
-
-        // Store this tetrahedron
-        tetrahedrons.push({
-            vertices: tetraVertices,
-            center: center,
-            geometry: geometry,
-            edges: line,
-            color: colors[i + 1]
-        });
+/**
+ * Updates the title and the regularity report for the cluster being shown, and the URL.
+ */
+function updateClusterInfo() {
+    const { cluster } = viewer.content.userData;
+    const report = analyzeCluster(cluster);
+    const degrees = angle => `${THREE.MathUtils.radToDeg(angle).toFixed(2)}°`;
+    const isEqual = ({ min, max }) => max - min <= 1e-9 * max;
+
+    document.getElementById('info').textContent = CLUSTER_MODES[tetraSettings.cluster].name;
+
+    const rows = [[
+        'Edge lengths',
+        `${report.edges.min.toFixed(4)} to ${report.edges.max.toFixed(4)}` +
+            (isEqual(report.edges) ? ', all equal ✓' : ' ✗')
+    ]];
+    [['tetrahedron', TETRAHEDRON_DIHEDRAL_ANGLE], ['octahedron', OCTAHEDRON_DIHEDRAL_ANGLE]].forEach(([type, regular]) => {
+        const angles = report.dihedralAngles[type];
+        if (!angles) return;
+        const isRegular = isEqual(angles) && Math.abs(angles.min - regular) < 1e-9;
+        rows.push([
+            `Dihedral angles (${type}s)`,
+            `${degrees(angles.min)} to ${degrees(angles.max)}, regular ${degrees(regular)} ${isRegular ? '✓' : '✗'}`
+        ]);
+    });
+    rows.push([
+        'Corners',
+        report.sharing
+            .map(({ cells, count }) => `${count} in ${cells} cell${cells === 1 ? '' : 's'}`)
+            .join(', ')
+    ]);
+    if (tetraSettings.cluster === 'ring') {
+        const gap = ringGapAngle(cluster);
+        const filled = cluster.cells.length;
+        rows.push([
+            'Gap around the shared edge',
+            `${degrees(gap)} = 360° − ${filled} × ${degrees(TETRAHEDRON_DIHEDRAL_ANGLE)}`
+        ]);
     }
 
-    // Add all tetrahedrons to the scene
-    tetrahedrons.forEach(tetra => {
-        // Create material with the tetrahedron's color
-        const material = new THREE.MeshPhongMaterial({
-            color: tetra.color,
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        });
-
-        // Create mesh and add to group
-        const mesh = new THREE.Mesh(tetra.geometry, material);
-        tetraGroup.add(mesh);
-        tetraGroup.add(tetra.edges);
-
-        // Add a sphere at the center of the tetrahedron
-        const centerSphere = new THREE.Mesh(
-            new THREE.SphereGeometry(0.1, 16, 16),
-            new THREE.MeshPhongMaterial({ color: 0xff0000 })
-        );
-        centerSphere.position.copy(tetra.center);
-        tetraGroup.add(centerSphere);
+    const tableBody = document.getElementById('regularity-rows');
+    tableBody.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('th');
+        const valueCell = document.createElement('td');
+        labelCell.textContent = label;
+        valueCell.textContent = value;
+        row.append(labelCell, valueCell);
+        tableBody.appendChild(row);
     });
 
-    // Add spheres at all vertices to highlight the shared corners
-    const addedVertices = new Set(); // To avoid adding the same vertex twice
-
-    tetrahedrons.forEach(tetra => {
-        tetra.vertices.forEach(vertex => {
-            // Create a unique key for this vertex
-            const key = `${vertex.x.toFixed(6)},${vertex.y.toFixed(6)},${vertex.z.toFixed(6)}`;
+    urlState.update();
+}
 
-            if (!addedVertices.has(key)) {
-                const vertexSphere = new THREE.Mesh(
-                    new THREE.SphereGeometry(0.08, 16, 16),
-                    new THREE.MeshPhongMaterial({ color: 0x0000ff })
-                );
-                vertexSphere.position.copy(vertex);
-                tetraGroup.add(vertexSphere);
+/**
+ * Describes the kinds of cells in a list, e.g. "4 tetrahedrons and 1 octahedron".
+ *
+ * @param {Object[]} cells - Cells from the cluster's userData
+ * @returns {string} The description
+ */
+function describeCellCounts(cells) {
+    const parts = [];
+    ['tetrahedron', 'octahedron'].forEach(type => {
+        const count = cells.filter(cell => cell.type === type).length;
+        if (count > 0) parts.push(`${count} ${type}${count === 1 ? '' : 's'}`);
+    });
+    return parts.join(' and ');
+}
 
-                addedVertices.add(key);
-            }
+/**
+ * Lists the timeline steps that build a cluster. Most clusters are built one cell per step,
+ * in the order they were put together; the honeycomb is built as its octahedrons and then
+ * the tetrahedrons between them, from the center outwards. Each cell grows from its center
+ * point.
+ *
+ * @param {string} mode - The cluster's mode, a key of CLUSTER_MODES
+ * @param {Object} parts - The cluster's userData from createTetrahedronCluster()
+ * @returns {Object[]} The steps as {caption, show(fraction)}, see createTimeline()
+ */
+function createClusterSteps(mode, { cells, cellParts, cornerMarkers }) {
+    // How far each cell has grown, from 0 to 1
+    const growth = new Array(cells.length).fill(1);
+    const degrees = angle => `${THREE.MathUtils.radToDeg(angle).toFixed(2)}°`;
+
+    const growCell = (index, fraction) => {
+        growth[index] = fraction;
+        const { objects, center } = cellParts[index];
+        objects.forEach(object => {
+            object.visible = fraction > 0;
+            object.scale.setScalar(fraction);
+            object.position.copy(center).multiplyScalar(1 - fraction);
+        });
+    };
+    const showCorners = () => {
+        cornerMarkers.forEach(marker => {
+            marker.visible = marker.userData.sharedBy.some(index => growth[index] === 1);
         });
+    };
+    // A step growing several cells grows them one after another
+    const createStep = (caption, indices) => ({
+        caption,
+        show: fraction => {
+            indices.forEach((index, rank) => growCell(index, THREE.MathUtils.clamp(fraction * indices.length - rank, 0, 1)));
+            showCorners();
+        }
     });
 
-    // Add the group to the scene
-    scene.add(tetraGroup);
+    if (mode === 'honeycomb') {
+        const byDistance = type => cells
+            .map((cell, index) => index)
+            .filter(index => cells[index].type === type)
+            .sort((a, b) => cellParts[a].center.length() - cellParts[b].center.length());
+        const octahedrons = byDistance('octahedron');
+        const tetrahedrons = byDistance('tetrahedron');
+        return [
+            [octahedrons, `The octahedrons first: ${describeCellCounts(octahedrons.map(index => cells[index]))}`],
+            [tetrahedrons, `Then tetrahedrons fill the gaps, so together they fill space: ${describeCellCounts(tetrahedrons.map(index => cells[index]))}`]
+        ]
+            .filter(([indices]) => indices.length > 0)
+            .map(([indices, caption]) => createStep(caption, indices));
+    }
+
+    return cells.map((cell, index) => {
+        if (index === 0) {
+            return createStep(mode === 'star' ? 'The central tetrahedron' : 'The first tetrahedron', [0]);
+        }
+        if (mode === 'star') {
+            return createStep(`${cell.name} on a face of the central one: its apex is the opposite corner reflected in that face`, [index]);
+        }
+        if (mode === 'ring') {
+            const left = 2 * Math.PI - (index + 1) * TETRAHEDRON_DIHEDRAL_ANGLE;
+            return createStep(`${cell.name}, turned a further ${degrees(TETRAHEDRON_DIHEDRAL_ANGLE)} about the shared edge: ` +
+                `${degrees(left)} left around it`, [index]);
+        }
+        return createStep(`${cell.name} on a face of the one before, so the chain twists into a helix`, [index]);
+    });
 }
 
 /**
- * Handle window resize
+ * Describes one cell of the cluster for unfolding into a net.
+ *
+ * @param {Object} parts - The cluster's parts from createTetrahedronCluster(): {cluster, cells}
+ * @param {number} index - Index of the cell
+ * @returns {Object} The solid for createUnfoldTool(): {polyhedron, name, faceColors}
  */
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function createCellSolid({ cluster, cells }, index) {
+    const cell = cells[index];
+    return {
+        polyhedron: createPolyhedron(cell.vertices.map(vertex => cluster.vertices[vertex])),
+        name: cell.name,
+        faceColors: cell.color
+    };
 }
 
 /**
- * Animation loop
+ * Works out the surface area of a cell from its edge length. Every face of the cells is an
+ * equilateral triangle, of area (√3/4)a².
+ *
+ * @param {Object} polyhedron - The cell's polyhedron
+ * @returns {string} The working, e.g. "Surface area = 4 × (√3/4)a² = 6.93 with edge a = 2"
  */
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
-    renderer.render(scene, camera);
+function describeCellArea(polyhedron) {
+    const [a, b] = polyhedron.edges[0];
+    const edge = vectorLength(subtractVectors(polyhedron.vertices[a], polyhedron.vertices[b]));
+    const faces = polyhedron.faces.length;
+    return `Surface area = ${faces} × (√3/4)a² = ${surfaceArea(polyhedron).toFixed(2)} with edge a = ${Number(edge.toFixed(4))}`;
+}
+
+/**
+ * Describes a picked corner or center point for its tooltip: the cells that share a
+ * corner, or the cell a center point belongs to.
+ *
+ * @param {Object} pick - The pick from createPicker(): {object}
+ * @returns {Object|null} The tooltip as {title, lines}, or null for the faces and edges
+ */
+function describeVertexPick({ object }) {
+    const { sharedBy, centerOf } = object.userData;
+    const { cells } = viewer.content.userData;
+    const position = `Position: ${formatPosition(object.position.toArray())}`;
+    const describeCell = cell => `${cell.name} (${cell.isCentral ? 'central, ' : ''}${cell.colorName})`;
+
+    if (centerOf !== undefined) {
+        const cell = cells[centerOf];
+        return {
+            title: `Center of ${cell.name.toLowerCase()}`,
+            lines: [position, `Color: ${cell.colorName}${cell.isCentral ? ' (central)' : ''}`]
+        };
+    }
+
+    if (!sharedBy) return null;
+
+    const sharing = sharedBy.map(index => cells[index]);
+    return {
+        title: sharing.length === 1
+            ? `Corner of ${sharing[0].name.toLowerCase()} only`
+            : `Corner shared by ${describeCellCounts(sharing)}`,
+        lines: [position, ...sharing.map(describeCell)]
+    };
+}
+
+/**
+ * Creates a cluster of regular tetrahedrons (and, in the honeycomb, octahedrons), each cell
+ * with a point at its center and a sphere on every corner. A corner shared by several cells
+ * is drawn once and remembers which cells share it.
+ *
+ * @param {Object} settings - The settings
+ * @param {string} settings.cluster - A key of CLUSTER_MODES
+ * @param {number} settings.count - The cluster's size setting
+ * @returns {THREE.Group} A group holding the cells, their center points and corners;
+ *     userData holds the cluster, a description of each cell, the cells' meshes, each
+ *     cell's objects and center for the timeline, and the corner markers
+ */
+function createTetrahedronCluster({ cluster: mode, count }) {
+    // Create a group to hold all tetrahedron objects
+    const tetraGroup = new THREE.Group();
+
+    // Compute the corners of every cell exactly (see shared/geometry/tetrahedra.js)
+    const cluster = buildCluster(mode, count);
+
+    // Number the tetrahedrons and octahedrons separately, and color them
+    const counters = { tetrahedron: 0, octahedron: 0 };
+    const cells = cluster.cells.map((cell, index) => {
+        const number = ++counters[cell.type];
+        const isOctahedron = cell.type === 'octahedron';
+        return {
+            ...cell,
+            name: `${isOctahedron ? 'Octahedron' : 'Tetrahedron'} ${number}`,
+            color: isOctahedron ? OCTAHEDRON_COLOR : colors[(number - 1) % colors.length],
+            colorName: isOctahedron ? 'peach' : colorNames[(number - 1) % colors.length],
+            isCentral: mode === 'star' && index === 0
+        };
+    });
+
+    // Add all cells to the scene, keeping each cell's objects together for the timeline
+    const cellMeshes = [];
+    const cellParts = [];
+    cells.forEach((cell, index) => {
+        const polyhedron = createPolyhedron(cell.vertices.map(vertex => cluster.vertices[vertex]));
+
+        const mesh = createPolyhedronFaces(polyhedron, { color: cell.color });
+        mesh.name = cell.name;
+        tetraGroup.add(mesh);
+        cellMeshes.push(mesh);
+        const edges = createPolyhedronEdges(polyhedron);
+        tetraGroup.add(edges);
+
+        // Add a sphere at the center of the cell
+        const center = averageVector(polyhedron.vertices);
+        const centerSphere = createCenterMarker(center);
+        centerSphere.userData.centerOf = index;
+        tetraGroup.add(centerSphere);
+
+        // The center sphere is placed at the center, so it stays there as the cell grows
+        cellParts.push({ objects: [mesh, edges], center: new THREE.Vector3(...center) });
+    });
+
+    // Add spheres at all corners to highlight the shared corners
+    const cornerMarkers = [];
+    cluster.vertices.forEach((vertex, vertexIndex) => {
+        const vertexSphere = createVertexMarker(vertex);
+
+        // Record which cells (by index into cells) use this corner
+        vertexSphere.userData.sharedBy = cells
+            .map((cell, index) => cell.vertices.includes(vertexIndex) ? index : -1)
+            .filter(index => index !== -1);
+        tetraGroup.add(vertexSphere);
+        cornerMarkers.push(vertexSphere);
+    });
+
+    tetraGroup.userData = { cluster, cells, cellMeshes, cellParts, cornerMarkers };
+    return tetraGroup;
 }
 
 // Initialize the visualization when the page loads
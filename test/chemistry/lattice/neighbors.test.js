@@ -0,0 +1,160 @@
+/**
+ * Tests for the spatial-hash bond search (chemistry/lattice/neighbors.js): it must find the
+ * same bonds as checking every pair of atoms, for every crystal preset, for random clouds of
+ * atoms and with per-element cutoffs.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { mulberry32 } from '../../../chemistry/lattice/defects.js';
+import { CRYSTAL_PRESETS, generateCrystal } from '../../../chemistry/lattice/lattice.js';
+import {
+    MIN_BOND_DISTANCE,
+    covalentBondCutoff,
+    createBondCutoffFunction,
+    findBonds
+} from '../../../chemistry/lattice/neighbors.js';
+
+/**
+ * Finds bonds by checking every pair of atoms, the search the spatial hash replaces.
+ *
+ * @param {Object[]} atoms - Atoms as {element, position: [x, y, z]}
+ * @param {Object} [options] - Cutoff options, see createBondCutoffFunction()
+ * @returns {Object[]} Bonds as {i, j, distance}
+ */
+function findBondsByAllPairs(atoms, options = {}) {
+    const cutoffFor = createBondCutoffFunction(options);
+    const bonds = [];
+    for (let i = 0; i < atoms.length; i++) {
+        for (let j = i + 1; j < atoms.length; j++) {
+            const distance = Math.hypot(...atoms[i].position.map((value, axis) => value - atoms[j].position[axis]));
+            if (distance < cutoffFor(atoms[i].element, atoms[j].element) && distance > MIN_BOND_DISTANCE) {
+                bonds.push({ i, j, distance });
+            }
+        }
+    }
+    return bonds;
+}
+
+/**
+ * Checks that findBonds() finds exactly the bonds of the all-pairs search, at the same lengths.
+ *
+ * @param {Object[]} atoms - The atoms
+ * @param {Object} [options] - Cutoff options
+ * @returns {Object[]} The bonds found
+ */
+function assertSameBonds(atoms, options = {}) {
+    const bonds = findBonds(atoms, options);
+    const expected = findBondsByAllPairs(atoms, options);
+    const byPair = bond => `${bond.i}-${bond.j}`;
+    assert.deepEqual(bonds.map(byPair).sort(), expected.map(byPair).sort());
+
+    const lengths = new Map(expected.map(bond => [byPair(bond), bond.distance]));
+    bonds.forEach(bond => {
+        assert.ok(bond.i < bond.j, `bond ${byPair(bond)} is not ordered`);
+        assert.ok(Math.abs(bond.distance - lengths.get(byPair(bond))) < 1e-9);
+    });
+    return bonds;
+}
+
+/**
+ * Counts the bonds of each atom.
+ *
+ * @param {number} atomCount - Number of atoms
+ * @param {Object[]} bonds - Bonds as {i, j}
+ * @returns {number[]} The number of bonds of each atom
+ */
+function countBonds(atomCount, bonds) {
+    const counts = new Array(atomCount).fill(0);
+    bonds.forEach(({ i, j }) => {
+        counts[i]++;
+        counts[j]++;
+    });
+    return counts;
+}
+
+describe('findBonds', () => {
+    Object.entries(CRYSTAL_PRESETS).forEach(([id, preset]) => {
+        test(`finds the same bonds as the all-pairs search in a 3×3×3 ${id} supercell`, () => {
+            const { atoms } = generateCrystal(preset, [3, 3, 3]);
+            const bonds = assertSameBonds(atoms, preset);
+            assert.ok(bonds.length > 0);
+        });
+    });
+
+    test('finds the same bonds as the all-pairs search in random clouds of mixed elements', () => {
+        const elements = ['H', 'C', 'N', 'O', 'Si', 'Fe', 'Cs'];
+        for (let seed = 1; seed <= 20; seed++) {
+            const random = mulberry32(seed);
+            const size = 2 + random() * 10;
+            const atoms = Array.from({ length: 150 }, () => ({
+                element: elements[Math.floor(random() * elements.length)],
+                position: [random() * size - size / 2, random() * size, -random() * size]
+            }));
+            assertSameBonds(atoms);
+            assertSameBonds(atoms, { bondCutoffs: { 'Cs-Cs': 0, 'Fe-Fe': 2.7, 'H-O': 1.2 } });
+        }
+    });
+
+    test('gives the 1.54 Å bonds of diamond, four to each atom inside the supercell', () => {
+        const { atoms } = generateCrystal(CRYSTAL_PRESETS.diamond, [3, 3, 3]);
+        const bonds = findBonds(atoms, CRYSTAL_PRESETS.diamond);
+        bonds.forEach(bond => assert.ok(Math.abs(bond.distance - 3.567 * Math.sqrt(3) / 4) < 1e-6));
+        assert.equal(Math.max(...countBonds(atoms.length, bonds)), 4);
+    });
+
+    test('never bonds a pair with a cutoff of 0, as Cs-Cs in caesium chloride', () => {
+        const preset = CRYSTAL_PRESETS.cscl;
+        const { atoms } = generateCrystal(preset, [3, 3, 3]);
+        const isCsPair = ({ i, j }) => atoms[i].element === 'Cs' && atoms[j].element === 'Cs';
+
+        // Caesium's covalent radius alone would bond the Cs ions 4.12 Å apart
+        assert.ok(findBonds(atoms).some(isCsPair));
+
+        const bonds = findBonds(atoms, preset);
+        assert.ok(!bonds.some(isCsPair));
+        assert.ok(bonds.every(({ i, j }) => atoms[i].element !== atoms[j].element));
+        assert.equal(Math.max(...countBonds(atoms.length, bonds)), 8);
+    });
+
+    test('uses a longer or shorter cutoff given for a pair, as Fe-Fe: 2.7 in iron', () => {
+        const preset = CRYSTAL_PRESETS.bcc;
+        const { atoms } = generateCrystal(preset, [3, 3, 3]);
+
+        // The covalent rule (3.04 Å) also bonds the next-nearest neighbours along the cell edges
+        assert.ok(covalentBondCutoff('Fe', 'Fe') > preset.cell.a);
+        assert.ok(findBonds(atoms).some(bond => Math.abs(bond.distance - preset.cell.a) < 1e-6));
+
+        const bonds = findBonds(atoms, preset);
+        const nearest = preset.cell.a * Math.sqrt(3) / 2;
+        bonds.forEach(bond => assert.ok(Math.abs(bond.distance - nearest) < 1e-6));
+        assert.equal(Math.max(...countBonds(atoms.length, bonds)), 8);
+    });
+
+    test('reads a pair cutoff given in either order', () => {
+        const { atoms } = generateCrystal(CRYSTAL_PRESETS.nacl, [2, 2, 2]);
+        assert.ok(findBonds(atoms).length > 0);
+        assert.deepEqual(findBonds(atoms, { bondCutoffs: { 'Na-Cl': 0 } }), []);
+        assert.deepEqual(findBonds(atoms, { bondCutoffs: { 'Cl-Na': 0 } }), []);
+    });
+
+    test('does not bond atoms closer than MIN_BOND_DISTANCE, such as overlapping sites', () => {
+        const pair = distance => [
+            { element: 'C', position: [1, 2, 3] },
+            { element: 'C', position: [1 + distance, 2, 3] }
+        ];
+        assert.deepEqual(findBonds(pair(MIN_BOND_DISTANCE / 2)), []);
+        assert.equal(findBonds(pair(1.5)).length, 1);
+        assertSameBonds(pair(MIN_BOND_DISTANCE / 2));
+    });
+
+    test('finds no bonds among 0 or 1 atoms, or when every cutoff is 0', () => {
+        assert.deepEqual(findBonds([]), []);
+        assert.deepEqual(findBonds([{ element: 'C', position: [0, 0, 0] }]), []);
+        const caesium = [
+            { element: 'Cs', position: [0, 0, 0] },
+            { element: 'Cs', position: [3, 0, 0] }
+        ];
+        assert.deepEqual(findBonds(caesium, { bondCutoffs: { 'Cs-Cs': 0 } }), []);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the bond analysis (chemistry/lattice/topology.js): histograms must work for any
+ * number of values, including the hundreds of thousands of bond angles of the largest
+ * supercells the page allows.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { CRYSTAL_PRESETS, generateCrystal } from '../../../chemistry/lattice/lattice.js';
+import { findBonds } from '../../../chemistry/lattice/neighbors.js';
+import { analyseTopology, histogram, measureBondAngles, valueRange } from '../../../chemistry/lattice/topology.js';
+
+// The angles between the 12 nearest neighbours of a face-centred cubic atom
+const FCC_BOND_ANGLES = [60, 90, 120, 180];
+
+describe('valueRange', () => {
+    test('finds the smallest and largest value', () => {
+        assert.deepEqual(valueRange([3, -1.5, 7, 0]), { min: -1.5, max: 7 });
+        assert.deepEqual(valueRange([]), { min: Infinity, max: -Infinity });
+    });
+
+    test('handles more values than a function takes as arguments', () => {
+        const values = Array.from({ length: 500000 }, (value, index) => (index * 7919) % 100003);
+        assert.deepEqual(valueRange(values), { min: 0, max: 100002 });
+    });
+});
+
+describe('histogram', () => {
+    test('counts values into bins starting at a multiple of the bin width', () => {
+        assert.deepEqual(histogram([4, 5.5, 6, 9.9], 2), { start: 4, binWidth: 2, counts: [2, 1, 1] });
+        assert.deepEqual(histogram([], 2), { start: 0, binWidth: 2, counts: [] });
+    });
+
+    test('counts more values than a function takes as arguments', () => {
+        const values = Array.from({ length: 500000 }, (value, index) => 10 + index % 3);
+        const { start, counts } = histogram(values, 1);
+        assert.equal(start, 10);
+        assert.deepEqual(counts, [166667, 166667, 166666]);
+    });
+});
+
+describe('analyseTopology', () => {
+    test('gives the bond angle histogram of the largest face-centred cubic supercell', () => {
+        const preset = CRYSTAL_PRESETS.fcc;
+        const crystal = generateCrystal(preset, [10, 10, 10]);
+        const bonds = findBonds(crystal.atoms, preset);
+        const angles = measureBondAngles(crystal.atoms, bonds);
+        assert.ok(angles.length > 200000, `only ${angles.length} angles`);
+
+        const { histogram: { start, binWidth, counts }, mean } = analyseTopology(crystal, bonds, preset).bondAngles;
+        assert.equal(counts.reduce((sum, count) => sum + count, 0), angles.length);
+        assert.ok(Math.abs(mean - angles.reduce((sum, angle) => sum + angle, 0) / angles.length) < 1e-9);
+
+        // Every angle is one of the four of the lattice, so only the bins around them are filled
+        counts.forEach((count, bin) => {
+            if (count === 0) return;
+            const middle = start + (bin + 0.5) * binWidth;
+            assert.ok(FCC_BOND_ANGLES.some(angle => Math.abs(middle - angle) <= binWidth),
+                `${count} angles in the bin from ${middle - binWidth / 2}°`);
+        });
+        FCC_BOND_ANGLES.forEach(angle => assert.ok(angles.some(value => Math.abs(value - angle) < 1e-6),
+            `no ${angle}° angle`));
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for the watertight solids of STL exports (shared/export/solidify.js): the merged mesh
+ * must be closed, with every edge shared by exactly two triangles wound in opposite
+ * directions, and face outwards.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { convexVertices, createDistanceFunction, solidifyPrimitives } from '../../../shared/export/solidify.js';
+
+// A coarse grid keeps the tests quick; the mesh is closed at any resolution
+const MAX_CELLS = 32;
+
+/**
+ * Describes an axis-aligned cube as a convex primitive.
+ *
+ * @param {number[]} center - Its centre
+ * @param {number} size - Its edge length
+ * @returns {Object} The primitive
+ */
+function cube(center, size) {
+    const planes = [];
+    [0, 1, 2].forEach(axis => [1, -1].forEach(sign => {
+        const normal = [0, 0, 0];
+        normal[axis] = sign;
+        planes.push({ normal, offset: sign * center[axis] + size / 2 });
+    }));
+    return { type: 'convex', planes };
+}
+
+/**
+ * Checks that a mesh is closed: every directed edge a → b is matched by exactly one b → a,
+ * and no directed edge is used twice.
+ *
+ * @param {Object} mesh - The mesh as {positions, indices}
+ */
+function assertWatertight({ positions, indices }) {
+    assert.ok(indices.length > 0, 'the mesh has no triangles');
+    assert.equal(indices.length % 3, 0);
+
+    const directed = new Map();
+    for (let t = 0; t < indices.length; t += 3) {
+        const corners = [indices[t], indices[t + 1], indices[t + 2]];
+        assert.equal(new Set(corners).size, 3, `triangle ${t / 3} repeats a vertex`);
+        corners.forEach((vertex, index) => {
+            assert.ok(vertex < positions.length / 3, `triangle ${t / 3} uses a missing vertex`);
+            const key = `${vertex}>${corners[(index + 1) % 3]}`;
+            directed.set(key, (directed.get(key) || 0) + 1);
+        });
+    }
+    directed.forEach((count, key) => {
+        assert.equal(count, 1, `edge ${key} is used by ${count} triangles`);
+        const [a, b] = key.split('>');
+        assert.equal(directed.get(`${b}>${a}`), 1, `edge ${key} has no opposite edge`);
+    });
+}
+
+/**
+ * Works out the volume enclosed by a closed mesh; positive when its triangles face outwards.
+ *
+ * @param {Object} mesh - The mesh as {positions, indices}
+ * @returns {number} The signed volume
+ */
+function signedVolume({ positions, indices }) {
+    let volume = 0;
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map(vertex =>
+            [positions[vertex * 3], positions[vertex * 3 + 1], positions[vertex * 3 + 2]]);
+        volume += (
+            a[0] * (b[1] * c[2] - b[2] * c[1]) -
+            a[1] * (b[0] * c[2] - b[2] * c[0]) +
+            a[2] * (b[0] * c[1] - b[1] * c[0])
+        ) / 6;
+    }
+    return volume;
+}
+
+/**
+ * Counts the vertices, edges and faces of a mesh for its Euler characteristic.
+ *
+ * @param {Object} mesh - The mesh as {positions, indices}
+ * @returns {number} V − E + F, 2 for a closed surface without holes
+ */
+function eulerCharacteristic({ positions, indices }) {
+    const edges = new Set();
+    for (let t = 0; t < indices.length; t += 3) {
+        for (let index = 0; index < 3; index++) {
+            const a = indices[t + index], b = indices[t + (index + 1) % 3];
+            edges.add(a < b ? `${a}-${b}` : `${b}-${a}`);
+        }
+    }
+    return positions.length / 3 - edges.size + indices.length / 3;
+}
+
+describe('solidifyPrimitives', () => {
+    test('gives an empty mesh for no primitives', () => {
+        const mesh = solidifyPrimitives([]);
+        assert.equal(mesh.positions.length, 0);
+        assert.equal(mesh.indices.length, 0);
+    });
+
+    test('closes a sphere, facing outwards, with about its volume', () => {
+        const mesh = solidifyPrimitives([{ type: 'sphere', center: [1, -2, 0.5], radius: 1.5 }], { maxCells: MAX_CELLS });
+        assertWatertight(mesh);
+        assert.equal(eulerCharacteristic(mesh), 2);
+        const expected = 4 / 3 * Math.PI * 1.5 ** 3;
+        assert.ok(Math.abs(signedVolume(mesh) - expected) < expected * 0.05, `volume ${signedVolume(mesh)}`);
+    });
+
+    test('closes a cylinder and a cube', () => {
+        const cylinder = solidifyPrimitives([{ type: 'cylinder', start: [0, 0, 0], end: [1, 2, 3], radius: 0.4 }],
+            { maxCells: MAX_CELLS });
+        assertWatertight(cylinder);
+        const expected = Math.PI * 0.4 ** 2 * Math.hypot(1, 2, 3);
+        assert.ok(Math.abs(signedVolume(cylinder) - expected) < expected * 0.1, `volume ${signedVolume(cylinder)}`);
+
+        const box = solidifyPrimitives([cube([0, 0, 0], 2)], { maxCells: MAX_CELLS });
+        assertWatertight(box);
+        assert.ok(Math.abs(signedVolume(box) - 8) < 8 * 0.1, `volume ${signedVolume(box)}`);
+    });
+
+    test('merges overlapping atoms, bonds and cubes into one closed surface', () => {
+        const mesh = solidifyPrimitives([
+            { type: 'sphere', center: [0, 0, 0], radius: 0.5 },
+            { type: 'sphere', center: [1.5, 0, 0], radius: 0.5 },
+            { type: 'cylinder', start: [0, 0, 0], end: [1.5, 0, 0], radius: 0.15 },
+            cube([0.75, 1, 0], 1),
+            cube([1.25, 1.2, 0.3], 1)
+        ], { maxCells: MAX_CELLS });
+        assertWatertight(mesh);
+        assert.ok(signedVolume(mesh) > 0);
+        assert.equal(eulerCharacteristic(mesh), 2);
+    });
+
+    test('keeps parts that do not touch as separate closed surfaces', () => {
+        const mesh = solidifyPrimitives([
+            { type: 'sphere', center: [0, 0, 0], radius: 0.5 },
+            { type: 'sphere', center: [3, 0, 0], radius: 0.5 }
+        ], { maxCells: MAX_CELLS });
+        assertWatertight(mesh);
+        assert.equal(eulerCharacteristic(mesh), 4);
+    });
+});
+
+describe('convex primitives', () => {
+    test('have the corners of their planes and a signed distance, negative inside', () => {
+        const primitive = cube([1, 1, 1], 2);
+        const corners = convexVertices(primitive.planes);
+        assert.equal(corners.length, 8);
+        corners.forEach(corner => corner.forEach(value => assert.ok(Math.abs(value) < 1e-9 || Math.abs(value - 2) < 1e-9)));
+
+        const distance = createDistanceFunction(primitive);
+        assert.ok(distance(1, 1, 1) < 0);
+        assert.ok(Math.abs(distance(3, 1, 1) - 1) < 1e-9);
+    });
+});
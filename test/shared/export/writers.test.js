@@ -0,0 +1,155 @@
+/**
+ * Tests for the 3D file writers (shared/export/writers.js): the binary layout of STL and glTF
+ * files, and the text of OBJ files and their material libraries.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { escapeXML, writeGLB, writeOBJ, writeSTL } from '../../../shared/export/writers.js';
+
+// A unit right triangle in the z = 0 plane, wound counter-clockwise seen from +z
+const TRIANGLE = {
+    name: 'Triangle',
+    positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+    color: [1, 0, 0]
+};
+
+// A tetrahedron with indexed faces, normals and a see-through material
+const TETRAHEDRON = {
+    name: 'See through',
+    positions: new Float32Array([1, 1, 1, 1, -1, -1, -1, 1, -1, -1, -1, 1]),
+    normals: new Float32Array([1, 1, 1, 1, -1, -1, -1, 1, -1, -1, -1, 1].map(value => value / Math.sqrt(3))),
+    indices: new Uint32Array([0, 1, 2, 0, 3, 1, 0, 2, 3, 1, 3, 2]),
+    color: [0, 0.5, 1],
+    opacity: 0.25,
+    doubleSided: true
+};
+
+describe('writeSTL', () => {
+    test('writes the header, the triangle count and 50 bytes per triangle', () => {
+        const file = writeSTL([TRIANGLE, TETRAHEDRON], { header: 'Test header' });
+        const view = new DataView(file);
+        assert.equal(file.byteLength, 84 + 5 * 50);
+        assert.equal(new TextDecoder().decode(new Uint8Array(file, 0, 11)), 'Test header');
+        assert.ok(new Uint8Array(file, 11, 69).every(byte => byte === 0));
+        assert.equal(view.getUint32(80, true), 5);
+    });
+
+    test('keeps the default header from starting with "solid", which marks text STL files', () => {
+        const header = new TextDecoder().decode(new Uint8Array(writeSTL([TRIANGLE]), 0, 5));
+        assert.notEqual(header, 'solid');
+    });
+
+    test('writes each facet normal from the winding, then the scaled corners', () => {
+        const view = new DataView(writeSTL([TRIANGLE], { scale: 10 }));
+        const floats = Array.from({ length: 12 }, (value, index) => view.getFloat32(84 + index * 4, true));
+        assert.deepEqual(floats, [0, 0, 1, 0, 0, 0, 10, 0, 0, 0, 10, 0]);
+        assert.equal(view.getUint16(84 + 48, true), 0);
+    });
+});
+
+describe('writeGLB', () => {
+    /**
+     * Splits a .glb file into its header and chunks, checking the layout on the way.
+     *
+     * @param {ArrayBuffer} file - The file
+     * @returns {Object} {gltf, bin: ArrayBuffer}
+     */
+    function readGLB(file) {
+        const view = new DataView(file);
+        assert.equal(view.getUint32(0, true), 0x46546C67, 'magic is "glTF"');
+        assert.equal(view.getUint32(4, true), 2, 'version 2');
+        assert.equal(view.getUint32(8, true), file.byteLength, 'length in the header');
+
+        const jsonLength = view.getUint32(12, true);
+        assert.equal(view.getUint32(16, true), 0x4E4F534A, 'first chunk is JSON');
+        assert.equal(jsonLength % 4, 0, 'JSON chunk is padded to 4 bytes');
+        const jsonText = new TextDecoder().decode(new Uint8Array(file, 20, jsonLength));
+        assert.match(jsonText, /^\{.*\} *$/s, 'JSON chunk is padded with spaces');
+
+        const binStart = 20 + jsonLength;
+        const binLength = view.getUint32(binStart, true);
+        assert.equal(view.getUint32(binStart + 4, true), 0x004E4942, 'second chunk is BIN');
+        assert.equal(binLength % 4, 0, 'BIN chunk is padded to 4 bytes');
+        assert.equal(binStart + 8 + binLength, file.byteLength, 'nothing follows the BIN chunk');
+
+        return { gltf: JSON.parse(jsonText), bin: file.slice(binStart + 8, binStart + 8 + binLength) };
+    }
+
+    test('writes a glTF 2.0 file with a JSON and a BIN chunk, both 4-byte aligned', () => {
+        const { gltf, bin } = readGLB(writeGLB([TRIANGLE, TETRAHEDRON], { generator: 'Tests' }));
+        assert.equal(gltf.asset.version, '2.0');
+        assert.equal(gltf.asset.generator, 'Tests');
+        assert.ok(gltf.buffers[0].byteLength <= bin.byteLength);
+        gltf.bufferViews.forEach(bufferView => {
+            assert.equal(bufferView.byteOffset % 4, 0, 'buffer views start on 4-byte boundaries');
+            assert.ok(bufferView.byteOffset + bufferView.byteLength <= gltf.buffers[0].byteLength);
+        });
+    });
+
+    test('stores one node, mesh and material per mesh, with the positions and indices given', () => {
+        const { gltf, bin } = readGLB(writeGLB([TRIANGLE, TETRAHEDRON]));
+        assert.deepEqual(gltf.scenes[0].nodes, [0, 1]);
+        assert.deepEqual(gltf.nodes.map(node => node.name), ['Triangle', 'See through']);
+
+        const accessorData = (index, ArrayType) => {
+            const accessor = gltf.accessors[index];
+            const bufferView = gltf.bufferViews[accessor.bufferView];
+            return Array.from(new ArrayType(bin, bufferView.byteOffset, bufferView.byteLength / 4));
+        };
+        const [triangle, tetrahedron] = gltf.meshes.map(mesh => mesh.primitives[0]);
+        assert.deepEqual(accessorData(triangle.attributes.POSITION, Float32Array), Array.from(TRIANGLE.positions));
+        assert.equal(triangle.indices, undefined);
+        assert.equal(triangle.attributes.NORMAL, undefined);
+        assert.deepEqual(accessorData(tetrahedron.indices, Uint32Array), Array.from(TETRAHEDRON.indices));
+        assert.equal(gltf.accessors[tetrahedron.attributes.NORMAL].count, 4);
+
+        const position = gltf.accessors[tetrahedron.attributes.POSITION];
+        assert.equal(position.count, 4);
+        assert.deepEqual(position.min, [-1, -1, -1]);
+        assert.deepEqual(position.max, [1, 1, 1]);
+    });
+
+    test('writes see-through materials as blended and double-sided', () => {
+        const { gltf } = readGLB(writeGLB([TRIANGLE, TETRAHEDRON]));
+        const [opaque, seeThrough] = gltf.materials;
+        assert.equal(opaque.alphaMode, 'OPAQUE');
+        assert.equal(opaque.doubleSided, false);
+        assert.deepEqual(opaque.pbrMetallicRoughness.baseColorFactor, [1, 0, 0, 1]);
+        assert.equal(seeThrough.alphaMode, 'BLEND');
+        assert.equal(seeThrough.doubleSided, true);
+        assert.deepEqual(seeThrough.pbrMetallicRoughness.baseColorFactor, [0, 0.5, 1, 0.25]);
+    });
+});
+
+describe('writeOBJ', () => {
+    test('numbers vertices from 1 through the whole file, with normals where given', () => {
+        const { obj } = writeOBJ([TRIANGLE, TETRAHEDRON], { mtlFileName: 'model.mtl' });
+        const lines = obj.trim().split('\n');
+        assert.equal(lines[1], 'mtllib model.mtl');
+        assert.equal(lines.filter(line => line.startsWith('v ')).length, 7);
+        assert.equal(lines.filter(line => line.startsWith('vn ')).length, 4);
+
+        const faces = lines.filter(line => line.startsWith('f '));
+        assert.deepEqual(faces, ['f 1 2 3', 'f 4//4 5//5 6//6', 'f 4//4 7//7 5//5', 'f 4//4 6//6 7//7', 'f 5//5 7//7 6//6']);
+        assert.ok(lines.includes('v 1 0 0'));
+        assert.ok(lines.includes('vn 0.57735 0.57735 0.57735'));
+    });
+
+    test('gives each mesh its own object and material, with its color and opacity', () => {
+        const { obj, mtl } = writeOBJ([TRIANGLE, TETRAHEDRON], { mtlFileName: 'model.mtl' });
+        assert.match(obj, /\no Triangle_1\nusemtl Triangle_1\n/);
+        assert.match(obj, /\no See_through_2\nusemtl See_through_2\n/);
+
+        const materials = mtl.trim().split('\n\n');
+        assert.equal(materials[0], '# Materials for model.obj');
+        assert.equal(materials[1], 'newmtl Triangle_1\nKd 1 0 0\nKa 0 0 0\nKs 0.2 0.2 0.2\nd 1\nillum 2');
+        assert.equal(materials[2], 'newmtl See_through_2\nKd 0 0.5 1\nKa 0 0 0\nKs 0.2 0.2 0.2\nd 0.25\nillum 2');
+    });
+});
+
+describe('escapeXML', () => {
+    test('escapes the characters that would end text or an attribute', () => {
+        assert.equal(escapeXML('a < b & "c" > d'), 'a &lt; b &amp; &quot;c&quot; &gt; d');
+    });
+});
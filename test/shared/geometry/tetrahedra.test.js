@@ -0,0 +1,143 @@
+/**
+ * Tests for the tetrahedron clusters (shared/geometry/tetrahedra.js): every cell of every
+ * cluster must be regular, with all edges CLUSTER_EDGE long and the dihedral angles of a
+ * regular tetrahedron or octahedron, and a full ring must leave its 7.36° gap.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    CLUSTER_EDGE,
+    CLUSTER_MODES,
+    OCTAHEDRON_DIHEDRAL_ANGLE,
+    TETRAHEDRON_DIHEDRAL_ANGLE,
+    analyzeCluster,
+    buildCluster,
+    ringGapAngle
+} from '../../../shared/geometry/tetrahedra.js';
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Returns the distance between two corners of a cluster.
+ *
+ * @param {Object} cluster - The cluster
+ * @param {number} a - Index of one corner
+ * @param {number} b - Index of the other
+ * @returns {number} The distance
+ */
+function cornerDistance(cluster, a, b) {
+    return Math.hypot(...cluster.vertices[a].map((value, axis) => value - cluster.vertices[b][axis]));
+}
+
+/**
+ * Checks the distances between the corners of one cell without building its hull: all six
+ * pairs of a tetrahedron are edges, and each corner of an octahedron has four neighbours one
+ * edge away and the opposite corner √2 edges away.
+ *
+ * @param {Object} cluster - The cluster
+ * @param {Object} cell - One of its cells
+ */
+function assertRegularCell(cluster, cell) {
+    const { type, vertices } = cell;
+    vertices.forEach(a => {
+        const distances = vertices.filter(b => b !== a).map(b => cornerDistance(cluster, a, b)).sort((x, y) => x - y);
+        const expected = type === 'tetrahedron'
+            ? [CLUSTER_EDGE, CLUSTER_EDGE, CLUSTER_EDGE]
+            : [CLUSTER_EDGE, CLUSTER_EDGE, CLUSTER_EDGE, CLUSTER_EDGE, CLUSTER_EDGE * Math.SQRT2];
+        assert.equal(distances.length, expected.length, `${type} has ${vertices.length} corners`);
+        distances.forEach((distance, index) => assert.ok(Math.abs(distance - expected[index]) < TOLERANCE,
+            `${type} corner ${a} is ${distance} from a neighbour, not ${expected[index]}`));
+    });
+}
+
+/**
+ * Checks that a {min, max} range lies within the tolerance of one value.
+ *
+ * @param {Object} range - The range as {min, max}
+ * @param {number} expected - The value
+ * @param {string} what - What the range measures, for the message
+ */
+function assertRange(range, expected, what) {
+    assert.ok(Math.abs(range.min - expected) < TOLERANCE && Math.abs(range.max - expected) < TOLERANCE,
+        `${what} range from ${range.min} to ${range.max}, not ${expected}`);
+}
+
+describe('buildCluster', () => {
+    Object.entries(CLUSTER_MODES).forEach(([mode, { minSize, maxSize }]) => {
+        test(`gives regular cells with ${CLUSTER_EDGE.toFixed(4)} edges for every ${mode} size`, () => {
+            for (let size = minSize; size <= maxSize; size++) {
+                const cluster = buildCluster(mode, size);
+                cluster.cells.forEach(cell => assertRegularCell(cluster, cell));
+
+                const report = analyzeCluster(cluster);
+                assertRange(report.edges, CLUSTER_EDGE, `${mode} ${size} edges`);
+                assertRange(report.dihedralAngles.tetrahedron, TETRAHEDRON_DIHEDRAL_ANGLE,
+                    `${mode} ${size} tetrahedron dihedral angles`);
+                const hasOctahedrons = cluster.cells.some(cell => cell.type === 'octahedron');
+                assert.equal(report.dihedralAngles.octahedron !== null, hasOctahedrons);
+                if (hasOctahedrons) {
+                    assertRange(report.dihedralAngles.octahedron, OCTAHEDRON_DIHEDRAL_ANGLE,
+                        `${mode} ${size} octahedron dihedral angles`);
+                }
+            }
+        });
+    });
+
+    test('uses the dihedral angles arccos(1/3) and arccos(−1/3)', () => {
+        assert.ok(Math.abs(TETRAHEDRON_DIHEDRAL_ANGLE * 180 / Math.PI - 70.5288) < 1e-4);
+        assert.ok(Math.abs(OCTAHEDRON_DIHEDRAL_ANGLE * 180 / Math.PI - 109.4712) < 1e-4);
+        assert.ok(Math.abs(CLUSTER_EDGE - 2 * Math.sqrt(2)) < TOLERANCE);
+    });
+
+    test('centres every cluster on the origin', () => {
+        Object.entries(CLUSTER_MODES).forEach(([mode, { defaultSize }]) => {
+            const { vertices } = buildCluster(mode, defaultSize);
+            [0, 1, 2].forEach(axis => {
+                const mean = vertices.reduce((sum, vertex) => sum + vertex[axis], 0) / vertices.length;
+                assert.ok(Math.abs(mean) < TOLERANCE, `${mode} is off centre along axis ${axis}`);
+            });
+        });
+    });
+
+    test('stores shared corners once and clamps the size to the mode\'s range', () => {
+        const star = buildCluster('star', 5);
+        assert.equal(star.cells.length, 5);
+        assert.equal(star.vertices.length, 8);
+
+        const helix = buildCluster('tetrahelix', 12);
+        assert.equal(helix.vertices.length, 15);
+        helix.cells.slice(1).forEach((cell, k) => {
+            const shared = cell.vertices.filter(index => helix.cells[k].vertices.includes(index));
+            assert.equal(shared.length, 3, `tetrahelix cells ${k} and ${k + 1} do not share a face`);
+        });
+
+        assert.equal(buildCluster('ring', 99).cells.length, 5);
+        assert.equal(buildCluster('star', 0).cells.length, 1);
+        assert.throws(() => buildCluster('cube', 1), /Unknown cluster mode "cube"/);
+    });
+
+    test('fills a honeycomb patch with one tetrahedron per cube and its inner octahedrons', () => {
+        const count = (cluster, type) => cluster.cells.filter(cell => cell.type === type).length;
+        const [one, two, three] = [1, 2, 3].map(size => buildCluster('honeycomb', size));
+        assert.deepEqual([count(one, 'tetrahedron'), count(one, 'octahedron')], [1, 0]);
+        assert.deepEqual([count(two, 'tetrahedron'), count(two, 'octahedron')], [8, 1]);
+        assert.deepEqual([count(three, 'tetrahedron'), count(three, 'octahedron')], [27, 4]);
+    });
+});
+
+describe('ringGapAngle', () => {
+    test('leaves 360° − 5 × arccos(1/3) ≈ 7.36° open in the full ring', () => {
+        const gap = ringGapAngle(buildCluster('ring', 5));
+        assert.ok(Math.abs(gap - (2 * Math.PI - 5 * TETRAHEDRON_DIHEDRAL_ANGLE)) < TOLERANCE);
+        assert.ok(Math.abs(gap * 180 / Math.PI - 7.356) < 1e-3, `gap ${gap * 180 / Math.PI}°`);
+    });
+
+    test('gives the angle left open by partial rings, measured or not', () => {
+        for (let count = 1; count <= 5; count++) {
+            const gap = ringGapAngle(buildCluster('ring', count));
+            assert.ok(Math.abs(gap - (2 * Math.PI - count * TETRAHEDRON_DIHEDRAL_ANGLE)) < TOLERANCE,
+                `${count} tetrahedrons leave ${gap * 180 / Math.PI}°`);
+        }
+    });
+});
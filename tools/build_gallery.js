@@ -0,0 +1,386 @@
+/**
+ * Gallery Builder
+ *
+ * Writes everything that lists the visualizations from the registry (visualizations.json, see
+ * shared/gallery/registry.js), so adding a visualization only means adding an entry:
+ * - the cards and subject buttons of the gallery page, index.html
+ * - the thumbnails, shared/gallery/thumbnails/<id>.svg, drawn from each entry's scene
+ * - the list of visualizations in README.md
+ * - the registry's JSON Schema, shared/gallery/registry.schema.json
+ *
+ * Only the parts of index.html and README.md between the <!-- generated:... --> and
+ * <!-- /generated:... --> comments are written; the rest of both files is edited by hand.
+ *
+ * Thumbnails are line drawings like the SVG snapshots (shared/export/line_drawing.js), which
+ * need no WebGL, so they are drawn here in Node. Each scene is framed to fill the thumbnail,
+ * looking along the entry's direction. Labels are drawn on canvases, which Node does not
+ * have, so they are left out.
+ *
+ * Run with Node from the repository root:
+ *
+ *     node tools/build_gallery.js          (part of npm run build)
+ *     node tools/build_gallery.js --check  (part of npm run check)
+ *
+ * --check writes nothing: it checks the registry and the files it names, and that every
+ * written file is up to date. It exits with status 1 if anything has a problem.
+ */
+
+import fs from 'fs';
+import * as THREE from '../shared/vendor/three/three.module.js';
+import { writeLineDrawingSVG } from '../shared/export/line_drawing.js';
+import { drawViewLines } from '../shared/export/snapshot.js';
+import { escapeXML } from '../shared/export/writers.js';
+import { REGISTRY_SCHEMA, RegistryError, parseRegistry } from '../shared/gallery/registry.js';
+import { createSceneContent } from '../shared/scenes/scene_builder.js';
+import { SceneError, parseScene } from '../shared/scenes/scene_schema.js';
+
+// Where the registry, its schema and the generated thumbnails are
+const REGISTRY_FILE = 'visualizations.json';
+const SCHEMA_FILE = 'shared/gallery/registry.schema.json';
+const THUMBNAIL_DIR = 'shared/gallery/thumbnails';
+
+// The files with generated sections
+const GALLERY_PAGE = 'index.html';
+const README_FILE = 'README.md';
+
+// Size of the thumbnails in pixels, and the camera's vertical field of view in degrees; a
+// narrow one keeps the solids from looking stretched at the edges
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 300;
+const THUMBNAIL_FIELD_OF_VIEW = 30;
+
+// Space left around the scene, as a fraction of the camera's distance
+const THUMBNAIL_MARGIN = 0.08;
+
+/**
+ * Error for a registry entry, or a file with generated sections, that cannot be built.
+ * Carries the list of problems found.
+ */
+class GalleryError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'GalleryError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Checks that the files a registry names exist: pages, thumbnail images and scenes, and the
+ * files the pages download.
+ *
+ * @param {Object} registry - The registry
+ * @returns {string[]} The problems found
+ */
+function checkRegistryFiles(registry) {
+    const problems = [];
+    registry.visualizations.forEach((visualization, index) => {
+        const path = `registry.visualizations[${index}]`;
+        const { page, thumbnail, files = [] } = visualization;
+        if (!isFile(page)) problems.push(`${path}.page: "${page}" does not exist`);
+
+        const image = typeof thumbnail === 'string' ? thumbnail : thumbnail.scene;
+        if (!isFile(image)) problems.push(`${path}.thumbnail: "${image}" does not exist`);
+
+        files.forEach((file, fileIndex) => {
+            const exists = file.endsWith('/') ? fs.existsSync(file) && fs.statSync(file).isDirectory() : isFile(file);
+            if (!exists) problems.push(`${path}.files[${fileIndex}]: "${file}" does not exist`);
+        });
+    });
+    return problems;
+}
+
+/**
+ * @param {string} file - A path relative to the repository root
+ * @returns {boolean} Whether it is a file
+ */
+function isFile(file) {
+    return fs.existsSync(file) && fs.statSync(file).isFile();
+}
+
+/**
+ * Draws a visualization's thumbnail from its scene, framed so the whole scene fills it.
+ *
+ * @param {Object} visualization - A visualization of the registry, with a scene thumbnail
+ * @returns {string} The SVG
+ * @throws {GalleryError} If the scene file has problems
+ */
+function drawThumbnail(visualization) {
+    const { scene: sceneFile, direction } = visualization.thumbnail;
+    let scene;
+    try {
+        scene = parseScene(fs.readFileSync(sceneFile, 'utf8'));
+    } catch (error) {
+        if (!(error instanceof SceneError)) throw error;
+        throw new GalleryError(`${sceneFile}: ${error.message}`, error.problems);
+    }
+
+    const root = new THREE.Scene();
+    root.add(createSceneContent({ ...scene, objects: scene.objects.filter(object => object.type !== 'label') }));
+    const box = new THREE.Box3().setFromObject(root);
+    const center = box.getCenter(new THREE.Vector3());
+
+    // Without a direction, the scene is seen as its own camera sees it
+    const { position = [0, 0, 5], target = [0, 0, 0] } = scene.camera || {};
+    const view = new THREE.Vector3(...(direction || position.map((value, axis) => value - target[axis])));
+    if (view.lengthSq() === 0) view.set(0, 0, 1);
+
+    const camera = new THREE.PerspectiveCamera(THUMBNAIL_FIELD_OF_VIEW, THUMBNAIL_WIDTH / THUMBNAIL_HEIGHT);
+    camera.position.copy(center).add(view);
+    camera.lookAt(center);
+    camera.updateMatrixWorld();
+
+    // Each corner of the bounding box is in view once the camera is far enough back for it
+    // to be inside both the vertical and the horizontal field of view
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    const back = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 2);
+    const tanHeight = Math.tan(THREE.MathUtils.degToRad(THUMBNAIL_FIELD_OF_VIEW) / 2);
+    const tanWidth = tanHeight * THUMBNAIL_WIDTH / THUMBNAIL_HEIGHT;
+    let distance = 1e-3;
+    for (let corner = 0; corner < 8; corner++) {
+        const offset = new THREE.Vector3(
+            corner & 1 ? box.max.x : box.min.x,
+            corner & 2 ? box.max.y : box.min.y,
+            corner & 4 ? box.max.z : box.min.z
+        ).sub(center);
+        const depth = offset.dot(back);
+        distance = Math.max(distance,
+            depth + Math.abs(offset.dot(right)) / tanWidth,
+            depth + Math.abs(offset.dot(up)) / tanHeight);
+    }
+    distance *= 1 + THUMBNAIL_MARGIN;
+
+    camera.position.copy(center).addScaledVector(back, distance);
+    camera.near = distance / 100;
+    camera.far = distance * 3;
+    camera.updateProjectionMatrix();
+
+    const drawing = drawViewLines(root, camera, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+    return writeLineDrawingSVG(drawing, { title: visualization.title });
+}
+
+/**
+ * Gives the path of a visualization's thumbnail, drawn or given.
+ *
+ * @param {Object} visualization - A visualization of the registry
+ * @returns {string} The path, relative to the repository root
+ */
+function thumbnailPath(visualization) {
+    return typeof visualization.thumbnail === 'string'
+        ? visualization.thumbnail
+        : `${THUMBNAIL_DIR}/${visualization.id}.svg`;
+}
+
+/**
+ * Writes text for HTML, with `code` in backticks as <code> elements.
+ *
+ * @param {string} text - The text
+ * @returns {string} The HTML
+ */
+function formatHTML(text) {
+    return escapeXML(text).replace(/`([^`]*)`/g, '<code>$1</code>');
+}
+
+/**
+ * Writes the gallery's subject buttons.
+ *
+ * @param {Object} registry - The registry
+ * @returns {string[]} Lines of HTML
+ */
+function writeSubjectButtons(registry) {
+    return registry.subjects.map(({ id, name }) =>
+        `<button type="button" data-subject="${escapeXML(id)}">${escapeXML(name)}</button>`);
+}
+
+/**
+ * Writes the gallery's cards, one per visualization.
+ *
+ * @param {Object} registry - The registry
+ * @returns {string[]} Lines of HTML
+ */
+function writeCards(registry) {
+    return registry.visualizations.flatMap(visualization => {
+        const { title, page, subjects, tags = [], description, features = [] } = visualization;
+        const subjectNames = subjects.map(id => registry.subjects.find(subject => subject.id === id).name);
+        const lines = [
+            `<li class="card" data-subjects="${escapeXML(subjects.join(' '))}">`,
+            `    <a href="${escapeXML(page)}">`,
+            `        <img src="${escapeXML(thumbnailPath(visualization))}" alt="" loading="lazy">`,
+            `        <h2>${escapeXML(title)}</h2>`,
+            '    </a>',
+            `    <p class="subjects">${escapeXML(subjectNames.join(', '))}</p>`,
+            `    <p>${formatHTML(description)}</p>`
+        ];
+        if (tags.length > 0) {
+            lines.push(
+                '    <ul class="tags">',
+                ...tags.map(tag => `        <li><button type="button">${escapeXML(tag)}</button></li>`),
+                '    </ul>'
+            );
+        }
+        if (features.length > 0) {
+            lines.push(
+                '    <details>',
+                '        <summary>Features</summary>',
+                '        <ul>',
+                ...features.map(feature => `            <li>${formatHTML(feature)}</li>`),
+                '        </ul>',
+                '    </details>'
+            );
+        }
+        lines.push('</li>');
+        return lines;
+    });
+}
+
+/**
+ * Writes the README's list of visualizations: one heading per subject for the visualizations
+ * of that subject only, then the shared ones, for several subjects.
+ *
+ * @param {Object} registry - The registry
+ * @returns {string[]} Lines of Markdown
+ */
+function writeReadmeList(registry) {
+    const groups = registry.subjects.map(({ id, name }) => ({
+        heading: `${name} Visualizations`,
+        visualizations: registry.visualizations.filter(({ subjects }) => subjects.length === 1 && subjects[0] === id)
+    }));
+    groups.push({
+        heading: 'Shared Visualizations',
+        visualizations: registry.visualizations.filter(({ subjects }) => subjects.length > 1)
+    });
+
+    return groups.filter(group => group.visualizations.length > 0).flatMap((group, index) => [
+        ...(index > 0 ? [''] : []),
+        `### ${group.heading}`,
+        '',
+        ...group.visualizations.flatMap(({ title, page, description, features = [] }, number) => [
+            ...(number > 0 ? [''] : []),
+            `${number + 1}. **${title}** - [${page}](${page})`,
+            ...[description, ...features].map(line => `   - ${line}`)
+        ])
+    ]);
+}
+
+/**
+ * Replaces a generated section of a file, between <!-- generated:name ... --> and
+ * <!-- /generated:name -->, keeping the indentation of the opening comment.
+ *
+ * @param {string} text - The file's contents
+ * @param {string} file - The file's path, for errors
+ * @param {string} name - The section's name
+ * @param {string[]} lines - The section's new lines, unindented
+ * @returns {string} The new contents
+ * @throws {GalleryError} If the file does not have the section
+ */
+function replaceSection(text, file, name, lines) {
+    const section = new RegExp(`^([ \\t]*)(<!-- generated:${name}\\b.*-->\\n)[\\s\\S]*?^[ \\t]*(<!-- /generated:${name} -->)$`, 'm');
+    const match = section.exec(text);
+    if (!match) {
+        throw new GalleryError(`${file} has no generated section "${name}"`,
+            [`add the lines <!-- generated:${name} --> and <!-- /generated:${name} --> where it goes`]);
+    }
+    const indent = match[1];
+    const content = lines.map(line => line === '' ? '' : indent + line).join('\n');
+    return text.slice(0, match.index) + indent + match[2] + (content ? `${content}\n` : '') +
+        indent + match[3] + text.slice(match.index + match[0].length);
+}
+
+/**
+ * Works out every file the registry is written to.
+ *
+ * @param {Object} registry - The registry
+ * @returns {Map<string, string>} The contents of each file, by path
+ * @throws {GalleryError} If a thumbnail cannot be drawn or a generated section is missing
+ */
+function buildOutputs(registry) {
+    const outputs = new Map();
+    outputs.set(SCHEMA_FILE, `${JSON.stringify(REGISTRY_SCHEMA, null, 4)}\n`);
+
+    registry.visualizations.forEach(visualization => {
+        if (typeof visualization.thumbnail !== 'string') {
+            outputs.set(thumbnailPath(visualization), drawThumbnail(visualization));
+        }
+    });
+
+    let gallery = fs.readFileSync(GALLERY_PAGE, 'utf8');
+    gallery = replaceSection(gallery, GALLERY_PAGE, 'subjects', writeSubjectButtons(registry));
+    gallery = replaceSection(gallery, GALLERY_PAGE, 'visualizations', writeCards(registry));
+    outputs.set(GALLERY_PAGE, gallery);
+
+    const readme = fs.readFileSync(README_FILE, 'utf8');
+    outputs.set(README_FILE, replaceSection(readme, README_FILE, 'visualizations', writeReadmeList(registry)));
+    return outputs;
+}
+
+/**
+ * Lists the drawn thumbnails that no visualization uses any more.
+ *
+ * @param {Map<string, string>} outputs - The files written, from buildOutputs()
+ * @param {Object} registry - The registry
+ * @returns {string[]} Their paths
+ */
+function findUnusedThumbnails(outputs, registry) {
+    if (!fs.existsSync(THUMBNAIL_DIR)) return [];
+    const used = new Set(registry.visualizations.map(thumbnailPath));
+    return fs.readdirSync(THUMBNAIL_DIR)
+        .map(name => `${THUMBNAIL_DIR}/${name}`)
+        .filter(file => file.endsWith('.svg') && !outputs.has(file) && !used.has(file));
+}
+
+/**
+ * Builds everything from the registry, or with check set compares it with the files.
+ *
+ * @param {boolean} check - Whether to check instead of write
+ * @returns {boolean} Whether everything is fine
+ */
+function buildGallery(check) {
+    try {
+        const registry = parseRegistry(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+        const missing = checkRegistryFiles(registry);
+        if (missing.length > 0) {
+            throw new GalleryError(`${REGISTRY_FILE} names ${missing.length} missing file${missing.length === 1 ? '' : 's'}`, missing);
+        }
+
+        const outputs = buildOutputs(registry);
+        const unused = findUnusedThumbnails(outputs, registry);
+        if (!check) {
+            fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+            outputs.forEach((contents, file) => {
+                if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) return;
+                fs.writeFileSync(file, contents);
+                console.log(`${file}: written`);
+            });
+            unused.forEach(file => {
+                fs.unlinkSync(file);
+                console.log(`${file}: removed, as no visualization uses it`);
+            });
+            console.log(`${REGISTRY_FILE}: ${registry.visualizations.length} visualizations, gallery up to date`);
+            return true;
+        }
+
+        const stale = [...outputs].filter(([file, contents]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== contents);
+        const problems = [
+            ...stale.map(([file]) => `${file} is older than ${REGISTRY_FILE}; run npm run build`),
+            ...unused.map(file => `${file} is not used by any visualization; run npm run build to remove it`)
+        ];
+        if (problems.length > 0) {
+            throw new GalleryError(`the gallery has ${problems.length} problem${problems.length === 1 ? '' : 's'}`, problems);
+        }
+        console.log(`${REGISTRY_FILE}: OK, ${registry.visualizations.length} visualizations, gallery up to date`);
+        return true;
+    } catch (error) {
+        if (!(error instanceof RegistryError) && !(error instanceof GalleryError) && error.code !== 'ENOENT') throw error;
+        console.log(error instanceof RegistryError ? `${REGISTRY_FILE}: ${error.message}` : error.message);
+        error.problems?.forEach(problem => console.log(`  ${problem}`));
+        return false;
+    }
+}
+
+const args = process.argv.slice(2);
+if (args.some(arg => arg !== '--check')) {
+    console.log('Usage: node tools/build_gallery.js [--check]');
+    process.exitCode = 1;
+} else if (!buildGallery(args.includes('--check'))) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,422 @@
+/**
+ * Standalone Builder
+ *
+ * Builds one self-contained HTML file per visualization in dist/, for school networks that
+ * block CDNs and for offline exam rooms. The visualizations are those of the registry
+ * (visualizations.json), and the gallery (index.html) is built too, with its links pointing
+ * to the other files in dist/. Each file holds everything the page needs:
+ * - the page's HTML and styles, with its images (e.g. the gallery's thumbnails) inlined
+ * - its JavaScript and every module it imports, Three.js included, joined into one inline
+ *   script (each module wrapped in a function, in the order they depend on each other)
+ * - the repository files the page downloads, e.g. its default quiz and example files, which
+ *   are answered from the page itself instead of fetched
+ *
+ * A Content Security Policy in each file stops the browser from loading anything else, so a
+ * page that works from dist/ is known to work without a network. Quizzes, scenes and
+ * structures can still be opened from disk with the page's file buttons.
+ *
+ * Run with Node from the repository root:
+ *
+ *     node tools/build_standalone.js          (or npm run build)
+ *     node tools/build_standalone.js --check  (or npm run check)
+ *
+ * --check builds the pages in memory, without writing them, and checks that they refer to
+ * nothing outside themselves but each other, have the Content Security Policy and hold a
+ * script that parses. dist/ is not kept in the repository, so the check also runs on a fresh
+ * clone; files already in dist/ are compared with the build, to tell when they are out of
+ * date. It exits with status 1 if any page has a problem.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { RegistryError, parseRegistry } from '../shared/gallery/registry.js';
+
+// The registry of visualizations (see shared/gallery/registry.js), which lists the pages
+// built and the repository files each one downloads
+const REGISTRY_FILE = 'visualizations.json';
+
+// The gallery page, built as well so dist/ opens like the repository
+const GALLERY_PAGE = 'index.html';
+
+// Types of the images that can be inlined, by file extension
+const IMAGE_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Folder the standalone files are written to
+const DIST_DIR = 'dist';
+
+// Allows only what is inside the file itself: inline scripts and styles, and the data: and
+// blob: addresses used for textures, snapshots and downloads
+const CONTENT_SECURITY_POLICY = "default-src 'none'; script-src 'unsafe-inline'; " +
+    "style-src 'unsafe-inline'; img-src data: blob:; connect-src data: blob:";
+
+// The import and export statements the modules use; anything else is reported, as the
+// bundle would not run it the same way
+const NAMESPACE_IMPORT = /^import \* as (\w+) from '([^']+)';\n?/gm;
+const NAMED_IMPORT = /^import \{([^}]*)\} from '([^']+)';\n?/gm;
+const EXPORT_LIST = /^export \{([^}]*)\};\n?/gm;
+
+/**
+ * Error for a module or page the builder cannot bundle. Carries the list of problems found.
+ */
+class BuildError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'BuildError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Splits a list of import or export specifiers, e.g. 'a, b as c', into [name, alias] pairs.
+ *
+ * @param {string} list - The text between the braces
+ * @returns {string[][]} Pairs of [name in the exporting module, name in the other module]
+ */
+function parseSpecifiers(list) {
+    return list.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const [name, alias = name] = item.split(/\s+as\s+/);
+        return [name, alias];
+    });
+}
+
+/**
+ * Reads a module, takes out its import and export statements and lists them.
+ *
+ * @param {string} file - Path of the module, relative to the repository root
+ * @returns {Object} {file, body, imports: [{from, namespace|names}], exports: [[local, exported]]}
+ */
+function readModule(file) {
+    const problems = [];
+    const imports = [];
+    const exports = [];
+    let body = fs.readFileSync(file, 'utf8')
+        .replace(NAMESPACE_IMPORT, (statement, name, specifier) => {
+            imports.push({ from: resolveSpecifier(file, specifier), namespace: name });
+            return '';
+        })
+        .replace(NAMED_IMPORT, (statement, list, specifier) => {
+            imports.push({ from: resolveSpecifier(file, specifier), names: parseSpecifiers(list) });
+            return '';
+        })
+        .replace(EXPORT_LIST, (statement, list) => {
+            exports.push(...parseSpecifiers(list));
+            return '';
+        });
+
+    body.split('\n').forEach((line, index) => {
+        if (/^(import|export)\b/.test(line)) problems.push(`line ${index + 1}: unsupported "${line.trim()}"`);
+    });
+    if (/\bimport\s*\(|\bimport\.meta\b/.test(body)) problems.push('dynamic import() and import.meta are not supported');
+
+    // The bundle hands out exported values once, so a reassigned export would go stale
+    const variables = new Set([...body.matchAll(/^let (\w+)/gm)].map(match => match[1]));
+    new Set(exports.map(([local]) => local)).forEach(local => {
+        if (variables.has(local)) problems.push(`exported "${local}" is declared with let; export a const or function`);
+    });
+    if (problems.length > 0) throw new BuildError(`${file} cannot be bundled`, problems);
+
+    body = body.replace(/\n+$/, '\n');
+    return { file, body, imports, exports };
+}
+
+/**
+ * Turns an import specifier into a path relative to the repository root.
+ *
+ * @param {string} file - The importing module
+ * @param {string} specifier - The specifier, e.g. '../viewer/viewer.js'
+ * @returns {string} The imported module's path
+ */
+function resolveSpecifier(file, specifier) {
+    if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+        throw new BuildError(`${file} imports "${specifier}"; only relative imports can be bundled`);
+    }
+    return path.posix.join(path.posix.dirname(file), specifier);
+}
+
+/**
+ * Finds every module a page's script imports, directly or not, each after the modules it
+ * imports.
+ *
+ * @param {string} entry - Path of the page's script
+ * @param {Map<string, Object>} cache - Modules read so far, by path, shared between pages
+ * @returns {Object[]} Modules from readModule(), the entry last
+ */
+function collectModules(entry, cache) {
+    const ordered = [];
+    const state = new Map();
+
+    function visit(file, chain) {
+        if (state.get(file) === 'done') return;
+        if (state.get(file) === 'visiting') {
+            throw new BuildError('modules import each other', [[...chain, file].join(' → ')]);
+        }
+        state.set(file, 'visiting');
+        if (!cache.has(file)) cache.set(file, readModule(file));
+        const module = cache.get(file);
+        module.imports.forEach(({ from }) => visit(from, [...chain, file]));
+        state.set(file, 'done');
+        ordered.push(module);
+    }
+
+    visit(entry, []);
+    return ordered;
+}
+
+/**
+ * Joins modules into one script. Each module runs in its own function, so its top-level
+ * names stay its own, and returns its exports for the modules after it.
+ *
+ * @param {Object[]} modules - Modules from collectModules()
+ * @returns {string} The script
+ */
+function bundleModules(modules) {
+    const variables = new Map(modules.map((module, index) => [module.file, `__module_${index}`]));
+
+    return modules.map(module => {
+        const lines = module.imports.map(({ from, namespace, names }) => {
+            const exported = new Set(modules.find(other => other.file === from).exports.map(([, name]) => name));
+            if (namespace) return `const ${namespace} = ${variables.get(from)};`;
+
+            const missing = names.filter(([name]) => !exported.has(name));
+            if (missing.length > 0) {
+                throw new BuildError(`${module.file} imports names ${from} does not export`,
+                    missing.map(([name]) => name));
+            }
+            const list = names.map(([name, alias]) => name === alias ? name : `${name}: ${alias}`);
+            return `const { ${list.join(', ')} } = ${variables.get(from)};`;
+        });
+        const exports = module.exports.map(([local, exported]) => local === exported ? local : `${exported}: ${local}`);
+
+        return [
+            `// ${module.file}`,
+            `const ${variables.get(module.file)} = (() => {`,
+            ...lines,
+            module.body,
+            `return { ${exports.join(', ')} };`,
+            '})();'
+        ].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Lists the files to embed: files as given, folders as the files directly inside them.
+ *
+ * @param {string[]} entries - Paths of files, and of folders ending in '/'
+ * @returns {string[]} Paths of the files
+ */
+function listFiles(entries) {
+    return entries.flatMap(entry => entry.endsWith('/')
+        ? fs.readdirSync(entry).sort().map(name => entry + name).filter(file => fs.statSync(file).isFile())
+        : [entry]);
+}
+
+/**
+ * Writes the script that answers the page's downloads of embedded files. Addresses are
+ * resolved against the source page's folder, so links such as ?quiz=../quizzes/diamond.json
+ * keep working.
+ *
+ * @param {string} page - Path of the source page
+ * @param {string[]} files - Paths of the files to embed
+ * @returns {string} The script
+ */
+function createFetchShim(page, files) {
+    const contents = Object.fromEntries(files.map(file => [file, fs.readFileSync(file, 'utf8')]));
+    const base = `file:///${path.posix.dirname(page)}/`;
+
+    return `// Files from the repository this page downloads, answered without a network
+const __standaloneFiles = ${JSON.stringify(contents, null, 1)};
+window.fetch = resource => {
+    const url = new URL(resource instanceof Request ? resource.url : String(resource), ${JSON.stringify(base)});
+    const file = url.protocol === 'file:' ? decodeURIComponent(url.pathname).slice(1) : null;
+    if (file !== null && Object.prototype.hasOwnProperty.call(__standaloneFiles, file)) {
+        return Promise.resolve(new Response(__standaloneFiles[file]));
+    }
+    return Promise.reject(new Error('it is not included in this standalone page'));
+};`;
+}
+
+/**
+ * Lists the pages to build from the registry: its visualizations, then the gallery.
+ *
+ * @returns {Object[]} The pages as {page, files}, with the repository files each downloads
+ * @throws {RegistryError} If the registry has problems
+ * @throws {BuildError} If two pages have the same file name
+ */
+function listStandalonePages() {
+    const registry = parseRegistry(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    const entries = [
+        ...registry.visualizations.map(({ page, files = [] }) => ({ page, files })),
+        { page: GALLERY_PAGE, files: [] }
+    ];
+
+    // dist/ is flat, so two pages with the same file name would overwrite each other
+    const outputs = entries.map(({ page }) => standalonePath(page));
+    const clashes = entries.filter(({ page }, index) => outputs.indexOf(standalonePath(page)) !== index);
+    if (clashes.length > 0) {
+        throw new BuildError('pages would be written to the same file in dist/',
+            clashes.map(({ page }) => `${page} → ${standalonePath(page)}`));
+    }
+    return entries;
+}
+
+/**
+ * Inlines a page's images as data: addresses, and points its links to the other pages built
+ * at their files in dist/.
+ *
+ * @param {string} html - The page's HTML
+ * @param {string} page - Path of the page
+ * @param {Set<string>} pages - Paths of all the pages built
+ * @returns {string} The HTML
+ */
+function inlineResources(html, page, pages) {
+    const resolve = address => path.posix.normalize(path.posix.join(path.posix.dirname(page), address));
+
+    return html
+        .replace(/(<img\b[^>]*\ssrc=")([^"]+)"/gi, (match, start, address) => {
+            if (/^(data:|blob:)/.test(address)) return match;
+            const file = resolve(address);
+            const type = IMAGE_TYPES[path.posix.extname(file).slice(1).toLowerCase()];
+            if (!type || !fs.existsSync(file)) throw new BuildError(`${page}: the image "${address}" cannot be inlined`);
+            return `${start}data:${type};base64,${fs.readFileSync(file).toString('base64')}"`;
+        })
+        .replace(/(<a\b[^>]*\shref=")([^"#?]+)([^"]*)"/gi, (match, start, address, rest) => {
+            if (/^[a-z]+:/i.test(address) || !pages.has(resolve(address))) return match;
+            return `${start}${path.posix.basename(standalonePath(resolve(address)))}${rest}"`;
+        });
+}
+
+/**
+ * Builds the standalone file for one page.
+ *
+ * @param {Object} entry - A page from listStandalonePages()
+ * @param {Set<string>} pages - Paths of all the pages built, for the links between them
+ * @param {Map<string, Object>} cache - Modules read so far, shared between pages
+ * @returns {string} The HTML
+ */
+function buildPage({ page, files }, pages, cache) {
+    let html = inlineResources(fs.readFileSync(page, 'utf8'), page, pages);
+    const scripts = [...html.matchAll(/<script type="module" src="([^"]+)"><\/script>/g)];
+    if (scripts.length !== 1) {
+        throw new BuildError(`${page} should load exactly one <script type="module" src="...">`);
+    }
+
+    const entry = path.posix.join(path.posix.dirname(page), scripts[0][1]);
+    let script = `${createFetchShim(page, listFiles(files))}\n\n${bundleModules(collectModules(entry, cache))}`;
+    // The script sits inside the HTML, so it must not close its own tag
+    script = script.replace(/<\/script/gi, '<\\/script');
+    if (script.includes('<!--')) throw new BuildError(`${page}: the script contains "<!--", which HTML would misread`);
+
+    html = html.replace(scripts[0][0], () => `<script type="module">\n${script}\n</script>`);
+    html = html.replace(/<meta charset="[^"]*">/i, match =>
+        `${match}\n    <meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">`);
+    return `<!-- Standalone build of ${page}, written by tools/build_standalone.js; edit the source instead -->\n${html}`;
+}
+
+/**
+ * Checks a standalone file for anything that would need a network or a server.
+ *
+ * @param {string} html - The file's contents
+ * @param {Set<string>} names - File names of the pages built, which links may point to
+ * @returns {string[]} The problems found
+ */
+function checkStandalone(html, names) {
+    const problems = [];
+    if (!html.includes(`content="${CONTENT_SECURITY_POLICY}"`)) problems.push('the Content Security Policy is missing');
+
+    const scripts = [];
+    const markup = html.replace(/(<script\b[^>]*>)([\s\S]*?)<\/script>/gi, (match, tag, code) => {
+        scripts.push(code);
+        return tag;
+    });
+    for (const [, attribute, value] of markup.matchAll(/\s(src|href)\s*=\s*["']?([^"'\s>]*)/gi)) {
+        if (/^(data:|blob:|#)/.test(value)) continue;
+        if (attribute.toLowerCase() === 'href' && names.has(value.replace(/[?#].*/, ''))) continue;
+        problems.push(`${attribute}="${value}" refers to another file`);
+    }
+
+    // Parsed as a classic script, any import or export left in it is a syntax error
+    scripts.forEach((code, index) => {
+        try {
+            new vm.Script(code, { filename: `script ${index + 1}` });
+        } catch (error) {
+            problems.push(`script ${index + 1} does not parse: ${error.message}`);
+        }
+        if (/\bimport\s*\(/.test(code)) problems.push(`script ${index + 1} imports a module at run time`);
+    });
+    return problems;
+}
+
+/**
+ * Gives the path a page's standalone file is written to.
+ *
+ * @param {string} page - Path of the source page
+ * @returns {string} The path in dist/
+ */
+function standalonePath(page) {
+    return path.posix.join(DIST_DIR, path.posix.basename(page));
+}
+
+/**
+ * Builds every page, or with check set checks the pages built and compares them with those
+ * in dist/, if any.
+ *
+ * @param {boolean} check - Whether to check instead of write
+ * @returns {boolean} Whether everything is fine
+ */
+function buildAll(check) {
+    let entries;
+    try {
+        entries = listStandalonePages();
+    } catch (error) {
+        if (!(error instanceof RegistryError) && !(error instanceof BuildError)) throw error;
+        console.log(error instanceof RegistryError ? `${REGISTRY_FILE}: ${error.message}` : error.message);
+        error.problems.forEach(problem => console.log(`  ${problem}`));
+        return false;
+    }
+
+    const pages = new Set(entries.map(({ page }) => page));
+    const names = new Set(entries.map(({ page }) => path.posix.basename(standalonePath(page))));
+    const cache = new Map();
+    let ok = true;
+    if (!check) fs.mkdirSync(DIST_DIR, { recursive: true });
+
+    for (const entry of entries) {
+        const output = standalonePath(entry.page);
+        try {
+            const html = buildPage(entry, pages, cache);
+            if (!check) {
+                fs.writeFileSync(output, html);
+                console.log(`${output}: ${(html.length / 1024).toFixed(0)} KB`);
+                continue;
+            }
+
+            const problems = checkStandalone(html, names);
+            if (fs.existsSync(output) && fs.readFileSync(output, 'utf8') !== html) {
+                problems.push(`it is older than ${entry.page} or the files it includes; run npm run build`);
+            }
+            if (problems.length > 0) throw new BuildError(`${output} has ${problems.length} problem${problems.length === 1 ? '' : 's'}`, problems);
+            console.log(`${output}: OK`);
+        } catch (error) {
+            if (!(error instanceof BuildError)) throw error;
+            console.log(error.message);
+            error.problems.forEach(problem => console.log(`  ${problem}`));
+            ok = false;
+        }
+    }
+    return ok;
+}
+
+const args = process.argv.slice(2);
+if (args.some(arg => arg !== '--check')) {
+    console.log('Usage: node tools/build_standalone.js [--check]');
+    process.exitCode = 1;
+} else if (!buildAll(args.includes('--check'))) {
+    process.exitCode = 1;
+}